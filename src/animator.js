@@ -4,6 +4,15 @@
  */
 
 import * as THREE from 'three';
+import { now, setTimer, clearTimer } from './clock.js';
+import { createEventEmitter } from './events.js';
+import { lerpAngle } from './pathMath.js';
+import { stepPin, pinMilestones, pinStatesAt, pinRules, startsHidden, pinSchedule, canPickUp } from './pinState.js';
+import { DEFAULT_PACING, planJourney, walkTimeAt } from './pacing.js';
+
+// Agent ids: the store's own shopper, and the camera framing every agent
+export const LEAD_AGENT = 'lead';
+export const ALL_AGENTS = 'all';
 
 let animatorState = {
   scene: null,
@@ -27,7 +36,8 @@ let animatorState = {
   cameraOffset: new THREE.Vector3(0, 37.5, 30),
   // Pin state tracking
   pinDoneTimers: {},
-  pinPausedAt: {},
+  // When the store was attached (clock ms), for delay rules
+  loadedAt: 0,
   // Compass mode: true = North-up (map fixed), false = marker always faces forward
   compassMode: true,
   currentMarkerAngle: 0,
@@ -36,8 +46,99 @@ let animatorState = {
   // Path visibility
   pathVisible: false,
   pathDrawTimeline: null,
+  // Intro camera fly-in, while it runs
+  introTimeline: null,
+  // Id of the path being shown (set by switchPath)
+  pathId: null,
+  // Playback speed multiplier (scrubber speed selector)
+  playbackSpeed: 1,
+  // Pacing overrides (see DEFAULT_PACING in pacing.js)
+  pacing: {},
+  // Cached progress values where each pin is approached on the current curve
+  pinMilestones: null,
+  // Camera flight to a pin (checklist), while it runs
+  flyTimeline: null,
+  // Extra shoppers walking their own paths alongside the lead (addShopperAgent)
+  agents: [],
+  // Agent the follow camera tracks, or ALL_AGENTS to frame everyone
+  followedAgent: LEAD_AGENT,
+  // Follow camera distance multiplier (grows to fit every agent in view)
+  followZoom: 1,
+};
+
+/**
+ * The store's own shopper as an agent. Its path and progress stay in
+ * animatorState, so the path ribbon, scrubber and directions follow it
+ */
+const leadAgent = {
+  id: LEAD_AGENT,
+  get shopper() { return animatorState.shopper; },
+  get pathCurve() { return animatorState.pathCurve; },
+  get pathId() { return animatorState.pathId; },
+  get progress() { return animatorState.progress; },
+  set progress(value) { animatorState.progress = value; },
+  get angle() { return animatorState.currentMarkerAngle; },
+  // Seconds into a recorded trace being replayed (see createReplay)
+  traceTime: 0,
+  speed: 1,
+  pins: null,
+  color: null
 };
 
+// ============================================
+// Events
+// ============================================
+
+/**
+ * Journey lifecycle and pin events, with their detail objects:
+ *   introStart {}                      introComplete {}
+ *   journeyStart { pathId, duration }  journeyPaused { progress }
+ *   journeyResumed { progress }        journeyComplete { pathId }
+ *   pinApproached { label, distance, agent }  A done rule fired for the shopper
+ *   pinDone { label, agent }           Pin checked off (agent: id of the shopper)
+ *   pinRevealed { label, reason }      reason: 'proximity' or the rule's trigger
+ *                                      ('after', 'doneCount', 'time', 'delay')
+ *   badgeShown { label, savings }      Savings badge popped
+ *   pathSwitched { pathId, previousPathId }
+ * Seeking restores pin states directly and emits no pin events.
+ */
+export const ANIMATOR_EVENTS = [
+  'introStart',
+  'introComplete',
+  'journeyStart',
+  'journeyPaused',
+  'journeyResumed',
+  'journeyComplete',
+  'pinApproached',
+  'pinDone',
+  'pinRevealed',
+  'badgeShown',
+  'pathSwitched'
+];
+
+const events = createEventEmitter(ANIMATOR_EVENTS);
+
+// Pin events name the shopping list pin; heart pins stand in for theirs
+function emitPinEvent(type, pin, detail = {}) {
+  if (pin.userData.isHeart) return;
+  events.emit(type, { label: pin.userData.label, ...detail });
+}
+
+/**
+ * Subscribe to animator events: animatorEvents.on('pinDone', ({ label }) => ...)
+ * on() and once() return an unsubscribe function
+ */
+export const animatorEvents = {
+  on: events.on,
+  once: events.once,
+  off: events.off
+};
+
+// Paths are sampled this far apart to plan the pace (store units)
+const PACING_STEP = 0.25;
+// Follow camera: radius around the target that fits the isometric view
+const FOLLOW_FRAME_RADIUS = 18;
+
 // Camera settings for different views
 const CAMERA_VIEWS = {
   // Top-down orthographic zenith view (zoomed in 25%, centered)
@@ -69,40 +170,59 @@ export function initAnimator(config) {
     animatorState.cameraTarget.set(startPoint.x, 0, startPoint.z);
   }
   
-  // Start delay-based pin reveals on load
-  if (animatorState.pinsGroup && animatorState.gsap) {
-    animatorState.pinsGroup.children.forEach((pin) => {
-      if (pin.userData && pin.userData.revealAfterDelay && pin.userData.isHidden) {
-        const delayTimer = setTimeout(() => {
-          pin.userData.isHidden = false;
-          // Spring animation to reveal
-          animatorState.gsap.to(pin.scale, {
-            x: 1,
-            y: 1,
-            z: 1,
-            duration: 0.6,
-            ease: 'elastic.out(1, 0.5)'
-          });
-          // Start item animation if available
-          if (pin.userData.startItemAnimation) {
-            pin.userData.startItemAnimation();
-          }
-          console.log(pin.userData.label + ' revealed after ' + pin.userData.revealAfterDelay + 'ms delay');
-        }, pin.userData.revealAfterDelay);
-        
-        // Store timer for cleanup
-        animatorState.pinDoneTimers['delay_' + pin.userData.label] = delayTimer;
-      }
-    });
-  }
+  // Delay rules count from here
+  animatorState.loadedAt = now();
   
   console.log('Animator initialized');
 }
 
+/**
+ * Let go of the current store (before it is disposed or swapped): stops the
+ * intro, journey, flights and pin timers and drops the scene references
+ * Call initAnimator again with the new store's objects
+ */
+export function detachAnimator() {
+  [animatorState.introTimeline, animatorState.timeline, animatorState.pathDrawTimeline].forEach((timeline) => {
+    if (timeline) timeline.kill();
+  });
+  stopFlight();
+  Object.values(animatorState.pinDoneTimers).forEach(timer => clearTimer(timer));
+  
+  animatorState = {
+    ...animatorState,
+    worldGroup: null,
+    pathCurve: null,
+    pathMesh: null,
+    shopper: null,
+    shelfMap: null,
+    pinsGroup: null,
+    pinsMap: null,
+    pathId: null,
+    isPlaying: false,
+    progress: 0,
+    timeline: null,
+    introTimeline: null,
+    pathDrawTimeline: null,
+    introComplete: false,
+    followingMarker: false,
+    pathVisible: false,
+    pinDoneTimers: {},
+    pinMilestones: null,
+    agents: [],
+    followedAgent: LEAD_AGENT,
+    followZoom: 1
+  };
+  leadAgent.speed = 1;
+  leadAgent.pins = null;
+  leadAgent.traceTime = 0;
+  console.log('Animator detached');
+}
+
 /**
  * Update function called each frame
  */
 export function updateAnimator() {
+  notifyStateListeners();
   if (!animatorState.pathCurve || !animatorState.shopper) return;
   
   // Update shopper position along path based on progress
@@ -119,14 +239,15 @@ export function updateAnimator() {
     animatorState.currentMarkerAngle = angle;
     animatorState.shopper.rotation.y = angle;
   }
+  animatorState.agents.forEach(placeAgent);
   
   // Compass mode: rotate world so marker always faces forward (up on screen)
   if (animatorState.worldGroup) {
-    if (!animatorState.compassMode) {
-      // Follow mode: negate the marker angle + 180° so marker points UP (toward top of screen)
-      animatorState.targetWorldRotation = -animatorState.currentMarkerAngle + Math.PI;
+    if (!animatorState.compassMode && animatorState.followedAgent !== ALL_AGENTS) {
+      // Follow mode: negate the followed marker's angle + 180° so it points UP (toward top of screen)
+      animatorState.targetWorldRotation = -getAgent(animatorState.followedAgent).angle + Math.PI;
     } else {
-      // Compass/North-up mode: world stays fixed
+      // Compass/North-up mode (or framing every shopper): world stays fixed
       animatorState.targetWorldRotation = 0;
     }
     
@@ -134,13 +255,11 @@ export function updateAnimator() {
     // This prevents 360° spins when crossing the ±π boundary
     // Slower factor (0.027) for seamless transition after zenith to 45° change
     const rotationLerpFactor = 0.027;
-    let delta = animatorState.targetWorldRotation - animatorState.worldRotation;
-    
-    // Normalize delta to [-π, π] to always take the shortest rotation path
-    while (delta > Math.PI) delta -= Math.PI * 2;
-    while (delta < -Math.PI) delta += Math.PI * 2;
-    
-    animatorState.worldRotation += delta * rotationLerpFactor;
+    animatorState.worldRotation = lerpAngle(
+      animatorState.worldRotation,
+      animatorState.targetWorldRotation,
+      rotationLerpFactor
+    );
     animatorState.worldGroup.rotation.y = animatorState.worldRotation;
   }
   
@@ -151,21 +270,20 @@ export function updateAnimator() {
   
   // If following marker, update camera position smoothly
   if (animatorState.followingMarker && animatorState.camera) {
-    // Get marker's world position (accounts for worldGroup rotation)
-    const markerWorldPos = new THREE.Vector3();
-    animatorState.shopper.getWorldPosition(markerWorldPos);
+    // Followed marker's world position (accounts for worldGroup rotation),
+    // or the middle of every shopper when framing them all
+    const frame = getFollowFrame();
     
-    // Smoothly interpolate camera target to marker world position
-    animatorState.cameraTarget.lerp(
-      new THREE.Vector3(markerWorldPos.x, 0, markerWorldPos.z),
-      0.05
-    );
+    // Smoothly interpolate camera target and distance
+    animatorState.cameraTarget.lerp(frame.target, 0.05);
+    animatorState.followZoom += (frame.zoom - animatorState.followZoom) * 0.05;
     
     // Camera offset stays fixed - in Follow mode, the world rotates, not the camera
     // This keeps the camera "behind" the marker in screen space
-    animatorState.camera.position.x = animatorState.cameraTarget.x + animatorState.cameraOffset.x;
-    animatorState.camera.position.y = animatorState.cameraOffset.y;
-    animatorState.camera.position.z = animatorState.cameraTarget.z + animatorState.cameraOffset.z;
+    const zoom = animatorState.followZoom;
+    animatorState.camera.position.x = animatorState.cameraTarget.x + animatorState.cameraOffset.x * zoom;
+    animatorState.camera.position.y = animatorState.cameraOffset.y * zoom;
+    animatorState.camera.position.z = animatorState.cameraTarget.z + animatorState.cameraOffset.z * zoom;
     
     animatorState.camera.lookAt(animatorState.cameraTarget);
   }
@@ -188,159 +306,182 @@ export function updateAnimator() {
     });
   }
   
-  // Check distance to pins and trigger done state
+  // Pin rules: pinState.js decides which triggers are met, the effects
+  // below play them out
   if (animatorState.pinsGroup && animatorState.shopper && animatorState.gsap) {
-    const shopperX = animatorState.shopper.position.x;
-    const shopperZ = animatorState.shopper.position.z;
+    const shoppers = getAgents().map(describeAgent);
+    const context = getRuleContext();
     
     animatorState.pinsGroup.children.forEach((pin) => {
       if (!pin.userData) return;
+      const step = stepPin(describePin(pin), shoppers, {
+        ...context,
+        timing: Boolean(animatorState.pinDoneTimers[pin.userData.label])
+      });
       
-      const pinX = pin.position.x;
-      const pinZ = pin.position.z;
-      const dx = shopperX - pinX;
-      const dz = shopperZ - pinZ;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      
-      // Proximity-based reveal for gift pins
-      if (pin.userData.revealOnProximity) {
-        // Debug: log distance for gift pins occasionally
-        if (!pin.userData._lastLogTime || Date.now() - pin.userData._lastLogTime > 2000) {
-          if (pin.userData.isHidden) {
-            console.log('Gift pin', pin.userData.label, 'distance:', distance.toFixed(1), '/ threshold:', pin.userData.revealOnProximity);
-          }
-          pin.userData._lastLogTime = Date.now();
+      // Debug: log distance for hidden gift pins occasionally
+      if (pin.userData.isGift && pin.userData.isHidden && step.effects.length === 0) {
+        if (!pin.userData._lastLogTime || now() - pin.userData._lastLogTime > 2000) {
+          console.log('Gift pin', pin.userData.label, 'distance:', step.distance.toFixed(1));
+          pin.userData._lastLogTime = now();
         }
-        
-        if (pin.userData.isHidden && distance <= pin.userData.revealOnProximity) {
-          pin.userData.isHidden = false;
-          // Spring animation to reveal
-          animatorState.gsap.to(pin.scale, {
-            x: 1,
-            y: 1,
-            z: 1,
-            duration: 0.6,
-            ease: 'elastic.out(1, 0.5)'
-          });
-          console.log(pin.userData.label + ' REVEALED by proximity (' + distance.toFixed(1) + ' units)');
-          
-          // Start floating hearts animation for gift pins
-          if (pin.userData.isGift && pin.userData.heartsAura) {
-            pin.userData.heartsAura.start();
-            console.log(pin.userData.label + ' hearts aura started');
-          }
-        }
-        if (pin.userData.isHidden) return; // Skip done check while still hidden
       }
       
-      // Skip done processing for hidden pins
-      if (pin.userData.isDone || pin.userData.isHidden) return;
-      
-      // Show savings badge when within 6 units (Instant Savings pins)
-      if (pin.userData.savingsBadge && !pin.userData.savingsBadgeVisible && distance <= 6) {
-        pin.userData.savingsBadgeVisible = true;
-        // Pop/bounce animation - start small, overshoot, settle
-        pin.userData.savingsBadge.scale.set(0, 0, 1);
-        pin.userData.savingsBadge.material.opacity = 1;
-        animatorState.gsap.to(pin.userData.savingsBadge.scale, {
-          x: 1.3,
-          y: 1.3,
-          duration: 0.4,
-          ease: 'back.out(2)'
-        });
-        console.log(pin.userData.label + ' savings badge shown');
-      }
+      step.effects.forEach(({ effect, value, trigger }) => {
+        pinEffects[effect](pin, { value, trigger, step });
+      });
       
-      // If within 4 units and not already timing
-      if (distance <= 4 && !animatorState.pinDoneTimers[pin.userData.label]) {
-        // Pause at pin for 1 second if timeline is playing and not already paused for this pin
-        if (animatorState.timeline && animatorState.isPlaying && !animatorState.pinPausedAt[pin.userData.label]) {
-          animatorState.pinPausedAt[pin.userData.label] = true;
-          animatorState.timeline.pause();
-          console.log('Pausing at pin:', pin.userData.label);
-          
-          setTimeout(() => {
-            if (animatorState.timeline) {
-              animatorState.timeline.resume();
-              console.log('Resuming from pin:', pin.userData.label);
-            }
-          }, 2000);
-        }
-        
-        animatorState.pinDoneTimers[pin.userData.label] = setTimeout(() => {
-          // Mark as done and swap texture
-          pin.userData.isDone = true;
-          
-          // Get the pin mesh (might be group or direct mesh)
-          const pinMesh = pin.userData.pinMesh || pin;
-          if (pinMesh.material && pinMesh.userData.doneTexture) {
-            pinMesh.material.map = pinMesh.userData.doneTexture;
-            pinMesh.material.needsUpdate = true;
-          }
-          
-          // Hide item image when done
-          if (pin.userData.itemMesh) {
-            pin.userData.itemMesh.material.opacity = 0;
-          }
-          
-          // Hide savings badge when done
-          if (pin.userData.savingsBadge) {
-            animatorState.gsap.to(pin.userData.savingsBadge.material, {
-              opacity: 0,
-              duration: 0.3,
-              ease: 'power2.in'
-            });
-            pin.userData.savingsBadgeVisible = false;
-          }
-          
-          // Stop floating hearts animation for gift pins
-          if (pin.userData.isGift && pin.userData.heartsAura) {
-            pin.userData.heartsAura.stop();
-          }
-          
-          // Stop red hearts animation when done
-          if (pin.userData.hasRedHearts && pin.userData.redHeartsAura) {
-            pin.userData.redHeartsAura.stop();
-          }
-          
-          // Subtle bounce animation on done
-          animatorState.gsap.fromTo(pin.scale, 
-            { x: 1, y: 1, z: 1 },
-            { 
-              x: 1.15, y: 1.15, z: 1.15, 
-              duration: 0.15,
-              ease: 'power2.out',
-              yoyo: true,
-              repeat: 1
-            }
-          );
-          
-          console.log('Pin done:', pin.userData.label);
-          
-          // Check if any hidden pins should be revealed after this pin
-          if (animatorState.pinsMap && pin.userData.label) {
-            Object.values(animatorState.pinsMap).forEach((otherPin) => {
-              // Only trigger if revealAfter is explicitly set (not undefined)
-              if (otherPin.userData.isHidden && otherPin.userData.revealAfter && otherPin.userData.revealAfter === pin.userData.label) {
-                otherPin.userData.isHidden = false;
-                // Spring animation to reveal
-                animatorState.gsap.to(otherPin.scale, {
-                  x: 1,
-                  y: 1,
-                  z: 1,
-                  duration: 0.6,
-                  ease: 'elastic.out(1, 0.5)'
-                });
-                console.log(otherPin.userData.label + ' revealed after ' + pin.userData.label);
-              }
-            });
-          }
-        }, 800);
+      // Recorded scans check items off at the logged time
+      if (step.scanned) {
+        animatorState.pinDoneTimers[pin.userData.label] = true;
+        markPinDone(pin, getScanner(pin));
       }
     });
   }
 }
 
+// ============================================
+// Pin rule effects
+// ============================================
+
+// pinRevealed reason by rule trigger (others are reported as the trigger)
+const REVEAL_REASONS = {
+  near: 'proximity',
+  anyoneNear: 'proximity'
+};
+
+/**
+ * What each rule effect does to a pin (PIN_EFFECTS in pinState.js)
+ * Called with the pin and { value, trigger, step }: the rule's value for the
+ * effect (ms for pause and done), its trigger and the frame's stepPin result
+ */
+const pinEffects = {
+  reveal(pin, { trigger }) {
+    pin.userData.isHidden = false;
+    // Spring animation to reveal
+    animatorState.gsap.to(pin.scale, {
+      x: 1,
+      y: 1,
+      z: 1,
+      duration: 0.6,
+      ease: 'elastic.out(1, 0.5)'
+    });
+    // Start item animation if available
+    if (pin.userData.startItemAnimation) {
+      pin.userData.startItemAnimation();
+    }
+    const reason = REVEAL_REASONS[trigger] || trigger;
+    console.log(pin.userData.label + ' REVEALED by ' + reason);
+    emitPinEvent('pinRevealed', pin, { reason });
+    
+    // Start floating hearts animation for gift pins
+    if (pin.userData.isGift && pin.userData.heartsAura) {
+      pin.userData.heartsAura.start();
+      console.log(pin.userData.label + ' hearts aura started');
+    }
+  },
+  
+  // Instant Savings pins: pop/bounce the badge - start small, overshoot, settle
+  badge(pin) {
+    pin.userData.savingsBadgeVisible = true;
+    pin.userData.savingsBadge.scale.set(0, 0, 1);
+    pin.userData.savingsBadge.material.opacity = 1;
+    animatorState.gsap.to(pin.userData.savingsBadge.scale, {
+      x: 1.3,
+      y: 1.3,
+      duration: 0.4,
+      ease: 'back.out(2)'
+    });
+    console.log(pin.userData.label + ' savings badge shown');
+    emitPinEvent('badgeShown', pin, { savings: pin.userData.savingsText });
+  },
+  
+  // Pauses are planned into the journey before it plays (planWalks), so
+  // nothing happens when their rule fires
+  pause() {},
+  
+  // Check the pin off for the shopper who picks it up, value ms later
+  done(pin, { value, step }) {
+    const picker = getAgent(step.picker.id);
+    emitPinEvent('pinApproached', pin, { distance: step.pickDistance, agent: picker.id });
+    animatorState.pinDoneTimers[pin.userData.label] = setTimer(() => {
+      markPinDone(pin, picker);
+    }, value / animatorState.playbackSpeed);
+  }
+};
+
+// What pin rules are checked against (see pinState.js): items done, journey
+// time, time since the store loaded and the path shown
+function getRuleContext() {
+  const done = new Set();
+  animatorState.pinsGroup.children.forEach((pin) => {
+    if (pin.userData && pin.userData.isDone && !pin.userData.isHeart) done.add(pin.userData.label);
+  });
+  return {
+    done,
+    time: animatorState.timeline ? animatorState.timeline.time() * 1000 : 0,
+    elapsed: now() - animatorState.loadedAt,
+    pathId: animatorState.pathId
+  };
+}
+
+/**
+ * Check a pin off: done texture, badge and hearts away and a small bounce
+ * (pins waiting for it are revealed by their rules on the next frame)
+ */
+function markPinDone(pin, agent) {
+  // Mark as done and swap texture
+  pin.userData.isDone = true;
+  pin.userData.doneBy = agent.id;
+  
+  // Get the pin mesh (might be group or direct mesh)
+  const pinMesh = pin.userData.pinMesh || pin;
+  if (pinMesh.material && pinMesh.userData.doneTexture) {
+    pinMesh.material.map = pinMesh.userData.doneTexture;
+    pinMesh.material.needsUpdate = true;
+  }
+  
+  // Hide item image when done
+  if (pin.userData.itemMesh) {
+    pin.userData.itemMesh.material.opacity = 0;
+  }
+  
+  // Hide savings badge when done
+  if (pin.userData.savingsBadge) {
+    animatorState.gsap.to(pin.userData.savingsBadge.material, {
+      opacity: 0,
+      duration: 0.3,
+      ease: 'power2.in'
+    });
+    pin.userData.savingsBadgeVisible = false;
+  }
+  
+  // Stop floating hearts animation for gift pins
+  if (pin.userData.isGift && pin.userData.heartsAura) {
+    pin.userData.heartsAura.stop();
+  }
+  
+  // Stop red hearts animation when done
+  if (pin.userData.hasRedHearts && pin.userData.redHeartsAura) {
+    pin.userData.redHeartsAura.stop();
+  }
+  
+  // Subtle bounce animation on done
+  animatorState.gsap.fromTo(pin.scale, 
+    { x: 1, y: 1, z: 1 },
+    { 
+      x: 1.15, y: 1.15, z: 1.15, 
+      duration: 0.15,
+      ease: 'power2.out',
+      yoyo: true,
+      repeat: 1
+    }
+  );
+  
+  console.log('Pin done:', pin.userData.label, 'by', agent.id);
+  emitPinEvent('pinDone', pin, { agent: agent.id });
+}
+
 /**
  * Play the intro transition animation
  * Transitions from zenith view to isometric follow view
@@ -359,6 +500,7 @@ export function playIntroTransition(onComplete) {
   const startPoint = animatorState.pathCurve.getPointAt(0);
   
   console.log('Playing intro transition...');
+  events.emit('introStart');
   
   // Store start and end camera states
   // Start: centered, zoomed in 25%
@@ -379,26 +521,18 @@ export function playIntroTransition(onComplete) {
   // Create intro timeline
   const introTimeline = gsap.timeline({
     onComplete: () => {
-      animatorState.introComplete = true;
-      animatorState.followingMarker = true;
-      animatorState.cameraOffset.set(0, CAMERA_VIEWS.isometric.offsetY, CAMERA_VIEWS.isometric.offsetZ);
-      
-      // Set camera target to marker's current world position for seamless handoff
-      const markerWorldPos = new THREE.Vector3();
-      animatorState.shopper.getWorldPosition(markerWorldPos);
-      animatorState.cameraTarget.set(markerWorldPos.x, 0, markerWorldPos.z);
-      
-      // Also set camera position to match exactly where it should be
-      camera.position.x = markerWorldPos.x + animatorState.cameraOffset.x;
-      camera.position.y = animatorState.cameraOffset.y;
-      camera.position.z = markerWorldPos.z + animatorState.cameraOffset.z;
-      camera.lookAt(markerWorldPos.x, 0, markerWorldPos.z);
+      animatorState.introTimeline = null;
+      // Hand off to the follow camera exactly where the intro ended
+      enterFollowView();
       
       console.log('Intro transition complete');
+      events.emit('introComplete');
       if (onComplete) onComplete();
     }
   });
   
+  animatorState.introTimeline = introTimeline;
+  
   // Phase 1: Hold on zenith view (0.5s)
   introTimeline.to({}, { duration: 0.5 });
   
@@ -411,15 +545,14 @@ export function playIntroTransition(onComplete) {
     onUpdate: () => {
       const t = anim.progress;
       
-      // Get marker's current world position (accounts for world rotation in Follow mode)
-      const markerWorldPos = new THREE.Vector3();
-      animatorState.shopper.getWorldPosition(markerWorldPos);
+      // Get the followed marker's current world position (accounts for world rotation in Follow mode)
+      const { target: markerWorldPos, zoom } = getFollowFrame();
       
       // Interpolate end position to marker's world position for smooth tracking
       const currentEndPos = {
         x: markerWorldPos.x,
-        y: CAMERA_VIEWS.isometric.offsetY,
-        z: markerWorldPos.z + CAMERA_VIEWS.isometric.offsetZ
+        y: CAMERA_VIEWS.isometric.offsetY * zoom,
+        z: markerWorldPos.z + CAMERA_VIEWS.isometric.offsetZ * zoom
       };
       const currentEndLookAt = {
         x: markerWorldPos.x,
@@ -446,6 +579,28 @@ export function playIntroTransition(onComplete) {
   return introTimeline;
 }
 
+/**
+ * Switch to the isometric follow camera, snapped onto the marker
+ */
+function enterFollowView() {
+  const camera = animatorState.camera;
+  animatorState.introComplete = true;
+  animatorState.followingMarker = true;
+  animatorState.cameraOffset.set(0, CAMERA_VIEWS.isometric.offsetY, CAMERA_VIEWS.isometric.offsetZ);
+  
+  // Set camera target to the followed marker's current world position for seamless handoff
+  const { target: markerWorldPos, zoom } = getFollowFrame();
+  animatorState.cameraTarget.copy(markerWorldPos);
+  animatorState.followZoom = zoom;
+  
+  // Also set camera position to match exactly where it should be
+  camera.up.set(0, 1, 0);
+  camera.position.x = markerWorldPos.x + animatorState.cameraOffset.x * zoom;
+  camera.position.y = animatorState.cameraOffset.y * zoom;
+  camera.position.z = markerWorldPos.z + animatorState.cameraOffset.z * zoom;
+  camera.lookAt(markerWorldPos.x, 0, markerWorldPos.z);
+}
+
 /**
  * Set camera to initial zenith (top-down) view
  */
@@ -492,25 +647,50 @@ export function setCameraToZenith() {
  * Start the full animation sequence (intro + journey)
  */
 export function startFullAnimation() {
+  // Play intro, then start journey
+  playIntro(() => {
+    // Small delay before starting journey (unless the scrubber already made one)
+    setTimer(() => {
+      if (!animatorState.timeline) playJourney();
+    }, 500);
+  });
+}
+
+/**
+ * Rewind to the start of the path and fly the camera in
+ * @param {Function} onComplete - Called when the camera reaches the marker
+ * @returns {Object} The intro GSAP timeline
+ */
+export function playIntro(onComplete) {
   // Don't reset to zenith - preserve current Follow mode rotation
   // Just reset progress and start the transition
+  if (animatorState.timeline) {
+    animatorState.timeline.kill();
+    animatorState.timeline = null;
+  }
+  stopFlight();
+  animatorState.isPlaying = false;
   animatorState.progress = 0;
+  leadAgent.traceTime = 0;
+  animatorState.agents.forEach((agent) => {
+    agent.progress = 0;
+    agent.traceTime = 0;
+    placeAgent(agent);
+  });
   animatorState.followingMarker = false;
   animatorState.introComplete = false;
   
-  // Play intro, then start journey
-  playIntroTransition(() => {
-    // Small delay before starting journey
-    setTimeout(() => {
-      playJourney();
-    }, 500);
-  });
+  return playIntroTransition(onComplete);
 }
 
 /**
  * Start the shopper journey animation
- * Uses linear motion with ease-out at start and ease-in at end
- * Duration scales with path length for consistent speed
+ * Every shopper walks its own path at the same time, paced up front (see
+ * pacing.js): speeding up from the start, slower near the pins it picks up
+ * and in tight corners, slowing to a stop at the end, and everyone waiting
+ * while a shopper stops at a pin. A recorded trace path is replayed at its
+ * recorded pace instead
+ * @returns {Object} The journey GSAP timeline
  */
 export function playJourney() {
   if (!animatorState.pathCurve || !animatorState.shopper || !animatorState.gsap) {
@@ -525,44 +705,95 @@ export function playJourney() {
   animatorState.isPlaying = true;
   console.log('Journey started');
   
-  // Calculate path length and scale duration for consistent speed
-  const pathLength = animatorState.pathCurve.getLength();
-  const baseSpeed = 2.5; // Units per second (slower pace)
-  const totalDuration = pathLength / baseSpeed;
-  const easeDuration = Math.min(1.5, totalDuration * 0.05); // Scale ease with duration
-  
-  console.log('Path length:', pathLength.toFixed(1), 'Duration:', totalDuration.toFixed(1) + 's');
-  
   animatorState.timeline = animatorState.gsap.timeline({
     onComplete: () => {
       animatorState.isPlaying = false;
       console.log('Journey complete');
+      events.emit('journeyComplete', { pathId: animatorState.pathId });
     }
   });
-  
-  // Calculate progress breakpoints for easing sections
-  const easeOutEnd = easeDuration / totalDuration; // ~0.075
-  const easeInStart = 1 - (easeDuration / totalDuration); // ~0.925
-  
-  // Phase 1: Accelerate from start (ease in - starts slow, speeds up)
-  animatorState.timeline.to(animatorState, {
-    progress: easeOutEnd,
-    duration: easeDuration,
-    ease: 'power2.in'
+  animatorState.timeline.timeScale(animatorState.playbackSpeed);
+  
+  // All walks start together; the journey ends when the last shopper arrives
+  const plan = planWalks();
+  getAgents().forEach((agent) => {
+    const playback = agent.pathCurve.playback;
+    const walk = plan.walks.get(agent);
+    animatorState.timeline.add(playback ? createReplay(agent, playback) : createWalk(agent, walk, plan), 0);
   });
   
-  // Phase 2: Linear motion through middle
-  animatorState.timeline.to(animatorState, {
-    progress: easeInStart,
-    duration: totalDuration - (easeDuration * 2),
-    ease: 'none'
+  const totalDuration = animatorState.timeline.duration();
+  events.emit('journeyStart', { pathId: animatorState.pathId, duration: totalDuration });
+  return animatorState.timeline;
+}
+
+/**
+ * Pace every shopper that walks its path (planJourney). Pins the shopper
+ * picks up slow it down, and their planned pauses stop it or hold everyone;
+ * when a recorded trace sets the pace nobody stops
+ * @returns {{walks: Map, holds: Object[], duration: number}} walks: plan by agent
+ */
+function planWalks() {
+  const agents = getAgents().filter(agent => !agent.pathCurve.playback);
+  const replaying = agents.length < getAgents().length;
+  const shoppers = getAgents().map(describeAgent);
+  const pins = animatorState.pinsGroup
+    ? animatorState.pinsGroup.children.filter(pin => pin.userData && !pin.userData.isHeart).map(describePin)
+    : [];
+  
+  const walkers = agents.map((agent) => {
+    const shopper = shoppers.find(({ id }) => id === agent.id);
+    const curve = agent.pathCurve;
+    return {
+      points: curve.getSpacedPoints(Math.max(1, Math.ceil(curve.getLength() / PACING_STEP))),
+      speed: agent.speed,
+      pins: pins.filter(pin => canPickUp(shopper, pin.item, shoppers)).map((pin) => {
+        const schedule = pinSchedule(pin, animatorState.pathId);
+        return { key: pin.label, x: pin.x, z: pin.z, ...schedule, pause: replaying ? [] : schedule.pause };
+      })
+    };
   });
   
-  // Phase 3: Decelerate to end (ease out - starts fast, slows down)
-  animatorState.timeline.to(animatorState, {
-    progress: 1,
-    duration: easeDuration,
-    ease: 'power2.out'
+  const plan = planJourney(walkers, animatorState.pacing);
+  return {
+    walks: new Map(agents.map((agent, i) => [agent, plan.walks[i]])),
+    holds: plan.holds,
+    duration: plan.duration
+  };
+}
+
+/**
+ * One shopper's walk along its path: a linear tween of the journey clock,
+ * as long as the whole journey, mapped through the shopper's pace
+ */
+function createWalk(agent, walk, { holds, duration }) {
+  console.log(`Shopper ${agent.id}: path length`, walk.length.toFixed(1), 'Duration:', walk.duration.toFixed(1) + 's',
+    'Stops:', walk.stops.length);
+  
+  const clock = { time: 0 };
+  return animatorState.gsap.to(clock, {
+    time: duration,
+    duration,
+    ease: 'none',
+    onUpdate: () => {
+      agent.progress = walk.progressAt(walkTimeAt(holds, clock.time));
+    }
+  });
+}
+
+/**
+ * One shopper replaying a recorded trace: the trace clock runs in real time
+ * and sets how far along the trace the shopper is, pauses included
+ */
+function createReplay(agent, playback) {
+  console.log(`Shopper ${agent.id}: replaying`, playback.name, 'Duration:', playback.duration.toFixed(1) + 's');
+  return animatorState.gsap.fromTo(agent, { traceTime: 0 }, {
+    traceTime: playback.duration,
+    duration: playback.duration,
+    ease: 'none',
+    onUpdate: () => {
+      agent.progress = playback.progressAt(agent.traceTime);
+    }
   });
 }
 
@@ -575,6 +806,7 @@ export function pauseJourney() {
   }
   animatorState.isPlaying = false;
   console.log('Journey paused');
+  events.emit('journeyPaused', { progress: animatorState.progress });
 }
 
 /**
@@ -584,8 +816,14 @@ export function resumeJourney() {
   if (animatorState.timeline) {
     animatorState.timeline.resume();
   }
+  // Coming back from a flight to a pin: pick the marker up again
+  if (animatorState.introComplete && !animatorState.followingMarker) {
+    stopFlight();
+    animatorState.followingMarker = true;
+  }
   animatorState.isPlaying = true;
   console.log('Journey resumed');
+  events.emit('journeyResumed', { progress: animatorState.progress });
 }
 
 /**
@@ -596,9 +834,11 @@ export function resetJourney() {
     animatorState.timeline.kill();
     animatorState.timeline = null;
   }
+  stopFlight();
   
   animatorState.isPlaying = false;
   animatorState.progress = 0;
+  leadAgent.traceTime = 0;
   animatorState.introComplete = false;
   animatorState.followingMarker = false;
   
@@ -618,6 +858,11 @@ export function resetJourney() {
     animatorState.shopper.position.set(startPoint.x, 0, startPoint.z);
     animatorState.shopper.rotation.y = initialAngle;
   }
+  animatorState.agents.forEach((agent) => {
+    agent.progress = 0;
+    agent.traceTime = 0;
+    placeAgent(agent);
+  });
   
   // Reset path visibility
   if (animatorState.pathMesh && animatorState.pathMesh.material.uniforms) {
@@ -632,11 +877,13 @@ export function resetJourney() {
         const pinMesh = pin.userData.pinMesh || pin;
         if (pinMesh.userData && pinMesh.userData.normalTexture) {
           pin.userData.isDone = false;
+          pin.userData.doneBy = null;
           pinMesh.material.map = pinMesh.userData.normalTexture;
           pinMesh.material.needsUpdate = true;
         }
-        // Reset pins with revealAfter, revealAfterDelay, or revealOnProximity to hidden
-        if (pin.userData.revealAfter || pin.userData.revealAfterDelay || pin.userData.revealOnProximity) {
+        // Hide pins with reveal rules again (delay rules whose time has
+        // passed reveal them on the next frame)
+        if (startsHidden(getPinRules(pin))) {
           pin.scale.set(0, 0, 0);
           pin.userData.isHidden = true;
         }
@@ -644,8 +891,8 @@ export function resetJourney() {
         if (pin.userData.isGift && pin.userData.heartsAura) {
           pin.userData.heartsAura.stop();
         }
-        // Restart red hearts animation
-        if (pin.userData.hasRedHearts && pin.userData.redHeartsAura) {
+        // Restart red hearts animation (not on pins swapped out for a heart)
+        if (pin.userData.hasRedHearts && pin.userData.redHeartsAura && pin.visible) {
           pin.userData.redHeartsAura.start();
         }
         // Reset savings badge visibility and scale
@@ -662,10 +909,9 @@ export function resetJourney() {
     });
   }
   
-  // Clear pin done timers and pause tracking
-  Object.values(animatorState.pinDoneTimers).forEach(timer => clearTimeout(timer));
+  // Clear pin done timers
+  Object.values(animatorState.pinDoneTimers).forEach(timer => clearTimer(timer));
   animatorState.pinDoneTimers = {};
-  animatorState.pinPausedAt = {};
   
   setCameraToZenith();
   
@@ -674,24 +920,549 @@ export function resetJourney() {
 
 /**
  * Set journey progress manually (0 to 1)
+ * Pins, path erasure, world rotation and the follow camera are re-synced
+ * to the new position, so jumping backwards restores earlier pin states
  */
 export function setProgress(progress) {
   animatorState.progress = Math.max(0, Math.min(1, progress));
+  const playback = animatorState.pathCurve && animatorState.pathCurve.playback;
+  if (playback) leadAgent.traceTime = playback.timeAt(animatorState.progress);
+  syncToProgress();
+}
+
+/**
+ * Seek the journey timeline to a fraction of its duration (0 to 1)
+ * Creates a paused journey if none exists yet; keeps the play/pause state
+ * @param {number} fraction - Position on the timeline, 0 = start, 1 = end
+ */
+export function seekJourney(fraction) {
+  if (!animatorState.pathCurve || !animatorState.shopper || !animatorState.gsap) return;
+  
+  // Seeking during the intro skips the rest of it
+  if (animatorState.introTimeline) {
+    animatorState.introTimeline.kill();
+    animatorState.introTimeline = null;
+  }
+  stopFlight();
+  
+  if (!animatorState.timeline) {
+    getAgents().forEach((agent) => {
+      agent.progress = 0;
+      agent.traceTime = 0;
+    });
+    playJourney();
+    if (!animatorState.timeline) return;
+    animatorState.timeline.pause();
+    animatorState.isPlaying = false;
+  }
+  
+  // Seeking renders the timeline, which writes animatorState.progress
+  const timeline = animatorState.timeline;
+  timeline.progress(Math.max(0, Math.min(1, fraction)));
+  if (animatorState.isPlaying && timeline.progress() < 1) {
+    timeline.play();
+  } else {
+    timeline.pause();
+  }
+  
+  syncToProgress();
+}
+
+/**
+ * Change how shoppers are paced (see DEFAULT_PACING in pacing.js)
+ * Takes effect from the next playJourney
+ * @param {Object} pacing - speed, acceleration, cornerGrip, pinRadius, pinSpeed
+ */
+export function setPacing(pacing) {
+  Object.entries(pacing).forEach(([key, value]) => {
+    if (!(key in DEFAULT_PACING) || typeof value !== 'number' || !(value > 0)) {
+      console.warn('Ignoring pacing setting:', key, value);
+      return;
+    }
+    animatorState.pacing[key] = value;
+  });
+  console.log('Pacing:', { ...DEFAULT_PACING, ...animatorState.pacing });
+}
+
+/**
+ * Set playback speed for the journey and pin pauses
+ * @param {number} speed - Multiplier, 1 = normal speed
+ */
+export function setPlaybackSpeed(speed) {
+  animatorState.playbackSpeed = speed > 0 ? speed : 1;
+  if (animatorState.timeline) {
+    animatorState.timeline.timeScale(animatorState.playbackSpeed);
+  }
+  console.log('Playback speed:', animatorState.playbackSpeed + 'x');
 }
 
 /**
  * Get current animator state
  */
 export function getAnimatorState() {
+  const timeline = animatorState.timeline;
   return {
     isPlaying: animatorState.isPlaying,
     progress: animatorState.progress,
     introComplete: animatorState.introComplete,
     followingMarker: animatorState.followingMarker,
-    compassMode: animatorState.compassMode
+    compassMode: animatorState.compassMode,
+    hasJourney: Boolean(timeline),
+    timelineProgress: timeline ? timeline.progress() : 0,
+    duration: timeline ? timeline.duration() : 0,
+    playbackSpeed: animatorState.playbackSpeed,
+    pathVisible: animatorState.pathVisible,
+    pathId: animatorState.pathId,
+    markerAngle: animatorState.currentMarkerAngle,
+    pins: getPinStates(),
+    followedAgent: animatorState.followedAgent,
+    agents: getAgentStates()
+  };
+}
+
+// Done / hidden state of every pin, keyed by label (doneBy: agent id)
+function getPinStates() {
+  const pins = {};
+  Object.entries(animatorState.pinsMap || {}).forEach(([label, pin]) => {
+    pins[label] = {
+      isDone: Boolean(pin.userData.isDone),
+      isHidden: Boolean(pin.userData.isHidden),
+      doneBy: pin.userData.isDone ? pin.userData.doneBy || LEAD_AGENT : null
+    };
+  });
+  return pins;
+}
+
+// Position and heading of every shopper, lead first (store coordinates)
+function getAgentStates() {
+  if (!animatorState.shopper) return [];
+  return getAgents().map(agent => ({
+    id: agent.id,
+    pathId: agent.pathId,
+    color: agent.color,
+    speed: agent.speed,
+    progress: agent.progress,
+    x: agent.shopper.position.x,
+    z: agent.shopper.position.z,
+    angle: agent.angle
+  }));
+}
+
+// ============================================
+// State subscriptions
+// ============================================
+const stateListeners = new Set();
+let lastNotifiedState = '';
+
+/**
+ * Get getAnimatorState() snapshots whenever they change (checked once per frame)
+ * @param {Function} listener - Called with the state now and after every change
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(listener) {
+  stateListeners.add(listener);
+  listener(getAnimatorState());
+  return () => stateListeners.delete(listener);
+}
+
+function notifyStateListeners() {
+  if (stateListeners.size === 0) return;
+  const state = getAnimatorState();
+  const key = JSON.stringify(state);
+  if (key === lastNotifiedState) return;
+  lastNotifiedState = key;
+  stateListeners.forEach(listener => listener(state));
+}
+
+// ============================================
+// Progress re-sync (used after seeking)
+// ============================================
+
+/**
+ * First progress value at which a marker on a curve comes within each pin
+ * threshold. Cached per path curve
+ */
+function getPinMilestones(curve) {
+  if (!animatorState.pinMilestones) animatorState.pinMilestones = new Map();
+  if (animatorState.pinMilestones.has(curve)) {
+    return animatorState.pinMilestones.get(curve);
+  }
+  
+  const samples = 1000;
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    points.push(curve.getPointAt(i / samples));
+  }
+  
+  const byPin = new Map();
+  animatorState.pinsGroup.children.forEach((pin) => {
+    byPin.set(pin, pinMilestones(points, describePin(pin)));
+  });
+  
+  animatorState.pinMilestones.set(curve, byPin);
+  return byPin;
+}
+
+/**
+ * Put pins, path erasure, marker, world rotation and camera where they
+ * would be if the journey had played up to the current progress
+ */
+function syncToProgress() {
+  if (!animatorState.pathCurve || !animatorState.shopper) return;
+  const progress = animatorState.progress;
+  
+  // Drop pending done timers; pins are set directly below
+  Object.values(animatorState.pinDoneTimers).forEach(timer => clearTimer(timer));
+  animatorState.pinDoneTimers = {};
+  
+  if (animatorState.pinsGroup) {
+    const shoppers = getAgents().map(agent => ({
+      ...describeAgent(agent),
+      milestones: getPinMilestones(agent.pathCurve)
+    }));
+    const pins = animatorState.pinsGroup.children.filter(pin => pin.userData).map(describePin);
+    const states = pinStatesAt(pins, shoppers, getRuleContext());
+    
+    pins.forEach(({ key: pin, rules }) => {
+      const state = states.get(pin);
+      if (startsHidden(rules)) setPinHidden(pin, state.hidden);
+      setPinDoneInstant(pin, Boolean(state.doneBy));
+      pin.userData.doneBy = state.doneBy;
+      setBadgeVisibleInstant(pin, state.badgeVisible);
+      
+      // Already passed: don't check it off again when playback continues
+      if (state.doneBy) animatorState.pinDoneTimers[pin.userData.label] = true;
+    });
+  }
+  
+  // Marker, path erasure and world rotation without smoothing
+  const point = animatorState.pathCurve.getPointAt(progress);
+  animatorState.shopper.position.x = point.x;
+  animatorState.shopper.position.z = point.z;
+  const tangent = animatorState.pathCurve.getTangentAt(Math.min(progress, 0.995));
+  animatorState.currentMarkerAngle = Math.atan2(tangent.x, tangent.z);
+  animatorState.shopper.rotation.y = animatorState.currentMarkerAngle;
+  animatorState.agents.forEach(placeAgent);
+  
+  if (animatorState.pathMesh && animatorState.pathMesh.material.uniforms) {
+    animatorState.pathMesh.material.uniforms.uProgress.value = progress;
+  }
+  
+  const northUp = animatorState.compassMode || animatorState.followedAgent === ALL_AGENTS;
+  animatorState.targetWorldRotation = northUp ? 0 : -getAgent(animatorState.followedAgent).angle + Math.PI;
+  animatorState.worldRotation = animatorState.targetWorldRotation;
+  if (animatorState.worldGroup) {
+    animatorState.worldGroup.rotation.y = animatorState.worldRotation;
+    animatorState.worldGroup.updateMatrixWorld(true);
+  }
+  
+  // Jumping into the journey skips the intro fly-in
+  if (animatorState.camera && progress > 0) {
+    enterFollowView();
+  }
+}
+
+function setPinHidden(pin, hidden) {
+  if (pin.userData.isHidden === hidden) return;
+  pin.userData.isHidden = hidden;
+  if (animatorState.gsap) animatorState.gsap.killTweensOf(pin.scale);
+  const scale = hidden ? 0 : 1;
+  pin.scale.set(scale, scale, scale);
+  if (pin.userData.isGift && pin.userData.heartsAura) {
+    if (hidden || pin.userData.isDone) {
+      pin.userData.heartsAura.stop();
+    } else {
+      pin.userData.heartsAura.start();
+    }
+  }
+}
+
+function setPinDoneInstant(pin, done) {
+  const pinMesh = pin.userData.pinMesh || pin;
+  if (!pinMesh.userData || !pinMesh.userData.normalTexture) return;
+  if (Boolean(pin.userData.isDone) === done) return;
+  
+  pin.userData.isDone = done;
+  pinMesh.material.map = done ? pinMesh.userData.doneTexture : pinMesh.userData.normalTexture;
+  pinMesh.material.needsUpdate = true;
+  if (animatorState.gsap) animatorState.gsap.killTweensOf(pin.scale);
+  if (!pin.userData.isHidden) pin.scale.set(1, 1, 1);
+  
+  if (done) {
+    if (pin.userData.itemMesh) pin.userData.itemMesh.material.opacity = 0;
+    if (pin.userData.heartsAura) pin.userData.heartsAura.stop();
+    if (pin.userData.redHeartsAura) pin.userData.redHeartsAura.stop();
+  } else {
+    if (pin.userData.startItemAnimation && !pin.userData.isHidden) pin.userData.startItemAnimation();
+    if (pin.userData.isGift && pin.userData.heartsAura && !pin.userData.isHidden) pin.userData.heartsAura.start();
+    if (pin.userData.hasRedHearts && pin.userData.redHeartsAura && pin.visible) pin.userData.redHeartsAura.start();
+  }
+}
+
+function setBadgeVisibleInstant(pin, visible) {
+  const badge = pin.userData.savingsBadge;
+  if (!badge) return;
+  if (animatorState.gsap) {
+    animatorState.gsap.killTweensOf(badge.scale);
+    animatorState.gsap.killTweensOf(badge.material);
+  }
+  pin.userData.savingsBadgeVisible = visible;
+  badge.material.opacity = visible ? 1 : 0;
+  const scale = visible ? 1.3 : 1;
+  badge.scale.set(scale, scale, 1);
+}
+
+// ============================================
+// Shopper agents
+// ============================================
+
+/**
+ * Add a shopper that walks its own path alongside the lead shopper
+ * Takes effect from the next playJourney (a running journey keeps its walks)
+ * @param {Object} options
+ * @param {string} options.id - Unique agent id
+ * @param {THREE.Object3D} options.shopper - Marker (e.g. from StoreScene.addShopper)
+ * @param {THREE.Curve} options.pathCurve - Path the agent walks
+ * @param {string} options.pathId - Id of that path
+ * @param {number} options.speed - Walking speed multiplier (1 = lead's default pace)
+ * @param {string[]} options.pins - Labels this agent picks up; null = any pin no one else claims
+ * @param {string} options.color - Marker tint, for UI that draws the agent
+ */
+export function addShopperAgent({ id, shopper, pathCurve, pathId = null, speed = 1, pins = null, color = null }) {
+  if (!id || id === LEAD_AGENT || id === ALL_AGENTS || !shopper || !pathCurve) {
+    console.warn('Cannot add shopper agent:', id);
+    return;
+  }
+  removeShopperAgent(id);
+  const agent = {
+    id,
+    shopper,
+    pathCurve,
+    pathId,
+    progress: 0,
+    angle: 0,
+    traceTime: 0,
+    speed: speed > 0 ? speed : 1,
+    pins: pins ? new Set(pins) : null,
+    color
+  };
+  placeAgent(agent);
+  animatorState.agents.push(agent);
+  console.log('Shopper agent added:', id, 'on', pathId);
+}
+
+export function removeShopperAgent(id) {
+  animatorState.agents = animatorState.agents.filter(agent => agent.id !== id);
+  if (animatorState.followedAgent === id) animatorState.followedAgent = LEAD_AGENT;
+}
+
+/**
+ * Set an agent's walking speed (LEAD_AGENT for the store's own shopper)
+ * Takes effect from the next playJourney
+ */
+export function setAgentSpeed(id, speed) {
+  const agent = findAgent(id);
+  if (agent) agent.speed = speed > 0 ? speed : 1;
+}
+
+/**
+ * Set which pins an agent picks up (LEAD_AGENT for the store's own shopper)
+ * @param {string} id - Agent id
+ * @param {string[]|null} labels - Pin labels; null = any pin no one else claims
+ */
+export function setAgentPins(id, labels) {
+  const agent = findAgent(id);
+  if (agent) agent.pins = labels ? new Set(labels) : null;
+}
+
+/**
+ * Point the follow camera at one agent, or frame them all with ALL_AGENTS
+ * Framing everyone keeps the map north-up
+ */
+export function followAgent(id) {
+  if (id !== ALL_AGENTS && !findAgent(id)) {
+    console.warn('Unknown shopper agent:', id);
+    return;
+  }
+  animatorState.followedAgent = id;
+  console.log('Camera following:', id);
+}
+
+function getAgents() {
+  return [leadAgent, ...animatorState.agents];
+}
+
+function findAgent(id) {
+  return getAgents().find(agent => agent.id === id) || null;
+}
+
+// Agent by id; the lead stands in for ALL_AGENTS and unknown ids
+function getAgent(id) {
+  return findAgent(id) || leadAgent;
+}
+
+// Marker on its curve, facing the way it walks
+function placeAgent(agent) {
+  const point = agent.pathCurve.getPointAt(agent.progress);
+  agent.shopper.position.x = point.x;
+  agent.shopper.position.z = point.z;
+  if (agent.progress < 0.995) {
+    const tangent = agent.pathCurve.getTangentAt(agent.progress);
+    agent.angle = Math.atan2(tangent.x, tangent.z);
+    agent.shopper.rotation.y = agent.angle;
+  }
+}
+
+// Shopping list item a pin stands for (heart pins stand in for theirs)
+function itemLabel(pin) {
+  return pin.userData.heartFor || pin.userData.label;
+}
+
+// Pins without rules of their own (made outside StoreScene) get the defaults
+const DEFAULT_PIN_RULES = pinRules();
+
+function getPinRules(pin) {
+  return pin.userData.rules || DEFAULT_PIN_RULES;
+}
+
+// Pin as the pin rules see it (pinState.js)
+function describePin(pin) {
+  const data = pin.userData;
+  const scanner = getScanner(pin);
+  return {
+    key: pin,
+    label: data.label,
+    item: itemLabel(pin),
+    x: pin.position.x,
+    z: pin.position.z,
+    isHidden: Boolean(data.isHidden),
+    isDone: Boolean(data.isDone),
+    isHeart: Boolean(data.isHeart),
+    rules: getPinRules(pin),
+    hasBadge: Boolean(data.savingsBadge),
+    badgeVisible: Boolean(data.savingsBadgeVisible),
+    scannedBy: scanner ? scanner.id : null
+  };
+}
+
+// Shopper as the pin rules see it; agents with a pin list pick up only
+// those, the others share what is left
+function describeAgent(agent) {
+  return {
+    id: agent.id,
+    x: agent.shopper.position.x,
+    z: agent.shopper.position.z,
+    progress: agent.progress,
+    pins: agent.pins,
+    replaysScans: Boolean(getScanPlayback(agent))
   };
 }
 
+// Recorded trace an agent replays, when it logged scans (they decide its pickups)
+function getScanPlayback(agent) {
+  const playback = agent.pathCurve.playback;
+  return playback && playback.scans.length > 0 ? playback : null;
+}
+
+// Shopper whose replayed trace has scanned a pin's item by now, if any
+function getScanner(pin) {
+  const label = itemLabel(pin);
+  return getAgents().find((agent) => {
+    const playback = getScanPlayback(agent);
+    return playback && playback.scanTimes.has(label) && agent.traceTime >= playback.scanTimes.get(label);
+  }) || null;
+}
+
+/**
+ * Where the follow camera looks (world position) and how far it backs off
+ * to keep every shopper in view when framing them all
+ */
+function getFollowFrame() {
+  const agents = animatorState.followedAgent === ALL_AGENTS
+    ? getAgents()
+    : [getAgent(animatorState.followedAgent)];
+  const box = new THREE.Box3();
+  const position = new THREE.Vector3();
+  agents.forEach((agent) => {
+    agent.shopper.getWorldPosition(position);
+    box.expandByPoint(position);
+  });
+  const target = box.getCenter(new THREE.Vector3());
+  target.y = 0;
+  const radius = box.getSize(position).length() / 2;
+  return { target, zoom: Math.max(1, (radius + 6) / FOLLOW_FRAME_RADIUS) };
+}
+
+// ============================================
+// Camera flight to a pin
+// ============================================
+
+/**
+ * Fly the camera to a pin and look at it from the follow view angle
+ * A playing journey is paused; resuming it goes back to following the marker
+ * @param {string} label - Pin label (key of pinsMap)
+ * @returns {Object|null} The flight GSAP timeline, or null if the pin is unknown
+ */
+export function flyToPin(label) {
+  const pin = animatorState.pinsMap && animatorState.pinsMap[label];
+  const camera = animatorState.camera;
+  if (!pin || !camera || !animatorState.gsap) {
+    console.warn('Cannot fly to pin:', label);
+    return null;
+  }
+  // The intro owns the camera until it hands over to the follow view
+  if (animatorState.introTimeline) return null;
+  
+  if (animatorState.isPlaying) pauseJourney();
+  stopFlight();
+  animatorState.followingMarker = false;
+  
+  // Start looking from wherever the camera looks at the floor now
+  const direction = new THREE.Vector3();
+  camera.getWorldDirection(direction);
+  const distance = direction.y < -0.01 ? -camera.position.y / direction.y : 50;
+  const lookTarget = camera.position.clone().addScaledVector(direction, distance);
+  lookTarget.y = 0;
+  
+  // Pins move with the world rotation, so aim at the world position
+  const target = new THREE.Vector3();
+  pin.getWorldPosition(target);
+  target.y = 0;
+  
+  const timeline = animatorState.gsap.timeline({
+    onUpdate: () => camera.lookAt(lookTarget),
+    onComplete: () => {
+      animatorState.flyTimeline = null;
+    }
+  });
+  timeline.to(camera.position, {
+    x: target.x,
+    y: CAMERA_VIEWS.isometric.offsetY,
+    z: target.z + CAMERA_VIEWS.isometric.offsetZ,
+    duration: 1.2,
+    ease: 'power2.inOut'
+  }, 0);
+  timeline.to(lookTarget, {
+    x: target.x,
+    z: target.z,
+    duration: 1.2,
+    ease: 'power2.inOut'
+  }, 0);
+  
+  // Follow view picks up from here when the journey resumes
+  animatorState.cameraTarget.copy(target);
+  animatorState.flyTimeline = timeline;
+  console.log('Flying to pin:', label);
+  return timeline;
+}
+
+function stopFlight() {
+  if (animatorState.flyTimeline) {
+    animatorState.flyTimeline.kill();
+    animatorState.flyTimeline = null;
+  }
+}
+
 /**
  * Toggle compass mode
  * @param {boolean} enabled - true = North-up (map fixed), false = marker always faces forward
@@ -775,10 +1546,14 @@ export function switchPath(pathId, switchPathFn) {
   // Switch the path geometry and get the new curve
   const newCurve = switchPathFn(pathId);
   if (newCurve) {
+    const previousPathId = animatorState.pathId;
+    if (animatorState.pinMilestones) animatorState.pinMilestones.delete(animatorState.pathCurve);
     animatorState.pathCurve = newCurve;
+    animatorState.pathId = pathId;
     
     // Reset progress to start
     animatorState.progress = 0;
+    leadAgent.traceTime = 0;
     
     // Update shopper position to start of new path with 45° toward EF
     if (animatorState.shopper) {
@@ -787,7 +1562,9 @@ export function switchPath(pathId, switchPathFn) {
       animatorState.shopper.position.set(startPoint.x, 0, startPoint.z);
       animatorState.shopper.rotation.y = initialAngle;
       animatorState.currentMarkerAngle = initialAngle;
-      animatorState.worldRotation = -initialAngle + Math.PI;
+      // North-up stays put (the path editor switches on every edit)
+      const northUp = animatorState.compassMode || animatorState.followedAgent === ALL_AGENTS;
+      animatorState.worldRotation = northUp ? 0 : -initialAngle + Math.PI;
       animatorState.targetWorldRotation = animatorState.worldRotation;
       if (animatorState.worldGroup) {
         animatorState.worldGroup.rotation.y = animatorState.worldRotation;
@@ -800,6 +1577,7 @@ export function switchPath(pathId, switchPathFn) {
     }
     
     console.log('Animator switched to', pathId);
+    events.emit('pathSwitched', { pathId, previousPathId });
   }
 }
 
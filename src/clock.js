@@ -0,0 +1,171 @@
+/**
+ * Clock module
+ * One time source for timers, timestamps and GSAP so the whole animation can
+ * run either in real time or from a fixed-step clock (offline video export)
+ *
+ * Real time: timers are window timers, GSAP follows its own ticker.
+ * Manual time: nothing moves until advanceTime(ms); due timers fire in order
+ * and GSAP is rendered at the new time.
+ */
+
+const clockState = {
+  manual: false,
+  // Manual mode: current time in ms
+  manualNow: 0,
+  // Offset that keeps now() continuous when switching modes
+  realOffset: 0,
+  // Pending timers by id: { id, fn, due, handle }
+  timers: new Map(),
+  nextId: 1,
+  // GSAP root time is ticker time + gsapOffset (seconds)
+  gsap: null,
+  gsapOffset: 0,
+  gsapManualTime: 0,
+  // Seeded random state, null = Math.random
+  seed: null
+};
+
+function realNow() {
+  return (typeof performance !== 'undefined' ? performance.now() : Date.now()) + clockState.realOffset;
+}
+
+/**
+ * Current time in milliseconds (only differences are meaningful)
+ */
+export function now() {
+  return clockState.manual ? clockState.manualNow : realNow();
+}
+
+/**
+ * setTimeout that follows the clock
+ * @param {Function} fn - Callback
+ * @param {number} ms - Delay in milliseconds
+ * @returns {number} Timer id for clearTimer
+ */
+export function setTimer(fn, ms = 0) {
+  const timer = { id: clockState.nextId++, fn, due: now() + Math.max(0, ms), handle: null };
+  clockState.timers.set(timer.id, timer);
+  if (!clockState.manual) scheduleReal(timer);
+  return timer.id;
+}
+
+/**
+ * clearTimeout for timers from setTimer; ignores anything else
+ * @param {number} id - Timer id
+ */
+export function clearTimer(id) {
+  const timer = clockState.timers.get(id);
+  if (!timer) return;
+  if (timer.handle !== null) clearTimeout(timer.handle);
+  clockState.timers.delete(id);
+}
+
+function scheduleReal(timer) {
+  timer.handle = setTimeout(() => {
+    clockState.timers.delete(timer.id);
+    timer.fn();
+  }, Math.max(0, timer.due - realNow()));
+}
+
+/**
+ * Math.random, or a repeatable sequence after seedRandom()
+ * @returns {number} Value in [0, 1)
+ */
+export function random() {
+  if (clockState.seed === null) return Math.random();
+  // mulberry32
+  clockState.seed = (clockState.seed + 0x6D2B79F5) | 0;
+  let t = clockState.seed;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Make random() repeatable; pass null to go back to Math.random
+ * @param {number|null} seed - Integer seed
+ */
+export function seedRandom(seed) {
+  clockState.seed = seed === null ? null : seed | 0;
+}
+
+// ============================================
+// GSAP
+// ============================================
+
+/**
+ * Let the clock drive GSAP's root timeline
+ * In real time GSAP still follows its ticker (with lag smoothing)
+ * @param {Object} gsap - GSAP instance
+ */
+export function attachGsap(gsap) {
+  if (clockState.gsap) return;
+  clockState.gsap = gsap;
+  gsap.ticker.remove(gsap.updateRoot);
+  gsap.ticker.add((time) => {
+    if (!clockState.manual) gsap.updateRoot(time + clockState.gsapOffset);
+  });
+}
+
+// ============================================
+// Manual (fixed-step) time
+// ============================================
+
+/**
+ * Stop following real time; pending timers keep their remaining delay
+ */
+export function useManualTime() {
+  if (clockState.manual) return;
+  clockState.manualNow = realNow();
+  clockState.timers.forEach((timer) => {
+    if (timer.handle !== null) clearTimeout(timer.handle);
+    timer.handle = null;
+  });
+  if (clockState.gsap) {
+    clockState.gsapManualTime = clockState.gsap.ticker.time + clockState.gsapOffset;
+  }
+  clockState.manual = true;
+}
+
+/**
+ * Follow real time again, continuing from the manual time
+ */
+export function useRealTime() {
+  if (!clockState.manual) return;
+  clockState.manual = false;
+  clockState.realOffset += clockState.manualNow - realNow();
+  clockState.timers.forEach(scheduleReal);
+  if (clockState.gsap) {
+    clockState.gsapOffset = clockState.gsapManualTime - clockState.gsap.ticker.time;
+  }
+}
+
+export function isManualTime() {
+  return clockState.manual;
+}
+
+/**
+ * Move manual time forward, firing due timers in order, then render GSAP
+ * @param {number} ms - Step in milliseconds
+ */
+export function advanceTime(ms) {
+  if (!clockState.manual) return;
+  const target = clockState.manualNow + ms;
+
+  for (;;) {
+    let next = null;
+    clockState.timers.forEach((timer) => {
+      if (timer.due <= target && (!next || timer.due < next.due)) next = timer;
+    });
+    if (!next) break;
+    clockState.timers.delete(next.id);
+    clockState.manualNow = Math.max(clockState.manualNow, next.due);
+    next.fn();
+  }
+
+  clockState.manualNow = target;
+  if (clockState.gsap) {
+    clockState.gsapManualTime += ms / 1000;
+    clockState.gsap.updateRoot(clockState.gsapManualTime);
+  }
+}
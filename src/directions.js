@@ -0,0 +1,258 @@
+/**
+ * Directions module
+ * Turn-by-turn instructions for a path, worked out from its waypoints and the
+ * rounded curve the shopper actually walks: a step for every turn, named after
+ * the aisle or section the shopper turns into, and one for every pin passed
+ *
+ * Directions are from the shopper's point of view: store -Z is north, so
+ * walking north a turn toward +X is a right turn.
+ */
+
+// Store units to feet for spoken distances
+export const FEET_PER_UNIT = 5;
+
+// Bends smaller than this are not worth a step
+const MIN_TURN_ANGLE = Math.PI / 8;
+// Anything sharper is a U-turn
+const U_TURN_ANGLE = Math.PI * 3 / 4;
+// How far from a path leg a section label or pin may be to be mentioned
+const LABEL_REACH = 6;
+const PIN_REACH = 4;
+// Widest gap between two shelves that still counts as an aisle
+const MAX_AISLE_WIDTH = 8;
+// Samples along the curve (uniform in arc length)
+const SAMPLES = 400;
+
+/**
+ * Build the directions for a path
+ * @param {Array<{x: number, z: number}>} waypoints - Path waypoints
+ * @param {Object} curve - The rounded path curve (getPointAt, getLength)
+ * @param {Object} options
+ * @param {Object} options.floorPlan - Validated floor plan (shelves and section labels)
+ * @param {Array<{label: string, x: number, z: number}>} options.pins - Pins to call out
+ * @returns {{length: number, steps: Object[]}} Steps in walking order:
+ *   { type: 'start'|'turn'|'pin'|'arrive', text, distance (units from the
+ *   start), progress (0-1 along the curve), turn? ('left'|'right'|'around'), label? }
+ */
+export function buildDirections(waypoints, curve, { floorPlan = null, pins = [] } = {}) {
+  if (!waypoints || waypoints.length < 2 || !curve) return { length: 0, steps: [] };
+
+  const length = curve.getLength();
+  const samples = [];
+  for (let i = 0; i <= SAMPLES; i++) {
+    const point = curve.getPointAt(i / SAMPLES);
+    samples.push({ x: point.x, z: point.z });
+  }
+  const labels = floorPlan ? getSectionLabels(floorPlan) : [];
+  const shelves = floorPlan ? getShelves(floorPlan, labels) : [];
+  const step = (type, index, text, extra = {}) => ({
+    type,
+    text,
+    distance: (index / SAMPLES) * length,
+    progress: index / SAMPLES,
+    ...extra
+  });
+
+  const steps = [];
+  const first = direction(waypoints[0], waypoints[1]);
+  const startPlace = describeLeg(waypoints[0], waypoints[1], null, labels, shelves);
+  steps.push(step('start', 0, `Head ${compassName(first)}${startPlace ? ` ${startPlace}` : ''}`));
+
+  // Turns at the waypoints, placed where the curve rounds each corner
+  let searchFrom = 0;
+  for (let i = 1; i < waypoints.length - 1; i++) {
+    const before = direction(waypoints[i - 1], waypoints[i]);
+    const after = direction(waypoints[i], waypoints[i + 1]);
+    if (!before || !after) continue;
+    const angle = Math.atan2(cross(before, after), before.x * after.x + before.z * after.z);
+    if (Math.abs(angle) < MIN_TURN_ANGLE) continue;
+
+    const index = nearestSample(samples, waypoints[i], searchFrom);
+    searchFrom = index;
+    const turn = Math.abs(angle) > U_TURN_ANGLE ? 'around' : angle > 0 ? 'right' : 'left';
+    const place = describeLeg(waypoints[i], waypoints[i + 1], turn, labels, shelves);
+    const text = turn === 'around' ? 'Turn around' : `Turn ${turn}`;
+    steps.push(step('turn', index, place ? `${text} ${place}` : text, { turn }));
+  }
+
+  // Pins passed close enough to see, on the side they are passed
+  pins.forEach((pin) => {
+    const index = nearestSample(samples, pin, 0);
+    const closest = samples[index];
+    if (Math.hypot(pin.x - closest.x, pin.z - closest.z) > PIN_REACH) return;
+    const ahead = samples[Math.min(SAMPLES, index + 1)];
+    const behind = samples[Math.max(0, index - 1)];
+    const tangent = { x: ahead.x - behind.x, z: ahead.z - behind.z };
+    const side = cross(tangent, { x: pin.x - closest.x, z: pin.z - closest.z }) >= 0 ? 'right' : 'left';
+    steps.push(step('pin', index, `${pin.label} on your ${side}`, { label: pin.label }));
+  });
+
+  const end = waypoints[waypoints.length - 1];
+  const destination = nearestLabel(labels, end, end, null);
+  steps.push(step('arrive', SAMPLES, destination ? `Arrive at ${destination.text}` : 'Arrive at your destination'));
+
+  // Stable sort keeps a turn ahead of a pin at the same spot
+  steps.sort((a, b) => a.distance - b.distance);
+  return { length, steps };
+}
+
+/**
+ * Spoken-style text for a step at a distance, e.g. "C10 on your left in 12 ft"
+ * @param {Object} step - Step from buildDirections
+ * @param {number} distance - Store units still to go
+ * @returns {string}
+ */
+export function formatStep(step, distance) {
+  const feet = Math.round(Math.max(0, distance) * FEET_PER_UNIT);
+  if (feet < 3) return step.type === 'turn' ? `${step.text} now` : step.text;
+  return `${step.text} in ${feet} ft`;
+}
+
+/**
+ * The next step after a point on the path
+ * @param {{steps: Object[]}} directions - From buildDirections
+ * @param {number} progress - Current progress along the curve (0-1)
+ * @param {Function} skip - Optional filter; steps it returns true for are passed over
+ * @returns {Object|null}
+ */
+export function getUpcomingStep(directions, progress, skip = null) {
+  if (!directions) return null;
+  return directions.steps.find(step => (
+    step.type !== 'start' && step.progress > progress && !(skip && skip(step))
+  )) || null;
+}
+
+// ============================================
+// Places
+// ============================================
+
+// "into the Home aisle (B–C)", "past Snacks & Beverages" or '' when nothing is near
+function describeLeg(from, to, turn, labels, shelves) {
+  const aisle = findAisle(from, to, shelves);
+  if (aisle) {
+    // Name the aisle after the section on the side the shopper turns toward
+    const heading = direction(from, to);
+    const eastIsRight = heading.z < 0;
+    const preferred = (turn === 'right') === eastIsRight ? aisle.east : aisle.west;
+    const section = preferred.section || aisle.west.section || aisle.east.section;
+    const letters = `${aisle.west.letter}–${aisle.east.letter}`;
+    return section ? `into the ${section} aisle (${letters})` : `into aisle ${letters}`;
+  }
+  const label = nearestLabel(labels, from, to, turn);
+  return label ? `past ${label.text}` : '';
+}
+
+// Shelves on either side of a leg that runs between two shelves
+function findAisle(from, to, shelves) {
+  const minZ = Math.min(from.z, to.z);
+  const maxZ = Math.max(from.z, to.z);
+  if (Math.abs(from.x - to.x) > 0.5 || maxZ - minZ < 1) return null;
+
+  const alongside = shelves.filter(shelf => shelf.minZ < maxZ && shelf.maxZ > minZ);
+  const west = closest(alongside.filter(shelf => shelf.maxX <= from.x), shelf => from.x - shelf.maxX);
+  const east = closest(alongside.filter(shelf => shelf.minX >= from.x), shelf => shelf.minX - from.x);
+  if (!west || !east || east.minX - west.maxX > MAX_AISLE_WIDTH) return null;
+  return { west, east };
+}
+
+// Closest section label to a leg; near-ties go to the side the shopper turns toward
+function nearestLabel(labels, from, to, turn) {
+  const heading = direction(from, to);
+  let best = null;
+  labels.forEach((label) => {
+    const distance = distanceToSegment(label, from, to);
+    if (distance > LABEL_REACH) return;
+    const side = heading && cross(heading, { x: label.x - from.x, z: label.z - from.z }) > 0 ? 'right' : 'left';
+    const preferred = side === turn;
+    if (!best || distance < best.distance - 0.5 ||
+        (Math.abs(distance - best.distance) <= 0.5 && preferred && !best.preferred)) {
+      best = { text: label.text, distance, preferred };
+    }
+  });
+  return best;
+}
+
+function getSectionLabels(plan) {
+  return (plan.sectionLabels || []).map(label => ({
+    text: label.text.replace(/\s*\n\s*/g, ' '),
+    x: label.x,
+    z: label.z
+  }));
+}
+
+// Single shelves of every shelf pair with their aisle letter and the section
+// label that sits on the pair
+function getShelves(plan, labels) {
+  const shelves = [];
+  plan.shelfPairs.forEach((pair) => {
+    const offset = pair.gap / 2 + pair.shelfWidth / 2;
+    const minZ = pair.z - pair.shelfDepth / 2;
+    const maxZ = pair.z + pair.shelfDepth / 2;
+    const label = labels.find(entry => (
+      Math.abs(entry.x - pair.x) <= offset + pair.shelfWidth / 2 && entry.z >= minZ && entry.z <= maxZ
+    ));
+    [-offset, offset].forEach((dx, i) => {
+      shelves.push({
+        letter: pair.aisles[i],
+        section: label ? label.text : null,
+        minX: pair.x + dx - pair.shelfWidth / 2,
+        maxX: pair.x + dx + pair.shelfWidth / 2,
+        minZ,
+        maxZ
+      });
+    });
+  });
+  return shelves;
+}
+
+// ============================================
+// Geometry
+// ============================================
+
+function direction(from, to) {
+  const length = Math.hypot(to.x - from.x, to.z - from.z);
+  if (length < 1e-6) return null;
+  return { x: (to.x - from.x) / length, z: (to.z - from.z) / length };
+}
+
+// Positive when b points to the right of a (x east, z south)
+function cross(a, b) {
+  return a.x * b.z - a.z * b.x;
+}
+
+function compassName(dir) {
+  if (!dir) return 'off';
+  if (Math.abs(dir.x) > Math.abs(dir.z)) return dir.x > 0 ? 'east' : 'west';
+  return dir.z > 0 ? 'south' : 'north';
+}
+
+function nearestSample(samples, point, from) {
+  let best = from;
+  let bestDistance = Infinity;
+  for (let i = from; i < samples.length; i++) {
+    const distance = Math.hypot(samples[i].x - point.x, samples[i].z - point.z);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function distanceToSegment(point, from, to) {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSq))
+    : 0;
+  return Math.hypot(point.x - (from.x + dx * t), point.z - (from.z + dz * t));
+}
+
+function closest(list, measure) {
+  let best = null;
+  list.forEach((item) => {
+    if (!best || measure(item) < measure(best)) best = item;
+  });
+  return best;
+}
@@ -0,0 +1,66 @@
+/**
+ * Events module
+ * Small typed event emitter: only the event types it was created with can be
+ * listened to or emitted, so a typo fails loudly instead of never firing
+ */
+
+/**
+ * Create an emitter for a fixed set of event types
+ * @param {string[]} types - Allowed event names
+ * @returns {{types: string[], on: Function, once: Function, off: Function, emit: Function}}
+ */
+export function createEventEmitter(types) {
+  const listeners = new Map(types.map(type => [type, new Set()]));
+
+  function check(type) {
+    if (!listeners.has(type)) {
+      throw new Error(`Unknown event "${type}" (expected one of ${types.join(', ')})`);
+    }
+  }
+
+  /**
+   * Listen to an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Called with the event's detail object
+   * @returns {Function} Unsubscribe
+   */
+  function on(type, listener) {
+    check(type);
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  }
+
+  /**
+   * Listen to the next occurrence of an event only
+   */
+  function once(type, listener) {
+    const unsubscribe = on(type, (detail) => {
+      unsubscribe();
+      listener(detail);
+    });
+    return unsubscribe;
+  }
+
+  function off(type, listener) {
+    check(type);
+    listeners.get(type).delete(listener);
+  }
+
+  /**
+   * Call every listener of an event; a failing listener doesn't stop the others
+   * @param {string} type - Event name
+   * @param {Object} detail - Event payload
+   */
+  function emit(type, detail = {}) {
+    check(type);
+    [...listeners.get(type)].forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (e) {
+        console.error(`Listener for "${type}" failed:`, e);
+      }
+    });
+  }
+
+  return { types, on, once, off, emit };
+}
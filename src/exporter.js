@@ -0,0 +1,227 @@
+/**
+ * Exporter module
+ * Records the journey offline: the clock is switched to fixed steps, every
+ * frame is rendered at the export resolution and written to a WebM file
+ * (WebCodecs) or a PNG sequence, independent of real time
+ */
+
+import { useManualTime, useRealTime, advanceTime, seedRandom } from './clock.js';
+import { createWebmMuxer } from './webm.js';
+
+export const EXPORT_RESOLUTIONS = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '4k': { width: 3840, height: 2160 }
+};
+
+// Keyframe interval and safety limit for runaway recordings
+const KEYFRAME_SECONDS = 2;
+const DEFAULT_MAX_SECONDS = 600;
+
+/**
+ * Record frames until the animation says it is finished
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer whose canvas is captured
+ * @param {THREE.PerspectiveCamera} options.camera - Camera (aspect is set for the export)
+ * @param {Function} options.start - Called once on the fixed clock to start the animation
+ * @param {Function} options.update - Per-frame update (e.g. updateAnimator)
+ * @param {Function} options.render - Renders one frame
+ * @param {Function} options.isFinished - True once the animation is over
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} options.fps - Frames per second
+ * @param {string} options.format - 'webm' or 'png'
+ * @param {number} options.tailSeconds - Extra seconds recorded after the end
+ * @param {number} options.maxSeconds - Stop after this many seconds regardless
+ * @param {Function} options.onProgress - Called with { frame, seconds }
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @returns {Promise<{frames: number, seconds: number}>}
+ */
+export async function exportVideo({
+  renderer,
+  camera,
+  start,
+  update,
+  render,
+  isFinished,
+  width = 1920,
+  height = 1080,
+  fps = 60,
+  format = 'webm',
+  tailSeconds = 1,
+  maxSeconds = DEFAULT_MAX_SECONDS,
+  onProgress,
+  signal
+}) {
+  // Ask for the output first: the directory picker needs the click's user activation
+  const sink = format === 'png'
+    ? await createPngSink()
+    : await createWebmSink(width, height, fps);
+
+  const canvas = renderer.domElement;
+  const savedPixelRatio = renderer.getPixelRatio();
+  const savedSize = { width: canvas.clientWidth, height: canvas.clientHeight };
+  const savedAspect = camera.aspect;
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+
+  useManualTime();
+  seedRandom(1);
+  console.log(`Export started: ${width}x${height} @ ${fps}fps (${format})`);
+
+  const frameMs = 1000 / fps;
+  let frame = 0;
+  let finishedAt = -1;
+
+  try {
+    start();
+
+    while (frame < maxSeconds * fps) {
+      if (signal && signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+
+      update();
+      render();
+      await sink.addFrame(canvas, frame, fps);
+      frame++;
+
+      if (finishedAt < 0 && isFinished()) finishedAt = frame;
+      if (finishedAt >= 0 && frame - finishedAt >= tailSeconds * fps) break;
+
+      advanceTime(frameMs);
+
+      if (onProgress) onProgress({ frame, seconds: frame / fps });
+      // Let the page repaint the progress now and then
+      if (frame % 10 === 0) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    await sink.finish(`store-journey-${width}x${height}-${fps}fps`);
+    console.log(`Export finished: ${frame} frames (${(frame / fps).toFixed(1)}s)`);
+    return { frames: frame, seconds: frame / fps };
+  } catch (e) {
+    sink.abort();
+    throw e;
+  } finally {
+    seedRandom(null);
+    useRealTime();
+    renderer.setPixelRatio(savedPixelRatio);
+    renderer.setSize(savedSize.width, savedSize.height);
+    camera.aspect = savedAspect;
+    camera.updateProjectionMatrix();
+  }
+}
+
+// ============================================
+// WebM (WebCodecs)
+// ============================================
+
+async function createWebmSink(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('WebM export needs WebCodecs (VideoEncoder); use the PNG sequence instead');
+  }
+
+  const bitrate = Math.round(width * height * fps * 0.1);
+  const vp9Level = width * height <= 1280 * 720 ? '31' : width * height <= 1920 * 1080 ? '41' : '51';
+  const candidates = [
+    { codec: `vp09.00.${vp9Level}.08`, webmCodec: 'V_VP9' },
+    { codec: 'vp8', webmCodec: 'V_VP8' }
+  ];
+
+  let chosen = null;
+  for (const candidate of candidates) {
+    const config = { codec: candidate.codec, width, height, bitrate, framerate: fps };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) {
+      chosen = { ...candidate, config };
+      break;
+    }
+  }
+  if (!chosen) {
+    throw new Error(`No WebM encoder for ${width}x${height}; use the PNG sequence instead`);
+  }
+
+  const muxer = createWebmMuxer({ width, height, codec: chosen.webmCodec, frameRate: fps });
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+    },
+    error: (e) => {
+      encodeError = e;
+    }
+  });
+  encoder.configure(chosen.config);
+  console.log('Export encoder:', chosen.codec, `${(bitrate / 1e6).toFixed(1)} Mbps`);
+
+  return {
+    async addFrame(canvas, index) {
+      if (encodeError) throw encodeError;
+      const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(index * 1e6 / fps) });
+      encoder.encode(videoFrame, { keyFrame: index % (KEYFRAME_SECONDS * fps) === 0 });
+      videoFrame.close();
+      // Don't run ahead of the encoder
+      while (encoder.encodeQueueSize > 4) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    },
+    async finish(name) {
+      await encoder.flush();
+      if (encodeError) throw encodeError;
+      encoder.close();
+      downloadBlob(muxer.finalize(), `${name}.webm`);
+    },
+    abort() {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+  };
+}
+
+// ============================================
+// PNG sequence (File System Access API)
+// ============================================
+
+async function createPngSink() {
+  if (typeof window.showDirectoryPicker !== 'function') {
+    throw new Error('PNG sequence export needs a browser that can write to a folder (showDirectoryPicker)');
+  }
+  const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+
+  return {
+    async addFrame(canvas, index) {
+      // toBlob snapshots the canvas now, before the next frame is drawn
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      const file = await directory.getFileHandle(`frame_${String(index).padStart(5, '0')}.png`, { create: true });
+      const writable = await file.createWritable();
+      await writable.write(blob);
+      await writable.close();
+    },
+    async finish() {
+      console.log('PNG sequence written to', directory.name);
+    },
+    abort() {}
+  };
+}
+
+// ============================================
+// Downloads
+// ============================================
+
+/**
+ * Save a blob through the browser's download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
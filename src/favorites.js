@@ -0,0 +1,43 @@
+/**
+ * Favorites module
+ * Hearted pins are remembered per shopping list in localStorage
+ */
+
+const STORAGE_PREFIX = 'store-journey:favorites:';
+
+/**
+ * Storage key for a shopping list's favorites
+ * @param {Object} shoppingList - Validated shopping list
+ * @returns {string}
+ */
+export function favoritesKey(shoppingList) {
+  return STORAGE_PREFIX + (shoppingList.name || 'default');
+}
+
+/**
+ * Read saved favorites; anything unreadable counts as none
+ * @param {string} key - Storage key (see favoritesKey)
+ * @returns {string[]} Pin labels
+ */
+export function loadFavorites(key) {
+  try {
+    const labels = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(labels) ? labels.filter(label => typeof label === 'string') : [];
+  } catch (e) {
+    console.warn('Could not read favorites:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Save favorites (private browsing may refuse; the app keeps working)
+ * @param {string} key - Storage key (see favoritesKey)
+ * @param {string[]} labels - Pin labels
+ */
+export function saveFavorites(key, labels) {
+  try {
+    localStorage.setItem(key, JSON.stringify(labels));
+  } catch (e) {
+    console.warn('Could not save favorites:', e.message);
+  }
+}
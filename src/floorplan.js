@@ -0,0 +1,327 @@
+/**
+ * Floor plan module
+ * Loads and validates the JSON floor-plan files that describe a store layout
+ *
+ * Schema (all coordinates in store units, origin at the store center,
+ * -Z toward the back wall, +Z toward the entrance):
+ *
+ * {
+ *   "name": "Sam's Club",
+ *   "dimensions": { "width", "depth", "wallHeight", "wallThickness", "shelfHeight", "binHeight" },
+ *   "walls":       [{ "id", "x", "z", "width", "depth", "height"?, "receiveShadow"? }],
+ *   "entrances":   [{ "id", "x", "z", "width" }],
+ *   "shelfPairs":  [{ "aisles": ["A", "B"], "x", "z", "shelfWidth", "shelfDepth", "gap", "height"? }],
+ *   "binGrids":    [{ "id", "x", "z", "rows", "cols", "spacingX", "spacingZ", "width", "depth", "height"?, "kind"? }],
+ *   "fixtures":    [{ "id", "x", "z", "width", "depth", "height", "kind"? }],
+ *   "sectionLabels": [{ "text", "x", "z", "rotate"?, "fontSize"? }],
+ *   "routeEndpoints": { "entrance": { "x", "z" }, "checkout": { "x", "z" } }
+ * }
+ *
+ * Bin grid x/z is the center of the first (north-west) cell.
+ */
+
+export const DEFAULT_FLOOR_PLAN_URL = 'data/floorplans/sams-club.json';
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Fetch a floor-plan JSON file and validate it
+ * @param {string} url - Floor plan URL (defaults to the Sam's Club layout)
+ * @returns {Promise<Object>} The validated floor plan
+ */
+export async function loadFloorPlan(url = DEFAULT_FLOOR_PLAN_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load floor plan ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  let plan;
+  try {
+    plan = await response.json();
+  } catch (e) {
+    throw new Error(`Floor plan ${url} is not valid JSON: ${e.message}`);
+  }
+
+  assertValidFloorPlan(plan, url);
+  console.log('Floor plan loaded:', plan.name || url);
+  return plan;
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check a floor plan against the schema
+ * @param {Object} plan - Parsed floor plan
+ * @returns {string[]} List of problems, empty when the plan is valid
+ */
+export function validateFloorPlan(plan) {
+  const errors = [];
+
+  if (!plan || typeof plan !== 'object') {
+    return ['floor plan must be an object'];
+  }
+
+  const dims = plan.dimensions;
+  if (!dims || typeof dims !== 'object') {
+    errors.push('dimensions: required object');
+  } else {
+    ['width', 'depth', 'wallHeight', 'wallThickness', 'shelfHeight', 'binHeight'].forEach((key) => {
+      checkPositive(errors, `dimensions.${key}`, dims[key]);
+    });
+  }
+
+  const halfWidth = dims && dims.width / 2;
+  const halfDepth = dims && dims.depth / 2;
+
+  // Reject items placed outside the store footprint
+  const checkInside = (path, item) => {
+    if (!dims || !isNumber(item.x) || !isNumber(item.z)) return;
+    if (Math.abs(item.x) > halfWidth || Math.abs(item.z) > halfDepth) {
+      errors.push(`${path}: position (${item.x}, ${item.z}) is outside the ${dims.width}x${dims.depth} store`);
+    }
+  };
+
+  checkList(errors, plan, 'walls', (wall, path) => {
+    checkString(errors, `${path}.id`, wall.id);
+    checkPosition(errors, path, wall);
+    checkPositive(errors, `${path}.width`, wall.width);
+    checkPositive(errors, `${path}.depth`, wall.depth);
+    checkOptionalPositive(errors, `${path}.height`, wall.height);
+    checkInside(path, wall);
+  });
+
+  checkList(errors, plan, 'entrances', (entrance, path) => {
+    checkString(errors, `${path}.id`, entrance.id);
+    checkPosition(errors, path, entrance);
+    checkPositive(errors, `${path}.width`, entrance.width);
+    checkInside(path, entrance);
+
+    // An entrance has to sit in a gap, not inside a wall
+    if (Array.isArray(plan.walls) && isNumber(entrance.x) && isNumber(entrance.z)) {
+      const blocked = plan.walls.find((wall) => (
+        Math.abs(entrance.x - wall.x) < wall.width / 2 &&
+        Math.abs(entrance.z - wall.z) < wall.depth / 2
+      ));
+      if (blocked) {
+        errors.push(`${path}: entrance "${entrance.id}" is blocked by wall "${blocked.id}"`);
+      }
+    }
+  });
+
+  const seenAisles = {};
+  checkList(errors, plan, 'shelfPairs', (pair, path) => {
+    if (!Array.isArray(pair.aisles) || pair.aisles.length !== 2) {
+      errors.push(`${path}.aisles: expected two aisle letters, e.g. ["A", "B"]`);
+    } else {
+      pair.aisles.forEach((aisle, i) => {
+        if (typeof aisle !== 'string' || !/^[A-Z]$/.test(aisle)) {
+          errors.push(`${path}.aisles[${i}]: expected a single uppercase letter, got ${JSON.stringify(aisle)}`);
+        } else if (seenAisles[aisle]) {
+          errors.push(`${path}.aisles[${i}]: aisle "${aisle}" is already used by ${seenAisles[aisle]}`);
+        } else {
+          seenAisles[aisle] = path;
+        }
+      });
+    }
+    checkPosition(errors, path, pair);
+    checkPositive(errors, `${path}.shelfWidth`, pair.shelfWidth);
+    checkPositive(errors, `${path}.shelfDepth`, pair.shelfDepth);
+    checkNonNegative(errors, `${path}.gap`, pair.gap);
+    checkOptionalPositive(errors, `${path}.height`, pair.height);
+    checkInside(path, pair);
+  });
+
+  checkList(errors, plan, 'binGrids', (grid, path) => {
+    checkString(errors, `${path}.id`, grid.id);
+    checkPosition(errors, path, grid);
+    checkCount(errors, `${path}.rows`, grid.rows);
+    checkCount(errors, `${path}.cols`, grid.cols);
+    checkNonNegative(errors, `${path}.spacingX`, grid.spacingX);
+    checkNonNegative(errors, `${path}.spacingZ`, grid.spacingZ);
+    checkPositive(errors, `${path}.width`, grid.width);
+    checkPositive(errors, `${path}.depth`, grid.depth);
+    checkOptionalPositive(errors, `${path}.height`, grid.height);
+    checkKind(errors, `${path}.kind`, grid.kind);
+    checkInside(path, grid);
+  });
+
+  checkList(errors, plan, 'fixtures', (fixture, path) => {
+    checkString(errors, `${path}.id`, fixture.id);
+    checkPosition(errors, path, fixture);
+    checkPositive(errors, `${path}.width`, fixture.width);
+    checkPositive(errors, `${path}.depth`, fixture.depth);
+    checkPositive(errors, `${path}.height`, fixture.height);
+    checkKind(errors, `${path}.kind`, fixture.kind);
+    checkInside(path, fixture);
+  });
+
+  checkList(errors, plan, 'sectionLabels', (label, path) => {
+    checkString(errors, `${path}.text`, label.text);
+    checkPosition(errors, path, label);
+    checkOptionalPositive(errors, `${path}.fontSize`, label.fontSize);
+  }, true);
+
+  if (plan.routeEndpoints !== undefined) {
+    const endpoints = plan.routeEndpoints;
+    if (!endpoints || typeof endpoints !== 'object') {
+      errors.push('routeEndpoints: expected an object');
+    } else {
+      ['entrance', 'checkout'].forEach((key) => {
+        const point = endpoints[key];
+        if (!point || typeof point !== 'object') {
+          errors.push(`routeEndpoints.${key}: expected a point { x, z }`);
+        } else {
+          checkPosition(errors, `routeEndpoints.${key}`, point);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw a single readable error listing every schema problem
+ * @param {Object} plan - Parsed floor plan
+ * @param {string} source - File name or URL used in the message
+ */
+export function assertValidFloorPlan(plan, source = 'floor plan') {
+  const errors = validateFloorPlan(plan);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid floor plan ${source}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Expand a bin grid into the center positions of its cells
+ * @param {Object} grid - Bin grid entry from the floor plan
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function expandBinGrid(grid) {
+  const cells = [];
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      cells.push({
+        x: grid.x + col * grid.spacingX,
+        z: grid.z + row * grid.spacingZ
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Flatten every solid object in the plan into axis-aligned floor rectangles
+ * Shelf pairs become two rectangles, bin grids one per cell
+ * @param {Object} plan - Validated floor plan
+ * @returns {Array<{id: string, kind: string, minX: number, maxX: number, minZ: number, maxZ: number, height: number}>}
+ */
+export function getFootprints(plan) {
+  const { wallHeight, shelfHeight, binHeight } = plan.dimensions;
+  const footprints = [];
+
+  const add = (id, kind, x, z, width, depth, height) => {
+    footprints.push({
+      id,
+      kind,
+      minX: x - width / 2,
+      maxX: x + width / 2,
+      minZ: z - depth / 2,
+      maxZ: z + depth / 2,
+      height
+    });
+  };
+
+  plan.walls.forEach((wall) => {
+    add(wall.id, 'wall', wall.x, wall.z, wall.width, wall.depth, wall.height || wallHeight);
+  });
+
+  plan.shelfPairs.forEach((pair) => {
+    const offset = pair.gap / 2 + pair.shelfWidth / 2;
+    const height = pair.height || shelfHeight;
+    add(pair.aisles[0], 'shelf', pair.x - offset, pair.z, pair.shelfWidth, pair.shelfDepth, height);
+    add(pair.aisles[1], 'shelf', pair.x + offset, pair.z, pair.shelfWidth, pair.shelfDepth, height);
+  });
+
+  plan.binGrids.forEach((grid) => {
+    expandBinGrid(grid).forEach(({ x, z }, i) => {
+      add(`${grid.id}[${i}]`, grid.kind || 'bin', x, z, grid.width, grid.depth, grid.height || binHeight);
+    });
+  });
+
+  plan.fixtures.forEach((fixture) => {
+    add(fixture.id, 'fixture', fixture.x, fixture.z, fixture.width, fixture.depth, fixture.height);
+  });
+
+  return footprints;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkList(errors, plan, key, checkItem, optional = false) {
+  const list = plan[key];
+  if (list === undefined && optional) return;
+  if (!Array.isArray(list)) {
+    errors.push(`${key}: expected an array`);
+    return;
+  }
+  list.forEach((item, i) => {
+    const path = `${key}[${i}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    checkItem(item, path);
+  });
+}
+
+function checkPosition(errors, path, item) {
+  if (!isNumber(item.x)) errors.push(`${path}.x: expected a number`);
+  if (!isNumber(item.z)) errors.push(`${path}.z: expected a number`);
+}
+
+function checkString(errors, path, value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    errors.push(`${path}: expected a non-empty string`);
+  }
+}
+
+function checkPositive(errors, path, value) {
+  if (!isNumber(value) || value <= 0) {
+    errors.push(`${path}: expected a positive number, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkOptionalPositive(errors, path, value) {
+  if (value !== undefined) checkPositive(errors, path, value);
+}
+
+function checkNonNegative(errors, path, value) {
+  if (!isNumber(value) || value < 0) {
+    errors.push(`${path}: expected a number >= 0, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkCount(errors, path, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push(`${path}: expected a whole number >= 1, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkKind(errors, path, value) {
+  if (value !== undefined && value !== 'shelf' && value !== 'bin') {
+    errors.push(`${path}: expected "shelf" or "bin", got ${JSON.stringify(value)}`);
+  }
+}
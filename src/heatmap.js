@@ -0,0 +1,252 @@
+/**
+ * Heatmap module
+ * Accumulates how long shoppers spend in each cell of the store floor, from
+ * recorded trajectories or from the store's path definitions, for the floor
+ * heat layer (StoreScene.showHeatmap) and its legend
+ *
+ * Trajectory file schema (times in seconds, store coordinates):
+ *
+ * {
+ *   "name": "Saturday morning",
+ *   "trajectories": [{ "id": "cart-17", "points": [{ "x", "z", "t" }] }]
+ * }
+ */
+
+import { DEFAULT_PACING } from './pacing.js';
+import { PIN_PAUSE_MS, PIN_DONE_RADIUS } from './pinState.js';
+
+// Cell edge in store units
+const DEFAULT_CELL_SIZE = 1;
+// The journey's walking speed and default pin pause (without its slow-downs)
+const DEFAULT_WALK_SPEED = DEFAULT_PACING.speed;
+const DEFAULT_DWELL_SECONDS = PIN_PAUSE_MS / 1000;
+const DEFAULT_DWELL_RADIUS = PIN_DONE_RADIUS;
+// Radius around a pin or section label counted as its dwell
+const HOTSPOT_RADIUS = 4;
+
+/**
+ * Fetch a trajectory file and validate it
+ * @param {string} url - Trajectory JSON URL
+ * @returns {Promise<Object>} { name, trajectories }
+ */
+export async function loadTrajectories(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load trajectories ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (e) {
+    throw new Error(`Trajectories ${url} are not valid JSON: ${e.message}`);
+  }
+
+  const errors = validateTrajectories(data);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid trajectories ${url}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  console.log('Trajectories loaded:', data.name || url, `(${data.trajectories.length})`);
+  return data;
+}
+
+/**
+ * Check trajectory data against the schema
+ * @param {Object} data - Parsed trajectory file
+ * @returns {string[]} List of problems, empty when the data is valid
+ */
+export function validateTrajectories(data) {
+  if (!data || typeof data !== 'object') return ['trajectories file must be an object'];
+  if (!Array.isArray(data.trajectories)) return ['trajectories: expected an array'];
+
+  const errors = [];
+  data.trajectories.forEach((trajectory, i) => {
+    const path = `trajectories[${i}]`;
+    if (!trajectory || !Array.isArray(trajectory.points)) {
+      errors.push(`${path}.points: expected an array`);
+      return;
+    }
+    let lastT = -Infinity;
+    trajectory.points.forEach((point, j) => {
+      const pointPath = `${path}.points[${j}]`;
+      if (!point || !isNumber(point.x) || !isNumber(point.z) || !isNumber(point.t)) {
+        errors.push(`${pointPath}: expected { x, z, t } numbers`);
+        return;
+      }
+      if (point.t < lastT) errors.push(`${pointPath}.t: times must not go backwards`);
+      lastT = point.t;
+    });
+  });
+  return errors;
+}
+
+/**
+ * Turn a path into a trajectory: walked at a steady pace, with a pause at
+ * each pin the path passes (like the journey animation)
+ * @param {Array<{x: number, z: number}>} waypoints - Path polyline
+ * @param {Object} options
+ * @param {Array<{x: number, z: number}>} options.pins - Pins to pause at
+ * @param {number} options.walkSpeed - Units per second
+ * @param {number} options.dwellSeconds - Pause at each pin
+ * @param {number} options.dwellRadius - A pin is reached within this distance
+ * @returns {Array<{x: number, z: number, t: number}>}
+ */
+export function pathToTrajectory(waypoints, {
+  pins = [],
+  walkSpeed = DEFAULT_WALK_SPEED,
+  dwellSeconds = DEFAULT_DWELL_SECONDS,
+  dwellRadius = DEFAULT_DWELL_RADIUS
+} = {}) {
+  if (!waypoints || waypoints.length === 0) return [];
+
+  const step = 0.25;
+  const reached = new Set();
+  const points = [];
+  let t = 0;
+
+  const visit = (x, z) => {
+    points.push({ x, z, t });
+    pins.forEach((pin, i) => {
+      if (reached.has(i) || Math.hypot(pin.x - x, pin.z - z) > dwellRadius) return;
+      reached.add(i);
+      t += dwellSeconds;
+      points.push({ x, z, t });
+    });
+  };
+
+  visit(waypoints[0].x, waypoints[0].z);
+  for (let i = 1; i < waypoints.length; i++) {
+    const from = waypoints[i - 1];
+    const to = waypoints[i];
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.max(1, Math.ceil(length / step));
+    for (let s = 1; s <= steps; s++) {
+      t += length / steps / walkSpeed;
+      visit(from.x + (to.x - from.x) * s / steps, from.z + (to.z - from.z) * s / steps);
+    }
+  }
+  return points;
+}
+
+/**
+ * Seconds spent in each floor cell, summed over every trajectory
+ * Time between two samples counts along the line between them, so sparse
+ * recordings still leave a continuous trail
+ * @param {Object} floorPlan - Validated floor plan (its dimensions set the grid)
+ * @param {Array<Array<{x: number, z: number, t: number}>>} trajectories
+ * @param {Object} options - cellSize (store units), smooth (blur passes, default 1)
+ * @returns {{cols: number, rows: number, cellSize: number, minX: number, minZ: number,
+ *   values: Float32Array, max: number, total: number, count: number}} values[row * cols + col]
+ *   in seconds; row 0 is the north (back) edge
+ */
+export function buildHeatGrid(floorPlan, trajectories, { cellSize = DEFAULT_CELL_SIZE, smooth = 1 } = {}) {
+  const { width, depth } = floorPlan.dimensions;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(depth / cellSize);
+  const grid = {
+    cols,
+    rows,
+    cellSize,
+    minX: -width / 2,
+    minZ: -depth / 2,
+    values: new Float32Array(cols * rows),
+    max: 0,
+    total: 0,
+    count: trajectories.length
+  };
+
+  trajectories.forEach((points) => {
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const dt = to.t - from.t;
+      if (!(dt > 0)) continue;
+      // Spread the time over the cells the segment crosses
+      const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / (cellSize / 2)));
+      for (let s = 0; s < steps; s++) {
+        const f = (s + 0.5) / steps;
+        addTime(grid, from.x + (to.x - from.x) * f, from.z + (to.z - from.z) * f, dt / steps);
+      }
+    }
+  });
+
+  for (let pass = 0; pass < smooth; pass++) blurGrid(grid);
+  grid.values.forEach((value) => {
+    grid.max = Math.max(grid.max, value);
+    grid.total += value;
+  });
+  return grid;
+}
+
+/**
+ * Places with the most time spent around them
+ * @param {Object} grid - From buildHeatGrid
+ * @param {Array<{label: string, x: number, z: number}>} places - Pins and section labels
+ * @param {Object} options - radius (store units), limit
+ * @returns {Array<{label: string, seconds: number}>} Busiest first
+ */
+export function getHotspots(grid, places, { radius = HOTSPOT_RADIUS, limit = 5 } = {}) {
+  return places
+    .map(place => ({ label: place.label, seconds: timeAround(grid, place.x, place.z, radius) }))
+    .filter(place => place.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, limit);
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function addTime(grid, x, z, seconds) {
+  const col = Math.floor((x - grid.minX) / grid.cellSize);
+  const row = Math.floor((z - grid.minZ) / grid.cellSize);
+  if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) return;
+  grid.values[row * grid.cols + col] += seconds;
+}
+
+function timeAround(grid, x, z, radius) {
+  let seconds = 0;
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      const cx = grid.minX + (col + 0.5) * grid.cellSize;
+      const cz = grid.minZ + (row + 0.5) * grid.cellSize;
+      if (Math.hypot(cx - x, cz - z) <= radius) seconds += grid.values[row * grid.cols + col];
+    }
+  }
+  return seconds;
+}
+
+// 3x3 box blur that keeps the total time
+function blurGrid(grid) {
+  const { cols, rows, values } = grid;
+  const blurred = new Float32Array(values.length);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const value = values[row * cols + col];
+      if (value === 0) continue;
+      let neighbours = 0;
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r >= 0 && c >= 0 && r < rows && c < cols) neighbours++;
+        }
+      }
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r >= 0 && c >= 0 && r < rows && c < cols) blurred[r * cols + c] += value / neighbours;
+        }
+      }
+    }
+  }
+  grid.values = blurred;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
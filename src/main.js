@@ -8,22 +8,47 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import gsap from 'gsap';
 
-import { createStoreScene } from './scene.js';
+import { StoreScene } from './scene.js';
+import { loadFloorPlan } from './floorplan.js';
+import { loadShoppingList } from './shoppingList.js';
+import { loadSequences, createSequencePlayer } from './sequence.js';
 import { 
   initAnimator, 
   updateAnimator, 
-  startFullAnimation,
+  playIntro,
+  playJourney,
   setCameraToZenith,
   resetJourney,
+  pauseJourney,
+  resumeJourney,
+  seekJourney,
+  setPlaybackSpeed,
   getAnimatorState,
   setCompassMode,
   getCompassMode,
   setPathVisible,
   getPathVisible,
   switchPath,
-  playPinchZoomSequence
+  playPinchZoomSequence,
+  flyToPin,
+  detachAnimator,
+  addShopperAgent,
+  followAgent,
+  subscribe as subscribeToAnimator
 } from './animator.js';
-import { createUI } from './ui.js';
+import { createControlPanel, createViewState, createExportPanel, createPinCard } from './ui.js';
+import { createPinPicker, projectPinTop, isPickable } from './picking.js';
+import { createPathEditor, formatWaypointArray } from './pathEditor.js';
+import { attachGsap } from './clock.js';
+import { favoritesKey, loadFavorites, saveFavorites } from './favorites.js';
+import { exportVideo, downloadBlob, EXPORT_RESOLUTIONS } from './exporter.js';
+import { buildStoreMapSvg, printStoreMap } from './printMap.js';
+import { parseUrlState, encodeUrlState } from './urlState.js';
+import { loadTrajectories, pathToTrajectory, buildHeatGrid, getHotspots } from './heatmap.js';
+import { loadTrace, createTracePlayback } from './trace.js';
+
+// GSAP time comes from the shared clock so video export can step it
+attachGsap(gsap);
 
 // ============================================
 // Renderer Setup
@@ -115,7 +140,7 @@ function loadSvgAsTexture(url, width, height) {
 // ============================================
 const textureLoader = new THREE.TextureLoader();
 
-async function loadAllAssets() {
+async function loadAllAssets(shoppingList) {
   // Preload Gibson font before creating any canvas textures
   try {
     await document.fonts.load('16px "Gibson"');
@@ -184,11 +209,11 @@ async function loadAllAssets() {
     })
   ];
   
-  // Load item images for pins
-  const pinLabels = ['M1', 'B4', 'I18', 'C10', 'N8', 'F7', 'F8', 'G4', 'H20', 'I9', 'I1', 'K9', 'Q16', 'G12', 'A17', 'A26'];
-  const itemPromises = pinLabels.map(label => {
+  // Load item images for pins listed in the shopping list
+  const itemsWithImages = shoppingList.items.filter(item => item.image);
+  const itemPromises = itemsWithImages.map(({ aisle: label, image }) => {
     return new Promise((resolve) => {
-      textureLoader.load(`assets/items/${label}.png`, (tex) => {
+      textureLoader.load(image, (tex) => {
         tex.colorSpace = THREE.SRGBColorSpace;
         assets.itemTextures[label] = tex;
         console.log(`Item ${label} loaded`);
@@ -208,13 +233,76 @@ async function loadAllAssets() {
 // Initialize everything after assets load
 // ============================================
 let storeData = null;
+let storyboard = null;
+let recordedTrace = null;
 let animationStarted = false;
 
-loadAllAssets().then(() => {
-  // Create Store Scene with loaded assets
-  storeData = createStoreScene(scene, assets);
+// ?store=<floor plan url>&list=<shopping list url>&sequence=<storyboard url>
+// swap the data files without editing code; ?trajectories=<url> feeds the
+// heatmap and ?trace=<url> replays a recorded shopper (JSON or CSV)
+const dataParams = new URLSearchParams(window.location.search);
+
+Promise.all([
+  loadFloorPlan(dataParams.get('store') || undefined),
+  loadShoppingList(dataParams.get('list') || undefined),
+  loadSequences(dataParams.get('sequence') || undefined),
+  dataParams.get('trace') ? loadTrace(dataParams.get('trace')) : null
+]).then(async ([floorPlan, shoppingList, sequences, trace]) => {
+  storyboard = sequences;
+  recordedTrace = trace;
+  await loadAllAssets(shoppingList);
+  
+  buildStore(floorPlan, shoppingList);
+  createExportControls();
+  
+  // The hash opens at its moment. The storyboard sequences that run on their
+  // own (e.g. the N8 auto-heart) run too, unless the page was opened from a
+  // shared link: a hash this app wrote carries its history state through
+  // reloads, one pasted or clicked in does not
+  const linked = parseUrlState(window.location.hash);
+  const fromLink = Object.keys(linked).length > 0 && !isOwnUrlState();
+  if (Object.keys(linked).length > 0) applyUrlState(linked);
+  if (!fromLink) {
+    const onLoad = storyboard.sequences.find(sequence => sequence.trigger === 'load');
+    if (onLoad) sequencePlayer.play(onLoad);
+  }
+  trackUrlState();
+  
+  console.log('Scene initialized - Press SPACE to start animation');
+}).catch((err) => {
+  // Floor plan schema errors list every problem in the message; logged with
+  // the stack rather than rethrown, which would only add an unhandled rejection
+  console.error('Failed to initialize store:', err);
+});
+
+// ============================================
+// Store
+// ============================================
+let pinPicker = null;
+let controlPanel = null;
+
+/**
+ * Build the store scene and everything bound to it (animator, panel, picking)
+ * A store that is already built is torn down first, so stores can be
+ * rebuilt or swapped without leaking GPU memory
+ */
+function buildStore(floorPlan, shoppingList) {
+  if (storeData) {
+    sequencePlayer.stop();
+    selectPin(null);
+    setPathEditing(false);
+    pinPicker.dispose();
+    controlPanel.dispose();
+    detachAnimator();
+    storeData.dispose();
+    animationStarted = false;
+    heatmap = null;
+    viewState.set({ labelsVisible: true, pinsVisible: false, heartedPins: [], heatmapVisible: false, heatmap: null });
+  }
+  
+  // Store scene with loaded assets, the store layout and the shopping list
+  storeData = new StoreScene(scene, assets, floorPlan, shoppingList);
   
-  // Initialize Animator
   initAnimator({
     scene,
     camera,
@@ -226,129 +314,741 @@ loadAllAssets().then(() => {
     shelfMap: storeData.shelfMap,
     pinsGroup: storeData.pinsGroup,
     pinsMap: storeData.pinsMap,
+    pathId: storeData.getCurrentPathId(),
     gsap
   });
   
+  // A recorded trace is the journey: replayed at its own pace, with pins
+  // checked off at their logged scans
+  if (recordedTrace) {
+    const playback = createTracePlayback(recordedTrace);
+    const unknown = playback.scans.filter(scan => !storeData.pinsMap[scan.aisle]).map(scan => scan.aisle);
+    if (unknown.length > 0) console.warn('Trace scans items not on the shopping list:', unknown.join(', '));
+    storeData.addTracePath(TRACE_PATH_ID, playback);
+    switchPath(TRACE_PATH_ID, pathId => storeData.switchPath(pathId));
+  }
+  
+  // Shoppers splitting the list walk their own paths
+  (shoppingList.shoppers || []).forEach((entry) => {
+    const added = storeData.addShopper(entry.id, { pathId: entry.path, color: entry.color });
+    if (added) {
+      addShopperAgent({ ...added, speed: entry.speed, pins: entry.items, color: entry.color || null });
+    }
+  });
+  
   // Set camera to initial zenith view
   setCameraToZenith();
   
-  // Setup toggle buttons
-  setupToggleButtons();
+  controlPanel = createPanel();
+  
+  // Hover/click pins for their detail card
+  pinPicker = createPinPicker({
+    camera,
+    domElement: renderer.domElement,
+    pinsGroup: storeData.pinsGroup,
+    gsap,
+    // Clicks while editing the path belong to the editor
+    onSelect: pin => selectPin(pathEditor ? null : pin)
+  });
   
   // Hide pins and path by default
-  if (scene.togglePins) {
-    scene.togglePins(false);
-    const pinsBtn = document.getElementById('toggle-pins');
-    if (pinsBtn) pinsBtn.classList.remove('active');
-  }
+  setPinsVisible(false);
   setPathVisible(false);
-  const pathSelector = document.getElementById('path-selector');
-  if (pathSelector) pathSelector.value = 'none';
   
-  console.log('Scene initialized - Press SPACE to start animation');
-});
+  // Favorites from the last visit
+  loadFavorites(favoritesKey(shoppingList))
+    .filter(label => storeData.pinsMap[label])
+    .forEach(label => setPinHearted(label, true));
+}
 
 // ============================================
-// Toggle Buttons Setup
+// UI State
 // ============================================
-function setupToggleButtons() {
-  const labelsBtn = document.getElementById('toggle-labels');
-  const pinsBtn = document.getElementById('toggle-pins');
-  const compassBtn = document.getElementById('toggle-compass');
+const uiContainer = document.getElementById('ui-container');
+
+// Scene-side toggles shown by the control panel
+const viewState = createViewState({
+  labelsVisible: true,
+  pinsVisible: false,
+  heartedPins: [],
+  heatmapVisible: false,
+  heatmapOpacity: 0.6,
+  heatmap: null,
+  pathEditor: null
+});
+
+// Path id of the recorded trace (?trace=)
+const TRACE_PATH_ID = 'trace';
+
+// Path ids from the scene, labelled for the path selector
+function getPathOptions() {
+  return Object.keys(storeData.pathDefinitions).map((id) => {
+    const number = id.match(/^path(\d+)$/);
+    if (id === TRACE_PATH_ID) return { id, label: 'Recorded trace' };
+    return { id, label: id === 'auto' ? 'Auto route' : number ? `Path ${number[1]}` : id };
+  });
+}
+
+/**
+ * Build the control panel from what the loaded store offers
+ */
+function createPanel() {
+  const pinsMap = storeData.pinsMap;
   
-  let labelsVisible = true;
-  let pinsVisible = true;
+  return createControlPanel(uiContainer, {
+    paths: getPathOptions(),
+    features: {
+      pinchZoom: Boolean(pinsMap['C10'] && pinsMap['N8']),
+      restart: Boolean(storyboard && storyboard.demo),
+      heatmap: true,
+      pathEditor: true
+    },
+    checklist: getChecklistItems(),
+    shoppers: Object.keys(storeData.extraShoppers),
+    minimap: {
+      floorPlan: storeData.floorPlan,
+      pins: Object.entries(pinsMap).map(([label, pin]) => ({
+        label,
+        x: pin.userData.worldX,
+        z: pin.userData.worldZ
+      })),
+      getPathCurve: () => storeData.getCurrentPathCurve()
+    },
+    directions: {
+      getDirections: () => storeData.getDirections()
+    },
+    actions: {
+      toggleLabels: () => setLabelsVisible(!viewState.get().labelsVisible),
+      togglePins: () => setPinsVisible(!viewState.get().pinsVisible),
+      selectPath,
+      toggleCompass: () => setCompassMode(!getCompassMode()),
+      followAgent,
+      toggleHeart: label => setPinHearted(label, !viewState.get().heartedPins.includes(label)),
+      pinchZoom: () => playPinchZoomSequence(pinsMap),
+      restart: () => startDemo(),
+      focusPin,
+      toggleHeatmap: () => setHeatmapVisible(!viewState.get().heatmapVisible),
+      heatmapOpacity: (opacity) => {
+        storeData.setHeatmapOpacity(opacity);
+        viewState.set({ heatmapOpacity: opacity });
+      },
+      togglePathEditor: () => setPathEditing(!pathEditor),
+      copyWaypoints,
+      downloadWaypoints,
+      ...scrubberActions
+    },
+    sources: [subscribeToAnimator, viewState.subscribe]
+  });
+}
+
+// One checklist entry per pin, in shopping list order
+function getChecklistItems() {
+  return storeData.shoppingList.items
+    .filter(item => storeData.pinsMap[item.aisle])
+    .map(item => ({
+      label: item.aisle,
+      image: item.image,
+      savings: item.badge,
+      isGift: Boolean(item.gift)
+    }));
+}
+
+/**
+ * Fly the camera to a pin (checklist click) and open its detail card
+ */
+function focusPin(label) {
+  const orbiting = controls.enabled;
+  controls.enabled = false;
+  const flight = flyToPin(label);
+  if (!flight) {
+    controls.enabled = orbiting;
+    return;
+  }
   
-  labelsBtn.addEventListener('click', () => {
-    labelsVisible = !labelsVisible;
-    labelsBtn.classList.toggle('active', labelsVisible);
-    if (scene.toggleSectionLabels) {
-      scene.toggleSectionLabels(labelsVisible);
+  flight.then(() => {
+    const pin = getShownPin(label);
+    if (orbiting) {
+      // Orbit around the pin
+      pin.getWorldPosition(controls.target);
+      controls.target.y = 0;
+      controls.enabled = true;
+      controls.update();
     }
+    if (isPickable(pin)) selectPin(pin);
   });
+}
+
+/**
+ * Show a path (switching to it) or hide the path with 'none'
+ */
+function selectPath(value) {
+  // The editor works on one path; picking another closes it
+  if (pathEditor && value !== storeData.getCurrentPathId()) setPathEditing(false);
+  
+  if (value === 'none') {
+    setPathVisible(false);
+  } else {
+    // Switch to selected path and show with animation
+    switchPath(value, pathId => storeData.switchPath(pathId));
+    setPathVisible(true);
+  }
+}
+
+function setLabelsVisible(visible) {
+  storeData.toggleSectionLabels(visible);
+  viewState.set({ labelsVisible: visible });
+}
+
+/**
+ * Show or hide all pins
+ */
+function setPinsVisible(visible) {
+  storeData.togglePins(visible);
+  viewState.set({ pinsVisible: visible });
+}
+
+// ============================================
+// Heatmap
+// ============================================
+let heatmap = null;
+
+/**
+ * Show or hide the floor heatmap; the grid is built the first time it is shown
+ */
+function setHeatmapVisible(visible) {
+  viewState.set({ heatmapVisible: visible });
+  if (!visible) {
+    storeData.showHeatmap(null);
+    return;
+  }
   
-  pinsBtn.addEventListener('click', () => {
-    pinsVisible = !pinsVisible;
-    pinsBtn.classList.toggle('active', pinsVisible);
-    if (scene.togglePins) {
-      scene.togglePins(pinsVisible);
+  const store = storeData;
+  if (!heatmap) heatmap = buildHeatmap(store);
+  heatmap.then((data) => {
+    // The store may have been swapped or the heatmap hidden while loading
+    if (store !== storeData || !viewState.get().heatmapVisible) return;
+    store.setHeatmapOpacity(viewState.get().heatmapOpacity);
+    store.showHeatmap(data.grid);
+    viewState.set({ heatmap: { max: data.grid.max, source: data.source, hotspots: data.hotspots } });
+  }).catch((err) => {
+    console.error('Failed to build heatmap:', err.message);
+    if (store === storeData) {
+      heatmap = null;
+      viewState.set({ heatmapVisible: false });
     }
   });
+}
+
+/**
+ * Time-in-cell grid from ?trajectories= recordings, or from walking every
+ * path of the store (with the journey's pause at each pin it passes)
+ * @returns {Promise<{grid: Object, source: string, hotspots: Object[]}>}
+ */
+async function buildHeatmap(store) {
+  const pins = Object.entries(store.pinsMap).map(([label, pin]) => ({
+    label,
+    x: pin.userData.worldX,
+    z: pin.userData.worldZ
+  }));
   
-  // Path selector: dropdown to choose path or hide
-  const pathSelector = document.getElementById('path-selector');
-  if (pathSelector && storeData) {
-    pathSelector.addEventListener('change', (e) => {
-      const value = e.target.value;
-      
-      if (value === 'none') {
-        // Hide path
-        setPathVisible(false);
-      } else {
-        // Switch to selected path and show with animation
-        switchPath(value, storeData.switchPath);
-        setPathVisible(true);
-      }
-    });
+  let trajectories;
+  let source;
+  const url = dataParams.get('trajectories');
+  if (url) {
+    const data = await loadTrajectories(url);
+    trajectories = data.trajectories.map(trajectory => trajectory.points);
+    source = `${data.name || url}: ${trajectories.length} recorded trajectories`;
+  } else {
+    const paths = Object.values(store.pathDefinitions);
+    trajectories = paths.map(waypoints => pathToTrajectory(waypoints, { pins }));
+    source = `${paths.length} store paths at walking pace`;
   }
   
-  // Compass mode toggle: ON = North-up (Sam's logo at top), OFF = marker always faces forward
-  if (compassBtn) {
-    const updateCompassButtonText = () => {
-      const isNorthUp = getCompassMode();
-      compassBtn.textContent = isNorthUp ? '🧭 North-up' : '📍 Follow';
-      compassBtn.classList.toggle('active', isNorthUp);
-    };
-    
-    compassBtn.addEventListener('click', () => {
-      const currentMode = getCompassMode();
-      setCompassMode(!currentMode);
-      updateCompassButtonText();
-    });
+  const grid = buildHeatGrid(store.floorPlan, trajectories);
+  const places = [
+    ...pins,
+    ...(store.floorPlan.sectionLabels || []).map(label => ({
+      label: label.text.replace(/\s*\n\s*/g, ' '),
+      x: label.x,
+      z: label.z
+    }))
+  ];
+  return { grid, source, hotspots: getHotspots(grid, places) };
+}
+
+/**
+ * Swap a pin for its heart pin (or back) and remember the favorites
+ * @param {string} label - Pin label (key of pinsMap)
+ * @param {boolean} hearted - Show the heart
+ * @param {boolean} bounce - Bounce the regular pin when it comes back
+ * @param {boolean} remember - Save the favorites (not for hearts from a shared link or a storyboard)
+ */
+function setPinHearted(label, hearted, bounce = false, remember = true) {
+  if (!storeData || storeData.isFavorite(label) === hearted) return;
+  if (storeData.setFavorite(label, hearted, { bounce }) !== hearted) return;
+  
+  const favorites = storeData.getFavorites();
+  viewState.set({ heartedPins: favorites });
+  if (remember) saveFavorites(favoritesKey(storeData.shoppingList), favorites);
+  
+  if (hearted && !storeData.pinsGroup.visible) {
+    // Make heart visible even if pins group is hidden
+    storeData.showHeartOnly();
   }
+}
+
+// ============================================
+// Path Editor
+// Drag the current path's waypoints in the top-down view (see pathEditor.js)
+// ============================================
+let pathEditor = null;
+let pathEdited = false;
+
+/**
+ * Open or close the path editor on the current path
+ * Opening stops the journey and shows the path north-up from above; every
+ * edit rebuilds the ribbon and puts the shopper back at the path's start
+ */
+function setPathEditing(editing) {
+  if (editing === Boolean(pathEditor) || !storeData) return;
   
-  // Heart N8 toggle
-  const heartN8Btn = document.getElementById('toggle-heart-n8');
-  if (heartN8Btn) {
-    heartN8Btn.addEventListener('click', () => {
-      if (scene.toggleHeartN8) {
-        const isHearted = scene.toggleHeartN8();
-        heartN8Btn.classList.toggle('active', isHearted);
-        heartN8Btn.textContent = isHearted ? '♥ N8' : '♡ N8';
-      }
-    });
-    
-    // Auto-heart N8 after 5 seconds (show even if pins hidden)
-    setTimeout(() => {
-      if (scene.toggleHeartN8 && !scene.isN8Hearted()) {
-        const isHearted = scene.toggleHeartN8();
-        heartN8Btn.classList.toggle('active', isHearted);
-        heartN8Btn.textContent = isHearted ? '♥ N8' : '♡ N8';
-        
-        // Make heart visible even if pins group is hidden
-        if (scene.showHeartOnly) {
-          scene.showHeartOnly();
-        }
-      }
-    }, 5000);
+  if (!editing) {
+    pathEditor.dispose();
+    pathEditor = null;
+    viewState.set({ pathEditor: null });
+    // Path-based heatmaps walk the edited path next time they are shown
+    if (pathEdited && !dataParams.get('trajectories')) {
+      heatmap = null;
+      if (viewState.get().heatmapVisible) setHeatmapVisible(true);
+    }
+    pathEdited = false;
+    return;
   }
   
-  // Pinch zoom button
-  const pinchZoomBtn = document.getElementById('pinch-zoom-btn');
-  if (pinchZoomBtn) {
-    pinchZoomBtn.addEventListener('click', () => {
-      if (scene.getPinsMap) {
-        playPinchZoomSequence(scene.getPinsMap());
-      }
+  const pathId = storeData.getCurrentPathId();
+  if (storeData.tracePlaybacks[pathId]) {
+    console.warn('Recorded traces cannot be edited:', pathId);
+    return;
+  }
+  
+  sequencePlayer.stop();
+  selectPin(null);
+  resetJourney();
+  animationStarted = false;
+  controls.enabled = false;
+  setCameraToZenith();
+  setCompassMode(true);
+  if (!getPathVisible()) setPathVisible(true);
+  
+  pathEditor = createPathEditor({
+    camera,
+    domElement: renderer.domElement,
+    worldGroup: storeData.worldGroup,
+    floorPlan: storeData.floorPlan,
+    waypoints: storeData.pathDefinitions[pathId],
+    onChange: (waypoints, blocked) => {
+      pathEdited = true;
+      switchPath(pathId, id => storeData.setPathWaypoints(id, waypoints));
+      viewState.set({ pathEditor: { pathId, waypoints, blocked } });
+    }
+  });
+  viewState.set({ pathEditor: { pathId, waypoints: pathEditor.getWaypoints(), blocked: pathEditor.getBlocked() } });
+}
+
+function copyWaypoints() {
+  const editor = viewState.get().pathEditor;
+  if (!editor) return;
+  const text = formatWaypointArray(editor.waypoints);
+  navigator.clipboard.writeText(text)
+    .then(() => console.log(`Copied ${editor.waypoints.length} waypoints of ${editor.pathId}`))
+    .catch((err) => {
+      console.warn('Clipboard unavailable:', err.message);
+      console.log(text);
     });
+}
+
+function downloadWaypoints() {
+  const editor = viewState.get().pathEditor;
+  if (!editor) return;
+  const json = JSON.stringify({ id: editor.pathId, waypoints: editor.waypoints }, null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), `${editor.pathId}.json`);
+}
+
+// ============================================
+// URL State
+// Path, camera, visibility, hearts and progress in the hash (see urlState.js)
+// ============================================
+let urlWriteTimer = null;
+// Journey progress as of the last pause, seek or end: while the journey
+// plays the hash keeps it, since replacing the history entry several times
+// a second runs into Safari's limit on replaceState calls
+let urlProgress = 0;
+
+/**
+ * Put the app into the state a link describes; keys it leaves out stay as they are
+ * @param {Object} linked - From parseUrlState
+ */
+function applyUrlState(linked) {
+  if (!storeData) return;
+  
+  if (linked.path !== undefined) {
+    if (linked.path === 'none' || storeData.pathDefinitions[linked.path]) selectPath(linked.path);
+    else console.warn('Unknown path in URL:', linked.path);
+  }
+  if (linked.compass !== undefined) setCompassMode(linked.compass);
+  if (linked.labels !== undefined) setLabelsVisible(linked.labels);
+  if (linked.pins !== undefined) setPinsVisible(linked.pins);
+  if (linked.hearts) {
+    const hearts = linked.hearts.filter(label => storeData.pinsMap[label]);
+    storeData.getFavorites()
+      .filter(label => !hearts.includes(label))
+      .forEach(label => setPinHearted(label, false, false, false));
+    hearts.forEach(label => setPinHearted(label, true, false, false));
   }
+  if (linked.camera !== undefined) followAgent(linked.camera);
+  
+  if (linked.progress > 0) {
+    // Open paused at that moment of the journey, like seeking with the scrubber
+    sequencePlayer.stop();
+    controls.enabled = false;
+    animationStarted = true;
+    seekJourney(linked.progress);
+  }
+  console.log('Restored state from URL:', window.location.hash);
+}
+
+/**
+ * Keep the hash in step with the app. Animator snapshots arrive every frame
+ * while walking; this is the one consumer that rate-limits them: it ignores
+ * snapshots that leave the hash fields alone and debounces the rest
+ */
+function trackUrlState() {
+  const schedule = () => {
+    if (urlWriteTimer) return;
+    urlWriteTimer = setTimeout(() => {
+      urlWriteTimer = null;
+      writeUrlState();
+    }, 300);
+  };
+  let lastKey = '';
+  subscribeToAnimator((state) => {
+    // Playing only moves forward; going back means a restart or a seek
+    const progress = state.hasJourney ? state.timelineProgress : 0;
+    if (!state.isPlaying || progress < urlProgress) urlProgress = progress;
+    const key = [state.pathVisible, state.pathId, state.compassMode, state.followedAgent,
+      state.hasJourney, urlProgress].join('|');
+    if (key === lastKey) return;
+    lastKey = key;
+    schedule();
+  });
+  viewState.subscribe(schedule);
+  
+  // Links pasted into the address bar of an open app
+  window.addEventListener('hashchange', () => applyUrlState(parseUrlState(window.location.hash)));
+}
+
+function writeUrlState() {
+  if (!storeData) return;
+  const animator = getAnimatorState();
+  const view = viewState.get();
+  const hash = encodeUrlState({
+    path: animator.pathVisible && animator.pathId ? animator.pathId : 'none',
+    compass: animator.compassMode,
+    labels: view.labelsVisible,
+    pins: view.pinsVisible,
+    hearts: view.heartedPins,
+    progress: animator.hasJourney ? urlProgress : 0,
+    camera: animator.followedAgent
+  });
+  if (hash === window.location.hash.replace(/^#/, '')) return;
+  const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+  history.replaceState({ urlState: hash }, '', url);
+}
+
+// Whether the current hash is one writeUrlState put there (see init)
+function isOwnUrlState() {
+  return Boolean(history.state && history.state.urlState === window.location.hash.replace(/^#/, ''));
 }
 
 // ============================================
-// Create UI
+// Pin Detail Card
 // ============================================
-const uiContainer = document.getElementById('ui-container');
-createUI(uiContainer);
+let selectedPin = null;
+
+const pinCard = createPinCard(document.body, {
+  onClose: () => {
+    selectedPin = null;
+  },
+  onToggleFavorite: () => {
+    if (!selectedPin) return;
+    const label = selectedPin.userData.heartFor || selectedPin.userData.label;
+    setPinHearted(label, !storeData.isFavorite(label));
+    // The card follows whichever pin now stands for the item
+    selectedPin = getShownPin(label);
+  }
+});
+
+// The pin drawn for an item: its heart pin when it is a favorite
+function getShownPin(label) {
+  return (storeData.isFavorite(label) && storeData.heartPins[label]) || storeData.pinsMap[label];
+}
+
+/**
+ * Open the detail card for a pin, or close it when pin is null
+ */
+function selectPin(pin) {
+  if (!pin || !storeData) {
+    selectedPin = null;
+    pinCard.hide();
+    return;
+  }
+  
+  // Heart pins stand in for their regular pin
+  const label = pin.userData.heartFor || pin.userData.label;
+  const item = storeData.shoppingList.items.find(entry => entry.aisle === label);
+  const itemPin = storeData.pinsMap[label] || pin;
+  
+  selectedPin = pin;
+  pinCard.show({
+    label,
+    image: item && item.image,
+    savings: itemPin.userData.savingsText,
+    isDone: itemPin.userData.isDone,
+    isGift: itemPin.userData.isGift,
+    isFavorite: storeData.isFavorite(label)
+  });
+  updatePinCard();
+  console.log('Pin selected:', label);
+}
+
+// Keep the card on its pin as the camera and world move
+function updatePinCard() {
+  if (!selectedPin || !pinCard.isOpen()) return;
+  if (!isPickable(selectedPin)) {
+    selectPin(null);
+    return;
+  }
+  const label = selectedPin.userData.heartFor || selectedPin.userData.label;
+  const itemPin = storeData.pinsMap[label] || selectedPin;
+  pinCard.update({ isDone: itemPin.userData.isDone, isFavorite: storeData.isFavorite(label) });
+  
+  const { x, y, onScreen } = projectPinTop(selectedPin, camera, renderer.domElement);
+  pinCard.moveTo(x, y, onScreen);
+}
+
+// ============================================
+// Demo Sequences
+// Storyboard steps live in data/sequences/*.json
+// ============================================
+
+// Await a GSAP timeline; skipping jumps it to the end
+function timelineStep(timeline) {
+  return timeline ? { done: timeline, skip: () => timeline.progress(1) } : null;
+}
+
+const sequenceActions = {
+  revealPins: () => setPinsVisible(true),
+  hidePins: () => setPinsVisible(false),
+  drawPath: ({ path }) => {
+    // A recorded trace is drawn in place of the storyboard's path
+    if (recordedTrace) path = TRACE_PATH_ID;
+    if (path && storeData && path !== storeData.getCurrentPathId()) {
+      switchPath(path, pathId => storeData.switchPath(pathId));
+    }
+    setPathVisible(true);
+  },
+  hidePath: () => setPathVisible(false),
+  // Storyboard hearts are part of the show, not the visitor's favorites
+  heartPin: ({ pin }) => setPinHearted(pin, true, false, false),
+  unheartPin: ({ pin, bounce }) => setPinHearted(pin, false, bounce, false),
+  intro: () => {
+    // Disable orbit controls during animation
+    controls.enabled = false;
+    animationStarted = true;
+    return timelineStep(playIntro());
+  },
+  journey: () => {
+    controls.enabled = false;
+    animationStarted = true;
+    const timeline = playJourney();
+    console.log('Animation started!');
+    return timeline ? { done: timeline, skip: () => seekJourney(1) } : null;
+  },
+  pinchZoom: () => timelineStep(storeData ? playPinchZoomSequence(storeData.getPinsMap()) : null),
+  compass: ({ mode }) => setCompassMode(mode === 'north')
+};
+
+// Pausing a sequence freezes every tween (intro, journey, path draw) with it
+const sequencePlayer = createSequencePlayer(sequenceActions, {
+  onPause: () => gsap.globalTimeline.pause(),
+  onResume: () => gsap.globalTimeline.resume()
+});
+
+/**
+ * Start (or restart) the storyboard's demo sequence
+ */
+function startDemo() {
+  if (!storeData || !storyboard) return;
+  const demo = storyboard.sequences.find(sequence => sequence.id === storyboard.demo);
+  if (!demo) return;
+  setPathEditing(false);
+  sequencePlayer.play(demo);
+}
+
+// ============================================
+// Timeline Scrubber
+// ============================================
+let scrubWasPlaying = false;
+
+// Handlers for the control panel's scrubber
+const scrubberActions = {
+  playPause: () => {
+    const state = getAnimatorState();
+    if (sequencePlayer.getState().paused) {
+      sequencePlayer.resume();
+    } else if (!state.hasJourney) {
+      // Intro still running after SPACE: the journey starts on its own
+      if (!animationStarted) startDemo();
+    } else if (state.isPlaying) {
+      pauseJourney();
+    } else {
+      if (state.timelineProgress >= 1) seekJourney(0);
+      resumeJourney();
+    }
+  },
+  scrubStart: () => {
+    scrubWasPlaying = getAnimatorState().isPlaying;
+    if (scrubWasPlaying) pauseJourney();
+  },
+  scrubEnd: () => {
+    if (scrubWasPlaying) resumeJourney();
+    scrubWasPlaying = false;
+  },
+  seek: (fraction) => {
+    if (!storeData) return;
+    // Seeking takes over from the storyboard
+    sequencePlayer.stop();
+    if (!animationStarted) {
+      // Jumping in before the demo ran: show what the journey would show
+      controls.enabled = false;
+      animationStarted = true;
+      setPinsVisible(true);
+      setPathVisible(true);
+    }
+    seekJourney(fraction);
+  },
+  speedChange: speed => setPlaybackSpeed(speed)
+};
+
+// ============================================
+// Video Export
+// Records the demo sequence offline on a fixed-step clock
+// ============================================
+let exportController = null;
+
+function createExportControls() {
+  const exportPanel = createExportPanel(uiContainer, {
+    onExport: async ({ resolution, fps, format }) => {
+      if (!storeData || exportController) return;
+      const { width, height } = EXPORT_RESOLUTIONS[resolution];
+      exportController = new AbortController();
+      exportPanel.setBusy(true);
+      exportPanel.setStatus('Preparing…');
+    
+      try {
+        const result = await exportVideo({
+          renderer,
+          camera,
+          width,
+          height,
+          fps,
+          format,
+          signal: exportController.signal,
+          start: () => {
+            // Record the demo from a clean start
+            sequencePlayer.stop();
+            resetJourney();
+            setPinsVisible(false);
+            setPathVisible(false);
+            startDemo();
+          },
+          update: updateAnimator,
+          render: () => renderer.render(scene, camera),
+          isFinished: () => !sequencePlayer.getState().running && !getAnimatorState().isPlaying,
+          onProgress: ({ seconds }) => exportPanel.setStatus(`Recording… ${seconds.toFixed(1)}s`)
+        });
+        exportPanel.setStatus(`Exported ${result.frames} frames (${result.seconds.toFixed(1)}s)`);
+      } catch (e) {
+        exportPanel.setStatus(e.name === 'AbortError' ? 'Export cancelled' : `Export failed: ${e.message}`);
+        if (e.name !== 'AbortError') console.error('Export failed:', e);
+      } finally {
+        exportController = null;
+        exportPanel.setBusy(false);
+      }
+    },
+    onCancel: () => {
+      if (exportController) exportController.abort();
+    },
+    onExportMap: ({ paper, print }) => {
+      if (!storeData) return;
+      const svg = createStoreMapSvg(paper);
+      if (print) {
+        if (!printStoreMap(svg, paper)) exportPanel.setStatus('Allow pop-ups to print the map');
+      } else {
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `store-map-${paper}.svg`);
+        exportPanel.setStatus('Map exported');
+      }
+    }
+  });
+}
+
+// ============================================
+// Printable Map
+// ============================================
+
+/**
+ * The store map for printing: the shown path (if any) and every pin with
+ * its current done / favorite state, numbered in walking order
+ */
+function createStoreMapSvg(paper) {
+  const pinStates = getAnimatorState().pins;
+  const pins = storeData.shoppingList.items
+    .filter(item => storeData.pinsMap[item.aisle])
+    .map((item) => {
+      const pin = storeData.pinsMap[item.aisle];
+      return {
+        label: item.aisle,
+        x: pin.userData.worldX,
+        z: pin.userData.worldZ,
+        savings: item.badge || '',
+        isGift: Boolean(item.gift),
+        isDone: Boolean(pinStates[item.aisle] && pinStates[item.aisle].isDone),
+        isFavorite: storeData.isFavorite(item.aisle)
+      };
+    });
+  
+  let path = null;
+  let pathLabel = 'No route';
+  if (getPathVisible()) {
+    const curve = storeData.getCurrentPathCurve();
+    path = [];
+    for (let i = 0; i <= 300; i++) {
+      const point = curve.getPointAt(i / 300);
+      path.push({ x: point.x, z: point.z });
+    }
+    const option = getPathOptions().find(entry => entry.id === storeData.getCurrentPathId());
+    pathLabel = option ? option.label : storeData.getCurrentPathId();
+  }
+  
+  return buildStoreMapSvg({
+    floorPlan: storeData.floorPlan,
+    pins,
+    path,
+    title: storeData.floorPlan.name,
+    subtitle: [storeData.shoppingList.name, pathLabel, new Date().toLocaleDateString()].filter(Boolean).join(' · '),
+    paper
+  });
+}
 
 // ============================================
 // Keyboard Controls
@@ -357,69 +1057,55 @@ const referenceOverlay = document.getElementById('reference-overlay');
 let overlayVisible = false;
 
 document.addEventListener('keydown', (event) => {
+  // No hotkeys while a form field (select, slider, text box) has focus: its
+  // keys belong to the field
+  const target = event.target;
+  if (target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable)) return;
+  
+  // Escape leaves the path editor (instead of resetting the journey)
+  if (event.key === 'Escape' && pathEditor) {
+    setPathEditing(false);
+    return;
+  }
+  
+  // Storyboard key triggers (SPACE starts/restarts the demo), played below
+  const keySequence = storyboard && storeData &&
+    storyboard.sequences.find(sequence => sequence.trigger === 'key' && sequence.key === event.key);
+  
+  // E key: Toggle the path editor (unless a sequence has the key)
+  if ((event.key === 'e' || event.key === 'E') && storeData && !keySequence) {
+    setPathEditing(!pathEditor);
+  }
+  
   // R key: Toggle reference overlay
   if (event.key === 'r' || event.key === 'R') {
     overlayVisible = !overlayVisible;
     referenceOverlay.classList.toggle('hidden');
-    if (scene.showReferenceOverlay) {
-      scene.showReferenceOverlay(overlayVisible);
+    if (storeData) {
+      storeData.showReferenceOverlay(overlayVisible);
     }
   }
   
-  // SPACE key: Start/restart animation
-  if (event.key === ' ' || event.code === 'Space') {
+  if (keySequence) {
     event.preventDefault();
-    if (storeData) {
-      // Disable orbit controls during animation
-      controls.enabled = false;
-      animationStarted = true;
-      
-      // Sequence: unheart N8 -> reveal pins -> reveal path -> start animation
-      
-      // 0. Unheart N8 if hearted (swap back to regular pin with bounce)
-      if (scene.isN8Hearted && scene.isN8Hearted()) {
-        scene.toggleHeartN8();
-        const heartN8Btn = document.getElementById('toggle-heart-n8');
-        if (heartN8Btn) {
-          heartN8Btn.classList.remove('active');
-          heartN8Btn.textContent = '♡ N8';
-        }
-        // Bounce the N8 pin
-        if (scene.bounceN8Pin) {
-          scene.bounceN8Pin();
-        }
-      }
-      
-      // 1. Reveal pins with spring animation
-      if (scene.togglePins) {
-        scene.togglePins(true);
-        const pinsBtn = document.getElementById('toggle-pins');
-        if (pinsBtn) pinsBtn.classList.add('active');
-      }
-      
-      // 2. After pins animate, reveal path
-      setTimeout(() => {
-        setPathVisible(true);
-        const pathSelector = document.getElementById('path-selector');
-        if (pathSelector) pathSelector.value = 'path3';
-        
-        // 3. After path draws, start animation
-        setTimeout(() => {
-          startFullAnimation();
-          
-          // Update compass button to show Follow mode
-          const compassBtn = document.getElementById('toggle-compass');
-          if (compassBtn) {
-            compassBtn.textContent = '📍 Follow';
-            compassBtn.classList.remove('active');
-          }
-          
-          console.log('Animation started!');
-        }, 1600); // Wait for path draw animation
-      }, 500); // Wait for pins to spring up
+    setPathEditing(false);
+    sequencePlayer.play(keySequence);
+  }
+  
+  // P key: Pause/resume the running sequence
+  if (event.key === 'p' || event.key === 'P') {
+    if (sequencePlayer.getState().paused) {
+      sequencePlayer.resume();
+    } else {
+      sequencePlayer.pause();
     }
   }
   
+  // N key: Skip to the next sequence step
+  if (event.key === 'n' || event.key === 'N') {
+    sequencePlayer.skip();
+  }
+  
   // O key: Toggle orbit controls (for debugging/manual camera)
   if (event.key === 'o' || event.key === 'O') {
     controls.enabled = !controls.enabled;
@@ -435,6 +1121,7 @@ document.addEventListener('keydown', (event) => {
   
   // Escape key: Reset animation
   if (event.key === 'Escape') {
+    sequencePlayer.stop();
     resetJourney();
     animationStarted = false;
     console.log('Animation reset - Press SPACE to restart');
@@ -442,7 +1129,6 @@ document.addEventListener('keydown', (event) => {
   
   // Period key: Toggle UI visibility
   if (event.key === '.') {
-    const uiContainer = document.getElementById('ui-container');
     if (uiContainer) {
       uiContainer.style.display = uiContainer.style.display === 'none' ? 'flex' : 'none';
     }
@@ -453,6 +1139,8 @@ document.addEventListener('keydown', (event) => {
 // Window Resize Handler
 // ============================================
 window.addEventListener('resize', () => {
+  // The exporter owns the canvas size while recording and restores it after
+  if (exportController) return;
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
@@ -464,12 +1152,16 @@ window.addEventListener('resize', () => {
 function animate() {
   requestAnimationFrame(animate);
   
+  // The exporter renders its own frames on the fixed-step clock
+  if (exportController) return;
+  
   // Only update orbit controls if enabled and animation not playing
   if (controls.enabled) {
     controls.update();
   }
   
   updateAnimator();
+  updatePinCard();
   renderer.render(scene, camera);
 }
 
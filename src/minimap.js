@@ -0,0 +1,221 @@
+/**
+ * Minimap module
+ * North-up overview of the whole store in a corner: walls, shelves and bins
+ * from the floor plan, the path still ahead, pins by state and the shoppers
+ * with heading arrows
+ *
+ * Drawn on a 2D canvas in store coordinates (x to the right, z down), so it
+ * stays readable while the 3D world rotates in Follow mode.
+ */
+
+import { getFootprints } from './floorplan.js';
+
+// Colors match the 3D scene and the UI
+const COLORS = {
+  background: 'rgba(255, 255, 255, 0.95)',
+  floor: '#F5F3EE',
+  wall: '#B9B5AE',
+  shelf: '#DDDAD4',
+  outline: '#C9C5BE',
+  path: '#7CC3F0',
+  pin: '#0062AD',
+  pinDone: '#2E7D32',
+  favorite: '#C40808',
+  shopper: '#235286'
+};
+
+// Samples along the path curve (uniform in arc length)
+const PATH_SAMPLES = 300;
+// Empty space around the store, in store units (paths start outside the doors)
+const MARGIN = 5;
+
+/**
+ * Create the minimap component
+ * @param {HTMLElement} container - Element the minimap is appended to
+ * @param {Object} options
+ * @param {Object} options.floorPlan - Validated floor plan
+ * @param {Array<{label: string, x: number, z: number}>} options.pins - Pin positions in store units
+ * @param {Function} options.getPathCurve - Returns the current path curve (anything with getPointAt)
+ * @param {number} options.width - Width in CSS pixels
+ * @returns {{update: Function, element: HTMLElement}} update(state) with
+ *   getAnimatorState() fields plus heartedPins
+ */
+export function createMinimap(container, { floorPlan, pins = [], getPathCurve, width = 220 } = {}) {
+  if (!container || !floorPlan) {
+    console.warn('Minimap needs a container and a floor plan');
+    return { update() {}, element: null };
+  }
+
+  const { width: storeWidth, depth: storeDepth } = floorPlan.dimensions;
+  const bounds = {
+    minX: -storeWidth / 2 - MARGIN,
+    minZ: -storeDepth / 2 - MARGIN,
+    width: storeWidth + MARGIN * 2,
+    depth: storeDepth + MARGIN * 2
+  };
+  const height = Math.round(width * bounds.depth / bounds.width);
+  const scale = width / bounds.width;
+  const ratio = window.devicePixelRatio || 1;
+
+  const canvas = document.createElement('canvas');
+  canvas.id = 'minimap';
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.cssText = `
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    z-index: 200;
+    width: ${width}px;
+    height: ${height}px;
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    pointer-events: none;
+  `;
+  container.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+
+  // Store units to CSS pixels (the context is scaled by the pixel ratio)
+  const toX = x => (x - bounds.minX) * scale;
+  const toY = z => (z - bounds.minZ) * scale;
+
+  // The store itself never changes: draw it once
+  const background = document.createElement('canvas');
+  background.width = canvas.width;
+  background.height = canvas.height;
+  drawStore(background.getContext('2d'));
+
+  const path = createPathSampler(getPathCurve);
+
+  function drawStore(target) {
+    target.scale(ratio, ratio);
+    target.fillStyle = COLORS.background;
+    target.fillRect(0, 0, width, height);
+    target.fillStyle = COLORS.floor;
+    target.fillRect(toX(-storeWidth / 2), toY(-storeDepth / 2), storeWidth * scale, storeDepth * scale);
+
+    getFootprints(floorPlan).forEach((footprint) => {
+      const x = toX(footprint.minX);
+      const y = toY(footprint.minZ);
+      const w = (footprint.maxX - footprint.minX) * scale;
+      const h = (footprint.maxZ - footprint.minZ) * scale;
+      target.fillStyle = footprint.kind === 'wall' ? COLORS.wall : COLORS.shelf;
+      target.fillRect(x, y, w, h);
+      if (footprint.kind !== 'wall') {
+        target.strokeStyle = COLORS.outline;
+        target.lineWidth = 0.5;
+        target.strokeRect(x, y, w, h);
+      }
+    });
+  }
+
+  function drawPath(pathPoints, progress) {
+    const start = path.pointAt(progress);
+    ctx.strokeStyle = COLORS.path;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(toX(start.x), toY(start.z));
+    for (let i = Math.ceil(progress * PATH_SAMPLES); i <= PATH_SAMPLES; i++) {
+      ctx.lineTo(toX(pathPoints[i].x), toY(pathPoints[i].z));
+    }
+    ctx.stroke();
+  }
+
+  function drawPins(state) {
+    pins.forEach((pin) => {
+      const pinState = (state.pins && state.pins[pin.label]) || {};
+      if (pinState.isHidden) return;
+      const favorite = Boolean(state.heartedPins && state.heartedPins.includes(pin.label));
+      ctx.fillStyle = pinState.isDone ? COLORS.pinDone : favorite ? COLORS.favorite : COLORS.pin;
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(toX(pin.x), toY(pin.z), 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }
+
+  // Heading angle as used by the marker: direction (sin a, cos a) in x/z
+  function drawShopper(position, angle, color = COLORS.shopper) {
+    ctx.save();
+    ctx.translate(toX(position.x), toY(position.z));
+    ctx.rotate(-angle);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(0, 8);
+    ctx.lineTo(5, -5);
+    ctx.lineTo(0, -2);
+    ctx.lineTo(-5, -5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function update(state) {
+    if (!state) return;
+    const pathPoints = path.sample();
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(background, 0, 0);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    if (pathPoints.length > 0 && state.pathVisible) drawPath(pathPoints, state.progress || 0);
+    drawPins(state);
+    // Extra shoppers (the first agent is the lead, drawn on its path below)
+    (state.agents || []).slice(1).forEach((agent) => {
+      drawShopper(agent, agent.angle, agent.color || COLORS.shopper);
+    });
+    if (pathPoints.length > 0) {
+      drawShopper(path.pointAt(state.progress || 0), state.markerAngle || 0);
+    }
+  }
+
+  console.log('Minimap created');
+  return { update, element: canvas };
+}
+
+/**
+ * Points at even arc length along the current path curve, sampled again
+ * whenever the curve changes: the scene builds a new one for another path
+ * and for every edit of the path shown
+ * @param {Function} getPathCurve - Returns the current path curve (anything with getPointAt)
+ * @param {number} samples - Segments along the curve
+ * @returns {{sample: Function, pointAt: Function}} sample() returns the
+ *   points (the last ones while there is no curve); pointAt(progress)
+ *   interpolates between them
+ */
+export function createPathSampler(getPathCurve, samples = PATH_SAMPLES) {
+  let sampledCurve = null;
+  let points = [];
+
+  return {
+    sample() {
+      const curve = typeof getPathCurve === 'function' ? getPathCurve() : null;
+      if (curve && curve !== sampledCurve) {
+        sampledCurve = curve;
+        points = [];
+        for (let i = 0; i <= samples; i++) {
+          points.push(curve.getPointAt(i / samples));
+        }
+      }
+      return points;
+    },
+
+    // Point on the sampled path at a progress value
+    pointAt(progress) {
+      const position = Math.min(1, Math.max(0, progress)) * samples;
+      const i = Math.min(samples - 1, Math.floor(position));
+      const t = position - i;
+      const a = points[i];
+      const b = points[i + 1];
+      return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t };
+    }
+  };
+}
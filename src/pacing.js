@@ -0,0 +1,294 @@
+/**
+ * Pacing module
+ * How fast each shopper walks along its path, planned before the journey
+ * plays: a walking speed, speeding up from the start and slowing to a stop
+ * at the end, slower near the pins the shopper picks up and in tight
+ * corners, and stops where pins make everyone wait. The animator turns a
+ * plan into one linear GSAP tween per shopper, so the journey's duration is
+ * known up front and the scrubber maps linearly to time
+ *
+ * Paths come in as points at even arc length (x, z), start to end
+ */
+
+import { turnAngle } from './pathMath.js';
+import { PIN_DISTANCE_TRIGGERS } from './pinState.js';
+
+export const DEFAULT_PACING = {
+  // Walking speed (store units per second at 1x speed)
+  speed: 2.5,
+  // Speeding up and slowing down (units/s²)
+  acceleration: 2,
+  // Sideways acceleration allowed in corners (units/s²): the tighter the
+  // corner, the slower the shopper takes it
+  cornerGrip: 1.2,
+  // Shoppers slow down within this distance of a pin they pick up...
+  pinRadius: 6,
+  // ...to this fraction of the walking speed right at the pin
+  pinSpeed: 0.6
+};
+
+// Distance over which the heading change is measured for curvature (units)
+const CURVATURE_SPAN = 1;
+// Speed that still moves a shopper between two standstill samples (units/s)
+const MIN_SPEED = 0.05;
+
+/**
+ * One shopper's walk: speed at every path point, then time to every point
+ * @param {Array<{x: number, z: number}>} points - Path at even arc length
+ * @param {Object} options
+ * @param {Object} options.pacing - DEFAULT_PACING overrides
+ * @param {number} options.speed - Shopper's speed multiplier (1 = walking speed)
+ * @param {Array<{x: number, z: number}>} options.pins - Pins the shopper picks up
+ * @param {Array<{progress: number}>} options.stops - Where the shopper stands
+ *   still (0-1 along the path); other keys are kept
+ * @returns {{length: number, duration: number, stops: Object[],
+ *   progressAt: Function, timeAt: Function}} duration in seconds, without
+ *   the time spent standing; stops with the time they are reached added
+ */
+export function planWalk(points, { pacing = {}, speed = 1, pins = [], stops = [] } = {}) {
+  const settings = { ...DEFAULT_PACING, ...pacing };
+  const last = points.length - 1;
+  if (last < 1) {
+    return {
+      length: 0,
+      duration: 0,
+      stops: stops.map(stop => ({ ...stop, time: 0 })),
+      progressAt: () => 1,
+      timeAt: () => 0
+    };
+  }
+
+  let length = 0;
+  for (let i = 1; i <= last; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+  }
+  const step = length / last;
+  const span = Math.max(1, Math.round(CURVATURE_SPAN / step));
+
+  // Speed limits: walking speed, pins and corners
+  const limits = points.map((point, i) => {
+    let limit = settings.speed;
+    pins.forEach((pin) => {
+      const distance = Math.hypot(point.x - pin.x, point.z - pin.z);
+      if (distance < settings.pinRadius) {
+        const fraction = settings.pinSpeed + (1 - settings.pinSpeed) * distance / settings.pinRadius;
+        limit = Math.min(limit, settings.speed * fraction);
+      }
+    });
+    const before = points[Math.max(0, i - span)];
+    const after = points[Math.min(last, i + span)];
+    if (before !== point && after !== point) {
+      const curvature = Math.abs(turnAngle(before, point, after)) / (span * step);
+      if (curvature > 0) limit = Math.min(limit, Math.sqrt(settings.cornerGrip / curvature));
+    }
+    return limit;
+  });
+  limits[0] = 0;
+  limits[last] = 0;
+  const stopIndices = stops.map(stop => Math.round(Math.max(0, Math.min(1, stop.progress)) * last));
+  stopIndices.forEach((index) => {
+    limits[index] = 0;
+  });
+
+  // Speed up after every standstill and slow down before the next one
+  const speeds = limits.slice();
+  const reach = 2 * settings.acceleration * step;
+  for (let i = 1; i <= last; i++) {
+    speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[i - 1] * speeds[i - 1] + reach));
+  }
+  for (let i = last - 1; i >= 0; i--) {
+    speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[i + 1] * speeds[i + 1] + reach));
+  }
+
+  const times = [0];
+  for (let i = 1; i <= last; i++) {
+    const average = Math.max((speeds[i - 1] + speeds[i]) / 2, MIN_SPEED);
+    times.push(times[i - 1] + step / average / speed);
+  }
+
+  return {
+    length,
+    duration: times[last],
+    stops: stops.map((stop, i) => ({ ...stop, time: times[stopIndices[i]] })),
+    progressAt: time => interpolate(times, time) / last,
+    timeAt: progress => times[Math.round(Math.max(0, Math.min(1, progress)) * last)]
+  };
+}
+
+/**
+ * Every shopper's walk and where everyone waits for a pin: a pause met at a
+ * distance stops the shopper who gets there first, one met at a time or by
+ * other pins being done holds everyone where they are; either only once the
+ * pin is shown and until it is done
+ * @param {Object[]} walkers - { points, speed, pins } per shopper, pins being
+ *   those it picks up: { key, x, z, reveal, done, pause } with the triggers
+ *   of its rules as pinSchedule gives them (key: the label after rules name)
+ * @param {Object} pacing - DEFAULT_PACING overrides
+ * @returns {{walks: Object[], holds: Array<{at: number, duration: number, key: *}>,
+ *   duration: number}} walks: planWalk per walker; holds: when (walk time,
+ *   before any hold) and how long (s) everyone waits, in order; duration:
+ *   the whole journey, holds included
+ */
+export function planJourney(walkers, pacing = {}) {
+  const drafts = walkers.map(walker => planWalk(walker.points, { pacing, speed: walker.speed, pins: walker.pins }));
+
+  // Which pause each pin makes, from the walks without stops
+  const stops = walkers.map(() => []);
+  const timed = [];
+  let clock = pinClock(walkers, drafts, []);
+  clock.keys.forEach((key) => {
+    const pause = clock.pauseAt(key);
+    if (!pause) return;
+    if (!PIN_DISTANCE_TRIGGERS.includes(pause.trigger)) {
+      timed.push(key);
+      return;
+    }
+    const first = clock.reach(key, pause.value, clock.times.get(key).shown);
+    stops[first.walker].push({ key, progress: first.progress, duration: pause.ms / 1000 });
+  });
+
+  const walks = walkers.map((walker, w) => planWalk(walker.points, {
+    pacing,
+    speed: walker.speed,
+    pins: walker.pins,
+    stops: stops[w]
+  }));
+
+  // Holds for the stops, then the others, placed on the final walks (a pin
+  // done at a stop holds those waiting for it right after)
+  const stopHolds = walks
+    .flatMap(walk => walk.stops.map(({ key, time, duration }) => ({ at: time, duration, key })))
+    .sort((a, b) => a.at - b.at);
+  clock = pinClock(walkers, walks, stopHolds);
+  const timedHolds = timed
+    .map(key => ({ key, pause: clock.pauseAt(key) }))
+    .filter(({ pause }) => pause)
+    .map(({ key, pause }) => ({ at: pause.time, duration: pause.ms / 1000, key }));
+  const holds = stopHolds.concat(timedHolds).sort((a, b) => a.at - b.at);
+
+  const walking = Math.max(0, ...walks.map(walk => walk.duration));
+  const waiting = holds.reduce((sum, hold) => sum + hold.duration, 0);
+  return { walks, holds, duration: walking + waiting };
+}
+
+/**
+ * Walk time at a journey time: the clock of every walk stands still
+ * during the holds
+ * @param {Object[]} holds - planJourney holds, in order
+ * @param {number} time - Seconds into the journey
+ * @returns {number} Seconds into the walks
+ */
+export function walkTimeAt(holds, time) {
+  let walkTime = time;
+  for (const hold of holds) {
+    if (walkTime <= hold.at) break;
+    walkTime = Math.max(hold.at, walkTime - hold.duration);
+  }
+  return walkTime;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+// Fractional index where a rising list of times reaches a time
+function interpolate(times, time) {
+  const last = times.length - 1;
+  if (time <= 0) return 0;
+  if (time >= times[last]) return last;
+  let low = 0;
+  let high = last;
+  while (high - low > 1) {
+    const middle = (low + high) >> 1;
+    if (times[middle] <= time) low = middle;
+    else high = middle;
+  }
+  const span = times[high] - times[low];
+  return low + (span > 0 ? (time - times[low]) / span : 0);
+}
+
+// First progress (0-1) from a progress on within a distance of a point, or null
+function firstWithin(points, { x, z }, radius, from = 0) {
+  const last = Math.max(1, points.length - 1);
+  for (let i = Math.ceil(from * last - 1e-9); i < points.length; i++) {
+    if (Math.hypot(points[i].x - x, points[i].z - z) <= radius) return i / last;
+  }
+  return null;
+}
+
+// Walk time (s) a trigger is first met at, by trigger name (Infinity: never);
+// distances count for the shoppers who pick the pin up
+const TRIGGER_TIMES = {
+  near: (value, key, clock, from) => clock.reach(key, value, from).time,
+  anyoneNear: (value, key, clock, from) => clock.reach(key, value, from).time,
+  after: (value, key, clock) => (clock.times.has(value) ? clock.times.get(value).done : Infinity),
+  doneCount: (value, key, clock) => {
+    const done = [...clock.times.values()].map(time => time.done).sort((a, b) => a - b);
+    if (value <= 0) return 0;
+    return value <= done.length ? done[value - 1] : Infinity;
+  },
+  time: (value, key, clock) => walkTimeAt(clock.holds, value / 1000),
+  delay: () => 0
+};
+
+/**
+ * When along the walks each pin is shown and done, going round until
+ * nothing comes sooner (after and doneCount wait on other pins), and when
+ * its pause is met
+ * @returns {{keys: Array, holds: Object[], times: Map, reach: Function, pauseAt: Function}}
+ *   times: key -> { shown, done } walk times; reach(key, radius, from): the
+ *   first of its shoppers within radius from a walk time on ({ time, walker,
+ *   progress }); pauseAt(key): its first pause rule met while it is shown
+ *   and not yet done, with the time, or null
+ */
+function pinClock(walkers, walks, holds) {
+  const pins = new Map();
+  walkers.forEach((walker, w) => {
+    walker.pins.forEach((pin) => {
+      if (!pins.has(pin.key)) pins.set(pin.key, { pin, walkers: [] });
+      pins.get(pin.key).walkers.push(w);
+    });
+  });
+
+  const clock = {
+    keys: [...pins.keys()],
+    holds,
+    times: new Map([...pins.keys()].map(key => [key, { shown: Infinity, done: Infinity }])),
+    reach(key, radius, from) {
+      const { pin, walkers: reachers } = pins.get(key);
+      let first = { time: Infinity, walker: -1, progress: null };
+      reachers.forEach((w) => {
+        const walk = walks[w];
+        const progress = firstWithin(walkers[w].points, pin, radius, walk.progressAt(from));
+        const time = progress === null ? Infinity : Math.max(from, walk.timeAt(progress));
+        if (time < first.time) first = { time, walker: w, progress };
+      });
+      return first;
+    },
+    pauseAt(key) {
+      const { shown, done } = clock.times.get(key);
+      let first = null;
+      (pins.get(key).pin.pause || []).forEach((rule) => {
+        const time = metAt(rule, key, shown);
+        if (time <= done && time < Infinity && (!first || time < first.time)) first = { ...rule, time };
+      });
+      return first;
+    }
+  };
+  const metAt = ({ trigger, value }, key, from) => Math.max(from, TRIGGER_TIMES[trigger](value, key, clock, from));
+
+  let sooner = true;
+  while (sooner) {
+    sooner = false;
+    clock.times.forEach((time, key) => {
+      const { pin } = pins.get(key);
+      const shown = pin.reveal ? Math.min(...pin.reveal.map(rule => metAt(rule, key, 0))) : 0;
+      const done = Math.min(...(pin.done || []).map(rule => metAt(rule, key, shown)));
+      if (shown < time.shown || done < time.done) {
+        clock.times.set(key, { shown: Math.min(shown, time.shown), done: Math.min(done, time.done) });
+        sooner = true;
+      }
+    });
+  }
+  return clock;
+}
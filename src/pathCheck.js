@@ -0,0 +1,224 @@
+/**
+ * Path check module
+ * Tests path waypoints against the floor plan's solid footprints (walls,
+ * shelves, bins and fixtures): blocked segments for the path editor's live
+ * validation, and clearance along the walked route for headless checks
+ */
+
+import { getFootprints } from './floorplan.js';
+import { roundCorners, CORNER_MAX_FRACTION } from './pathMath.js';
+import { CORNER_RADIUS } from './paths.js';
+
+// Segments may graze a footprint edge by this much (store units)
+const TOUCH_TOLERANCE = 0.01;
+// Paths should keep at least this far from every footprint (store units)
+export const MIN_CLEARANCE = 1;
+// Distance between clearance samples along the route (store units)
+const SAMPLE_STEP = 0.25;
+
+/**
+ * Segments of a path that pass through a footprint
+ * @param {Array<{x: number, z: number}>} waypoints - Path waypoints
+ * @param {Object|Object[]} floorPlan - Validated floor plan, or its getFootprints() list
+ * @returns {Array<{index: number, footprints: Array<{id: string, kind: string}>}>}
+ *   index: the segment from waypoints[index] to waypoints[index + 1]
+ */
+export function findBlockedSegments(waypoints, floorPlan) {
+  const footprints = Array.isArray(floorPlan) ? floorPlan : getFootprints(floorPlan);
+  const blocked = [];
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const hits = footprints
+      .filter(footprint => segmentCrossesBox(waypoints[i], waypoints[i + 1], footprint))
+      .map(footprint => ({ id: footprint.id, kind: footprint.kind }));
+    if (hits.length > 0) blocked.push({ index: i, footprints: hits });
+  }
+  return blocked;
+}
+
+/**
+ * Whether a segment passes through the inside of a floor rectangle
+ * (Liang-Barsky clipping against the slightly shrunken box)
+ * @param {{x: number, z: number}} a - Segment start
+ * @param {{x: number, z: number}} b - Segment end
+ * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} box
+ * @returns {boolean}
+ */
+export function segmentCrossesBox(a, b, box) {
+  const minX = box.minX + TOUCH_TOLERANCE;
+  const maxX = box.maxX - TOUCH_TOLERANCE;
+  const minZ = box.minZ + TOUCH_TOLERANCE;
+  const maxZ = box.maxZ - TOUCH_TOLERANCE;
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  let enter = 0;
+  let exit = 1;
+
+  const clip = (p, q) => {
+    if (p === 0) return q >= 0;
+    const t = q / p;
+    if (p < 0) enter = Math.max(enter, t);
+    else exit = Math.min(exit, t);
+    return enter <= exit;
+  };
+
+  return clip(-dx, a.x - minX) &&
+    clip(dx, maxX - a.x) &&
+    clip(-dz, a.z - minZ) &&
+    clip(dz, maxZ - a.z);
+}
+
+/**
+ * Clearance of a path as it is walked: the straight part of each segment and
+ * each rounded corner are sampled against every footprint
+ * Clearance is from the route's centre line; it is negative inside a footprint
+ * @param {Array<{x: number, z: number}>} waypoints - Path waypoints
+ * @param {Object} floorPlan - Validated floor plan
+ * @param {Object} options - cornerRadius (as the ribbon is built with),
+ *   minClearance (closer is an issue), step (sample spacing)
+ * @returns {{clearance: number, nearest: string|null, segments: Object[],
+ *   corners: Object[], issues: string[]}} clearance and nearest: the whole
+ *   path's minimum and the footprint id it is measured to;
+ *   segments: { index, from, to, clearance, nearest } for the segment from
+ *   waypoints[index], from and to being where the corners leave it straight;
+ *   corners: { index, x, z, radius, requestedRadius, clamped, clearance,
+ *   nearest } for the waypoint at index, clamped when the segments are too
+ *   short for the requested radius (the route cuts the corner tighter)
+ */
+export function checkPathClearance(waypoints, floorPlan, {
+  cornerRadius = CORNER_RADIUS,
+  minClearance = MIN_CLEARANCE,
+  step = SAMPLE_STEP
+} = {}) {
+  const footprints = Array.isArray(floorPlan) ? floorPlan : getFootprints(floorPlan);
+  const { corners: rounded } = roundCorners(waypoints, cornerRadius);
+  const issues = [];
+  const last = waypoints.length - 1;
+
+  // Straight waypoints have no corner; a repeated waypoint's is at its first copy
+  const cornerAt = new Map(rounded.map(corner => [corner.index, corner]));
+  const firstCopy = waypoints.map((waypoint, i) => i);
+  for (let i = 1; i < waypoints.length; i++) {
+    if (samePoint(waypoints[i], waypoints[i - 1])) firstCopy[i] = firstCopy[i - 1];
+  }
+
+  const segments = [];
+  for (let i = 0; i < last; i++) {
+    let from = waypoints[i];
+    let to = waypoints[i + 1];
+    if (!samePoint(from, to)) {
+      if (cornerAt.has(firstCopy[i])) from = cornerAt.get(firstCopy[i]).after;
+      if (cornerAt.has(i + 1)) to = cornerAt.get(i + 1).before;
+    }
+    const { clearance, nearest } = polylineClearance([from, to], footprints, step);
+    segments.push({ index: i, from, to, clearance, nearest });
+
+    const name = `segment ${i} (${formatPoint(waypoints[i])} → ${formatPoint(waypoints[i + 1])})`;
+    if (clearance < 0) issues.push(`${name} runs through ${nearest}`);
+    else if (clearance < minClearance) issues.push(`${name} passes ${round(clearance)} from ${nearest}`);
+  }
+
+  const corners = rounded.map((corner) => {
+    const { x, z } = waypoints[corner.index];
+    const { clearance, nearest } = polylineClearance(corner.arc, footprints, step);
+    const clamped = corner.radius < cornerRadius;
+    const name = `corner ${corner.index} (${formatPoint({ x, z })})`;
+    if (clamped) {
+      const shorter = corner.maxRadius / CORNER_MAX_FRACTION;
+      issues.push(`${name} radius clamped from ${round(cornerRadius)} to ${round(corner.radius)} by a ${round(shorter)}-unit segment`);
+    }
+    if (clearance < 0) issues.push(`${name} runs through ${nearest}`);
+    else if (clearance < minClearance) issues.push(`${name} passes ${round(clearance)} from ${nearest}`);
+    return {
+      index: corner.index,
+      x,
+      z,
+      radius: corner.radius,
+      requestedRadius: cornerRadius,
+      clamped,
+      clearance,
+      nearest
+    };
+  });
+
+  const closest = [...segments, ...corners].reduce(
+    (best, part) => (part.clearance < best.clearance ? part : best),
+    { clearance: Infinity, nearest: null }
+  );
+  return { clearance: closest.clearance, nearest: closest.nearest, segments, corners, issues };
+}
+
+/**
+ * checkPathClearance for every path of a store
+ * @param {Object} pathDefinitions - Waypoints by path id (e.g. STORE_PATHS)
+ * @param {Object} floorPlan - Validated floor plan
+ * @param {Object} options - See checkPathClearance
+ * @returns {Object} Reports by path id
+ */
+export function checkPaths(pathDefinitions, floorPlan, options = {}) {
+  const footprints = getFootprints(floorPlan);
+  const reports = {};
+  Object.entries(pathDefinitions).forEach(([id, waypoints]) => {
+    reports[id] = checkPathClearance(waypoints, footprints, options);
+  });
+  return reports;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+// Smallest distance from a polyline to any footprint, sampled every step
+function polylineClearance(points, footprints, step) {
+  let clearance = Infinity;
+  let nearest = null;
+  const visit = (x, z) => {
+    footprints.forEach((footprint) => {
+      const distance = distanceToBox(x, z, footprint);
+      if (distance < clearance) {
+        clearance = distance;
+        nearest = footprint.id;
+      }
+    });
+  };
+
+  visit(points[0].x, points[0].z);
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.z - from.z) / step));
+    for (let s = 1; s <= steps; s++) {
+      visit(from.x + (to.x - from.x) * s / steps, from.z + (to.z - from.z) * s / steps);
+    }
+    // Footprints thinner than a step can fall between samples
+    if (clearance > 0) {
+      const crossed = footprints.find(footprint => segmentCrossesBox(from, to, footprint));
+      if (crossed) {
+        // Inside, by an unknown depth
+        clearance = -TOUCH_TOLERANCE;
+        nearest = crossed.id;
+      }
+    }
+  }
+  return { clearance, nearest };
+}
+
+// Signed distance from a point to a rectangle (negative inside)
+function distanceToBox(x, z, box) {
+  const dx = Math.max(box.minX - x, 0, x - box.maxX);
+  const dz = Math.max(box.minZ - z, 0, z - box.maxZ);
+  if (dx > 0 || dz > 0) return Math.hypot(dx, dz);
+  const depth = Math.min(x - box.minX, box.maxX - x, z - box.minZ, box.maxZ - z);
+  return depth > 0 ? -depth : 0;
+}
+
+function samePoint(a, b) {
+  return a.x === b.x && a.z === b.z;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatPoint({ x, z }) {
+  return `${round(x)}, ${round(z)}`;
+}
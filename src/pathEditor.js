@@ -0,0 +1,302 @@
+/**
+ * Path editor module
+ * Drag, insert and delete path waypoints on the store floor (made for the
+ * top-down view), with segments that run through a shelf, bin or fixture
+ * drawn in red
+ *
+ * The editor owns only its handles and overlays: every change is passed to
+ * onChange, which rebuilds the ribbon (StoreScene.setPathWaypoints).
+ *
+ * Mouse: drag a handle to move it, double-click the floor to insert a point
+ * into the nearest segment, right-click a handle (or select it and press
+ * Delete) to remove it.
+ */
+
+import * as THREE from 'three';
+import { getFootprints } from './floorplan.js';
+import { findBlockedSegments } from './pathCheck.js';
+
+// Waypoints snap to this grid (store units)
+const SNAP = 0.5;
+const HANDLE_RADIUS = 0.9;
+// Handles and overlays float just above the path ribbon (y = 0.02)
+const OVERLAY_Y = 0.05;
+const BLOCKED_WIDTH = 0.8;
+
+const HANDLE_COLOR = 0x004F9A;
+const END_COLOR = 0x2E7D32;
+const SELECTED_COLOR = 0xFFC220;
+const BLOCKED_COLOR = 0xE61A0D;
+
+/**
+ * Attach the path editor to a canvas
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera - Rendering camera
+ * @param {HTMLElement} options.domElement - Renderer canvas
+ * @param {THREE.Group} options.worldGroup - Store group (handles are added to it)
+ * @param {Object} options.floorPlan - Validated floor plan, for blocked segments
+ * @param {Array<{x: number, z: number}>} options.waypoints - Path to edit (copied)
+ * @param {Function} options.onChange - Called with (waypoints, blocked) after every
+ *   edit; blocked is findBlockedSegments output
+ * @returns {{getWaypoints: Function, getBlocked: Function, dispose: Function}}
+ */
+export function createPathEditor({ camera, domElement, worldGroup, floorPlan, waypoints, onChange }) {
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const floor = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const footprints = getFootprints(floorPlan);
+
+  let points = waypoints.map(({ x, z }) => ({ x, z }));
+  let blocked = [];
+  let selected = -1;
+  let dragging = -1;
+
+  const group = new THREE.Group();
+  group.name = 'PathEditor';
+  worldGroup.add(group);
+
+  const handleGeometry = new THREE.CylinderGeometry(HANDLE_RADIUS, HANDLE_RADIUS, 0.1, 24);
+  const handles = [];
+
+  const blockedMaterial = new THREE.MeshBasicMaterial({
+    color: BLOCKED_COLOR,
+    transparent: true,
+    opacity: 0.85,
+    depthTest: false,
+    side: THREE.DoubleSide
+  });
+  const blockedMesh = new THREE.Mesh(new THREE.BufferGeometry(), blockedMaterial);
+  blockedMesh.renderOrder = 9;
+  group.add(blockedMesh);
+
+  // Floor point under the pointer, in store coordinates
+  function floorPointAt(clientX, clientY) {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+    const hit = new THREE.Vector3();
+    if (!raycaster.ray.intersectPlane(floor, hit)) return null;
+    worldGroup.updateMatrixWorld(true);
+    worldGroup.worldToLocal(hit);
+    return { x: hit.x, z: hit.z };
+  }
+
+  // Index of the waypoint under a floor point, or -1
+  function handleAt(point) {
+    let found = -1;
+    let closest = HANDLE_RADIUS * 1.5;
+    points.forEach((waypoint, i) => {
+      const distance = Math.hypot(waypoint.x - point.x, waypoint.z - point.z);
+      if (distance <= closest) {
+        found = i;
+        closest = distance;
+      }
+    });
+    return found;
+  }
+
+  function refresh() {
+    blocked = findBlockedSegments(points, footprints);
+
+    while (handles.length < points.length) {
+      const handle = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial({ depthTest: false }));
+      handle.renderOrder = 10;
+      group.add(handle);
+      handles.push(handle);
+    }
+    while (handles.length > points.length) {
+      const handle = handles.pop();
+      group.remove(handle);
+      handle.material.dispose();
+    }
+    handles.forEach((handle, i) => {
+      handle.position.set(points[i].x, OVERLAY_Y, points[i].z);
+      const isEnd = i === 0 || i === points.length - 1;
+      handle.material.color.set(i === selected ? SELECTED_COLOR : isEnd ? END_COLOR : HANDLE_COLOR);
+    });
+
+    blockedMesh.geometry.dispose();
+    blockedMesh.geometry = createSegmentGeometry(
+      blocked.map(({ index }) => [points[index], points[index + 1]]),
+      BLOCKED_WIDTH
+    );
+  }
+
+  function commit() {
+    refresh();
+    if (typeof onChange === 'function') onChange(getWaypoints(), blocked);
+  }
+
+  function select(index) {
+    selected = index;
+    refresh();
+  }
+
+  function remove(index) {
+    if (points.length <= 2) {
+      console.warn('A path needs at least 2 waypoints');
+      return;
+    }
+    points.splice(index, 1);
+    selected = -1;
+    commit();
+  }
+
+  function getWaypoints() {
+    return points.map(({ x, z }) => ({ x, z }));
+  }
+
+  const onPointerDown = (event) => {
+    if (event.button !== 0) return;
+    const point = floorPointAt(event.clientX, event.clientY);
+    const index = point ? handleAt(point) : -1;
+    select(index);
+    if (index < 0) return;
+    dragging = index;
+    domElement.setPointerCapture(event.pointerId);
+    domElement.style.cursor = 'grabbing';
+  };
+
+  const onPointerMove = (event) => {
+    const point = floorPointAt(event.clientX, event.clientY);
+    if (!point) return;
+    if (dragging < 0) {
+      domElement.style.cursor = handleAt(point) >= 0 ? 'grab' : 'crosshair';
+      return;
+    }
+    const snapped = snapPoint(point);
+    const current = points[dragging];
+    if (snapped.x === current.x && snapped.z === current.z) return;
+    points[dragging] = snapped;
+    commit();
+  };
+
+  const onPointerUp = (event) => {
+    if (dragging < 0) return;
+    dragging = -1;
+    if (domElement.hasPointerCapture(event.pointerId)) domElement.releasePointerCapture(event.pointerId);
+    domElement.style.cursor = 'grab';
+  };
+
+  // Double-click the floor: new waypoint in the closest segment
+  const onDoubleClick = (event) => {
+    const point = floorPointAt(event.clientX, event.clientY);
+    if (!point || handleAt(point) >= 0) return;
+    const index = nearestSegment(points, point) + 1;
+    points.splice(index, 0, snapPoint(point));
+    selected = index;
+    commit();
+  };
+
+  const onContextMenu = (event) => {
+    event.preventDefault();
+    const point = floorPointAt(event.clientX, event.clientY);
+    const index = point ? handleAt(point) : -1;
+    if (index >= 0) remove(index);
+  };
+
+  const onKeyDown = (event) => {
+    if (selected < 0 || (event.key !== 'Delete' && event.key !== 'Backspace')) return;
+    if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+    event.preventDefault();
+    remove(selected);
+  };
+
+  domElement.addEventListener('pointerdown', onPointerDown);
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerup', onPointerUp);
+  domElement.addEventListener('dblclick', onDoubleClick);
+  domElement.addEventListener('contextmenu', onContextMenu);
+  document.addEventListener('keydown', onKeyDown);
+
+  refresh();
+  console.log('Path editor: drag points, double-click to add, right-click or Delete to remove');
+
+  return {
+    getWaypoints,
+    getBlocked: () => blocked,
+    dispose() {
+      domElement.removeEventListener('pointerdown', onPointerDown);
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerup', onPointerUp);
+      domElement.removeEventListener('dblclick', onDoubleClick);
+      domElement.removeEventListener('contextmenu', onContextMenu);
+      document.removeEventListener('keydown', onKeyDown);
+      domElement.style.cursor = '';
+
+      worldGroup.remove(group);
+      handles.forEach(handle => handle.material.dispose());
+      handleGeometry.dispose();
+      blockedMesh.geometry.dispose();
+      blockedMaterial.dispose();
+    }
+  };
+}
+
+/**
+ * Waypoints as a JavaScript array literal, ready to paste into the store's
+ * path definitions
+ * @param {Array<{x: number, z: number}>} waypoints
+ * @returns {string}
+ */
+export function formatWaypointArray(waypoints) {
+  const lines = waypoints.map(({ x, z }) => `  { x: ${x}, z: ${z} },`);
+  return `[\n${lines.join('\n')}\n]`;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function snapPoint({ x, z }) {
+  // + 0 turns -0 into 0
+  return { x: Math.round(x / SNAP) * SNAP + 0, z: Math.round(z / SNAP) * SNAP + 0 };
+}
+
+// Index of the segment (waypoints[i] to waypoints[i + 1]) closest to a point
+function nearestSegment(waypoints, point) {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const from = waypoints[i];
+    const to = waypoints[i + 1];
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0
+      ? Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSq))
+      : 0;
+    const distance = Math.hypot(point.x - (from.x + dx * t), point.z - (from.z + dz * t));
+    if (distance < nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+// Flat quads along floor segments
+function createSegmentGeometry(segments, width) {
+  const positions = [];
+  const indices = [];
+  segments.forEach(([from, to]) => {
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    if (length === 0) return;
+    // Side offset, perpendicular to the segment
+    const sx = -(to.z - from.z) / length * width / 2;
+    const sz = (to.x - from.x) / length * width / 2;
+    const base = positions.length / 3;
+    positions.push(
+      from.x + sx, OVERLAY_Y, from.z + sz,
+      from.x - sx, OVERLAY_Y, from.z - sz,
+      to.x + sx, OVERLAY_Y, to.z + sz,
+      to.x - sx, OVERLAY_Y, to.z - sz
+    );
+    indices.push(base, base + 1, base + 2, base + 2, base + 1, base + 3);
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
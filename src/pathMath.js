@@ -0,0 +1,171 @@
+/**
+ * Path math module
+ * Geometry of the path ribbon and the world rotation that doesn't need
+ * three.js, so the app, headless checks (pathCheck.js) and the tests in
+ * test/ all use exactly the same math
+ */
+
+// A corner is cut back at most this fraction of its shorter segment, so
+// neighbouring corners never overlap
+export const CORNER_MAX_FRACTION = 0.4;
+// Points on each corner's Bezier arc, including its end
+const ARC_POINTS = 16;
+// Turns smaller than this (radians) are straight: no corner is rounded
+const STRAIGHT_TOLERANCE = 1e-6;
+
+/**
+ * Round the corners of a waypoint polyline
+ * Each inner waypoint is replaced by a quadratic Bezier arc from a point
+ * before it to a point after it, cornerRadius away along the segments
+ * (less where a segment is short). Repeated waypoints count once, and a
+ * waypoint the path runs straight through keeps no corner
+ * @param {Array<{x: number, z: number}>} waypoints - Path waypoints
+ * @param {number} cornerRadius - Requested corner radius (store units)
+ * @returns {{points: Array<{x: number, z: number}>, corners: Array<Object>}}
+ *   points: the rounded polyline; corners: one per turning waypoint with
+ *   index (into waypoints), radius (as used), maxRadius (the clamp), before
+ *   and after (where the arc leaves and rejoins the segments) and arc (its points)
+ */
+export function roundCorners(waypoints, cornerRadius = 1.0) {
+  const points = [];
+  const corners = [];
+
+  // Zero-length segments have no direction to round along
+  const distinct = [];
+  waypoints.forEach((waypoint, index) => {
+    const last = distinct[distinct.length - 1];
+    if (!last || last.x !== waypoint.x || last.z !== waypoint.z) {
+      distinct.push({ x: waypoint.x, z: waypoint.z, index });
+    }
+  });
+
+  for (let i = 0; i < distinct.length; i++) {
+    const current = distinct[i];
+
+    if (i === 0 || i === distinct.length - 1) {
+      // Start and end points
+      points.push({ x: current.x, z: current.z });
+      continue;
+    }
+
+    const prev = distinct[i - 1];
+    const next = distinct[i + 1];
+    const distToPrev = Math.hypot(current.x - prev.x, current.z - prev.z);
+    const distToNext = Math.hypot(next.x - current.x, next.z - current.z);
+
+    if (Math.abs(turnAngle(prev, current, next)) < STRAIGHT_TOLERANCE) {
+      points.push({ x: current.x, z: current.z });
+      continue;
+    }
+
+    const maxRadius = Math.min(distToPrev, distToNext) * CORNER_MAX_FRACTION;
+    const radius = Math.min(cornerRadius, maxRadius);
+
+    const before = {
+      x: current.x - (current.x - prev.x) / distToPrev * radius,
+      z: current.z - (current.z - prev.z) / distToPrev * radius
+    };
+    const after = {
+      x: current.x + (next.x - current.x) / distToNext * radius,
+      z: current.z + (next.z - current.z) / distToNext * radius
+    };
+
+    const arc = [before];
+    for (let j = 1; j < ARC_POINTS; j++) {
+      const t = j / ARC_POINTS;
+      // Quadratic Bezier with the waypoint as control point
+      arc.push({
+        x: (1 - t) * (1 - t) * before.x + 2 * (1 - t) * t * current.x + t * t * after.x,
+        z: (1 - t) * (1 - t) * before.z + 2 * (1 - t) * t * current.z + t * t * after.z
+      });
+    }
+    arc.push(after);
+
+    points.push(...arc);
+    corners.push({ index: current.index, radius, maxRadius, before, after, arc });
+  }
+
+  return { points, corners };
+}
+
+/**
+ * Signed turn at a waypoint, from the incoming to the outgoing direction
+ * @returns {number} Radians in [-π, π]; 0 straight on, ±π turning back
+ */
+export function turnAngle(prev, current, next) {
+  const inAngle = Math.atan2(current.z - prev.z, current.x - prev.x);
+  const outAngle = Math.atan2(next.z - current.z, next.x - current.x);
+  return shortestAngle(inAngle, outAngle);
+}
+
+// ============================================
+// Ribbon
+// ============================================
+
+/**
+ * Vertices of the flat path ribbon: a left and right vertex across each
+ * sample, two triangles between neighbouring samples
+ * @param {Array<{x: number, z: number, tx: number, tz: number}>} samples -
+ *   Points along the path at even arc length, with their tangents
+ * @param {number} width - Ribbon width (store units)
+ * @param {number} y - Height above the floor
+ * @returns {{positions: number[], uvs: number[], progress: number[], indices: number[]}}
+ *   progress: fraction of the path at each vertex (the shader erases and
+ *   draws the ribbon by it)
+ */
+export function buildRibbonVertices(samples, width, y = 0) {
+  const positions = [];
+  const uvs = [];
+  const progress = [];
+  const indices = [];
+  const last = Math.max(1, samples.length - 1);
+
+  samples.forEach((sample, i) => {
+    const t = i / last;
+    // Perpendicular to the tangent in the floor plane (a zero tangent leaves
+    // both vertices on the centre line)
+    const length = Math.hypot(sample.tx, sample.tz) || 1;
+    const px = -sample.tz / length * width / 2;
+    const pz = sample.tx / length * width / 2;
+
+    positions.push(sample.x - px, y, sample.z - pz);
+    positions.push(sample.x + px, y, sample.z + pz);
+    uvs.push(0, t, 1, t);
+    progress.push(t, t);
+
+    if (i < samples.length - 1) {
+      const base = i * 2;
+      indices.push(base, base + 1, base + 2);
+      indices.push(base + 1, base + 3, base + 2);
+    }
+  });
+
+  return { positions, uvs, progress, indices };
+}
+
+// ============================================
+// Rotation
+// ============================================
+
+/**
+ * Smallest signed rotation from one angle to another
+ * @returns {number} Radians in [-π, π]; a half turn is +π
+ */
+export function shortestAngle(from, to) {
+  const delta = (to - from) % (Math.PI * 2);
+  if (delta > Math.PI) return delta - Math.PI * 2;
+  if (delta <= -Math.PI) return delta + Math.PI * 2;
+  return delta;
+}
+
+/**
+ * Move an angle a fraction of the way toward another, the short way round,
+ * so easing across ±π doesn't spin a full turn
+ * @param {number} from - Current angle (radians, any range)
+ * @param {number} to - Target angle
+ * @param {number} factor - 0 stays, 1 arrives
+ * @returns {number} The new angle (not wrapped, so it stays continuous)
+ */
+export function lerpAngle(from, to, factor) {
+  return from + shortestAngle(from, to) * factor;
+}
@@ -0,0 +1,625 @@
+/**
+ * Pathfinding module
+ * Builds a walkable grid from the floor plan and finds aisle-aware routes with A*
+ *
+ * Routes are orthogonal waypoint lists in store coordinates, the same shape as
+ * the hand-authored paths in scene.js, so they can be smoothed by createRoundedPath.
+ */
+
+import { getFootprints } from './floorplan.js';
+
+// Direction vectors for 4-connected movement (E, W, S, N); index 4 = no heading yet
+const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const NO_DIR = 4;
+
+// Distance at which a route counts as visiting a stop (units), inside the
+// 4-unit radius where the animator marks a pin done
+export const DEFAULT_REACH = 3.5;
+
+// Lane widths tried for a turnaround, widest first (units)
+const TURNAROUND_WIDTHS = [2, 1.5, 1, 0.5];
+// Length of the loop when the return run can't be shifted all the way (units)
+const TURNAROUND_LENGTH = 2;
+
+/**
+ * Build a walkable grid from every wall, shelf, bin and fixture in the floor plan
+ * Cells closer than minClearance to a footprint are blocked; cells closer than
+ * clearance stay walkable but cost more, which keeps routes centered in aisles
+ * @param {Object} floorPlan - Validated floor plan
+ * @param {Object} options
+ * @param {number} options.cellSize - Grid resolution in store units (default 0.5)
+ * @param {number} options.clearance - Preferred distance to fixtures (default 2)
+ * @param {number} options.minClearance - Hard minimum distance to fixtures (default 1)
+ * @param {number} options.margin - Walkable border outside the store, for entrance approaches (default 4)
+ */
+export function createNavGrid(floorPlan, options = {}) {
+  const {
+    cellSize = 0.5,
+    clearance = 2,
+    minClearance = 1,
+    margin = 4,
+    clearanceWeight = 3,
+    turnPenalty = 4
+  } = options;
+
+  // Align cell centers to multiples of cellSize so aisle centers land on cells
+  const halfWidth = floorPlan.dimensions.width / 2 + margin;
+  const halfDepth = floorPlan.dimensions.depth / 2 + margin;
+  const originX = -Math.ceil(halfWidth / cellSize) * cellSize;
+  const originZ = -Math.ceil(halfDepth / cellSize) * cellSize;
+  const cols = Math.round(-originX * 2 / cellSize) + 1;
+  const rows = Math.round(-originZ * 2 / cellSize) + 1;
+
+  // Distance from each cell center to the nearest footprint
+  const distance = new Float32Array(cols * rows).fill(Infinity);
+  const footprints = getFootprints(floorPlan);
+
+  footprints.forEach((fp) => {
+    const minCol = Math.max(0, Math.floor((fp.minX - clearance - originX) / cellSize));
+    const maxCol = Math.min(cols - 1, Math.ceil((fp.maxX + clearance - originX) / cellSize));
+    const minRow = Math.max(0, Math.floor((fp.minZ - clearance - originZ) / cellSize));
+    const maxRow = Math.min(rows - 1, Math.ceil((fp.maxZ + clearance - originZ) / cellSize));
+
+    for (let row = minRow; row <= maxRow; row++) {
+      const z = originZ + row * cellSize;
+      const dz = Math.max(fp.minZ - z, 0, z - fp.maxZ);
+      for (let col = minCol; col <= maxCol; col++) {
+        const x = originX + col * cellSize;
+        const dx = Math.max(fp.minX - x, 0, x - fp.maxX);
+        const d = Math.sqrt(dx * dx + dz * dz);
+        const index = row * cols + col;
+        if (d < distance[index]) distance[index] = d;
+      }
+    }
+  });
+
+  const blocked = new Uint8Array(cols * rows);
+  const cost = new Float32Array(cols * rows);
+  for (let i = 0; i < distance.length; i++) {
+    if (distance[i] < minClearance) {
+      blocked[i] = 1;
+    } else if (distance[i] < clearance) {
+      cost[i] = 1 + clearanceWeight * (clearance - distance[i]) / (clearance - minClearance);
+    } else {
+      cost[i] = 1;
+    }
+  }
+
+  console.log(`Nav grid built: ${cols}x${rows} cells, ${footprints.length} footprints`);
+
+  return { cellSize, cols, rows, originX, originZ, blocked, cost, distance, minClearance, turnPenalty };
+}
+
+/**
+ * Find a route from start through every stop to end
+ * A stop counts as visited once the route passes within `reach` of it,
+ * so pins mounted on shelves are reached from the aisle without detours
+ * @param {Object} grid - Grid from createNavGrid
+ * @param {{x: number, z: number}} start - Start point
+ * @param {Array<{x: number, z: number}>} stops - Points to visit, in order
+ * @param {{x: number, z: number}} end - Exit point
+ * @param {Object} options
+ * @param {number} options.reach - Distance at which a stop counts as visited (default DEFAULT_REACH)
+ * @returns {Array<{x: number, z: number}>|null} Orthogonal waypoints, or null if a stop is unreachable
+ */
+export function findRoute(grid, start, stops, end, options = {}) {
+  const { reach = DEFAULT_REACH } = options;
+
+  let current = nearestWalkableCell(grid, start);
+  if (current === -1) {
+    console.warn('findRoute: no walkable cell near start', start);
+    return null;
+  }
+
+  const cells = [current];
+  const visits = [];
+  let heading = NO_DIR;
+  const legs = [
+    ...stops.map(stop => ({ point: stop, reach })),
+    { point: end, reach: 0 }
+  ];
+
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i];
+    let legReach = leg.reach;
+    let result = legReach > 0 ? findPath(grid, current, leg.point, legReach, heading) : null;
+
+    // Stops deep inside a bin grid can't be reached within `reach`;
+    // walk to the closest walkable cell instead
+    if (!result) {
+      const approach = nearestWalkableCell(grid, leg.point);
+      if (approach !== -1) {
+        const approachPoint = cellPoint(grid, approach);
+        const approachReach = Math.hypot(approachPoint.x - leg.point.x, approachPoint.z - leg.point.z);
+        legReach = approachReach + grid.cellSize;
+        result = findPath(grid, current, leg.point, legReach, heading);
+      }
+    }
+    if (!result) {
+      console.warn('findRoute: no path to', leg.point);
+      return null;
+    }
+    cells.push(...result.cells.slice(1));
+    if (i < stops.length) visits.push({ point: leg.point, reach: legReach });
+    current = result.cells[result.cells.length - 1];
+    heading = result.heading;
+  }
+
+  const cellPoints = cells.map(cell => cellPoint(grid, cell));
+  const trimmed = trimSpurs(removeCollinear(cellPoints), visits, grid.cellSize);
+  const waypoints = straightenJogs(grid, loopUTurns(grid, trimmed));
+
+  // Keep the exact requested endpoints when they differ from the snapped cells
+  waypoints.unshift({ x: start.x, z: start.z });
+  waypoints.push({ x: end.x, z: end.z });
+
+  return removeCollinear(waypoints);
+}
+
+/**
+ * A* search on the grid from a start cell to any cell within `reach` of goal
+ * Turns cost extra, which favours long straight runs like the hand-drawn paths
+ * @returns {{cells: number[], heading: number, cost: number}|null}
+ */
+export function findPath(grid, startCell, goal, reach = 0, startHeading = NO_DIR) {
+  const { cols, rows, cellSize, originX, originZ, blocked, cost, turnPenalty } = grid;
+  const goalCol = (goal.x - originX) / cellSize;
+  const goalRow = (goal.z - originZ) / cellSize;
+  const reachCells = reach / cellSize;
+
+  const isGoal = (cell) => {
+    const dc = (cell % cols) - goalCol;
+    const dr = Math.floor(cell / cols) - goalRow;
+    return reachCells > 0
+      ? dc * dc + dr * dr <= reachCells * reachCells
+      : Math.abs(dc) < 0.5 && Math.abs(dr) < 0.5;
+  };
+
+  // Manhattan distance to the reach circle is admissible for 4-connected moves
+  const heuristic = (cell) => {
+    const dc = Math.abs((cell % cols) - goalCol);
+    const dr = Math.abs(Math.floor(cell / cols) - goalRow);
+    return Math.max(0, dc + dr - reachCells * Math.SQRT2);
+  };
+
+  // Search state = cell * 5 + heading, so turn penalties are exact
+  const stateCount = cols * rows * 5;
+  const gScore = new Float32Array(stateCount).fill(Infinity);
+  const cameFrom = new Int32Array(stateCount).fill(-1);
+  const closed = new Uint8Array(stateCount);
+  const open = new MinHeap();
+
+  const startState = startCell * 5 + startHeading;
+  gScore[startState] = 0;
+  open.push(startState, heuristic(startCell));
+
+  while (open.size > 0) {
+    const state = open.pop();
+    if (closed[state]) continue;
+    closed[state] = 1;
+
+    const cell = Math.floor(state / 5);
+    const heading = state % 5;
+
+    if (isGoal(cell)) {
+      const cells = [];
+      for (let s = state; s !== -1; s = cameFrom[s]) {
+        cells.push(Math.floor(s / 5));
+      }
+      cells.reverse();
+      return { cells, heading, cost: gScore[state] };
+    }
+
+    const col = cell % cols;
+    const row = Math.floor(cell / cols);
+
+    for (let dir = 0; dir < 4; dir++) {
+      const nCol = col + DIRS[dir][0];
+      const nRow = row + DIRS[dir][1];
+      if (nCol < 0 || nCol >= cols || nRow < 0 || nRow >= rows) continue;
+
+      const next = nRow * cols + nCol;
+      if (blocked[next]) continue;
+
+      const turning = heading !== NO_DIR && heading !== dir;
+      const g = gScore[state] + cost[next] + (turning ? turnPenalty : 0);
+      const nextState = next * 5 + dir;
+      if (g < gScore[nextState]) {
+        gScore[nextState] = g;
+        cameFrom[nextState] = state;
+        open.push(nextState, g + heuristic(next));
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walking distance from one cell (or the nearest of several) to every other
+ * cell (Dijkstra, 4-connected)
+ * Distances are in store units and ignore the clearance cost, so they measure
+ * how far a shopper actually walks
+ * @param {Object} grid - Grid from createNavGrid
+ * @param {number|number[]} fromCells - Start cell index, or indices
+ * @returns {Float32Array} Distance per cell, Infinity where unreachable
+ */
+export function walkingDistances(grid, fromCells) {
+  const { cols, rows, cellSize, blocked } = grid;
+  const dist = new Float32Array(cols * rows).fill(Infinity);
+  const open = new MinHeap();
+
+  [].concat(fromCells).forEach((cell) => {
+    dist[cell] = 0;
+    open.push(cell, 0);
+  });
+
+  while (open.size > 0) {
+    const cell = open.pop();
+    const col = cell % cols;
+    const row = Math.floor(cell / cols);
+    const d = dist[cell] + cellSize;
+
+    for (let dir = 0; dir < 4; dir++) {
+      const nCol = col + DIRS[dir][0];
+      const nRow = row + DIRS[dir][1];
+      if (nCol < 0 || nCol >= cols || nRow < 0 || nRow >= rows) continue;
+      const next = nRow * cols + nCol;
+      if (blocked[next] || d >= dist[next]) continue;
+      dist[next] = d;
+      open.push(next, d);
+    }
+  }
+
+  return dist;
+}
+
+/**
+ * Find the walkable cell closest to a point (spiral search outward)
+ * @returns {number} Cell index, or -1 if nothing is walkable nearby
+ */
+export function nearestWalkableCell(grid, point) {
+  const { cols, rows, cellSize, originX, originZ, blocked } = grid;
+  const col = Math.round((point.x - originX) / cellSize);
+  const row = Math.round((point.z - originZ) / cellSize);
+
+  let best = -1;
+  let bestDist = Infinity;
+  const maxRadius = Math.max(cols, rows);
+
+  for (let radius = 0; radius < maxRadius && best === -1; radius++) {
+    for (let r = row - radius; r <= row + radius; r++) {
+      for (let c = col - radius; c <= col + radius; c++) {
+        // Only the ring at this radius
+        if (Math.abs(r - row) !== radius && Math.abs(c - col) !== radius) continue;
+        if (c < 0 || c >= cols || r < 0 || r >= rows) continue;
+        const index = r * cols + c;
+        if (blocked[index]) continue;
+        const d = (r - row) * (r - row) + (c - col) * (c - col);
+        if (d < bestDist) {
+          bestDist = d;
+          best = index;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Walkable cells where a route counts as visiting a stop: those within
+ * `reach` of it, or for a stop deep inside a bin grid those up to a cell
+ * past the closest walkable one (where findRoute walks instead)
+ * @returns {number[]} Cell indices, empty if nothing is walkable nearby
+ */
+export function reachCells(grid, point, reach = DEFAULT_REACH) {
+  const within = (radius) => {
+    const { cols, rows, cellSize, originX, originZ, blocked } = grid;
+    const minCol = Math.max(0, Math.ceil((point.x - radius - originX) / cellSize));
+    const maxCol = Math.min(cols - 1, Math.floor((point.x + radius - originX) / cellSize));
+    const minRow = Math.max(0, Math.ceil((point.z - radius - originZ) / cellSize));
+    const maxRow = Math.min(rows - 1, Math.floor((point.z + radius - originZ) / cellSize));
+    const cells = [];
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cell = row * cols + col;
+        const center = cellPoint(grid, cell);
+        if (!blocked[cell] && Math.hypot(center.x - point.x, center.z - point.z) <= radius) cells.push(cell);
+      }
+    }
+    return cells;
+  };
+
+  const cells = within(reach);
+  if (cells.length > 0) return cells;
+
+  const approach = nearestWalkableCell(grid, point);
+  if (approach === -1) return [];
+  const approachPoint = cellPoint(grid, approach);
+  return within(Math.hypot(approachPoint.x - point.x, approachPoint.z - point.z) + grid.cellSize);
+}
+
+/**
+ * Total length of a waypoint polyline
+ * @param {Array<{x: number, z: number}>} waypoints
+ */
+export function routeLength(waypoints) {
+  let length = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    length += Math.hypot(waypoints[i].x - waypoints[i - 1].x, waypoints[i].z - waypoints[i - 1].z);
+  }
+  return length;
+}
+
+/**
+ * Shortest distance from a point to a waypoint polyline
+ * @param {{x: number, z: number}} point
+ * @param {Array<{x: number, z: number}>} waypoints
+ */
+export function distanceToPolyline(point, waypoints) {
+  let best = Infinity;
+  for (let i = 1; i < waypoints.length; i++) {
+    const a = waypoints[i - 1];
+    const b = waypoints[i];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0
+      ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq))
+      : 0;
+    const d = Math.hypot(point.x - (a.x + dx * t), point.z - (a.z + dz * t));
+    if (d < best) best = d;
+  }
+  return best;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function cellPoint(grid, cell) {
+  return {
+    x: grid.originX + (cell % grid.cols) * grid.cellSize,
+    z: grid.originZ + Math.floor(cell / grid.cols) * grid.cellSize
+  };
+}
+
+function samePoint(a, b) {
+  return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.z - b.z) < 1e-6;
+}
+
+// Collapse a point chain into its corner points
+function removeCollinear(points) {
+  const waypoints = [points[0]];
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const prev = waypoints[waypoints.length - 1];
+    const point = points[i];
+    const next = points[i + 1];
+    if (samePoint(point, prev)) continue;
+    const cross = (point.x - prev.x) * (next.z - point.z) - (point.z - prev.z) * (next.x - point.x);
+    const dot = (point.x - prev.x) * (next.x - point.x) + (point.z - prev.z) * (next.z - point.z);
+    // Keep corners and U-turns, drop points in the middle of a straight run
+    if (Math.abs(cross) > 1e-9 || dot < 0) {
+      waypoints.push(point);
+    }
+  }
+
+  if (points.length > 1 && !samePoint(points[points.length - 1], waypoints[waypoints.length - 1])) {
+    waypoints.push(points[points.length - 1]);
+  }
+  return waypoints;
+}
+
+function isUTurn(prev, tip, next) {
+  const out = { x: tip.x - prev.x, z: tip.z - prev.z };
+  const back = { x: next.x - tip.x, z: next.z - tip.z };
+  return Math.abs(out.x * back.z - out.z * back.x) < 1e-9 && out.x * back.x + out.z * back.z < 0;
+}
+
+// Shorten the U-turns left where a leg ended inside a stop's reach and the
+// next leg heads back the way it came: pull each tip back in `step`s for as
+// long as every stop stays within reach of the route, dropping spurs that
+// no stop needs
+function trimSpurs(points, visits, step) {
+  const reachesAll = route => visits.every(visit => distanceToPolyline(visit.point, route) <= visit.reach + 1e-6);
+  let result = points;
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let i = 1; i < result.length - 1 && !changed; i++) {
+      const prev = result[i - 1];
+      const tip = result[i];
+      const next = result[i + 1];
+      if (!isUTurn(prev, tip, next)) continue;
+
+      // The spur runs from the nearer neighbour out to the tip
+      const out = Math.hypot(tip.x - prev.x, tip.z - prev.z);
+      const back = Math.hypot(next.x - tip.x, next.z - tip.z);
+      const base = out <= back ? prev : next;
+      const spur = Math.min(out, back);
+
+      for (let length = 0; length < spur - 1e-6; length += step) {
+        const t = length / spur;
+        const shortened = { x: base.x + (tip.x - base.x) * t, z: base.z + (tip.z - base.z) * t };
+        const route = removeCollinear([...result.slice(0, i), shortened, ...result.slice(i + 1)]);
+        if (reachesAll(route)) {
+          result = route;
+          changed = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+// Turn the U-turns that are left (a stop at the end of a dead end) into two
+// right-angle corners a lane apart, so the ribbon's rounded corners never
+// fold back over themselves. The return run is shifted sideways up to the
+// next corner, preferring the side the route turns to there, or else loops
+// back onto the way in; a single-file lane gets a loop that passes closer
+// to the fixtures than the grid allows
+function loopUTurns(grid, points) {
+  let result = points;
+
+  for (let i = 1; i < result.length - 1; i++) {
+    const tip = result[i];
+    const next = result[i + 1];
+    if (!isUTurn(result[i - 1], tip, next)) continue;
+
+    const length = Math.hypot(next.x - tip.x, next.z - tip.z);
+    const dir = { x: (next.x - tip.x) / length, z: (next.z - tip.z) / length };
+    const after = result[i + 2];
+    const sides = [{ x: -dir.z, z: dir.x }, { x: dir.z, z: -dir.x }];
+    if (after && (after.x - next.x) * sides[1].x + (after.z - next.z) * sides[1].z > 0) sides.reverse();
+
+    // Widest first; at each width the preferred side, shifted before looped
+    const candidates = TURNAROUND_WIDTHS.flatMap(width => sides.flatMap((side) => {
+      const offset = { x: side.x * width, z: side.z * width };
+      const turn = { x: tip.x + offset.x, z: tip.z + offset.z };
+      const rejoin = { x: next.x + offset.x, z: next.z + offset.z };
+      // The last point stays put; elsewhere the shifted point replaces it
+      const shifted = after ? [turn, rejoin] : [turn, rejoin, next];
+      if (length <= TURNAROUND_LENGTH) return [shifted];
+      const back = { x: tip.x + dir.x * TURNAROUND_LENGTH, z: tip.z + dir.z * TURNAROUND_LENGTH };
+      return [shifted, [turn, { x: back.x + offset.x, z: back.z + offset.z }, back, next]];
+    }));
+
+    const fits = minDistance => (replaced) => {
+      const route = [result[i - 1], tip, ...replaced, ...result.slice(i + 2, i + 3)];
+      for (let k = 1; k < route.length - 1; k++) {
+        if (isUTurn(route[k - 1], route[k], route[k + 1])) return false;
+      }
+      for (let k = 1; k < route.length; k++) {
+        if (!isSegmentWalkable(grid, route[k - 1], route[k], minDistance)) return false;
+      }
+      return true;
+    };
+    const loop = candidates.find(fits(grid.minClearance)) || candidates.find(fits(grid.minClearance / 2));
+    if (loop) result = removeCollinear([...result.slice(0, i + 1), ...loop, ...result.slice(i + 2)]);
+  }
+
+  return result;
+}
+
+// Every cell along a segment keeps at least minDistance from the fixtures
+// (the grid's minimum clearance: not blocked)
+function isSegmentWalkable(grid, a, b, minDistance = grid.minClearance) {
+  const length = Math.hypot(b.x - a.x, b.z - a.z);
+  const steps = Math.max(1, Math.ceil(length / (grid.cellSize / 2)));
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const col = Math.round((a.x + (b.x - a.x) * t - grid.originX) / grid.cellSize);
+    const row = Math.round((a.z + (b.z - a.z) * t - grid.originZ) / grid.cellSize);
+    if (col < 0 || col >= grid.cols || row < 0 || row >= grid.rows) return false;
+    if (grid.distance[row * grid.cols + col] < minDistance) return false;
+  }
+  return true;
+}
+
+// Remove short sideways jogs between two parallel runs (A* follows the
+// cheapest line, which shifts by a cell where aisle widths change)
+function straightenJogs(grid, waypoints, maxJog = 1) {
+  const points = waypoints.map(p => ({ ...p }));
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let i = 1; i < points.length - 2; i++) {
+      const before = points[i - 1];
+      const jogStart = points[i];
+      const jogEnd = points[i + 1];
+      const after = points[i + 2];
+      const jog = { x: jogEnd.x - jogStart.x, z: jogEnd.z - jogStart.z };
+      if (Math.hypot(jog.x, jog.z) > maxJog) continue;
+
+      // Runs on both sides must head the same way (a Z-shape, not a U-turn)
+      const runIn = { x: jogStart.x - before.x, z: jogStart.z - before.z };
+      const runOut = { x: after.x - jogEnd.x, z: after.z - jogEnd.z };
+      if (runIn.x * runOut.x + runIn.z * runOut.z <= 0) continue;
+
+      // The moved run must keep its heading, or the route would reverse there
+      const sameWay = (from, to, movedFrom, movedTo) =>
+        (to.x - from.x) * (movedTo.x - movedFrom.x) + (to.z - from.z) * (movedTo.z - movedFrom.z) > 1e-9;
+
+      // Option 1: pull the outgoing run onto the incoming line
+      if (i + 2 < points.length - 1) {
+        const shifted = { x: after.x - jog.x, z: after.z - jog.z };
+        if (sameWay(after, points[i + 3], shifted, points[i + 3]) &&
+            isSegmentWalkable(grid, jogStart, shifted) && isSegmentWalkable(grid, shifted, points[i + 3])) {
+          points.splice(i, 3, shifted);
+          changed = true;
+          break;
+        }
+      }
+
+      // Option 2: push the incoming run onto the outgoing line
+      if (i - 1 > 0) {
+        const shifted = { x: before.x + jog.x, z: before.z + jog.z };
+        if (sameWay(points[i - 2], before, points[i - 2], shifted) &&
+            isSegmentWalkable(grid, points[i - 2], shifted) && isSegmentWalkable(grid, shifted, jogEnd)) {
+          points.splice(i - 1, 3, shifted);
+          changed = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return points;
+}
+
+// Binary min-heap keyed by priority
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, priority) {
+    this.items.push(item);
+    this.priorities.push(priority);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastPriority = this.priorities.pop();
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.priorities[0] = lastPriority;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Paths module
+ * The hand-authored walking routes through the default store, as floor
+ * waypoints ({ x, z } store coordinates) joined by straight segments whose
+ * corners are rounded when the ribbon is built
+ *
+ * Check edits with checkPathClearance (pathCheck.js) rather than by eye.
+ */
+
+// Radius the ribbon's corners are rounded with (before clamping, see pathMath.js)
+export const CORNER_RADIUS = 3.0;
+
+// Path 1: Simple loop around store perimeter
+const path1Waypoints = [
+  { x: -4, z: 26 },      // Start (outside store)
+  { x: -4, z: 16 },      // First turn point
+  { x: -17, z: 16 },     // Turn into left aisle
+  { x: -17, z: -6 },     // Turn at back of store
+  { x: 19, z: -6 },      // Across back aisle
+  { x: 19, z: 16 },      // Turn down right aisle
+  { x: 14, z: 16 },      // Turn toward exit
+  { x: 14, z: 21 },      // End (exit)
+];
+
+// Path 2: Complex zigzag through all aisles
+// Follows description: enters left side, zigzags through shelf gaps,
+// crosses back, zigzags through right side, exits
+const path2Waypoints = [
+  // Start and enter store (same as Path 1)
+  { x: -4, z: 26 },       // Start (outside)
+  { x: -4, z: 16 },       // Enter store
+  { x: -17, z: 16 },      // Turn left toward Produce (same as Path 1)
+
+  // 3. Turn right between Shelf A and Deli bins
+  { x: -24, z: 16 },      // West of Shelf A
+
+  // 4. Turn right after Shelf A's end (north end)
+  { x: -24, z: -5 },      // Past A's north end
+
+  // 5. Turn right down aisle between Shelves B & C
+  { x: -17, z: -5 },      // Into B-C gap
+  { x: -17, z: 15 },      // South to C's end
+
+  // 6. Turn left after Shelf C's end
+  // 7. Turn left down aisle between Shelves D & E
+  { x: -11, z: 15 },      // East to D-E gap
+  { x: -11, z: -5 },      // North through D-E gap
+
+  // 8. Turn right after Shelf E's end
+  { x: -2, z: -5 },       // East past Electronics
+
+  // 9. Turn left after Frozen Food bins
+  { x: -2, z: -10 },      // North past Frozen Food
+
+  // 10. Turn right before back shelves (Bikes)
+  { x: 6, z: -10 },       // East along back
+
+  // 11. Turn right before Kid's Clothing bins
+  { x: 6, z: -5 },        // South past back bins
+
+  // 12. Turn left after Kid's Clothing bins
+  { x: 25, z: -5 },       // East to J-K gap area
+
+  // 13. Turn right down aisle between Shelves J & K
+  { x: 25, z: 15 },       // South through J-K gap
+
+  // 14. Turn right after Shelf I's end
+  // 15. Turn right down aisle between H & I
+  { x: 19, z: 15 },       // West to H-I gap
+  { x: 19, z: -5 },       // North through H-I gap
+
+  // 16. Turn left after Shelf H's end
+  // 17. Turn left down aisle between Ladies' Clothing & Shelf H
+  { x: 12, z: -5 },       // West to Ladies'-H gap
+  { x: 12, z: 15 },       // South through gap
+
+  // 18. Turn left after Shelf H's other end
+  { x: 14, z: 15 },       // East toward exit
+
+  // 19. Turn right toward exit (same end as Path 1)
+  { x: 14, z: 21 },       // Exit
+];
+
+// Path 3: Start inside store facing West, go through Home aisle,
+// turn left after C10, around Snacks, across back, down Shoes/Seasonal aisle
+const path3Waypoints = [
+  // 1. Start inside store pointing West
+  { x: -4, z: 16 },       // Start position inside store
+
+  // Turn 1: Go West toward B-C aisle
+  { x: -17, z: 16 },      // Turn 1 (90°) - turn North
+
+  // Turn 2: Go North (up) through B-C aisle
+  { x: -17, z: -7 },      // Turn 2 (90°) - turn West toward Dairy
+
+  // Turn 3: Go West above Dairy
+  { x: -30, z: -7 },      // Turn 3 (90°) - turn North
+
+  // Turn 4: Go North past Snacks (moved up 0.5)
+  { x: -30, z: -16.5 },   // Turn 4 (90°) - turn East
+
+  // Turn 5: Go East along back (moved up 0.5)
+  { x: 2, z: -16.5 },     // Turn 5 (90°) - turn South
+
+  // Turn 6: Go South past Kid's Clothing
+  { x: 2, z: -7 },        // Turn 6 (90°) - turn East
+
+  // Turn 7: Go East to Shoes/Seasonal aisle
+  { x: 19, z: -7 },       // Turn 7 (90°) - turn South
+
+  // End: Go South down Shoes/Seasonal aisle
+  { x: 19, z: 18 },       // Stop just before Vision Center
+];
+
+/**
+ * Hand-authored paths by id
+ */
+export const STORE_PATHS = {
+  path1: path1Waypoints,
+  path2: path2Waypoints,
+  path3: path3Waypoints
+};
@@ -0,0 +1,172 @@
+/**
+ * Picking module
+ * Hover and click detection for the billboard pins
+ *
+ * Pins render with depthTest: false above everything else, so only pin
+ * meshes are tested (shelves never hide them) and the closest pin wins.
+ * Transparent parts of the pin texture are ignored.
+ */
+
+import * as THREE from 'three';
+
+const HOVER_SCALE = 1.12;
+
+/**
+ * Attach hover/click picking for pins to a canvas
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera - Rendering camera
+ * @param {HTMLElement} options.domElement - Renderer canvas
+ * @param {THREE.Group} options.pinsGroup - Group holding the pins (inside the rotating worldGroup)
+ * @param {Object} options.gsap - GSAP instance for the hover highlight
+ * @param {Function} options.onSelect - Called with the clicked pin, or null for empty space
+ * @returns {{getHovered: Function, dispose: Function}}
+ */
+export function createPinPicker({ camera, domElement, pinsGroup, gsap, onSelect }) {
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let hovered = null;
+  let downAt = null;
+
+  function pickAt(clientX, clientY) {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+
+    // Matrices include the worldGroup rotation and this frame's billboarding
+    pinsGroup.updateMatrixWorld(true);
+    const meshes = [];
+    pinsGroup.children.forEach((pin) => {
+      if (isPickable(pin)) meshes.push(pin.userData.pinMesh);
+    });
+
+    const hits = raycaster.intersectObjects(meshes, false);
+    const hit = hits.find(h => isOpaqueAt(h.object.material.map, h.uv));
+    return hit ? hit.object.parent : null;
+  }
+
+  function setHovered(pin) {
+    if (pin === hovered) return;
+    if (hovered) highlight(hovered, false);
+    hovered = pin;
+    if (hovered) highlight(hovered, true);
+    domElement.style.cursor = hovered ? 'pointer' : '';
+  }
+
+  function highlight(pin, on) {
+    const mesh = pin.userData.pinMesh;
+    const scale = on ? HOVER_SCALE : 1;
+    if (gsap) {
+      gsap.to(mesh.scale, { x: scale, y: scale, z: scale, duration: 0.15, ease: 'power2.out' });
+    } else {
+      mesh.scale.setScalar(scale);
+    }
+  }
+
+  const onPointerMove = (event) => {
+    if (event.pointerType === 'touch') return;
+    setHovered(pickAt(event.clientX, event.clientY));
+  };
+
+  const onPointerDown = (event) => {
+    downAt = { x: event.clientX, y: event.clientY };
+  };
+
+  // A click is a press and release without dragging (orbit controls drag)
+  const onPointerUp = (event) => {
+    if (!downAt) return;
+    const moved = Math.hypot(event.clientX - downAt.x, event.clientY - downAt.y);
+    downAt = null;
+    if (moved > 5) return;
+    const pin = pickAt(event.clientX, event.clientY);
+    if (event.pointerType === 'touch') setHovered(pin);
+    if (typeof onSelect === 'function') onSelect(pin);
+  };
+
+  const onPointerLeave = () => setHovered(null);
+
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerdown', onPointerDown);
+  domElement.addEventListener('pointerup', onPointerUp);
+  domElement.addEventListener('pointerleave', onPointerLeave);
+
+  return {
+    getHovered: () => hovered,
+    dispose() {
+      setHovered(null);
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerdown', onPointerDown);
+      domElement.removeEventListener('pointerup', onPointerUp);
+      domElement.removeEventListener('pointerleave', onPointerLeave);
+    }
+  };
+}
+
+/**
+ * Screen position of the top of a pin, in CSS pixels relative to the canvas
+ * @param {THREE.Object3D} pin - Pin group
+ * @param {THREE.Camera} camera - Rendering camera
+ * @param {HTMLElement} domElement - Renderer canvas
+ * @returns {{x: number, y: number, onScreen: boolean}}
+ */
+export function projectPinTop(pin, camera, domElement) {
+  const mesh = pin.userData.pinMesh || pin;
+  const height = mesh.geometry && mesh.geometry.parameters ? mesh.geometry.parameters.height : 0;
+
+  // Billboards face the camera, so the pin's top is along the camera's up axis
+  const top = new THREE.Vector3();
+  pin.getWorldPosition(top);
+  const worldScale = new THREE.Vector3();
+  pin.getWorldScale(worldScale);
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+  top.addScaledVector(up, (height / 2) * worldScale.y);
+
+  top.project(camera);
+  const rect = domElement.getBoundingClientRect();
+  return {
+    x: rect.left + (top.x + 1) / 2 * rect.width,
+    y: rect.top + (1 - top.y) / 2 * rect.height,
+    onScreen: top.z < 1 && Math.abs(top.x) <= 1 && Math.abs(top.y) <= 1
+  };
+}
+
+/**
+ * Whether a pin can currently be seen (and so picked)
+ */
+export function isPickable(pin) {
+  if (!pin.userData || !pin.userData.pinMesh || pin.userData.isHidden) return false;
+  if (pin.scale.x < 0.01) return false;
+  let object = pin;
+  while (object) {
+    if (!object.visible) return false;
+    object = object.parent;
+  }
+  return true;
+}
+
+// Alpha of canvas textures, read once per texture
+const alphaCache = new WeakMap();
+
+function isOpaqueAt(texture, uv) {
+  if (!texture || !uv || !texture.image || !texture.image.getContext) return true;
+  let cached = alphaCache.get(texture);
+  if (!cached) {
+    const canvas = texture.image;
+    try {
+      cached = {
+        width: canvas.width,
+        height: canvas.height,
+        data: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data
+      };
+    } catch (e) {
+      // Unreadable canvas: treat the whole quad as solid
+      cached = { width: 0, height: 0, data: null };
+    }
+    alphaCache.set(texture, cached);
+  }
+  if (!cached.data) return true;
+
+  const x = Math.min(cached.width - 1, Math.floor(uv.x * cached.width));
+  const y = Math.min(cached.height - 1, Math.floor((texture.flipY ? 1 - uv.y : uv.y) * cached.height));
+  return cached.data[(y * cached.width + x) * 4 + 3] > 32;
+}
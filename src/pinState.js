@@ -0,0 +1,331 @@
+/**
+ * Pin state module
+ * The rules that take a shopping list pin from hidden to shown, badge shown
+ * and done as shoppers walk, without three.js, timers or tweens: the
+ * animator describes its pins and shoppers, and plays out the effects these
+ * functions decide
+ *
+ * A rule is a trigger and its effects (see pinRules for the shopping list
+ * form):
+ *   { trigger, value, effects: { reveal, badge, pause, done }, paths }
+ * trigger is one of PIN_TRIGGERS, value its distance, label, count or ms;
+ * effects holds only the effects the rule has (pause and done in ms); paths
+ * is the list of path ids the rule is limited to (or null)
+ *
+ * A pin as seen here:
+ *   { key, label, item, x, z, isHidden, isDone, isHeart, rules, hasBadge,
+ *     badgeVisible, scannedBy }
+ * key identifies the pin to the caller, item is the shopping list label (a
+ * heart pin's is the pin it stands in for), scannedBy the id of a shopper
+ * whose replayed trace has scanned the item by now (or null)
+ *
+ * A shopper: { id, x, z, progress, pins, replaysScans, milestones }
+ * pins is the Set of items it picks up (null: whatever nobody else owns),
+ * replaysScans is true when logged scans decide its pickups, milestones is a
+ * Map of pin key -> pinMilestones (only needed for pinStatesAt)
+ *
+ * Rules are checked against a context:
+ *   { done, time, elapsed, pathId }
+ * done is the Set of shopping list labels checked off, time the journey
+ * time (ms at 1x), elapsed the ms since the store loaded and pathId the path
+ * being shown
+ */
+
+// A shopper within this distance picks the item up (store units)
+export const PIN_DONE_RADIUS = 4;
+// A pin's savings badge pops within this distance
+export const PIN_BADGE_RADIUS = 6;
+// Pause at a pin, and delay before it is checked off (ms at 1x speed)
+export const PIN_PAUSE_MS = 2000;
+export const PIN_DONE_DELAY_MS = 800;
+
+/**
+ * Triggers:
+ *   near        the shopper who picks the item up is within value units
+ *   anyoneNear  any shopper is within value units
+ *   after       the item labelled value is done
+ *   doneCount   value shopping list items are done
+ *   time        value ms into the journey (at 1x speed)
+ *   delay       value ms after the store loaded
+ */
+export const PIN_TRIGGERS = ['near', 'anyoneNear', 'after', 'doneCount', 'time', 'delay'];
+
+// Triggers met at a distance: a pause on one stops the shopper who gets
+// there first, where others hold everyone wherever they are (pacing.js)
+export const PIN_DISTANCE_TRIGGERS = ['near', 'anyoneNear'];
+
+// Triggers a journey can't plan for, as the store loading isn't on its
+// clock: they can't pause, and count as met from the start when planning
+export const PIN_UNPLANNED_TRIGGERS = ['delay'];
+
+/**
+ * Effects, in the order they are played, with the value a bare name gets:
+ *   reveal  a hidden pin springs into view
+ *   badge   the savings badge pops
+ *   pause   every shopper waits this many ms (once per pin; planned before
+ *           the journey plays, so not on a delay trigger)
+ *   done    the pin is checked off this many ms later
+ */
+export const PIN_EFFECTS = {
+  reveal: true,
+  badge: true,
+  pause: PIN_PAUSE_MS,
+  done: PIN_DONE_DELAY_MS
+};
+
+// Rules every pin has, each unless the pin has its own rule with that effect
+// for every path (a rule limited to some paths is checked first on those)
+const DEFAULT_RULES = [
+  { when: { near: PIN_BADGE_RADIUS }, then: 'badge' },
+  { when: { near: PIN_DONE_RADIUS }, then: 'pause' },
+  { when: { near: PIN_DONE_RADIUS }, then: 'done' }
+];
+
+// Old-style reveal keys and the triggers they stand for
+const REVEAL_TRIGGERS = {
+  onProximity: 'anyoneNear',
+  after: 'after',
+  afterDelay: 'delay'
+};
+
+/**
+ * A shopping list item's rules: its own, its reveal keys as reveal rules,
+ * then the default badge, pause and done rules it doesn't override. Rules
+ * are checked in this order; the first met decides an effect's value
+ * In the list a rule reads
+ *   { "when": { "doneCount": 3 }, "then": ["reveal"], "paths": ["path2"] }
+ * with one trigger in when, and then an effect name, a list of them, or an
+ * object of effect -> ms ({ "pause": 3000, "done": 800 })
+ * @param {Object} item - Validated shopping list item (see shoppingList.js)
+ * @returns {Object[]} Rules
+ */
+export function pinRules(item = {}) {
+  const rules = (item.rules || []).map(compileRule);
+  Object.entries(item.reveal || {}).forEach(([key, value]) => {
+    rules.push({ trigger: REVEAL_TRIGGERS[key], value, effects: { reveal: true }, paths: null });
+  });
+  DEFAULT_RULES.map(compileRule).forEach((rule) => {
+    const [effect] = Object.keys(rule.effects);
+    if (!rules.some(own => effect in own.effects && !own.paths)) rules.push(rule);
+  });
+  return rules;
+}
+
+function compileRule({ when, then, paths }) {
+  const [trigger] = Object.keys(when);
+  const effects = {};
+  if (typeof then === 'string' || Array.isArray(then)) {
+    [].concat(then).forEach((effect) => {
+      effects[effect] = PIN_EFFECTS[effect];
+    });
+  } else {
+    Object.entries(then).forEach(([effect, value]) => {
+      effects[effect] = value === true ? PIN_EFFECTS[effect] : value;
+    });
+  }
+  return { trigger, value: when[trigger], effects, paths: paths || null };
+}
+
+/**
+ * What planning a journey needs of a pin's rules on a path (pacing.js): the
+ * triggers that reveal it (null: it starts shown), check it off and make
+ * everyone wait, each { trigger, value } and the pauses with their ms
+ * @param {Object} pin - Pin (rules)
+ * @param {string} pathId - Path being shown
+ * @returns {{reveal: Object[]|null, done: Object[], pause: Object[]}}
+ */
+export function pinSchedule(pin, pathId) {
+  const triggers = effect => pin.rules
+    .filter(rule => effect in rule.effects && (!rule.paths || rule.paths.includes(pathId)))
+    .map(({ trigger, value, effects }) => ({ trigger, value, ms: effects[effect] }));
+  return {
+    reveal: startsHidden(pin.rules) ? triggers('reveal').map(({ trigger, value }) => ({ trigger, value })) : null,
+    done: triggers('done').map(({ trigger, value }) => ({ trigger, value })),
+    pause: triggers('pause').filter(({ trigger, ms }) => ms > 0 && !PIN_UNPLANNED_TRIGGERS.includes(trigger))
+  };
+}
+
+/**
+ * Whether a pin starts hidden: it has a rule that reveals it
+ * @param {Object[]} rules - Pin rules
+ * @returns {boolean}
+ */
+export function startsHidden(rules) {
+  return rules.some(rule => 'reveal' in rule.effects);
+}
+
+/**
+ * Whether a shopper picks up an item: its own items when it has a list,
+ * otherwise every item no shopper has on their list
+ * @param {Object} shopper - Shopper
+ * @param {string} item - Shopping list label
+ * @param {Object[]} shoppers - Every shopper
+ * @returns {boolean}
+ */
+export function canPickUp(shopper, item, shoppers) {
+  if (shopper.pins) return shopper.pins.has(item);
+  return !shoppers.some(other => other.pins && other.pins.has(item));
+}
+
+/**
+ * One frame of a pin's rules while the journey plays
+ * @param {Object} pin - Pin
+ * @param {Object[]} shoppers - Shoppers with their current x, z
+ * @param {Object} context - done, time, elapsed, pathId (see above), and
+ *   timing: the pin is already being checked off
+ * @returns {{distance: number, picker: Object|null, pickDistance: number,
+ *   scanned: boolean, effects: Array<{effect: string, value: *, trigger: string}>}}
+ *   distance: to the nearest shopper; picker: nearest shopper who picks the
+ *   item up; scanned: check the pin off now (scannedBy's scan); effects: what
+ *   the rules whose triggers are met do this frame, in PIN_EFFECTS order
+ */
+export function stepPin(pin, shoppers, context = {}) {
+  const step = {
+    distance: Infinity,
+    picker: null,
+    pickDistance: Infinity,
+    scanned: false,
+    effects: []
+  };
+
+  // Nearest shopper reveals the pin; only a shopper it belongs to picks it up
+  shoppers.forEach((shopper) => {
+    const distance = Math.hypot(shopper.x - pin.x, shopper.z - pin.z);
+    step.distance = Math.min(step.distance, distance);
+    if (distance < step.pickDistance && canPickUp(shopper, pin.item, shoppers)) {
+      step.pickDistance = distance;
+      step.picker = shopper;
+    }
+  });
+
+  const fire = (effect) => {
+    const rule = firstRuleMet(pin, effect, {
+      ...context,
+      pickerWithin: radius => step.pickDistance <= radius,
+      anyoneWithin: radius => step.distance <= radius
+    });
+    if (rule) step.effects.push({ effect, value: rule.effects[effect], trigger: rule.trigger });
+    return rule;
+  };
+
+  let hidden = pin.isHidden;
+  if (hidden && fire('reveal')) hidden = false;
+  if (hidden || pin.isDone) return step;
+
+  if (pin.hasBadge && !pin.badgeVisible) fire('badge');
+  if (context.timing) return step;
+
+  // Recorded scans check items off at the logged time, and shoppers
+  // replaying scans don't pick up otherwise
+  if (pin.scannedBy) {
+    step.scanned = true;
+    return step;
+  }
+  if (!step.picker || step.picker.replaysScans) return step;
+
+  fire('pause');
+  fire('done');
+  return step;
+}
+
+/**
+ * Where along a path a pin's distance triggers fire: the first progress
+ * (0-1) within each of their distances, Infinity if never
+ * @param {Array<{x: number, z: number}>} points - Path points at even arc length, start to end
+ * @param {Object} pin - Pin (x, z, rules)
+ * @returns {Map} distance -> progress
+ */
+export function pinMilestones(points, pin) {
+  const firstWithin = (radius) => {
+    for (let i = 0; i < points.length; i++) {
+      const dx = points[i].x - pin.x;
+      const dz = points[i].z - pin.z;
+      if (dx * dx + dz * dz <= radius * radius) return i / Math.max(1, points.length - 1);
+    }
+    return Infinity;
+  };
+  const milestones = new Map();
+  pin.rules.forEach(({ trigger, value }) => {
+    if ((trigger === 'near' || trigger === 'anyoneNear') && !milestones.has(value)) {
+      milestones.set(value, firstWithin(value));
+    }
+  });
+  return milestones;
+}
+
+/**
+ * Every pin's state at the shoppers' current progress, as if the journey
+ * had played up to there (seeking)
+ * @param {Object[]} pins - Every pin
+ * @param {Object[]} shoppers - Shoppers with progress and milestones
+ * @param {Object} context - time, elapsed, pathId (see above)
+ * @returns {Map} pin key -> { hidden, doneBy (shopper id or null), badgeVisible }
+ */
+export function pinStatesAt(pins, shoppers, context = {}) {
+  const done = new Set();
+  let states = new Map();
+
+  // Pins done can reveal or check off others (after, doneCount): go round
+  // until nothing more is done
+  let count = -1;
+  while (done.size > count) {
+    count = done.size;
+    states = new Map();
+    pins.forEach((pin) => {
+      const state = pinStateAt(pin, shoppers, { ...context, done });
+      states.set(pin.key, state);
+      if (state.doneBy && !pin.isHeart) done.add(pin.label);
+    });
+  }
+  return states;
+}
+
+function pinStateAt(pin, shoppers, context) {
+  const pickers = shoppers.filter(shopper => canPickUp(shopper, pin.item, shoppers));
+  const reached = (shopper, radius) => {
+    const milestones = shopper.milestones.get(pin.key);
+    return Boolean(milestones) && shopper.progress >= milestones.get(radius);
+  };
+  const ruleFor = (effect, list) => firstRuleMet(pin, effect, {
+    ...context,
+    pickerWithin: radius => list.some(shopper => reached(shopper, radius)),
+    anyoneWithin: radius => shoppers.some(shopper => reached(shopper, radius))
+  });
+
+  // Pins without reveal rules keep their hidden state. A logged scan or the
+  // first of the item's own shoppers whose done rule is met picks it up
+  const revealed = startsHidden(pin.rules) ? Boolean(ruleFor('reveal', pickers)) : !pin.isHidden;
+  let doneBy = null;
+  if (revealed) {
+    const picker = pickers.find(shopper => !shopper.replaysScans && ruleFor('done', [shopper]));
+    doneBy = pin.scannedBy || (picker ? picker.id : null);
+  }
+
+  return {
+    hidden: !revealed,
+    doneBy,
+    badgeVisible: revealed && !doneBy && pin.hasBadge && Boolean(ruleFor('badge', pickers))
+  };
+}
+
+// First of a pin's rules with an effect whose trigger is met
+function firstRuleMet(pin, effect, context) {
+  return pin.rules.find(rule => effect in rule.effects && ruleMet(rule, context)) || null;
+}
+
+// Whether a trigger is met, by trigger name (value: the rule's value)
+// context: done, time, elapsed, pathId, and pickerWithin(radius) and
+// anyoneWithin(radius) for the distance triggers
+const TRIGGER_MET = {
+  near: (value, context) => context.pickerWithin(value),
+  anyoneNear: (value, context) => context.anyoneWithin(value),
+  after: (value, context) => Boolean(context.done) && context.done.has(value),
+  doneCount: (value, context) => Boolean(context.done) && context.done.size >= value,
+  time: (value, context) => (context.time || 0) >= value,
+  delay: (value, context) => (context.elapsed || 0) >= value
+};
+
+function ruleMet(rule, context) {
+  if (rule.paths && !rule.paths.includes(context.pathId)) return false;
+  return TRIGGER_MET[rule.trigger](rule.value, context);
+}
@@ -0,0 +1,250 @@
+/**
+ * Print map module
+ * A printable store map as an SVG document: walls, shelves and bins from the
+ * floor plan, section labels, the route and numbered pins, with a pick list
+ * legend of items and savings beside the map
+ *
+ * Sized in millimetres for landscape letter or A4 paper; print it (or save
+ * it as PDF from the print dialog) at 100% scale.
+ */
+
+import { getFootprints } from './floorplan.js';
+import { FEET_PER_UNIT } from './directions.js';
+
+// Landscape page sizes in millimetres
+export const PAPER_SIZES = {
+  letter: { width: 279.4, height: 215.9, label: 'Letter' },
+  a4: { width: 297, height: 210, label: 'A4' }
+};
+
+// Same palette as the minimap, darkened for paper
+const COLORS = {
+  floor: '#F5F3EE',
+  wall: '#8F8A83',
+  shelf: '#DDDAD4',
+  outline: '#9D988F',
+  label: '#4A4A4A',
+  path: '#4FA8E0',
+  pin: '#0062AD',
+  pinDone: '#2E7D32',
+  favorite: '#C40808',
+  title: '#004F9A',
+  muted: '#666666'
+};
+
+// Page layout (mm)
+const PAGE_MARGIN = 12;
+const HEADER_HEIGHT = 16;
+const LEGEND_WIDTH = 72;
+const LEGEND_GAP = 8;
+const LEGEND_ROW = 6.5;
+// Space around the store on the map (store units; paths start outside the doors)
+const MAP_MARGIN = 4;
+// A pin further than this from the route is listed after the route's pins
+const ROUTE_REACH = 6;
+
+/**
+ * Build the map
+ * @param {Object} options
+ * @param {Object} options.floorPlan - Validated floor plan
+ * @param {Array<{label: string, x: number, z: number, savings: string, isGift: boolean,
+ *   isDone: boolean, isFavorite: boolean}>} options.pins - Pins in shopping list order
+ * @param {Array<{x: number, z: number}>} options.path - Route points in walking order; null for no route
+ * @param {string} options.title - Heading (defaults to the store name)
+ * @param {string} options.subtitle - Line under the heading
+ * @param {string} options.paper - 'letter' or 'a4'
+ * @returns {string} SVG document
+ */
+export function buildStoreMapSvg({ floorPlan, pins = [], path = null, title = '', subtitle = '', paper = 'letter' }) {
+  const page = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+  const { width: storeWidth, depth: storeDepth } = floorPlan.dimensions;
+
+  // Fit the store into the area left of the legend
+  const area = {
+    x: PAGE_MARGIN,
+    y: PAGE_MARGIN + HEADER_HEIGHT,
+    width: page.width - PAGE_MARGIN * 2 - LEGEND_WIDTH - LEGEND_GAP,
+    height: page.height - PAGE_MARGIN * 2 - HEADER_HEIGHT
+  };
+  const boundsWidth = storeWidth + MAP_MARGIN * 2;
+  const boundsDepth = storeDepth + MAP_MARGIN * 2;
+  const scale = Math.min(area.width / boundsWidth, area.height / boundsDepth);
+  const originX = area.x + (area.width - boundsWidth * scale) / 2 + (MAP_MARGIN + storeWidth / 2) * scale;
+  const originY = area.y + (area.height - boundsDepth * scale) / 2 + (MAP_MARGIN + storeDepth / 2) * scale;
+  const toX = x => round(originX + x * scale);
+  const toY = z => round(originY + z * scale);
+
+  const ordered = orderPins(pins, path);
+  const parts = [];
+
+  // Store
+  parts.push(`<rect x="${toX(-storeWidth / 2)}" y="${toY(-storeDepth / 2)}" width="${round(storeWidth * scale)}" height="${round(storeDepth * scale)}" fill="${COLORS.floor}"/>`);
+  getFootprints(floorPlan).forEach((footprint) => {
+    const wall = footprint.kind === 'wall';
+    parts.push(`<rect x="${toX(footprint.minX)}" y="${toY(footprint.minZ)}" width="${round((footprint.maxX - footprint.minX) * scale)}" height="${round((footprint.maxZ - footprint.minZ) * scale)}" fill="${wall ? COLORS.wall : COLORS.shelf}"${wall ? '' : ` stroke="${COLORS.outline}" stroke-width="0.2"`}/>`);
+  });
+  (floorPlan.entrances || []).forEach((entrance) => {
+    parts.push(`<text x="${toX(entrance.x)}" y="${round(toY(storeDepth / 2) + 3.2)}" font-size="2.6" fill="${COLORS.muted}" text-anchor="middle">▲ Entrance</text>`);
+  });
+
+  // Section labels
+  (floorPlan.sectionLabels || []).forEach((label) => {
+    const lines = label.text.split('\n');
+    const fontSize = 2.4;
+    const top = toY(label.z) - ((lines.length - 1) * fontSize * 1.1) / 2;
+    const spans = lines.map((line, i) => (
+      `<tspan x="${toX(label.x)}" y="${round(top + i * fontSize * 1.1)}">${escapeXml(line.trim())}</tspan>`
+    )).join('');
+    parts.push(`<text font-size="${fontSize}" font-weight="bold" fill="${COLORS.label}" text-anchor="middle" dominant-baseline="middle">${spans}</text>`);
+  });
+
+  // Route
+  if (path && path.length > 1) {
+    const points = path.map(point => `${toX(point.x)},${toY(point.z)}`).join(' ');
+    const start = path[0];
+    const end = path[path.length - 1];
+    parts.push(`<polyline points="${points}" fill="none" stroke="${COLORS.path}" stroke-width="${round(0.9 * scale)}" stroke-linecap="round" stroke-linejoin="round"/>`);
+    parts.push(`<circle cx="${toX(start.x)}" cy="${toY(start.z)}" r="1.6" fill="white" stroke="${COLORS.title}" stroke-width="0.6"/>`);
+    parts.push(`<circle cx="${toX(end.x)}" cy="${toY(end.z)}" r="1.6" fill="${COLORS.title}"/>`);
+  }
+
+  // Numbered pins
+  ordered.forEach((pin, i) => {
+    const color = pin.isDone ? COLORS.pinDone : pin.isFavorite ? COLORS.favorite : COLORS.pin;
+    parts.push(`<g><circle cx="${toX(pin.x)}" cy="${toY(pin.z)}" r="2.4" fill="${color}" stroke="white" stroke-width="0.4"/><text x="${toX(pin.x)}" y="${toY(pin.z)}" font-size="2.6" font-weight="bold" fill="white" text-anchor="middle" dominant-baseline="central">${i + 1}</text></g>`);
+  });
+
+  // Heading
+  parts.push(`<text x="${PAGE_MARGIN}" y="${PAGE_MARGIN + 6}" font-size="7" font-weight="bold" fill="${COLORS.title}">${escapeXml(title || floorPlan.name || 'Store map')}</text>`);
+  if (subtitle) {
+    parts.push(`<text x="${PAGE_MARGIN}" y="${PAGE_MARGIN + 12}" font-size="3.5" fill="${COLORS.muted}">${escapeXml(subtitle)}</text>`);
+  }
+
+  parts.push(buildLegend(ordered, path, page));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${page.width}mm" height="${page.height}mm" viewBox="0 0 ${page.width} ${page.height}" font-family="Arial, Helvetica, sans-serif">`,
+    `<rect width="${page.width}" height="${page.height}" fill="white"/>`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Open the map in a new window sized for the paper and print it (the print
+ * dialog can also save a PDF)
+ * @param {string} svg - From buildStoreMapSvg
+ * @param {string} paper - 'letter' or 'a4'
+ * @returns {boolean} False when the window was blocked
+ */
+export function printStoreMap(svg, paper = 'letter') {
+  const page = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  const markup = svg.replace(/^<\?xml[^>]*>\s*/, '');
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<title>Store map</title>
+<style>
+  @page { size: ${page.width}mm ${page.height}mm; margin: 0; }
+  html, body { margin: 0; padding: 0; }
+  svg { display: block; }
+</style>
+</head>
+<body>${markup}</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+}
+
+// ============================================
+// Legend
+// ============================================
+
+// Pick list: number, aisle, savings and a tick box per pin, then the route length
+function buildLegend(pins, path, page) {
+  const x = page.width - PAGE_MARGIN - LEGEND_WIDTH;
+  let y = PAGE_MARGIN + HEADER_HEIGHT;
+  const bottom = page.height - PAGE_MARGIN - (path ? 10 : 0);
+  const row = Math.min(LEGEND_ROW, (bottom - y - 8) / Math.max(1, pins.length));
+  const fontSize = Math.min(3.4, row * 0.55);
+  const parts = [];
+
+  parts.push(`<text x="${x}" y="${y + 4}" font-size="4.5" font-weight="bold" fill="${COLORS.title}">Pick list</text>`);
+  y += 8;
+
+  pins.forEach((pin, i) => {
+    const cy = round(y + row / 2);
+    const color = pin.isDone ? COLORS.pinDone : pin.isFavorite ? COLORS.favorite : COLORS.pin;
+    const details = [pin.savings, pin.isGift ? 'Gift' : ''].filter(Boolean).join(' · ');
+    parts.push(`<circle cx="${x + 2.4}" cy="${cy}" r="${round(Math.min(2.4, row * 0.4))}" fill="${color}"/>`);
+    parts.push(`<text x="${x + 2.4}" y="${cy}" font-size="${round(fontSize * 0.8)}" font-weight="bold" fill="white" text-anchor="middle" dominant-baseline="central">${i + 1}</text>`);
+    parts.push(`<text x="${x + 7}" y="${cy}" font-size="${round(fontSize)}" font-weight="bold" fill="#1a1a1a" dominant-baseline="central">Aisle ${escapeXml(pin.label)}</text>`);
+    if (details) {
+      parts.push(`<text x="${x + 30}" y="${cy}" font-size="${round(fontSize * 0.9)}" fill="${COLORS.favorite}" dominant-baseline="central">${escapeXml(details)}</text>`);
+    }
+    // Tick box for ticking items off on paper
+    const box = round(Math.min(3.4, row * 0.55));
+    parts.push(`<rect x="${x + LEGEND_WIDTH - box}" y="${round(cy - box / 2)}" width="${box}" height="${box}" fill="none" stroke="${COLORS.outline}" stroke-width="0.3"/>`);
+    if (pin.isDone) {
+      parts.push(`<text x="${round(x + LEGEND_WIDTH - box / 2)}" y="${cy}" font-size="${box}" fill="${COLORS.pinDone}" text-anchor="middle" dominant-baseline="central">✓</text>`);
+    }
+    y += row;
+  });
+
+  if (path && path.length > 1) {
+    const feet = Math.round(polylineLength(path) * FEET_PER_UNIT);
+    const legendY = page.height - PAGE_MARGIN - 4;
+    parts.push(`<line x1="${x}" y1="${legendY}" x2="${x + 8}" y2="${legendY}" stroke="${COLORS.path}" stroke-width="2" stroke-linecap="round"/>`);
+    parts.push(`<text x="${x + 11}" y="${legendY}" font-size="3.2" fill="#1a1a1a" dominant-baseline="central">Route · about ${feet} ft</text>`);
+  }
+  return parts.join('\n');
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+// Pins near the route in the order it passes them, then the rest in list order
+function orderPins(pins, path) {
+  if (!path || path.length < 2) return pins.slice();
+  const placed = pins.map((pin, index) => {
+    let best = Infinity;
+    let along = 0;
+    path.forEach((point, i) => {
+      const distance = Math.hypot(point.x - pin.x, point.z - pin.z);
+      if (distance < best) {
+        best = distance;
+        along = i;
+      }
+    });
+    return { pin, index, along: best <= ROUTE_REACH ? along : Infinity };
+  });
+  placed.sort((a, b) => (a.along - b.along) || (a.index - b.index));
+  return placed.map(entry => entry.pin);
+}
+
+function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+  }
+  return length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
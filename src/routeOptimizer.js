@@ -0,0 +1,178 @@
+/**
+ * Route optimizer module
+ * Orders shopping list stops by walking distance (travelling-salesman heuristic)
+ * with fixed entrance and checkout endpoints
+ */
+
+import {
+  DEFAULT_REACH,
+  distanceToPolyline,
+  findRoute,
+  nearestWalkableCell,
+  reachCells,
+  routeLength,
+  walkingDistances
+} from './pathfinding.js';
+import { DEFAULT_PACING } from './pacing.js';
+import { PIN_PAUSE_MS, PIN_DONE_RADIUS } from './pinState.js';
+
+// Defaults match the journey animation's walking speed, default pin pause and
+// done radius (its slow-downs near pins and in corners are left out)
+const DEFAULT_WALK_SPEED = DEFAULT_PACING.speed;
+const DEFAULT_DWELL_SECONDS = PIN_PAUSE_MS / 1000;
+const DEFAULT_DONE_RADIUS = PIN_DONE_RADIUS;
+
+/**
+ * Find a near-optimal visiting order and build the route for it
+ * Nearest-neighbour tour improved with 2-opt; start and end stay fixed
+ * @param {Object} grid - Grid from createNavGrid
+ * @param {{x: number, z: number}} start - Entrance point
+ * @param {Array<{x: number, z: number}>} stops - Pins to visit, in any order
+ * @param {{x: number, z: number}} end - Checkout point
+ * @param {Object} options - reach (see findRoute), walkSpeed, dwellSeconds, doneRadius
+ * @returns {Object|null} { order, stops, waypoints, distance, duration, pinsVisited }
+ */
+export function optimizeRoute(grid, start, stops, end, options = {}) {
+  const { reach = DEFAULT_REACH } = options;
+  const points = [start, ...stops, end];
+  const last = points.length - 1;
+
+  // findRoute walks each leg from where the last one reached its stop to
+  // the first cell within reach of the next, so stops are measured the same
+  // way: between the cells within reach of each (entrance and checkout are
+  // exact points)
+  const areas = points.map((point, i) => {
+    if (i > 0 && i < last) return reachCells(grid, point, reach);
+    const cell = nearestWalkableCell(grid, point);
+    return cell === -1 ? [] : [cell];
+  });
+  if (areas.some(area => area.length === 0)) {
+    console.warn('optimizeRoute: a stop has no walkable cell nearby');
+    return null;
+  }
+
+  // Walking distance between every pair of stops
+  const matrix = areas.map((area) => {
+    const field = walkingDistances(grid, area);
+    return areas.map(other => Math.min(...other.map(cell => field[cell])));
+  });
+
+  const unreachable = matrix[0].findIndex(d => d === Infinity);
+  if (unreachable !== -1) {
+    console.warn('optimizeRoute: unreachable stop', points[unreachable]);
+    return null;
+  }
+
+  const order = twoOpt(matrix, nearestNeighbourOrder(matrix));
+  const orderedStops = order.map(i => stops[i - 1]);
+  const waypoints = findRoute(grid, start, orderedStops, end, options);
+  if (!waypoints) return null;
+
+  return {
+    order: order.map(i => i - 1),
+    stops: orderedStops,
+    waypoints,
+    ...estimateRoute(waypoints, stops, options)
+  };
+}
+
+/**
+ * Estimate how long a route takes to walk
+ * @param {Array<{x: number, z: number}>} waypoints - Route polyline
+ * @param {Array<{x: number, z: number}>} pins - Pins that may be passed
+ * @param {Object} options - walkSpeed (units/s), dwellSeconds per pin, doneRadius
+ * @returns {{distance: number, duration: number, pinsVisited: number}}
+ */
+export function estimateRoute(waypoints, pins, options = {}) {
+  const {
+    walkSpeed = DEFAULT_WALK_SPEED,
+    dwellSeconds = DEFAULT_DWELL_SECONDS,
+    doneRadius = DEFAULT_DONE_RADIUS
+  } = options;
+
+  const distance = routeLength(waypoints);
+  const pinsVisited = pins.filter(pin => distanceToPolyline(pin, waypoints) <= doneRadius).length;
+
+  return {
+    distance,
+    duration: distance / walkSpeed + pinsVisited * dwellSeconds,
+    pinsVisited
+  };
+}
+
+/**
+ * Compare an optimized route with a reference route (e.g. the hand-authored path3)
+ * @param {Object} optimized - Result of optimizeRoute or estimateRoute
+ * @param {Object} reference - Result of estimateRoute
+ * @param {number} pinCount - Pins on the shopping list, for the "visited" counts
+ * @returns {{distanceSaved: number, timeSaved: number, summary: string}}
+ */
+export function compareRoutes(optimized, reference, pinCount) {
+  const distanceSaved = reference.distance - optimized.distance;
+  const timeSaved = reference.duration - optimized.duration;
+  const summary =
+    `Optimized: ${optimized.distance.toFixed(1)} units, ${formatDuration(optimized.duration)}, ` +
+    `${optimized.pinsVisited}/${pinCount} pins | ` +
+    `Reference: ${reference.distance.toFixed(1)} units, ${formatDuration(reference.duration)}, ` +
+    `${reference.pinsVisited}/${pinCount} pins`;
+
+  return { distanceSaved, timeSaved, summary };
+}
+
+// ============================================
+// Tour heuristics
+// Node 0 is the entrance, the last node is the checkout
+// ============================================
+
+function nearestNeighbourOrder(matrix) {
+  const last = matrix.length - 1;
+  const remaining = new Set();
+  for (let i = 1; i < last; i++) remaining.add(i);
+
+  const order = [];
+  let current = 0;
+  while (remaining.size > 0) {
+    let best = -1;
+    remaining.forEach((i) => {
+      if (best === -1 || matrix[current][i] < matrix[current][best]) best = i;
+    });
+    order.push(best);
+    remaining.delete(best);
+    current = best;
+  }
+  return order;
+}
+
+// Reverse sub-sequences while that shortens the tour
+function twoOpt(matrix, order) {
+  const last = matrix.length - 1;
+  const tour = [0, ...order, last];
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < tour.length - 2; i++) {
+      for (let k = i + 1; k < tour.length - 1; k++) {
+        const before = matrix[tour[i - 1]][tour[i]] + matrix[tour[k]][tour[k + 1]];
+        const after = matrix[tour[i - 1]][tour[k]] + matrix[tour[i]][tour[k + 1]];
+        if (after < before - 1e-6) {
+          const reversed = tour.slice(i, k + 1).reverse();
+          tour.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return tour.slice(1, -1);
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return `${minutes}m ${String(rest).padStart(2, '0')}s`;
+}
@@ -1,10 +1,18 @@
 /**
  * Scene creation module
  * Creates the Sam's Club store environment with geometry, paths, and shopper
- * Layout matches Store Journey-top-down.png exactly
+ * Layout is read from a floor-plan file (data/floorplans/sams-club.json)
  */
 
 import * as THREE from 'three';
+import { expandBinGrid } from './floorplan.js';
+import { STORE_PATHS, CORNER_RADIUS } from './paths.js';
+import { roundCorners, buildRibbonVertices } from './pathMath.js';
+import { pinRules, startsHidden } from './pinState.js';
+import { createNavGrid } from './pathfinding.js';
+import { optimizeRoute, estimateRoute, compareRoutes } from './routeOptimizer.js';
+import { buildDirections } from './directions.js';
+import { random, setTimer, clearTimer } from './clock.js';
 
 // ============================================
 // Constants - Sam's Club Blue (matching logo SVG exactly)
@@ -13,19 +21,15 @@ const SAMS_BLUE = 0x0062AD;
 const SAMS_BLUE_HEX = '#0062AD';
 // Alternative blues from marker gradient: #3D90EC (light) to #235286 (dark)
 
-// Store dimensions - wider to accommodate all elements without overlap
-const STORE_WIDTH = 68;
-const STORE_DEPTH = 46;
-const WALL_HEIGHT = 5;
-const AISLE_SHELF_HEIGHT = 2.8;
-const BIN_HEIGHT = 1.6;
-
 // Colors matching Apple Maps subtle warm gray tones (halved darkness)
 const FLOOR_COLOR = 0xF5F3EE;      // Very light cream (Apple Maps ground)
 const WALL_COLOR = 0xFDFCFB;       // Near white (halved darkness)
 const SHELF_COLOR = 0xF2F1EF;      // Very light warm gray (halved darkness)
 const BIN_COLOR = 0xF2F1EF;        // Same as shelves
 
+// Heart pins sit this far right of the pin they replace (Heart.svg is off-center)
+const HEART_PIN_OFFSET_X = 1;
+
 // ============================================
 // Helper: Create text texture for shelf labels
 // ============================================
@@ -344,20 +348,20 @@ function createFloatingHeartsAura(parentGroup, gsapRef, heartTextureParam = null
     heart.userData.active = true;
     
     // Random starting position around the pin
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 0.3 + Math.random() * 0.4;
+    const angle = random() * Math.PI * 2;
+    const radius = 0.3 + random() * 0.4;
     const startX = Math.cos(angle) * radius;
     const startZ = Math.sin(angle) * radius;
-    const startY = 0.5 + Math.random() * 0.5;
+    const startY = 0.5 + random() * 0.5;
     
     heart.position.set(startX, startY, startZ);
-    heart.scale.set(0.6 + Math.random() * 0.6, 0.6 + Math.random() * 0.6, 1);
+    heart.scale.set(0.6 + random() * 0.6, 0.6 + random() * 0.6, 1);
     heart.material.opacity = 0;
     
     // Float up and fade animation (shorter, limited to 2 units rise)
-    const duration = 1.2 + Math.random() * 0.8;
-    const floatHeight = 1.5 + Math.random() * 0.5;  // Max 2 units
-    const drift = (Math.random() - 0.5) * 1;
+    const duration = 1.2 + random() * 0.8;
+    const floatHeight = 1.5 + random() * 0.5;  // Max 2 units
+    const drift = (random() - 0.5) * 1;
     
     gsapRef.timeline()
       .to(heart.material, { opacity: 0.8, duration: 0.3, ease: 'power1.out' }, 0)
@@ -393,8 +397,8 @@ function createFloatingHeartsAura(parentGroup, gsapRef, heartTextureParam = null
     const spawn = () => {
       if (!isAnimating) return;
       spawnHeart();
-      const interval = spawnIntervalMin + Math.random() * (spawnIntervalMax - spawnIntervalMin);
-      animationInterval = setTimeout(spawn, interval);
+      const interval = spawnIntervalMin + random() * (spawnIntervalMax - spawnIntervalMin);
+      animationInterval = setTimer(spawn, interval);
     };
     spawn();
   };
@@ -402,15 +406,26 @@ function createFloatingHeartsAura(parentGroup, gsapRef, heartTextureParam = null
   const stopAnimation = () => {
     isAnimating = false;
     if (animationInterval) {
-      clearTimeout(animationInterval);
+      clearTimer(animationInterval);
       animationInterval = null;
     }
   };
   
+  // Stop spawning and end the hearts already floating
+  const dispose = () => {
+    stopAnimation();
+    heartPool.forEach((heart) => {
+      gsapRef.killTweensOf(heart.material);
+      gsapRef.killTweensOf(heart.position);
+      gsapRef.killTweensOf(heart.scale);
+    });
+  };
+  
   return {
     group: heartsGroup,
     start: startAnimation,
     stop: stopAnimation,
+    dispose,
     isAnimating: () => isAnimating
   };
 }
@@ -556,18 +571,33 @@ function createPin(label, pinSize = 3, itemTexture = null, gsapRef = null, savin
     
     // Start looping animation if gsap is available
     if (gsapRef) {
+      let itemLoopRunning = false;
+      let itemTimeline = null;
+      let stopped = false;
       const animateItem = () => {
-        if (group.userData.isDone) return;  // Stop if done
+        if (group.userData.isDone || stopped) {
+          itemLoopRunning = false;
+          return;  // Stop if done
+        }
+        itemLoopRunning = true;
         
-        gsapRef.timeline()
+        itemTimeline = gsapRef.timeline()
           .to(itemMaterial, { opacity: 1, duration: 0.3, ease: 'power1.inOut' })
           .to({}, { duration: 1.0 })  // Hold visible (1000ms)
           .to(itemMaterial, { opacity: 0, duration: 0.3, ease: 'power1.inOut' })
           .to({}, { duration: 2, onComplete: animateItem });  // Wait then repeat
       };
       
-      // Start the animation loop
-      group.userData.startItemAnimation = animateItem;
+      // Start the animation loop (no-op if it is already looping)
+      group.userData.startItemAnimation = () => {
+        if (!itemLoopRunning) animateItem();
+      };
+      // End the loop for good (store teardown)
+      group.userData.stopItemAnimation = () => {
+        stopped = true;
+        itemLoopRunning = false;
+        if (itemTimeline) itemTimeline.kill();
+      };
       animateItem();
     }
   }
@@ -624,16 +654,16 @@ function createShelfBlock(width, depth, height, color = null) {
 // ============================================
 // Helper: Create aisle shelf pair with labels (no poles)
 // ============================================
-function createAisleShelfPair(letter1, letter2, x, z, shelfWidth = 1.3, shelfDepth = 8, gap = 1.8) {
+function createAisleShelfPair(letter1, letter2, x, z, shelfWidth = 1.3, shelfDepth = 8, gap = 1.8, shelfHeight = 2.8) {
   const group = new THREE.Group();
   
   // Left shelf
-  const leftShelf = createShelfBlock(shelfWidth, shelfDepth, AISLE_SHELF_HEIGHT);
+  const leftShelf = createShelfBlock(shelfWidth, shelfDepth, shelfHeight);
   leftShelf.position.x = -gap / 2 - shelfWidth / 2;
   group.add(leftShelf);
   
   // Right shelf
-  const rightShelf = createShelfBlock(shelfWidth, shelfDepth, AISLE_SHELF_HEIGHT);
+  const rightShelf = createShelfBlock(shelfWidth, shelfDepth, shelfHeight);
   rightShelf.position.x = gap / 2 + shelfWidth / 2;
   group.add(rightShelf);
   
@@ -645,14 +675,14 @@ function createAisleShelfPair(letter1, letter2, x, z, shelfWidth = 1.3, shelfDep
   const leftLabelTexture = createLabelTexture(letter1);
   const leftLabelMaterial = new THREE.MeshBasicMaterial({ map: leftLabelTexture, transparent: true, toneMapped: false });
   const leftLabel = new THREE.Mesh(labelGeometry, leftLabelMaterial);
-  leftLabel.position.set(-gap / 2 - shelfWidth / 2, AISLE_SHELF_HEIGHT + 0.4, shelfDepth / 2 + 0.1);
+  leftLabel.position.set(-gap / 2 - shelfWidth / 2, shelfHeight + 0.4, shelfDepth / 2 + 0.1);
   group.add(leftLabel);
   
   // Right label
   const rightLabelTexture = createLabelTexture(letter2);
   const rightLabelMaterial = new THREE.MeshBasicMaterial({ map: rightLabelTexture, transparent: true, toneMapped: false });
   const rightLabel = new THREE.Mesh(labelGeometry, rightLabelMaterial);
-  rightLabel.position.set(gap / 2 + shelfWidth / 2, AISLE_SHELF_HEIGHT + 0.4, shelfDepth / 2 + 0.1);
+  rightLabel.position.set(gap / 2 + shelfWidth / 2, shelfHeight + 0.4, shelfDepth / 2 + 0.1);
   group.add(rightLabel);
   
   group.position.set(x, 0, z);
@@ -663,72 +693,52 @@ function createAisleShelfPair(letter1, letter2, x, z, shelfWidth = 1.3, shelfDep
 // Helper: Create path with rounded corners
 // ============================================
 function createRoundedPath(waypoints, cornerRadius = 1.0) {
-  const points = [];
+  const points = roundCorners(waypoints, cornerRadius).points
+    .map(point => new THREE.Vector3(point.x, 0, point.z));
   
-  for (let i = 0; i < waypoints.length; i++) {
-    const current = waypoints[i];
-    
-    if (i === 0 || i === waypoints.length - 1) {
-      // Start and end points
-      points.push(new THREE.Vector3(current.x, 0, current.z));
-    } else {
-      const prev = waypoints[i - 1];
-      const next = waypoints[i + 1];
-      
-      // Calculate segment lengths
-      const distToPrev = Math.sqrt(
-        Math.pow(current.x - prev.x, 2) + Math.pow(current.z - prev.z, 2)
-      );
-      const distToNext = Math.sqrt(
-        Math.pow(next.x - current.x, 2) + Math.pow(next.z - current.z, 2)
-      );
-      
-      // Clamp corner radius to prevent overlapping (max 40% of shorter segment)
-      const maxRadius = Math.min(distToPrev, distToNext) * 0.4;
-      const actualRadius = Math.min(cornerRadius, maxRadius);
-      
-      const dirFromPrev = new THREE.Vector2(
-        (current.x - prev.x) / distToPrev,
-        (current.z - prev.z) / distToPrev
-      );
-      const dirToNext = new THREE.Vector2(
-        (next.x - current.x) / distToNext,
-        (next.z - current.z) / distToNext
-      );
-      
-      const beforeCorner = {
-        x: current.x - dirFromPrev.x * actualRadius,
-        z: current.z - dirFromPrev.y * actualRadius
-      };
-      const afterCorner = {
-        x: current.x + dirToNext.x * actualRadius,
-        z: current.z + dirToNext.y * actualRadius
-      };
-      
-      points.push(new THREE.Vector3(beforeCorner.x, 0, beforeCorner.z));
-      
-      // Smooth Bezier arc for corner (more points = smoother)
-      const arcPoints = 16;
-      for (let j = 1; j < arcPoints; j++) {
-        const t = j / arcPoints;
-        // Quadratic Bezier curve
-        const px = (1 - t) * (1 - t) * beforeCorner.x + 2 * (1 - t) * t * current.x + t * t * afterCorner.x;
-        const pz = (1 - t) * (1 - t) * beforeCorner.z + 2 * (1 - t) * t * current.z + t * t * afterCorner.z;
-        points.push(new THREE.Vector3(px, 0, pz));
-      }
-      
-      points.push(new THREE.Vector3(afterCorner.x, 0, afterCorner.z));
+  // Use centripetal parameterization for uniform speed
+  return new THREE.CatmullRomCurve3(points, false, 'centripetal', 0.5);
+}
+
+// ============================================
+// Helper: Straight-segment path through recorded points
+// Parameterized by arc length, so getPointAt(p) is exactly a fraction p of
+// the distance walked (recorded traces are timed against that)
+// ============================================
+class PolylineCurve extends THREE.Curve {
+  constructor(points) {
+    super();
+    this.points = points.map(point => new THREE.Vector3(point.x, 0, point.z));
+    this.distances = [0];
+    for (let i = 1; i < this.points.length; i++) {
+      this.distances.push(this.distances[i - 1] + this.points[i].distanceTo(this.points[i - 1]));
     }
+    this.length = this.distances[this.distances.length - 1];
   }
   
-  // Use centripetal parameterization for uniform speed
-  return new THREE.CatmullRomCurve3(points, false, 'centripetal', 0.5);
+  getPoint(t, target = new THREE.Vector3()) {
+    const distance = Math.max(0, Math.min(1, t)) * this.length;
+    let i = 1;
+    while (i < this.points.length - 1 && this.distances[i] < distance) i++;
+    const segment = this.distances[i] - this.distances[i - 1];
+    const f = segment > 0 ? (distance - this.distances[i - 1]) / segment : 0;
+    return target.lerpVectors(this.points[i - 1], this.points[i], f);
+  }
+  
+  getUtoTmapping(u) {
+    return u;
+  }
+  
+  getLength() {
+    return this.length;
+  }
 }
 
 // ============================================
 // Create Shopper Marker (exact Marker.svg design)
 // ============================================
-function createShopperMarker() {
+// Color tints the inner circle for extra shoppers (default: Sam's blue)
+function createShopperMarker(color = null) {
   const group = new THREE.Group();
   group.name = 'Shopper';
   
@@ -748,10 +758,16 @@ function createShopperMarker() {
   ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
   ctx.fill();
   
-  // Blue gradient inner circle (Sam's palette)
+  // Blue gradient inner circle (Sam's palette), or a lighter-to-full tint
   const gradient = ctx.createLinearGradient(cx, 10 * scale, cx, 110 * scale);
-  gradient.addColorStop(0, '#5CB8E0');  // Bright blue from Sam's palette
-  gradient.addColorStop(1, '#005090');  // Navy from Sam's palette
+  if (color) {
+    const tint = new THREE.Color(color);
+    gradient.addColorStop(0, '#' + tint.clone().lerp(new THREE.Color(0xffffff), 0.45).getHexString());
+    gradient.addColorStop(1, '#' + tint.getHexString());
+  } else {
+    gradient.addColorStop(0, '#5CB8E0');  // Bright blue from Sam's palette
+    gradient.addColorStop(1, '#005090');  // Navy from Sam's palette
+  }
   ctx.beginPath();
   ctx.arc(cx, cy, 50 * scale, 0, Math.PI * 2);
   ctx.fillStyle = gradient;
@@ -891,14 +907,45 @@ function createLogo(assets) {
 }
 
 // ============================================
-// Main: Create Store Scene
+// Helper: Ribbon geometry along a path curve
+// aProgress (0..1 along the curve) drives the erase/draw shader
 // ============================================
-export function createStoreScene(scene, assets) {
+function createRibbonGeometry(curve) {
+  const pathWidth = 0.9;
+  const numSamples = 600;
+  
+  // Use arc-length parameterization for uniform sampling
+  const samples = [];
+  for (let i = 0; i <= numSamples; i++) {
+    const point = curve.getPointAt(i / numSamples);
+    const tangent = curve.getTangentAt(i / numSamples);
+    samples.push({ x: point.x, z: point.z, tx: tangent.x, tz: tangent.z });
+  }
+  const ribbon = buildRibbonVertices(samples, pathWidth, 0.02);
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(ribbon.positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(ribbon.uvs, 2));
+  geometry.setAttribute('aProgress', new THREE.Float32BufferAttribute(ribbon.progress, 1));
+  geometry.setIndex(ribbon.indices);
+  geometry.computeVertexNormals();
+  
+  return geometry;
+}
+
+
+// ============================================
+// Build the store: lights, geometry, paths, shopper and pins
+// Geometry comes from a floor plan (see floorplan.js for the schema),
+// pins from a shopping list (see shoppingList.js)
+// ============================================
+function buildStore(scene, assets, floorPlan, shoppingList) {
   const worldGroup = new THREE.Group();
   worldGroup.name = 'StoreWorld';
   scene.add(worldGroup);
   
   const shelfMap = {};
+  const { width: storeWidth, depth: storeDepth, wallHeight, shelfHeight, binHeight } = floorPlan.dimensions;
   
   // ============================================
   // Lighting (balanced to show material colors)
@@ -924,10 +971,12 @@ export function createStoreScene(scene, assets) {
   fillLight.position.set(-20, 25, -15);
   scene.add(fillLight);
   
+  const lights = [ambientLight, directionalLight, fillLight];
+  
   // ============================================
   // Floor (warm beige/cream)
   // ============================================
-  const floorGeometry = new THREE.PlaneGeometry(STORE_WIDTH, STORE_DEPTH);
+  const floorGeometry = new THREE.PlaneGeometry(storeWidth, storeDepth);
   const floorMaterial = new THREE.MeshBasicMaterial({
     color: FLOOR_COLOR,
     toneMapped: false,
@@ -945,380 +994,88 @@ export function createStoreScene(scene, assets) {
     roughness: 0.95,  // High roughness to show material color
   });
   
-  const wallThickness = 1.2;
-  
-  // Back wall
-  const backWall = new THREE.Mesh(
-    new THREE.BoxGeometry(STORE_WIDTH, WALL_HEIGHT, wallThickness),
-    wallMaterial
-  );
-  backWall.position.set(0, WALL_HEIGHT / 2, -STORE_DEPTH / 2 + wallThickness / 2);
-  backWall.castShadow = true;
-  backWall.receiveShadow = true;
-  worldGroup.add(backWall);
-  
-  // Left wall
-  const leftWall = new THREE.Mesh(
-    new THREE.BoxGeometry(wallThickness, WALL_HEIGHT, STORE_DEPTH),
-    wallMaterial
-  );
-  leftWall.position.set(-STORE_WIDTH / 2 + wallThickness / 2, WALL_HEIGHT / 2, 0);
-  leftWall.castShadow = true;
-  leftWall.receiveShadow = true;
-  worldGroup.add(leftWall);
-  
-  // Right wall
-  const rightWall = new THREE.Mesh(
-    new THREE.BoxGeometry(wallThickness, WALL_HEIGHT, STORE_DEPTH),
-    wallMaterial
-  );
-  rightWall.position.set(STORE_WIDTH / 2 - wallThickness / 2, WALL_HEIGHT / 2, 0);
-  rightWall.castShadow = true;
-  rightWall.receiveShadow = true;
-  worldGroup.add(rightWall);
-  
-  // Front walls
-  const frontWallLeft = new THREE.Mesh(
-    new THREE.BoxGeometry(STORE_WIDTH / 2 - 6, WALL_HEIGHT * 0.35, wallThickness),
-    wallMaterial
-  );
-  frontWallLeft.position.set(-STORE_WIDTH / 4 - 3, WALL_HEIGHT * 0.175, STORE_DEPTH / 2 - wallThickness / 2);
-  frontWallLeft.castShadow = true;
-  worldGroup.add(frontWallLeft);
-  
-  const frontWallRight = new THREE.Mesh(
-    new THREE.BoxGeometry(STORE_WIDTH / 2 - 6, WALL_HEIGHT * 0.35, wallThickness),
-    wallMaterial
-  );
-  frontWallRight.position.set(STORE_WIDTH / 4 + 3, WALL_HEIGHT * 0.175, STORE_DEPTH / 2 - wallThickness / 2);
-  frontWallRight.castShadow = true;
-  worldGroup.add(frontWallRight);
+  floorPlan.walls.forEach(({ id, x, z, width, depth, height = wallHeight, receiveShadow = true }) => {
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), wallMaterial);
+    wall.name = `Wall:${id}`;
+    wall.position.set(x, height / 2, z);
+    wall.castShadow = true;
+    wall.receiveShadow = receiveShadow;
+    worldGroup.add(wall);
+  });
   
   // ============================================
   // Sam's Club Logo (above back wall)
   // ============================================
   const logo = createLogo(assets);
-  logo.position.set(0, WALL_HEIGHT + 1.5, -STORE_DEPTH / 2 - 2);
+  logo.position.set(0, wallHeight + 1.5, -storeDepth / 2 - 2);
   worldGroup.add(logo);
   
   // ============================================
-  // BACK WALL AREA: Single horizontal row of shelves
-  // ============================================
-  const backRowZ = -STORE_DEPTH / 2 + 4;
-  const backShelfCount = 14;
-  const backShelfWidth = 4;
-  const backShelfGap = 0.5;
-  const totalBackWidth = backShelfCount * backShelfWidth + (backShelfCount - 1) * backShelfGap;
-  const backStartX = -totalBackWidth / 2 + backShelfWidth / 2;
-  
-  for (let i = 0; i < backShelfCount; i++) {
-    const x = backStartX + i * (backShelfWidth + backShelfGap);
-    const shelf = createShelfBlock(backShelfWidth, 2.5, AISLE_SHELF_HEIGHT + 0.5);
-    shelf.position.set(x, 0, backRowZ);
-    worldGroup.add(shelf);
-  }
-  
+  // BIN GRIDS: Back wall shelf row and pallet bins
   // ============================================
-  // BINS: Row between back shelves and aisle shelves
-  // ============================================
-  const binRowZ = -STORE_DEPTH / 2 + 9;
-  
-  // Left side bins (under A-B area)
-  for (let row = 0; row < 2; row++) {
-    for (let col = 0; col < 3; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(-26 + col * 3, 0, binRowZ + row * 3);
+  floorPlan.binGrids.forEach((grid) => {
+    const height = grid.height || binHeight;
+    const color = grid.kind === 'shelf' ? SHELF_COLOR : BIN_COLOR;
+    expandBinGrid(grid).forEach(({ x, z }) => {
+      const bin = createShelfBlock(grid.width, grid.depth, height, color);
+      bin.position.set(x, 0, z);
       worldGroup.add(bin);
-    }
-  }
-  
-  // Center-left bins (under C-D, E-F area)
-  for (let row = 0; row < 2; row++) {
-    for (let col = 0; col < 4; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(-16 + col * 3, 0, binRowZ + row * 3);
-      worldGroup.add(bin);
-    }
-  }
-  
-  // Center-right bins (under G-H, I-J area)
-  for (let row = 0; row < 2; row++) {
-    for (let col = 0; col < 4; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(6 + col * 3, 0, binRowZ + row * 3);
-      worldGroup.add(bin);
-    }
-  }
-  
-  // Right side bins (under K-L area) - reduced to 3 columns
-  for (let row = 0; row < 2; row++) {
-    for (let col = 0; col < 3; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(22 + col * 3, 0, binRowZ + row * 3);
-      worldGroup.add(bin);
-    }
-  }
-  
-  // ============================================
-  // MAIN AISLE SHELVES: 7 pairs (A-B, C-D, E-F, G-H, I-J, K-L, M-N)
-  // Gap within pair: 0.25 unit, Gap between pairs: 6 units
-  // ============================================
-  const mainAisleZ = 5;  // Center Z for main aisle shelves
-  const pairGap = 0.25;  // Gap within each pair
-  const pairSpacing = 6; // Gap between pairs
-  
-  // LEFT GROUP: A-B, C-D, E-F (3 pairs) - positioned between left bins and center bins
-  const leftGroupStartX = -20;
-  
-  const abShelves = createAisleShelfPair('A', 'B', leftGroupStartX, mainAisleZ, 1.3, 16, pairGap);
-  worldGroup.add(abShelves);
-  shelfMap['A'] = abShelves; shelfMap['B'] = abShelves;
-  
-  const cdShelves = createAisleShelfPair('C', 'D', leftGroupStartX + pairSpacing, mainAisleZ, 1.3, 16, pairGap);
-  worldGroup.add(cdShelves);
-  shelfMap['C'] = cdShelves; shelfMap['D'] = cdShelves;
-  
-  const efShelves = createAisleShelfPair('E', 'F', leftGroupStartX + pairSpacing * 2, mainAisleZ, 1.3, 16, pairGap);
-  worldGroup.add(efShelves);
-  shelfMap['E'] = efShelves; shelfMap['F'] = efShelves;
-  
-  // CENTER BINS: 2 groups of 2x3 bins between E-F and G-H
-  const centerBinZ = mainAisleZ;
-  // First bin group
-  for (let row = 0; row < 3; row++) {
-    for (let col = 0; col < 2; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(-2 + col * 3, 0, centerBinZ - 3 + row * 3);
-      worldGroup.add(bin);
-    }
-  }
-  // Second bin group
-  for (let row = 0; row < 3; row++) {
-    for (let col = 0; col < 2; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(6 + col * 3, 0, centerBinZ - 3 + row * 3);
-      worldGroup.add(bin);
-    }
-  }
-  
-  // RIGHT GROUP: G-H, I-J, K-L, M-N (4 pairs)
-  const rightGroupStartX = 16;
-  
-  const ghShelves = createAisleShelfPair('G', 'H', rightGroupStartX, mainAisleZ, 1.3, 16, pairGap);
-  worldGroup.add(ghShelves);
-  shelfMap['G'] = ghShelves; shelfMap['H'] = ghShelves;
-  
-  const ijShelves = createAisleShelfPair('I', 'J', rightGroupStartX + pairSpacing, mainAisleZ, 1.3, 16, pairGap);
-  worldGroup.add(ijShelves);
-  shelfMap['I'] = ijShelves; shelfMap['J'] = ijShelves;
-  
-  const klShelves = createAisleShelfPair('K', 'L', rightGroupStartX + pairSpacing * 2, mainAisleZ, 1.3, 16, pairGap);
-  worldGroup.add(klShelves);
-  shelfMap['K'] = klShelves; shelfMap['L'] = klShelves;
+    });
+  });
   
   // ============================================
-  // LEFT SIDE: Pallet bins (Deli)
+  // MAIN AISLE SHELVES: Pairs labelled with aisle letters
   // ============================================
-  const leftBinX = -STORE_WIDTH / 2 + 5;
-  for (let row = 0; row < 3; row++) {
-    for (let col = 0; col < 2; col++) {
-      const bin = createShelfBlock(2.5, 2.5, BIN_HEIGHT, BIN_COLOR);
-      bin.position.set(leftBinX + col * 3, 0, 8 + row * 3.5);
-      worldGroup.add(bin);
-    }
-  }
-  
-  // Left side vertical shelf (Dairy)
-  const leftVertShelf = createShelfBlock(2.5, 8, AISLE_SHELF_HEIGHT);
-  leftVertShelf.position.set(-STORE_WIDTH / 2 + 5, 0, 1);
-  worldGroup.add(leftVertShelf);
-  
-  // RIGHT SIDE: (horizontal shelves removed)
+  floorPlan.shelfPairs.forEach(({ aisles, x, z, shelfWidth, shelfDepth, gap, height = shelfHeight }) => {
+    const shelves = createAisleShelfPair(aisles[0], aisles[1], x, z, shelfWidth, shelfDepth, gap, height);
+    shelves.name = `Aisle:${aisles.join('-')}`;
+    worldGroup.add(shelves);
+    aisles.forEach((aisle) => {
+      shelfMap[aisle] = shelves;
+    });
+  });
   
   // ============================================
-  // BOTTOM: Entrance area shelves
+  // FIXTURES: Standalone shelves (Dairy, Checkout, Vision Center)
   // ============================================
-  const bottomLeftShelf = createShelfBlock(12, 2, BIN_HEIGHT + 0.3);
-  bottomLeftShelf.position.set(-18, 0, STORE_DEPTH / 2 - 4);
-  worldGroup.add(bottomLeftShelf);
-  
-  const bottomRightShelf = createShelfBlock(14, 2, BIN_HEIGHT + 0.3);
-  bottomRightShelf.position.set(18, 0, STORE_DEPTH / 2 - 4);
-  worldGroup.add(bottomRightShelf);
+  floorPlan.fixtures.forEach(({ id, x, z, width, depth, height, kind }) => {
+    const fixture = createShelfBlock(width, depth, height, kind === 'bin' ? BIN_COLOR : SHELF_COLOR);
+    fixture.name = `Fixture:${id}`;
+    fixture.position.set(x, 0, z);
+    worldGroup.add(fixture);
+  });
   
   // ============================================
-  // NAVIGATION PATHS (flat 2D ribbons, avoid all geometry by ~2 units)
+  // NAVIGATION PATHS (flat 2D ribbons)
   // ============================================
   
-  // Path 1: Simple loop around store perimeter
-  const path1Waypoints = [
-    { x: -4, z: 26 },      // Start (outside store)
-    { x: -4, z: 16 },      // First turn point
-    { x: -17, z: 16 },     // Turn into left aisle
-    { x: -17, z: -6 },     // Turn at back of store
-    { x: 19, z: -6 },      // Across back aisle
-    { x: 19, z: 16 },      // Turn down right aisle
-    { x: 14, z: 16 },      // Turn toward exit
-    { x: 14, z: 21 },      // End (exit)
-  ];
-  
-  // Path 2: Complex zigzag through all aisles
-  // Follows description: enters left side, zigzags through shelf gaps,
-  // crosses back, zigzags through right side, exits
-  const path2Waypoints = [
-    // Start and enter store (same as Path 1)
-    { x: -4, z: 26 },       // Start (outside)
-    { x: -4, z: 16 },       // Enter store
-    { x: -17, z: 16 },      // Turn left toward Produce (same as Path 1)
-    
-    // 3. Turn right between Shelf A and Deli bins
-    { x: -24, z: 16 },      // West of Shelf A
-    
-    // 4. Turn right after Shelf A's end (north end)
-    { x: -24, z: -5 },      // Past A's north end
-    
-    // 5. Turn right down aisle between Shelves B & C
-    { x: -17, z: -5 },      // Into B-C gap
-    { x: -17, z: 15 },      // South to C's end
-    
-    // 6. Turn left after Shelf C's end
-    // 7. Turn left down aisle between Shelves D & E
-    { x: -11, z: 15 },      // East to D-E gap
-    { x: -11, z: -5 },      // North through D-E gap
-    
-    // 8. Turn right after Shelf E's end
-    { x: -2, z: -5 },       // East past Electronics
-    
-    // 9. Turn left after Frozen Food bins
-    { x: -2, z: -10 },      // North past Frozen Food
-    
-    // 10. Turn right before back shelves (Bikes)
-    { x: 6, z: -10 },       // East along back
-    
-    // 11. Turn right before Kid's Clothing bins
-    { x: 6, z: -5 },        // South past back bins
-    
-    // 12. Turn left after Kid's Clothing bins
-    { x: 25, z: -5 },       // East to J-K gap area
-    
-    // 13. Turn right down aisle between Shelves J & K
-    { x: 25, z: 15 },       // South through J-K gap
-    
-    // 14. Turn right after Shelf I's end
-    // 15. Turn right down aisle between H & I
-    { x: 19, z: 15 },       // West to H-I gap
-    { x: 19, z: -5 },       // North through H-I gap
-    
-    // 16. Turn left after Shelf H's end
-    // 17. Turn left down aisle between Ladies' Clothing & Shelf H
-    { x: 12, z: -5 },       // West to Ladies'-H gap
-    { x: 12, z: 15 },       // South through gap
-    
-    // 18. Turn left after Shelf H's other end
-    { x: 14, z: 15 },       // East toward exit
-    
-    // 19. Turn right toward exit (same end as Path 1)
-    { x: 14, z: 21 },       // Exit
-  ];
-  
-  // Path 3: Start inside store facing West, go through Home aisle,
-  // turn left after C10, around Snacks, across back, down Shoes/Seasonal aisle
-  const path3Waypoints = [
-    // 1. Start inside store pointing West
-    { x: -4, z: 16 },       // Start position inside store
-    
-    // Turn 1: Go West toward B-C aisle
-    { x: -17, z: 16 },      // Turn 1 (90°) - turn North
-    
-    // Turn 2: Go North (up) through B-C aisle
-    { x: -17, z: -7 },      // Turn 2 (90°) - turn West toward Dairy
-    
-    // Turn 3: Go West above Dairy
-    { x: -30, z: -7 },      // Turn 3 (90°) - turn North
-    
-    // Turn 4: Go North past Snacks (moved up 0.5)
-    { x: -30, z: -16.5 },   // Turn 4 (90°) - turn East
-    
-    // Turn 5: Go East along back (moved up 0.5)
-    { x: 2, z: -16.5 },     // Turn 5 (90°) - turn South
-    
-    // Turn 6: Go South past Kid's Clothing
-    { x: 2, z: -7 },        // Turn 6 (90°) - turn East
-    
-    // Turn 7: Go East to Shoes/Seasonal aisle
-    { x: 19, z: -7 },       // Turn 7 (90°) - turn South
-    
-    // End: Go South down Shoes/Seasonal aisle
-    { x: 19, z: 18 },       // Stop just before Vision Center
-  ];
-  
-  // Store all path definitions
-  const pathDefinitions = {
-    path1: path1Waypoints,
-    path2: path2Waypoints,
-    path3: path3Waypoints
-  };
+  // Hand-authored paths (paths.js); edits replace entries of this copy
+  const pathDefinitions = { ...STORE_PATHS };
+  
+  // Auto route: A* through every shopping list item in the shortest walking
+  // order, entrance to checkout, compared against the hand-authored Path 3
+  const navGrid = createNavGrid(floorPlan);
+  let routeReport = null;
+  if (floorPlan.routeEndpoints) {
+    const { entrance, checkout } = floorPlan.routeEndpoints;
+    const optimized = optimizeRoute(navGrid, entrance, shoppingList.items, checkout);
+    if (optimized) {
+      pathDefinitions.auto = optimized.waypoints;
+      const reference = estimateRoute(STORE_PATHS.path3, shoppingList.items);
+      routeReport = {
+        order: optimized.stops.map(item => item.aisle),
+        optimized,
+        reference,
+        ...compareRoutes(optimized, reference, shoppingList.items.length)
+      };
+      console.log('Auto route order:', routeReport.order.join(' → '));
+      console.log(routeReport.summary);
+    }
+  }
   
   // Create default path curve (Path 3)
   let currentPathId = 'path3';
-  let pathCurve = createRoundedPath(path3Waypoints, 3.0);
-  
-  // Helper function to create ribbon geometry from a path curve
-  function createRibbonGeometry(curve) {
-    const pathWidth = 0.9;
-    const numSamples = 600;
-    
-    const ribbonVertices = [];
-    const ribbonIndices = [];
-    const ribbonUVs = [];
-    const ribbonProgress = [];
-    
-    // Use arc-length parameterization for uniform sampling
-    for (let i = 0; i <= numSamples; i++) {
-      const t = i / numSamples;
-      const point = curve.getPointAt(t);
-      const tangent = curve.getTangentAt(t);
-      
-      // Perpendicular direction (rotate tangent 90 degrees in XZ plane)
-      const perp = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
-      
-      const left = new THREE.Vector3(
-        point.x - perp.x * pathWidth / 2,
-        0.02,
-        point.z - perp.z * pathWidth / 2
-      );
-      const right = new THREE.Vector3(
-        point.x + perp.x * pathWidth / 2,
-        0.02,
-        point.z + perp.z * pathWidth / 2
-      );
-      
-      ribbonVertices.push(left.x, left.y, left.z);
-      ribbonVertices.push(right.x, right.y, right.z);
-      
-      ribbonUVs.push(0, t);
-      ribbonUVs.push(1, t);
-      
-      // Progress attribute for shader-based erasure
-      ribbonProgress.push(t);
-      ribbonProgress.push(t);
-      
-      if (i < numSamples) {
-        const base = i * 2;
-        ribbonIndices.push(base, base + 1, base + 2);
-        ribbonIndices.push(base + 1, base + 3, base + 2);
-      }
-    }
-    
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(ribbonVertices, 3));
-    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(ribbonUVs, 2));
-    geometry.setAttribute('aProgress', new THREE.Float32BufferAttribute(ribbonProgress, 1));
-    geometry.setIndex(ribbonIndices);
-    geometry.computeVertexNormals();
-    
-    return geometry;
-  }
+  let pathCurve = createRoundedPath(pathDefinitions.path3, CORNER_RADIUS);
   
   // Create initial ribbon geometry
   const ribbonGeometry = createRibbonGeometry(pathCurve);
@@ -1406,43 +1163,9 @@ export function createStoreScene(scene, assets) {
   const sectionLabelsGroup = new THREE.Group();
   sectionLabelsGroup.name = 'SectionLabels';
   
-  // Section label data: { text, x, z, rotate } - rotate = true for 90 degree rotation
-  const sectionLabels = [
-    // Row 1: Back wall shelves - down 2 units
-    { text: 'Produce', x: -20, z: -19 },
-    { text: 'Electronics', x: 0, z: -19 },
-    { text: 'Hardware', x: 18, z: -19 },
-    
-    // Row 2: Bins row - down 2 units
-    { text: 'Snacks &\nBeverages', x: -22, z: -12, fontSize: 0.9 },
-    { text: 'Frozen Food', x: -11.5, z: -12 },
-    { text: "Kid's Clothing", x: 10.5, z: -12 },
-    { text: 'Office', x: 24, z: -12 },
-    
-    // Row 3: Dairy (left wall, rotated)
-    { text: 'Dairy', x: -28.5, z: 1, rotate: true },
-    
-    // Row 4: Deli
-    { text: 'Deli', x: -27, z: 12 },
-    
-    // Row 5: Center bins - Men's left 1
-    { text: "Men's\nClothing", x: -0.5, z: 5, fontSize: 0.9 },
-    { text: "Ladies'\nClothing", x: 7.5, z: 5, fontSize: 0.9 },
-    
-    // Aisle shelf pairs (rotated 90°)
-    { text: 'Dry Grocery', x: -20, z: 5, rotate: true },
-    { text: 'Home', x: -14, z: 5, rotate: true },
-    { text: 'Bikes', x: -8, z: 5, rotate: true },
-    { text: 'Shoes', x: 16, z: 5, rotate: true },
-    { text: 'Seasonal', x: 22, z: 5, rotate: true },
-    { text: 'Health & Beauty', x: 28, z: 5, rotate: true },
-    
-    // Row 6: Bottom entrance area
-    { text: 'Checkout', x: -18, z: 19 },
-    { text: 'Vision Center', x: 18, z: 19 },
-  ];
-  
-  sectionLabels.forEach(({ text, x, z, rotate, fontSize }) => {
+  // Section label data from the floor plan: { text, x, z, rotate, fontSize }
+  // rotate = true for 90 degree rotation
+  (floorPlan.sectionLabels || []).forEach(({ text, x, z, rotate, fontSize }) => {
     const label = createSectionLabel(text, fontSize || 1.0);
     label.position.set(x, 4, z);
     if (rotate) {
@@ -1459,29 +1182,27 @@ export function createStoreScene(scene, assets) {
   const pinsGroup = new THREE.Group();
   pinsGroup.name = 'Pins';
   
-  // Pin data: { label, x, z, y, hidden, revealAfter }
-  // hidden = start hidden (scale 0), revealAfter = which pin triggers reveal
-  const pinsData = [
-    { label: 'M1', x: -24, z: -14, y: AISLE_SHELF_HEIGHT + 1.5, savings: '$2 off' },  // Instant Savings
-    { label: 'C10', x: -14, z: -1, y: BIN_HEIGHT + 1, savings: '$5 off' },  // Instant Savings
-    { label: 'B4', x: -20, z: 9, y: AISLE_SHELF_HEIGHT + 1 },
-    { label: 'I18', x: 21, z: 5, y: AISLE_SHELF_HEIGHT + 1, isGift: true, hidden: true, revealOnProximity: 8 },  // Valentine's gift, 2 units south of I9
-    { label: 'N8', x: -4.5, z: -19, y: AISLE_SHELF_HEIGHT + 1, hasRedHearts: true },
-    { label: 'F7', x: -15, z: -14, y: BIN_HEIGHT + 1 },
-    { label: 'F8', x: -12, z: -14, y: BIN_HEIGHT + 1 },  // 3 units east of F7
-    { label: 'G4', x: 12, z: -10, y: BIN_HEIGHT + 1 },
-    { label: 'H20', x: 15.5, z: 9, y: AISLE_SHELF_HEIGHT + 1 },
-    { label: 'I9', x: 21, z: -1, y: AISLE_SHELF_HEIGHT + 1 },
-    { label: 'I1', x: 21, z: 12, y: AISLE_SHELF_HEIGHT + 1, isGift: true, hidden: true, revealOnProximity: 8 },  // Valentine's gift
-    { label: 'K9', x: -1.5, z: 7, y: BIN_HEIGHT + 1 },
-    { label: 'Q16', x: 7, z: 3, y: BIN_HEIGHT + 1 },
-    { label: 'G12', x: 8, z: -10, y: BIN_HEIGHT + 1 },
-    { label: 'A17', x: -30, z: -1, y: AISLE_SHELF_HEIGHT + 1 },
-    { label: 'A26', x: -30, z: 1, y: AISLE_SHELF_HEIGHT + 1 },
-  ];
+  // Pin data generated from the shopping list (see shoppingList.js for the schema)
+  // rules = triggers and effects the animator plays (pinState.js); pins with
+  // a reveal rule start hidden (scale 0) until it fires
+  const pinsData = shoppingList.items.map((item) => {
+    const rules = pinRules(item);
+    const mountHeight = item.mount === 'bin' ? binHeight : shelfHeight;
+    return {
+      label: item.aisle,
+      x: item.x,
+      z: item.z,
+      y: mountHeight + (item.elevation !== undefined ? item.elevation : 1),
+      hidden: startsHidden(rules),
+      rules,
+      isGift: item.gift,
+      savings: item.badge,
+      hasRedHearts: item.redHearts
+    };
+  });
   
   const pinsMap = {};
-  pinsData.forEach(({ label, x, z, y, hidden, revealAfter, revealAfterDelay, isGift, revealOnProximity, savings, hasRedHearts }) => {
+  pinsData.forEach(({ label, x, z, y, hidden, rules, isGift, savings, hasRedHearts }) => {
     const itemTexture = assets.itemTextures ? assets.itemTextures[label] : null;
     const pin = createPin(label, 4, itemTexture, assets.gsap, savings);
     pin.position.set(x, y, z);
@@ -1491,22 +1212,14 @@ export function createStoreScene(scene, assets) {
       pin.scale.set(0, 0, 0);
       pin.userData.isHidden = true;
     }
-    if (revealAfter) {
-      pin.userData.revealAfter = revealAfter;
-    }
-    if (revealAfterDelay) {
-      pin.userData.revealAfterDelay = revealAfterDelay;
-    }
-    if (revealOnProximity) {
-      pin.userData.revealOnProximity = revealOnProximity;
-    }
+    pin.userData.rules = rules;
     // Gift pins get floating pink hearts aura (starts on proximity)
     if (isGift) {
       pin.userData.isGift = true;
       const heartsAura = createFloatingHeartsAura(pin, assets.gsap, assets.pinkHeartTexture);
       if (heartsAura) {
         pin.userData.heartsAura = heartsAura;
-        console.log('Gift pin created:', label, 'at', x, z, '- revealOnProximity:', revealOnProximity, 'hidden:', hidden);
+        console.log('Gift pin created:', label, 'at', x, z, '- hidden:', hidden);
       }
     }
     // Red hearts animation (starts immediately and loops continuously)
@@ -1531,218 +1244,604 @@ export function createStoreScene(scene, assets) {
   
   worldGroup.add(pinsGroup);
   
+  console.log('store scene created');
+  
+  return {
+    worldGroup,
+    lights,
+    pathCurve,
+    currentPathId,
+    pathMesh,
+    shopper,
+    shelfMap,
+    sectionLabelsGroup,
+    pinsGroup,
+    pinsMap,
+    pathDefinitions,
+    navGrid,
+    routeReport,
+    storeWidth,
+    storeDepth
+  };
+}
+
+// ============================================
+// StoreScene
+// The built store plus the methods the app uses to drive it
+// ============================================
+export class StoreScene {
+  /**
+   * Build a store into a scene
+   * @param {THREE.Scene} scene - Scene the store is added to
+   * @param {Object} assets - Loaded textures and gsap (textures stay owned by the caller)
+   * @param {Object} floorPlan - Validated floor plan
+   * @param {Object} shoppingList - Validated shopping list
+   */
+  constructor(scene, assets, floorPlan, shoppingList) {
+    this.scene = scene;
+    this.assets = assets;
+    this.floorPlan = floorPlan;
+    this.shoppingList = shoppingList;
+    Object.assign(this, buildStore(scene, assets, floorPlan, shoppingList));
+    
+    // Favorites: hearted pin labels and their heart pins (created on first use)
+    this.favorites = new Set();
+    this.heartPins = {};
+    this.referenceOverlayMesh = null;
+    this.directions = null;
+    // Floor heat layer (see showHeatmap)
+    this.heatmapMesh = null;
+    this.heatmapGrid = null;
+    this.heatmapTexture = null;
+    this.heatmapOpacity = 0.6;
+    // Extra shoppers by id (see addShopper)
+    this.extraShoppers = {};
+    // Recorded trace playbacks by path id (see addTracePath)
+    this.tracePlaybacks = {};
+    this.disposed = false;
+  }
+  
   // ============================================
-  // Reference Overlay Method
+  // Visibility
   // ============================================
-  let referenceOverlayMesh = null;
   
-  scene.showReferenceOverlay = (visible) => {
-    if (visible && assets.journeyTexture) {
-      if (!referenceOverlayMesh) {
-        const overlayGeometry = new THREE.PlaneGeometry(STORE_WIDTH + 10, STORE_DEPTH + 10);
+  /**
+   * Show or hide the floating section labels
+   */
+  toggleSectionLabels(visible) {
+    this.sectionLabelsGroup.visible = visible;
+  }
+  
+  /**
+   * Show all pins with a staggered spring, or hide the pins group
+   * Favorites show their heart pin instead; pins still waiting for a
+   * proximity reveal are left alone
+   */
+  togglePins(visible) {
+    const gsap = this.assets.gsap;
+    if (!visible) {
+      this.pinsGroup.visible = false;
+      return;
+    }
+    
+    this.pinsGroup.visible = true;
+    let animIndex = 0;
+    this.pinsGroup.children.forEach((pin) => {
+      // Heart pins keep their own scale; they show only for favorites
+      if (pin.userData.isHeart) {
+        pin.visible = this.favorites.has(pin.userData.heartFor);
+        return;
+      }
+      
+      // A favorite is shown as its heart pin
+      if (this.favorites.has(pin.userData.label)) {
+        pin.visible = false;
+        return;
+      }
+      
+      // Skip hidden pins (gift pins) - they stay hidden until one of their reveal rules fires
+      if (pin.userData.isHidden) {
+        pin.visible = true; // Make visible but keep scale at 0
+        return;
+      }
+      
+      // Make regular pins visible (they may have been hidden by showHeartOnly)
+      pin.visible = true;
+      
+      if (gsap) {
+        pin.scale.set(0, 0, 0);
+        gsap.to(pin.scale, {
+          x: 1, y: 1, z: 1,
+          duration: 0.5,
+          delay: animIndex * 0.05, // Stagger the animations
+          ease: 'elastic.out(1, 0.5)'
+        });
+        animIndex++;
+      }
+    });
+  }
+  
+  /**
+   * Show the traced reference image over the floor (R key)
+   */
+  showReferenceOverlay(visible) {
+    if (visible && this.assets.journeyTexture) {
+      if (!this.referenceOverlayMesh) {
+        const overlayGeometry = new THREE.PlaneGeometry(this.storeWidth + 10, this.storeDepth + 10);
         const overlayMaterial = new THREE.MeshBasicMaterial({
-          map: assets.journeyTexture,
+          map: this.assets.journeyTexture,
           transparent: true,
           opacity: 0.5,
           depthTest: false,
         });
-        referenceOverlayMesh = new THREE.Mesh(overlayGeometry, overlayMaterial);
-        referenceOverlayMesh.rotation.x = -Math.PI / 2;
-        referenceOverlayMesh.position.y = 0.1;
-        referenceOverlayMesh.renderOrder = 999;
-        worldGroup.add(referenceOverlayMesh);
+        this.referenceOverlayMesh = new THREE.Mesh(overlayGeometry, overlayMaterial);
+        this.referenceOverlayMesh.rotation.x = -Math.PI / 2;
+        this.referenceOverlayMesh.position.y = 0.1;
+        this.referenceOverlayMesh.renderOrder = 999;
+        this.worldGroup.add(this.referenceOverlayMesh);
       }
-      referenceOverlayMesh.visible = true;
-    } else if (referenceOverlayMesh) {
-      referenceOverlayMesh.visible = false;
+      this.referenceOverlayMesh.visible = true;
+    } else if (this.referenceOverlayMesh) {
+      this.referenceOverlayMesh.visible = false;
     }
-  };
-  
-  // ============================================
-  // Visibility Toggle Methods
-  // ============================================
-  scene.toggleSectionLabels = (visible) => {
-    sectionLabelsGroup.visible = visible;
-  };
+  }
   
-  scene.togglePins = (visible) => {
-    if (visible) {
-      pinsGroup.visible = true;
-      // Animate each pin with a spring scale
-      let animIndex = 0;
-      pinsGroup.children.forEach((pin) => {
-        // Skip heart pins entirely - they are managed separately
-        if (pin.userData.isHeart) {
-          // Keep heart hidden if N8 is not hearted
-          if (!n8IsHearted) {
-            pin.visible = false;
-          }
-          return;
-        }
-        
-        // Skip N8 pin if heart is showing
-        if (n8IsHearted && pin === pinsMap['N8']) {
-          pin.visible = false;
-          return;
-        }
-        
-        // Skip pins that reveal on proximity (gift pins) - they stay hidden until marker is near
-        if (pin.userData.revealOnProximity && pin.userData.isHidden) {
-          pin.visible = true; // Make visible but keep scale at 0
-          return;
-        }
-        
-        // Make regular pins visible (they may have been hidden by showHeartOnly)
-        pin.visible = true;
-        
-        if (assets.gsap) {
-          pin.scale.set(0, 0, 0);
-          assets.gsap.to(pin.scale, {
-            x: 1, y: 1, z: 1,
-            duration: 0.5,
-            delay: animIndex * 0.05, // Stagger the animations
-            ease: 'elastic.out(1, 0.5)'
-          });
-          animIndex++;
+  /**
+   * Show a heat grid on the floor, under the path ribbon, or hide it (null)
+   * Cells are coloured blue to red by their share of the busiest cell
+   * @param {Object|null} grid - From buildHeatGrid (heatmap.js)
+   */
+  showHeatmap(grid) {
+    if (!grid) {
+      if (this.heatmapMesh) this.heatmapMesh.visible = false;
+      return;
+    }
+    
+    if (this.heatmapGrid !== grid) {
+      this.heatmapGrid = grid;
+      // Texture row 0 is the bottom of the plane (+z, the entrance) while
+      // grid row 0 is the back wall, so rows are flipped
+      const data = new Uint8Array(grid.cols * grid.rows * 4);
+      for (let row = 0; row < grid.rows; row++) {
+        for (let col = 0; col < grid.cols; col++) {
+          const value = grid.max > 0 ? grid.values[row * grid.cols + col] / grid.max : 0;
+          data[((grid.rows - 1 - row) * grid.cols + col) * 4] = Math.round(Math.sqrt(value) * 255);
         }
-      });
-    } else {
-      pinsGroup.visible = false;
+      }
+      if (this.heatmapTexture) this.heatmapTexture.dispose();
+      this.heatmapTexture = new THREE.DataTexture(data, grid.cols, grid.rows, THREE.RGBAFormat);
+      this.heatmapTexture.magFilter = THREE.LinearFilter;
+      this.heatmapTexture.minFilter = THREE.LinearFilter;
+      this.heatmapTexture.needsUpdate = true;
+      
+      const width = grid.cols * grid.cellSize;
+      const depth = grid.rows * grid.cellSize;
+      const geometry = new THREE.PlaneGeometry(width, depth);
+      if (this.heatmapMesh) {
+        this.heatmapMesh.geometry.dispose();
+        this.heatmapMesh.geometry = geometry;
+        this.heatmapMesh.material.uniforms.uHeat.value = this.heatmapTexture;
+      } else {
+        const material = new THREE.ShaderMaterial({
+          uniforms: {
+            uHeat: { value: this.heatmapTexture },
+            uOpacity: { value: this.heatmapOpacity }
+          },
+          vertexShader: `
+            varying vec2 vUv;
+            
+            void main() {
+              vUv = uv;
+              gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+          `,
+          fragmentShader: `
+            uniform sampler2D uHeat;
+            uniform float uOpacity;
+            varying vec2 vUv;
+            
+            void main() {
+              float heat = texture2D(uHeat, vUv).r;
+              if (heat < 0.02) {
+                discard;
+              }
+              
+              // Blue -> green -> yellow -> red
+              vec3 color = mix(vec3(0.0, 0.38, 0.85), vec3(0.18, 0.8, 0.3), smoothstep(0.0, 0.35, heat));
+              color = mix(color, vec3(1.0, 0.85, 0.1), smoothstep(0.35, 0.65, heat));
+              color = mix(color, vec3(0.9, 0.1, 0.05), smoothstep(0.65, 1.0, heat));
+              
+              gl_FragColor = vec4(color, uOpacity * smoothstep(0.02, 0.2, heat));
+            }
+          `,
+          transparent: true,
+          depthWrite: false
+        });
+        this.heatmapMesh = new THREE.Mesh(geometry, material);
+        this.heatmapMesh.name = 'Heatmap';
+        this.heatmapMesh.rotation.x = -Math.PI / 2;
+        // Between the floor and the path ribbon, drawn before the ribbon
+        this.heatmapMesh.position.y = 0.01;
+        this.heatmapMesh.renderOrder = -1;
+        this.worldGroup.add(this.heatmapMesh);
+      }
+      this.heatmapMesh.position.x = grid.minX + width / 2;
+      this.heatmapMesh.position.z = grid.minZ + depth / 2;
     }
-  };
+    this.heatmapMesh.visible = true;
+  }
+  
+  /**
+   * Opacity of the heatmap layer (0-1)
+   */
+  setHeatmapOpacity(opacity) {
+    this.heatmapOpacity = Math.max(0, Math.min(1, opacity));
+    if (this.heatmapMesh) this.heatmapMesh.material.uniforms.uOpacity.value = this.heatmapOpacity;
+  }
   
   // ============================================
-  // Heart Pin Toggle for N8
+  // Favorites (heart pins)
   // ============================================
-  let n8HeartPin = null;
-  let n8IsHearted = false;
   
-  scene.toggleHeartN8 = () => {
-    const n8Pin = pinsMap['N8'];
-    if (!n8Pin) return false;
-    
-    n8IsHearted = !n8IsHearted;
+  /**
+   * Heart or unheart a pin: a favorite is swapped for a heart pin with a
+   * red hearts aura, and back
+   * @param {string} label - Pin label (key of pinsMap)
+   * @param {boolean} favorite - Show the heart
+   * @param {Object} options - bounce: spring the regular pin back in when unhearting
+   * @returns {boolean} Whether the pin is a favorite afterwards
+   */
+  setFavorite(label, favorite, { bounce = false } = {}) {
+    const pin = this.pinsMap[label];
+    if (!pin) {
+      console.warn('No pin to favorite:', label);
+      return false;
+    }
+    if (this.favorites.has(label) === favorite) return favorite;
+    const gsap = this.assets.gsap;
     
-    if (n8IsHearted) {
-      // Hide regular pin, show heart pin
-      n8Pin.visible = false;
+    if (favorite) {
+      this.favorites.add(label);
+      pin.userData.isFavorite = true;
+      pin.visible = false;
       
-      if (!n8HeartPin) {
-        // Create heart pin at same position using loaded Heart.svg
-        n8HeartPin = createHeartPin(5, assets.heartTexture);
-        n8HeartPin.position.copy(n8Pin.position);
-        n8HeartPin.position.x += 1; // Offset to align with N8 pin center
-        n8HeartPin.userData.worldX = n8Pin.userData.worldX + 1;
-        n8HeartPin.userData.worldZ = n8Pin.userData.worldZ;
-        n8HeartPin.userData.label = 'N8-heart';  // Prevent undefined label matching
-        pinsGroup.add(n8HeartPin);
+      const heartPin = this.getHeartPin(label);
+      heartPin.visible = true;
+      if (!heartPin.userData.isHidden) {
+        // Bounce animation when hearted
+        if (gsap) {
+          heartPin.scale.set(0.5, 0.5, 0.5);
+          gsap.to(heartPin.scale, {
+            x: 1, y: 1, z: 1,
+            duration: 0.6,
+            ease: 'elastic.out(1, 0.4)'
+          });
+        } else {
+          heartPin.scale.set(1, 1, 1);
+        }
+        if (!heartPin.userData.isDone && heartPin.userData.redHeartsAura) heartPin.userData.redHeartsAura.start();
       }
-      n8HeartPin.visible = true;
+    } else {
+      this.favorites.delete(label);
+      pin.userData.isFavorite = false;
+      this.hideHeartPin(label);
+      pin.visible = true;
       
-      // Bounce animation when hearted
-      if (assets.gsap) {
-        n8HeartPin.scale.set(0.5, 0.5, 0.5);
-        assets.gsap.to(n8HeartPin.scale, {
+      if (bounce && gsap && !pin.userData.isHidden) {
+        pin.scale.set(0.5, 0.5, 0.5);
+        gsap.to(pin.scale, {
           x: 1, y: 1, z: 1,
           duration: 0.6,
           ease: 'elastic.out(1, 0.4)'
         });
       }
-    } else {
-      // Show regular pin, hide heart pin
-      n8Pin.visible = true;
-      if (n8HeartPin) {
-        if (assets.gsap) {
-          assets.gsap.killTweensOf(n8HeartPin.scale);
-        }
-        n8HeartPin.visible = false;
-        n8HeartPin.scale.set(0, 0, 0);
-      }
     }
     
-    return n8IsHearted;
-  };
+    console.log(favorite ? 'Hearted:' : 'Unhearted:', label);
+    return favorite;
+  }
   
-  scene.isN8Hearted = () => n8IsHearted;
+  toggleFavorite(label) {
+    return this.setFavorite(label, !this.isFavorite(label));
+  }
   
-  // Get the pins map for external access
-  scene.getPinsMap = () => pinsMap;
+  isFavorite(label) {
+    return this.favorites.has(label);
+  }
   
-  // Show just the heart pin even if pins group is hidden
-  scene.showHeartOnly = () => {
-    if (n8HeartPin) {
-      // Temporarily make pins group visible but hide all pins except heart
-      pinsGroup.visible = true;
-      pinsGroup.children.forEach(pin => {
-        if (pin !== n8HeartPin) {
-          pin.visible = false;
-        }
-      });
-    }
-  };
+  /**
+   * @returns {string[]} Labels of the hearted pins
+   */
+  getFavorites() {
+    return [...this.favorites];
+  }
   
-  // Bounce the N8 pin (used when swapping from heart back to pin)
-  scene.bounceN8Pin = () => {
-    const n8Pin = pinsMap['N8'];
-    
-    // Hide heart pin immediately and kill any animations on it
-    if (n8HeartPin) {
-      if (assets.gsap) {
-        assets.gsap.killTweensOf(n8HeartPin.scale);
-      }
-      n8HeartPin.visible = false;
-      n8HeartPin.scale.set(0, 0, 0); // Reset scale to ensure it's fully hidden
+  getPinsMap() {
+    return this.pinsMap;
+  }
+  
+  /**
+   * Show just the heart pins even if the pins group is hidden
+   */
+  showHeartOnly() {
+    if (this.favorites.size === 0) return;
+    this.pinsGroup.visible = true;
+    this.pinsGroup.children.forEach((pin) => {
+      pin.visible = Boolean(pin.userData.isHeart && this.favorites.has(pin.userData.heartFor));
+    });
+  }
+  
+  // Heart pin standing in for a pin; it shares the pin's rules so a
+  // hearted surprise gift stays hidden until the pin would be revealed
+  getHeartPin(label) {
+    if (this.heartPins[label]) return this.heartPins[label];
+    const pin = this.pinsMap[label];
+    
+    // Create heart pin at same position using loaded Heart.svg
+    const heartPin = createHeartPin(5, this.assets.heartTexture);
+    heartPin.position.copy(pin.position);
+    heartPin.position.x += HEART_PIN_OFFSET_X;
+    heartPin.userData.worldX = pin.userData.worldX + HEART_PIN_OFFSET_X;
+    heartPin.userData.worldZ = pin.userData.worldZ;
+    heartPin.userData.label = `${label}-heart`;  // Prevent undefined label matching
+    heartPin.userData.heartFor = label;  // Picking shows the pin's details
+    heartPin.userData.rules = pin.userData.rules;
+    heartPin.userData.isHidden = Boolean(pin.userData.isHidden);
+    heartPin.scale.setScalar(pin.userData.isHidden ? 0 : 1);
+    if (pin.userData.isDone) {
+      const heartMesh = heartPin.userData.pinMesh;
+      heartPin.userData.isDone = true;
+      heartMesh.material.map = heartMesh.userData.doneTexture;
     }
     
-    if (n8Pin && assets.gsap) {
-      n8Pin.visible = true;
-      n8Pin.scale.set(0.5, 0.5, 0.5);
-      assets.gsap.to(n8Pin.scale, {
-        x: 1, y: 1, z: 1,
-        duration: 0.6,
-        ease: 'elastic.out(1, 0.4)'
-      });
+    // Red hearts float around favorites (the animator stops them when done)
+    heartPin.userData.hasRedHearts = true;
+    heartPin.userData.redHeartsAura = createFloatingHeartsAura(heartPin, this.assets.gsap, this.assets.redHeartTexture, {
+      maxHearts: 2,
+      spawnIntervalMin: 2000,
+      spawnIntervalMax: 4000
+    });
+    
+    this.pinsGroup.add(heartPin);
+    this.heartPins[label] = heartPin;
+    return heartPin;
+  }
+  
+  hideHeartPin(label) {
+    const heartPin = this.heartPins[label];
+    if (!heartPin) return;
+    if (this.assets.gsap) {
+      this.assets.gsap.killTweensOf(heartPin.scale);
     }
-  };
+    heartPin.visible = false;
+    if (heartPin.userData.redHeartsAura) heartPin.userData.redHeartsAura.stop();
+  }
   
   // ============================================
-  // Path Switching Function
+  // Paths
   // ============================================
-  function switchPath(pathId) {
-    if (!pathDefinitions[pathId]) {
+  
+  /**
+   * Replace the path ribbon with one of pathDefinitions
+   * @param {string} pathId - Key of pathDefinitions
+   * @returns {THREE.Curve|null} The new curve, or null for an unknown id
+   */
+  switchPath(pathId) {
+    if (!this.pathDefinitions[pathId]) {
       console.warn('Unknown path:', pathId);
       return null;
     }
     
-    currentPathId = pathId;
-    const waypoints = pathDefinitions[pathId];
-    pathCurve = createRoundedPath(waypoints, 3.0);
+    this.currentPathId = pathId;
+    this.pathCurve = this.createPathCurve(pathId);
     
     // Update mesh geometry
-    const newGeometry = createRibbonGeometry(pathCurve);
-    pathMesh.geometry.dispose();
-    pathMesh.geometry = newGeometry;
+    this.pathMesh.geometry.dispose();
+    this.pathMesh.geometry = createRibbonGeometry(this.pathCurve);
     
     console.log('Switched to', pathId);
-    return pathCurve;
+    return this.pathCurve;
+  }
+  
+  /**
+   * Add a recorded trace as a path: the curve follows every recorded point
+   * and carries the playback (curve.playback), so the animator replays it at
+   * the recorded pace
+   * @param {string} id - Path id
+   * @param {Object} playback - From createTracePlayback (trace.js)
+   */
+  addTracePath(id, playback) {
+    this.tracePlaybacks[id] = playback;
+    // Directions read turns from the simplified waypoints
+    this.pathDefinitions[id] = playback.waypoints;
+  }
+
+  /**
+   * Replace a path's waypoints (path editor); the ribbon is rebuilt when it
+   * is the current path
+   * @param {string} pathId - Key of pathDefinitions
+   * @param {Array<{x: number, z: number}>} waypoints - At least 2 points
+   * @returns {THREE.Curve|null} The current path's new curve, or null when
+   *   another path (or nothing) changed
+   */
+  setPathWaypoints(pathId, waypoints) {
+    if (this.tracePlaybacks[pathId]) {
+      console.warn('Recorded traces cannot be edited:', pathId);
+      return null;
+    }
+    if (!this.pathDefinitions[pathId] || waypoints.length < 2) return null;
+
+    this.pathDefinitions[pathId] = waypoints.map(({ x, z }) => ({ x, z }));
+    if (this.directions && this.directions.pathId === pathId) this.directions = null;
+    if (pathId !== this.currentPathId) return null;
+
+    this.pathCurve = this.createPathCurve(pathId);
+    this.pathMesh.geometry.dispose();
+    this.pathMesh.geometry = createRibbonGeometry(this.pathCurve);
+    return this.pathCurve;
+  }
+
+  // Curve for a path id: rounded corners, or the recorded points of a trace
+  createPathCurve(pathId) {
+    const playback = this.tracePlaybacks[pathId];
+    if (!playback) return createRoundedPath(this.pathDefinitions[pathId], CORNER_RADIUS);
+    const curve = new PolylineCurve(playback.points);
+    curve.playback = playback;
+    return curve;
+  }
+  
+  getCurrentPathCurve() {
+    return this.pathCurve;
+  }
+  
+  getCurrentPathId() {
+    return this.currentPathId;
+  }
+  
+  /**
+   * Turn-by-turn directions for the current path, built once per path
+   * @returns {{pathId: string, length: number, steps: Object[]}} See buildDirections
+   */
+  getDirections() {
+    if (!this.directions || this.directions.pathId !== this.currentPathId) {
+      const pins = Object.entries(this.pinsMap).map(([label, pin]) => ({
+        label,
+        x: pin.userData.worldX,
+        z: pin.userData.worldZ
+      }));
+      this.directions = {
+        pathId: this.currentPathId,
+        ...buildDirections(this.pathDefinitions[this.currentPathId], this.pathCurve, {
+          floorPlan: this.floorPlan,
+          pins
+        })
+      };
+    }
+    return this.directions;
   }
   
   // ============================================
-  // Done
+  // Extra shoppers
   // ============================================
-  console.log('store scene created');
   
-  return {
-    worldGroup,
-    pathCurve,
-    pathMesh,
-    shopper,
-    shelfMap,
-    sectionLabelsGroup,
-    pinsGroup,
-    pinsMap,
-    pathDefinitions,
-    switchPath,
-    getCurrentPathCurve: () => pathCurve
-  };
+  /**
+   * Add a tinted shopper marker that walks one of the store's paths
+   * @param {string} id - Shopper id
+   * @param {Object} options - pathId (key of pathDefinitions), color (CSS color)
+   * @returns {{id: string, shopper: THREE.Group, pathCurve: THREE.Curve, pathId: string}|null}
+   *   null for an unknown path
+   */
+  addShopper(id, { pathId, color = null } = {}) {
+    if (!this.pathDefinitions[pathId]) {
+      console.warn('Unknown path for shopper', id + ':', pathId);
+      return null;
+    }
+    this.removeShopper(id);
+    
+    const shopper = createShopperMarker(color);
+    shopper.name = `Shopper:${id}`;
+    const pathCurve = this.createPathCurve(pathId);
+    const startPoint = pathCurve.getPointAt(0);
+    shopper.position.set(startPoint.x, 0, startPoint.z);
+    this.worldGroup.add(shopper);
+    
+    this.extraShoppers[id] = { id, shopper, pathCurve, pathId };
+    return this.extraShoppers[id];
+  }
+  
+  removeShopper(id) {
+    const entry = this.extraShoppers[id];
+    if (!entry) return;
+    this.worldGroup.remove(entry.shopper);
+    entry.shopper.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) {
+        if (object.material.map) object.material.map.dispose();
+        object.material.dispose();
+      }
+    });
+    delete this.extraShoppers[id];
+  }
+  
+  // ============================================
+  // Teardown
+  // ============================================
+  
+  /**
+   * Remove the store from the scene and free what it created: geometries,
+   * materials, canvas textures, heart/item animation timers and tweens
+   * Textures passed in through assets are left to their owner
+   */
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    const gsap = this.assets.gsap;
+    
+    // Stop timers and loops before their targets go away
+    this.pinsGroup.children.forEach((pin) => {
+      if (pin.userData.heartsAura) pin.userData.heartsAura.dispose();
+      if (pin.userData.redHeartsAura) pin.userData.redHeartsAura.dispose();
+      if (pin.userData.stopItemAnimation) pin.userData.stopItemAnimation();
+    });
+    
+    const sharedTextures = new Set();
+    Object.values(this.assets).forEach((value) => {
+      if (value && value.isTexture) sharedTextures.add(value);
+    });
+    Object.values(this.assets.itemTextures || {}).forEach(texture => sharedTextures.add(texture));
+    
+    const geometries = new Set();
+    const materials = new Set();
+    const textures = new Set();
+    const addTexture = (texture) => {
+      if (texture && texture.isTexture && !sharedTextures.has(texture)) textures.add(texture);
+    };
+    
+    this.worldGroup.traverse((object) => {
+      if (gsap) {
+        gsap.killTweensOf(object.scale);
+        gsap.killTweensOf(object.position);
+      }
+      if (object.geometry) geometries.add(object.geometry);
+      const objectMaterials = Array.isArray(object.material) ? object.material : [object.material];
+      objectMaterials.forEach((material) => {
+        if (!material) return;
+        materials.add(material);
+        if (gsap) gsap.killTweensOf(material);
+        Object.values(material).forEach(addTexture);
+      });
+      // Pin textures that aren't on the material right now (done / normal)
+      addTexture(object.userData.normalTexture);
+      addTexture(object.userData.doneTexture);
+    });
+    
+    geometries.forEach(geometry => geometry.dispose());
+    materials.forEach(material => material.dispose());
+    textures.forEach(texture => texture.dispose());
+    // Shader uniforms aren't walked above
+    if (this.heatmapTexture) this.heatmapTexture.dispose();
+    
+    this.scene.remove(this.worldGroup);
+    this.lights.forEach((light) => {
+      this.scene.remove(light);
+      if (light.dispose) light.dispose();
+    });
+    
+    this.pinsMap = {};
+    this.heartPins = {};
+    this.favorites.clear();
+    this.referenceOverlayMesh = null;
+    this.heatmapMesh = null;
+    this.heatmapGrid = null;
+    this.heatmapTexture = null;
+    console.log('store scene disposed:', `${geometries.size} geometries, ${materials.size} materials, ${textures.size} textures`);
+  }
+}
+
+/**
+ * Build a store into a scene
+ * @returns {StoreScene}
+ */
+export function createStoreScene(scene, assets, floorPlan, shoppingList) {
+  return new StoreScene(scene, assets, floorPlan, shoppingList);
 }
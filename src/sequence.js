@@ -0,0 +1,400 @@
+/**
+ * Sequence module
+ * Loads storyboard files and plays their steps: waits and named actions
+ * (reveal pins, draw path, intro, journey, ...) that can be paused, skipped
+ * and restarted
+ *
+ * Schema:
+ *
+ * {
+ *   "name": "Valentine's Day demo",
+ *   "demo": "demo",                    // Sequence started by the Play button
+ *   "sequences": [{
+ *     "id": "demo",
+ *     "trigger": "load" | "key" | "manual",
+ *     "key": " ",                      // Keyboard key, for trigger "key"
+ *     "steps": [
+ *       { "wait": 500 },               // Pause for N ms
+ *       { "action": "drawPath", "path": "path3" },
+ *       { "action": "journey", "await": false }  // Don't wait for it to finish
+ *     ]
+ *   }]
+ * }
+ *
+ * Steps may carry a "note" for the storyboard author; it is ignored.
+ */
+
+import { now, setTimer, clearTimer } from './clock.js';
+
+export const DEFAULT_SEQUENCE_URL = 'data/sequences/valentines-demo.json';
+
+// Actions a step can run, with their parameters
+// 'string' / 'boolean' are required, a trailing '?' makes them optional,
+// an array lists the allowed values
+export const STEP_ACTIONS = {
+  revealPins: {},
+  hidePins: {},
+  drawPath: { path: 'string?' },
+  hidePath: {},
+  heartPin: { pin: 'string' },
+  unheartPin: { pin: 'string', bounce: 'boolean?' },
+  intro: {},
+  journey: {},
+  pinchZoom: {},
+  compass: { mode: ['north', 'follow'] }
+};
+
+const TRIGGERS = ['load', 'key', 'manual'];
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Fetch a storyboard JSON file and validate it
+ * @param {string} url - Storyboard URL
+ * @returns {Promise<Object>} The validated storyboard
+ */
+export async function loadSequences(url = DEFAULT_SEQUENCE_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load sequences ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (e) {
+    throw new Error(`Sequences ${url} is not valid JSON: ${e.message}`);
+  }
+
+  const errors = validateSequences(data);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid sequences ${url}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  console.log('Sequences loaded:', data.name || url, `(${data.sequences.length} sequences)`);
+  return data;
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check a storyboard against the schema
+ * @param {Object} data - Parsed storyboard
+ * @returns {string[]} List of problems, empty when the storyboard is valid
+ */
+export function validateSequences(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['sequences file must be an object'];
+  }
+  if (!Array.isArray(data.sequences)) {
+    return ['sequences: expected an array'];
+  }
+
+  const ids = {};
+  data.sequences.forEach((sequence, i) => {
+    const path = `sequences[${i}]`;
+    if (!sequence || typeof sequence !== 'object') {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+
+    if (typeof sequence.id !== 'string' || sequence.id.length === 0) {
+      errors.push(`${path}.id: expected a non-empty string`);
+    } else if (ids[sequence.id] !== undefined) {
+      errors.push(`${path}.id: "${sequence.id}" is already used by sequences[${ids[sequence.id]}]`);
+    } else {
+      ids[sequence.id] = i;
+    }
+
+    if (!TRIGGERS.includes(sequence.trigger)) {
+      errors.push(`${path}.trigger: expected one of ${TRIGGERS.join(', ')}, got ${JSON.stringify(sequence.trigger)}`);
+    } else if (sequence.trigger === 'key' && (typeof sequence.key !== 'string' || sequence.key.length === 0)) {
+      errors.push(`${path}.key: expected a key name for trigger "key"`);
+    }
+
+    if (!Array.isArray(sequence.steps)) {
+      errors.push(`${path}.steps: expected an array`);
+      return;
+    }
+    sequence.steps.forEach((step, j) => checkStep(errors, `${path}.steps[${j}]`, step));
+  });
+
+  if (data.demo !== undefined && ids[data.demo] === undefined) {
+    errors.push(`demo: "${data.demo}" is not a sequence id`);
+  }
+
+  return errors;
+}
+
+function checkStep(errors, path, step) {
+  if (!step || typeof step !== 'object') {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+
+  if (step.wait !== undefined) {
+    if (typeof step.wait !== 'number' || !Number.isFinite(step.wait) || step.wait < 0) {
+      errors.push(`${path}.wait: expected a number of milliseconds >= 0`);
+    }
+    Object.keys(step).forEach((key) => {
+      if (key !== 'wait' && key !== 'note') errors.push(`${path}.${key}: not allowed on a wait step`);
+    });
+    return;
+  }
+
+  const params = STEP_ACTIONS[step.action];
+  if (!params) {
+    errors.push(`${path}.action: expected a wait or one of ${Object.keys(STEP_ACTIONS).join(', ')}, got ${JSON.stringify(step.action)}`);
+    return;
+  }
+
+  Object.keys(step).forEach((key) => {
+    if (key === 'action' || key === 'note') return;
+    if (key === 'await') {
+      if (typeof step.await !== 'boolean') errors.push(`${path}.await: expected true or false`);
+      return;
+    }
+    if (!params[key]) errors.push(`${path}.${key}: unknown parameter for "${step.action}"`);
+  });
+
+  Object.entries(params).forEach(([key, type]) => {
+    const value = step[key];
+    if (Array.isArray(type)) {
+      if (!type.includes(value)) {
+        errors.push(`${path}.${key}: expected one of ${type.join(', ')}, got ${JSON.stringify(value)}`);
+      }
+      return;
+    }
+    const optional = type.endsWith('?');
+    if (value === undefined) {
+      if (!optional) errors.push(`${path}.${key}: required for "${step.action}"`);
+      return;
+    }
+    if (typeof value !== type.replace('?', '')) {
+      errors.push(`${path}.${key}: expected a ${type.replace('?', '')}`);
+    }
+  });
+}
+
+// ============================================
+// Player
+// ============================================
+
+/**
+ * Create a player that runs one sequence at a time
+ * Actions receive the step and may return nothing (instant), a promise /
+ * thenable (awaited unless the step says "await": false), or
+ * { done: Promise, skip: Function } so skipping can fast-forward them
+ * @param {Object} actions - Functions keyed by action name (see STEP_ACTIONS)
+ * @param {Object} hooks - onPause(), onResume(), onStop(), onStep(step, index, sequence)
+ * @returns {Object} { play, stop, pause, resume, skip, restart, getState }
+ */
+export function createSequencePlayer(actions, hooks = {}) {
+  const state = {
+    sequence: null,
+    stepIndex: -1,
+    running: false,
+    paused: false,
+    runId: 0,
+    // Current wait or awaited action: { finish, pause?, resume?, skip? }
+    pending: null,
+    // Runs waiting for resume() before their next step
+    resumeWaiters: []
+  };
+
+  async function run(sequence, runId) {
+    for (let i = 0; i < sequence.steps.length; i++) {
+      if (runId !== state.runId) return;
+      await whileUnpaused();
+      if (runId !== state.runId) return;
+
+      const step = sequence.steps[i];
+      state.stepIndex = i;
+      if (hooks.onStep) hooks.onStep(step, i, sequence);
+
+      if (step.wait !== undefined) {
+        await wait(step.wait, runId);
+      } else {
+        await runAction(step);
+      }
+    }
+
+    if (runId === state.runId) {
+      state.running = false;
+      state.pending = null;
+      console.log('Sequence finished:', sequence.id);
+    }
+  }
+
+  async function runAction(step) {
+    const action = actions[step.action];
+    if (typeof action !== 'function') {
+      console.warn('Sequence: no handler for action', step.action);
+      return;
+    }
+
+    let result;
+    try {
+      result = action(step);
+    } catch (e) {
+      console.error(`Sequence: action "${step.action}" failed:`, e);
+      return;
+    }
+    if (!result || step.await === false) return;
+
+    const done = typeof result.then === 'function' ? result : result.done;
+    if (!done || typeof done.then !== 'function') return;
+
+    await new Promise((resolve) => {
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        if (state.pending && state.pending.finish === finish) state.pending = null;
+        resolve();
+      };
+      state.pending = {
+        finish,
+        skip: () => {
+          if (typeof result.skip === 'function') result.skip();
+          finish();
+        }
+      };
+      Promise.resolve(done).then(finish, (e) => {
+        console.error(`Sequence: action "${step.action}" failed:`, e);
+        finish();
+      });
+    });
+  }
+
+  // Pausable timer: remembers how much of the wait is left
+  function wait(ms, runId) {
+    return new Promise((resolve) => {
+      let remaining = ms;
+      let startedAt = 0;
+      let timer = null;
+      let finished = false;
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimer(timer);
+        if (state.pending && state.pending.finish === finish) state.pending = null;
+        resolve();
+      };
+      const start = () => {
+        startedAt = now();
+        timer = setTimer(finish, remaining);
+      };
+
+      state.pending = {
+        finish,
+        skip: finish,
+        pause: () => {
+          clearTimer(timer);
+          remaining = Math.max(0, remaining - (now() - startedAt));
+        },
+        resume: start
+      };
+      if (runId === state.runId && !state.paused) start();
+    });
+  }
+
+  // Resolves once the player is not paused (or the run was stopped)
+  function whileUnpaused() {
+    if (!state.paused) return Promise.resolve();
+    return new Promise(resolve => state.resumeWaiters.push(resolve));
+  }
+
+  function releaseResumeWaiters() {
+    const waiters = state.resumeWaiters;
+    state.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Play a sequence from the start, stopping whatever is running
+   * @param {Object} sequence - Sequence entry from a storyboard
+   */
+  function play(sequence) {
+    stop(true);
+    state.sequence = sequence;
+    state.stepIndex = -1;
+    state.running = true;
+    state.paused = false;
+    console.log('Sequence started:', sequence.id);
+    run(sequence, state.runId);
+  }
+
+  /**
+   * Stop the running sequence; steps already run are not undone
+   */
+  function stop(silent = false) {
+    const wasRunning = state.running;
+    state.runId++;
+    if (state.pending) state.pending.finish();
+    state.pending = null;
+    state.running = false;
+    if (state.paused) {
+      state.paused = false;
+      if (hooks.onResume) hooks.onResume();
+    }
+    releaseResumeWaiters();
+    if (wasRunning && !silent) {
+      if (hooks.onStop) hooks.onStop();
+      console.log('Sequence stopped:', state.sequence && state.sequence.id);
+    }
+  }
+
+  function pause() {
+    if (!state.running || state.paused) return;
+    state.paused = true;
+    if (state.pending && state.pending.pause) state.pending.pause();
+    if (hooks.onPause) hooks.onPause();
+    console.log('Sequence paused at step', state.stepIndex);
+  }
+
+  function resume() {
+    if (!state.paused) return;
+    state.paused = false;
+    if (hooks.onResume) hooks.onResume();
+    if (state.pending && state.pending.resume) state.pending.resume();
+    releaseResumeWaiters();
+    console.log('Sequence resumed');
+  }
+
+  /**
+   * Finish the current wait or awaited action now and move to the next step
+   */
+  function skip() {
+    if (!state.running) return;
+    if (state.paused) resume();
+    if (state.pending && state.pending.skip) {
+      console.log('Sequence: skipping step', state.stepIndex);
+      state.pending.skip();
+    }
+  }
+
+  function restart() {
+    if (state.sequence) play(state.sequence);
+  }
+
+  function getState() {
+    return {
+      sequenceId: state.sequence ? state.sequence.id : null,
+      stepIndex: state.stepIndex,
+      running: state.running,
+      paused: state.paused
+    };
+  }
+
+  return { play, stop, pause, resume, skip, restart, getState };
+}
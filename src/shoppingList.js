@@ -0,0 +1,279 @@
+/**
+ * Shopping list module
+ * Loads and validates the shopping-list files that drive the journey's pins
+ *
+ * Schema:
+ *
+ * {
+ *   "name": "Valentine's Day run",
+ *   "items": [{
+ *     "aisle": "C10",            // Aisle code, shown on the pin
+ *     "x": -14, "z": -1,         // Store coordinates (see floorplan.js)
+ *     "mount": "shelf" | "bin",  // Pin sits above a shelf or a bin
+ *     "elevation": 1,            // Optional height above the mount (default 1)
+ *     "image": "assets/items/C10.png",
+ *     "badge": "$5 off",         // Optional savings badge text
+ *     "gift": true,              // Optional pink hearts aura
+ *     "redHearts": true,         // Optional looping red hearts
+ *     "reveal": {                // Optional - pin starts hidden until one of:
+ *       "onProximity": 8,        //   shopper comes within N units
+ *       "after": "B4",           //   another pin is done
+ *       "afterDelay": 3000       //   N ms after load
+ *     },
+ *     "rules": [{                // Optional pin rules (see pinState.js)
+ *       "when": { "doneCount": 3 }, // One trigger: near, anyoneNear (units),
+ *                                //   after (aisle), doneCount (items done),
+ *                                //   time (journey ms), delay (ms after load)
+ *       "then": "reveal",        // Effect(s): reveal, badge, pause, done, or
+ *                                //   { "pause": 3000, "done": 800 } (ms)
+ *       "paths": ["path2"]       // Optional - only on these paths
+ *     }]
+ *   }],
+ *   "shoppers": [{               // Optional - more shoppers splitting the list
+ *     "id": "partner",           // Unique name
+ *     "path": "path1",           // Store path to walk (path1, path2, path3, auto)
+ *     "color": "#E5007E",        // Optional marker tint
+ *     "speed": 1.2,              // Optional walking speed multiplier (default 1)
+ *     "items": ["N8", "F7"]      // Aisles this shopper picks up; the main
+ *   }]                           //   shopper picks up the rest
+ * }
+ */
+
+import { PIN_TRIGGERS, PIN_UNPLANNED_TRIGGERS, PIN_EFFECTS } from './pinState.js';
+
+export const DEFAULT_SHOPPING_LIST_URL = 'data/shopping-lists/valentines.json';
+
+/**
+ * Fetch a shopping-list JSON file and validate it
+ * @param {string} url - Shopping list URL
+ * @returns {Promise<Object>} The validated shopping list
+ */
+export async function loadShoppingList(url = DEFAULT_SHOPPING_LIST_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load shopping list ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  let list;
+  try {
+    list = await response.json();
+  } catch (e) {
+    throw new Error(`Shopping list ${url} is not valid JSON: ${e.message}`);
+  }
+
+  const errors = validateShoppingList(list);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid shopping list ${url}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  console.log('Shopping list loaded:', list.name || url, `(${list.items.length} items)`);
+  return list;
+}
+
+/**
+ * Check a shopping list against the schema
+ * @param {Object} list - Parsed shopping list
+ * @returns {string[]} List of problems, empty when the list is valid
+ */
+export function validateShoppingList(list) {
+  const errors = [];
+
+  if (!list || typeof list !== 'object') {
+    return ['shopping list must be an object'];
+  }
+  if (!Array.isArray(list.items)) {
+    return ['items: expected an array'];
+  }
+
+  const seen = {};
+  list.items.forEach((item, i) => {
+    const path = `items[${i}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+
+    if (typeof item.aisle !== 'string' || !/^[A-Z]\d+$/.test(item.aisle)) {
+      errors.push(`${path}.aisle: expected an aisle code like "C10", got ${JSON.stringify(item.aisle)}`);
+    } else if (seen[item.aisle] !== undefined) {
+      errors.push(`${path}.aisle: "${item.aisle}" is already listed at items[${seen[item.aisle]}]`);
+    } else {
+      seen[item.aisle] = i;
+    }
+
+    if (!isNumber(item.x)) errors.push(`${path}.x: expected a number`);
+    if (!isNumber(item.z)) errors.push(`${path}.z: expected a number`);
+    if (item.mount !== 'shelf' && item.mount !== 'bin') {
+      errors.push(`${path}.mount: expected "shelf" or "bin", got ${JSON.stringify(item.mount)}`);
+    }
+    if (item.elevation !== undefined && !isNumber(item.elevation)) {
+      errors.push(`${path}.elevation: expected a number`);
+    }
+    if (item.image !== undefined && typeof item.image !== 'string') {
+      errors.push(`${path}.image: expected a URL string`);
+    }
+    if (item.badge !== undefined && (typeof item.badge !== 'string' || item.badge.length === 0)) {
+      errors.push(`${path}.badge: expected non-empty text`);
+    }
+    ['gift', 'redHearts'].forEach((key) => {
+      if (item[key] !== undefined && typeof item[key] !== 'boolean') {
+        errors.push(`${path}.${key}: expected true or false`);
+      }
+    });
+
+    if (item.reveal !== undefined) {
+      const reveal = item.reveal;
+      const rules = reveal && typeof reveal === 'object' ? Object.keys(reveal) : [];
+      if (rules.length === 0) {
+        errors.push(`${path}.reveal: expected one of onProximity, after or afterDelay`);
+      }
+      rules.forEach((rule) => {
+        if (rule === 'onProximity' || rule === 'afterDelay') {
+          if (!isNumber(reveal[rule]) || reveal[rule] <= 0) {
+            errors.push(`${path}.reveal.${rule}: expected a positive number`);
+          }
+        } else if (rule !== 'after') {
+          errors.push(`${path}.reveal.${rule}: unknown reveal rule`);
+        }
+      });
+    }
+  });
+
+  // "after" has to point at another item on the list
+  list.items.forEach((item, i) => {
+    const after = item && item.reveal && item.reveal.after;
+    if (after !== undefined && (seen[after] === undefined || after === item.aisle)) {
+      errors.push(`items[${i}].reveal.after: "${after}" is not another item on this list`);
+    }
+    if (item && item.rules !== undefined) {
+      validateRules(item.rules, `items[${i}].rules`, item.aisle, seen, errors);
+    }
+  });
+
+  if (list.shoppers !== undefined) {
+    validateShoppers(list.shoppers, seen, errors);
+  }
+
+  return errors;
+}
+
+function validateRules(rules, path, aisle, aisles, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push(`${path}: expected an array`);
+    return;
+  }
+
+  rules.forEach((rule, i) => {
+    const rulePath = `${path}[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${rulePath}: expected an object`);
+      return;
+    }
+
+    const triggers = rule.when && typeof rule.when === 'object' ? Object.keys(rule.when) : [];
+    if (triggers.length !== 1 || !PIN_TRIGGERS.includes(triggers[0])) {
+      errors.push(`${rulePath}.when: expected one of ${PIN_TRIGGERS.join(', ')}`);
+    } else {
+      const [trigger] = triggers;
+      const value = rule.when[trigger];
+      if (trigger === 'after') {
+        if (aisles[value] === undefined || value === aisle) {
+          errors.push(`${rulePath}.when.after: "${value}" is not another item on this list`);
+        }
+      } else if (trigger === 'doneCount') {
+        if (!Number.isInteger(value) || value <= 0) {
+          errors.push(`${rulePath}.when.doneCount: expected a positive whole number`);
+        }
+      } else if (!isNumber(value) || value <= 0) {
+        errors.push(`${rulePath}.when.${trigger}: expected a positive number`);
+      }
+    }
+
+    const then = rule.then;
+    if (typeof then === 'string' || Array.isArray(then)) {
+      const effects = [].concat(then);
+      if (effects.length === 0) errors.push(`${rulePath}.then: expected at least one effect`);
+      effects.forEach((effect) => {
+        if (!(effect in PIN_EFFECTS)) errors.push(`${rulePath}.then: unknown effect ${JSON.stringify(effect)}`);
+      });
+    } else if (then && typeof then === 'object' && Object.keys(then).length > 0) {
+      Object.entries(then).forEach(([effect, value]) => {
+        if (!(effect in PIN_EFFECTS)) {
+          errors.push(`${rulePath}.then.${effect}: unknown effect`);
+        } else if (value !== true && (typeof PIN_EFFECTS[effect] !== 'number' || !isNumber(value) || value < 0)) {
+          errors.push(`${rulePath}.then.${effect}: expected true${typeof PIN_EFFECTS[effect] === 'number' ? ' or ms' : ''}`);
+        }
+      });
+    } else {
+      errors.push(`${rulePath}.then: expected an effect, a list of effects or { effect: ms }`);
+    }
+
+    // Pauses are planned into the journey before it plays
+    const pauses = typeof then === 'string' || Array.isArray(then)
+      ? [].concat(then).includes('pause')
+      : Boolean(then && typeof then === 'object' && then.pause);
+    if (pauses && PIN_UNPLANNED_TRIGGERS.includes(triggers[0])) {
+      errors.push(`${rulePath}.then.pause: a ${triggers[0]} trigger can't pause (the journey can't plan for it)`);
+    }
+
+    if (rule.paths !== undefined &&
+        (!Array.isArray(rule.paths) || rule.paths.length === 0 || !rule.paths.every(id => typeof id === 'string'))) {
+      errors.push(`${rulePath}.paths: expected a list of path ids like "path2"`);
+    }
+  });
+}
+
+function validateShoppers(shoppers, aisles, errors) {
+  if (!Array.isArray(shoppers)) {
+    errors.push('shoppers: expected an array');
+    return;
+  }
+
+  const ids = {};
+  const claimed = {};
+  shoppers.forEach((shopper, i) => {
+    const path = `shoppers[${i}]`;
+    if (!shopper || typeof shopper !== 'object') {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+
+    if (typeof shopper.id !== 'string' || shopper.id.length === 0 || shopper.id === 'lead' || shopper.id === 'all') {
+      errors.push(`${path}.id: expected a name other than "lead" or "all", got ${JSON.stringify(shopper.id)}`);
+    } else if (ids[shopper.id] !== undefined) {
+      errors.push(`${path}.id: "${shopper.id}" is already used by shoppers[${ids[shopper.id]}]`);
+    } else {
+      ids[shopper.id] = i;
+    }
+
+    if (typeof shopper.path !== 'string' || shopper.path.length === 0) {
+      errors.push(`${path}.path: expected a path id like "path1"`);
+    }
+    if (shopper.color !== undefined && typeof shopper.color !== 'string') {
+      errors.push(`${path}.color: expected a CSS color string`);
+    }
+    if (shopper.speed !== undefined && (!isNumber(shopper.speed) || shopper.speed <= 0)) {
+      errors.push(`${path}.speed: expected a positive number`);
+    }
+
+    if (!Array.isArray(shopper.items)) {
+      errors.push(`${path}.items: expected an array of aisle codes`);
+      return;
+    }
+    shopper.items.forEach((aisle, j) => {
+      if (aisles[aisle] === undefined) {
+        errors.push(`${path}.items[${j}]: "${aisle}" is not an item on this list`);
+      } else if (claimed[aisle] !== undefined) {
+        errors.push(`${path}.items[${j}]: "${aisle}" is already picked up by shoppers[${claimed[aisle]}]`);
+      } else {
+        claimed[aisle] = i;
+      }
+    });
+  });
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
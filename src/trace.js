@@ -0,0 +1,281 @@
+/**
+ * Trace module
+ * Recorded shopper traces: timestamped positions in store coordinates with
+ * optional item scans, loaded from JSON or CSV and turned into a playback
+ * (position along the trace at any time) for the animator
+ *
+ * JSON schema (t in seconds or ISO timestamps):
+ *
+ * {
+ *   "name": "Saturday 10:42",
+ *   "points": [{ "t": 0, "x": 0, "z": 26 }, ...],
+ *   "scans": [{ "t": 41.5, "aisle": "C10" }]
+ * }
+ *
+ * CSV: a header row naming t (or time / timestamp), x, z and optionally scan;
+ * a row with a scan is also a point, and its aisle code is scanned at t
+ */
+
+// Moves shorter than this from the last position are recording noise while
+// standing still (store units)
+const STILL_DISTANCE = 0.25;
+// Waypoints for directions keep the trace within this distance
+const SIMPLIFY_TOLERANCE = 0.5;
+
+/**
+ * Fetch a trace (.csv or JSON) and validate it
+ * @param {string} url - Trace URL
+ * @returns {Promise<Object>} { name, points, scans } with times in seconds
+ */
+export async function loadTrace(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load trace ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  const text = await response.text();
+  let data;
+  if (/\.csv($|\?)/i.test(url) || !text.trim().startsWith('{')) {
+    data = parseTraceCsv(text);
+  } else {
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Trace ${url} is not valid JSON: ${e.message}`);
+    }
+  }
+
+  const errors = validateTrace(data);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid trace ${url}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const trace = {
+    name: data.name || url,
+    points: data.points.map(point => ({ x: point.x, z: point.z, t: toSeconds(point.t) })),
+    scans: (data.scans || []).map(scan => ({ aisle: scan.aisle, t: toSeconds(scan.t) }))
+  };
+  console.log('Trace loaded:', trace.name, `(${trace.points.length} points, ${trace.scans.length} scans)`);
+  return trace;
+}
+
+/**
+ * Read a CSV trace into the JSON shape (cells are left as found, so the
+ * validator can report them)
+ * @param {string} text - CSV with a header row
+ * @returns {Object} { points, scans }
+ */
+export function parseTraceCsv(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => line.split(',').map(cell => cell.trim()));
+  if (rows.length === 0) return { points: [], scans: [] };
+
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const column = (...names) => header.findIndex(cell => names.includes(cell));
+  const tColumn = column('t', 'time', 'timestamp');
+  const xColumn = column('x');
+  const zColumn = column('z');
+  const scanColumn = column('scan', 'aisle');
+  if (tColumn < 0 || xColumn < 0 || zColumn < 0) {
+    return { error: 'CSV header must name t (or time / timestamp), x and z columns' };
+  }
+
+  const cellValue = cell => (cell !== undefined && cell !== '' && !Number.isNaN(Number(cell)) ? Number(cell) : cell);
+  const points = [];
+  const scans = [];
+  rows.slice(1).forEach((row) => {
+    const t = cellValue(row[tColumn]);
+    points.push({ t, x: cellValue(row[xColumn]), z: cellValue(row[zColumn]) });
+    if (scanColumn >= 0 && row[scanColumn]) scans.push({ t, aisle: row[scanColumn] });
+  });
+  return { points, scans };
+}
+
+/**
+ * Check trace data against the schema
+ * @param {Object} data - Parsed trace (JSON or parseTraceCsv output)
+ * @returns {string[]} List of problems, empty when the trace is valid
+ */
+export function validateTrace(data) {
+  if (!data || typeof data !== 'object') return ['trace must be an object'];
+  if (data.error) return [data.error];
+  if (!Array.isArray(data.points)) return ['points: expected an array'];
+
+  const errors = [];
+  if (data.points.length < 2) errors.push('points: expected at least 2 points');
+
+  let lastT = -Infinity;
+  data.points.forEach((point, i) => {
+    const path = `points[${i}]`;
+    if (!point || typeof point !== 'object') {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (!isNumber(point.x)) errors.push(`${path}.x: expected a number`);
+    if (!isNumber(point.z)) errors.push(`${path}.z: expected a number`);
+    const t = toSeconds(point.t);
+    if (!isNumber(t)) {
+      errors.push(`${path}.t: expected seconds or an ISO timestamp`);
+      return;
+    }
+    if (t < lastT) errors.push(`${path}.t: times must not go backwards`);
+    lastT = t;
+  });
+  if (errors.length === 0 && toSeconds(data.points[data.points.length - 1].t) <= toSeconds(data.points[0].t)) {
+    errors.push('points: the trace must last longer than 0 seconds');
+  }
+
+  if (data.scans !== undefined) {
+    if (!Array.isArray(data.scans)) {
+      errors.push('scans: expected an array');
+    } else {
+      data.scans.forEach((scan, i) => {
+        const path = `scans[${i}]`;
+        if (!scan || typeof scan.aisle !== 'string' || scan.aisle === '') {
+          errors.push(`${path}.aisle: expected an aisle code`);
+        }
+        if (!scan || !isNumber(toSeconds(scan.t))) errors.push(`${path}.t: expected seconds or an ISO timestamp`);
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Playback of a loaded trace: where along it the shopper is at any time
+ * Times are relative to the first point
+ * @param {Object} trace - From loadTrace
+ * @returns {{name: string, duration: number, length: number, points: Object[],
+ *   waypoints: Object[], scans: Object[], scanTimes: Map, progressAt: Function,
+ *   timeAt: Function}} points: the trace without standing-still samples (the
+ *   curve to walk); waypoints: a simplified version for directions;
+ *   scanTimes: aisle code -> first scan time
+ */
+export function createTracePlayback(trace) {
+  const start = trace.points[0].t;
+  const points = [{ x: trace.points[0].x, z: trace.points[0].z }];
+  // Distance walked and time of every sample
+  const samples = [{ t: 0, distance: 0 }];
+  let length = 0;
+
+  trace.points.slice(1).forEach((point) => {
+    const last = points[points.length - 1];
+    const step = Math.hypot(point.x - last.x, point.z - last.z);
+    if (step >= STILL_DISTANCE) {
+      points.push({ x: point.x, z: point.z });
+      length += step;
+    }
+    samples.push({ t: point.t - start, distance: length });
+  });
+
+  const duration = samples[samples.length - 1].t;
+  const scans = trace.scans
+    .map(scan => ({ aisle: scan.aisle, t: Math.max(0, Math.min(duration, scan.t - start)) }))
+    .sort((a, b) => a.t - b.t);
+  const scanTimes = new Map();
+  scans.forEach((scan) => {
+    if (!scanTimes.has(scan.aisle)) scanTimes.set(scan.aisle, scan.t);
+  });
+
+  return {
+    name: trace.name,
+    duration,
+    length,
+    points,
+    waypoints: simplify(points, SIMPLIFY_TOLERANCE),
+    scans,
+    scanTimes,
+    // Fraction of the trace's length walked by a time (seconds)
+    progressAt(time) {
+      if (length === 0) return 0;
+      const i = lastIndexAtOrBefore(samples, 't', time);
+      const a = samples[i];
+      const b = samples[Math.min(i + 1, samples.length - 1)];
+      const f = b.t > a.t ? Math.max(0, Math.min(1, (time - a.t) / (b.t - a.t))) : 0;
+      return (a.distance + (b.distance - a.distance) * f) / length;
+    },
+    // First time the shopper has walked a fraction of the trace's length
+    timeAt(progress) {
+      const distance = progress * length;
+      const i = lastIndexAtOrBefore(samples, 'distance', distance);
+      const a = samples[i];
+      if (a.distance >= distance) return firstAtDistance(samples, i).t;
+      const b = samples[Math.min(i + 1, samples.length - 1)];
+      const f = b.distance > a.distance ? (distance - a.distance) / (b.distance - a.distance) : 0;
+      return a.t + (b.t - a.t) * f;
+    }
+  };
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+// Numbers are seconds; strings are timestamps (Date.parse)
+function toSeconds(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value !== '') {
+    const ms = Date.parse(value);
+    if (!Number.isNaN(ms)) return ms / 1000;
+  }
+  return NaN;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Index of the last sample whose key is <= value (samples sorted by key)
+function lastIndexAtOrBefore(samples, key, value) {
+  let low = 0;
+  let high = samples.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (samples[mid][key] <= value) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+// Earliest sample at the same distance (where a pause started)
+function firstAtDistance(samples, i) {
+  while (i > 0 && samples[i - 1].distance === samples[i].distance) i--;
+  return samples[i];
+}
+
+// Douglas-Peucker, iterative so long traces don't exhaust the stack
+function simplify(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest >= 0) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((point, i) => keep[i]);
+}
+
+function distanceToSegment(point, from, to) {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSq))
+    : 0;
+  return Math.hypot(point.x - (from.x + dx * t), point.z - (from.z + dz * t));
+}
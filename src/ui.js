@@ -1,108 +1,1106 @@
 /**
  * UI module
- * Creates and manages the user interface elements
+ * Control panel, scrubber, shopping checklist, directions banner, heatmap
+ * legend, path editor panel, export panel and pin card
+ *
+ * Components are { element, update(state) }. The control panel merges state
+ * from its sources (animator subscription, view state) and pushes every
+ * change to its components, so buttons never have to be toggled by hand.
  */
 
+import { createMinimap } from './minimap.js';
+import { formatStep, getUpcomingStep } from './directions.js';
+
+// ============================================
+// View State
+// Scene-side UI state (labels, pins, hearts) that the animator doesn't own
+// ============================================
+
 /**
- * Creates the UI placeholder in the container
+ * Small observable state object
+ * @param {Object} initial - Initial values
+ * @returns {{get: Function, set: Function, subscribe: Function}}
+ */
+export function createViewState(initial = {}) {
+  let state = { ...initial };
+  const listeners = new Set();
+
+  return {
+    get: () => state,
+    set(patch) {
+      state = { ...state, ...patch };
+      listeners.forEach(listener => listener(state));
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(state);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+// ============================================
+// Control Panel
+// ============================================
+
+/**
+ * Build the control panel from the paths and features that are available
  * @param {HTMLElement} container - The UI container element
+ * @param {Object} options
+ * @param {Array<{id: string, label: string}>} options.paths - Selectable paths
+ * @param {Object} options.features - pinchZoom, restart, heatmap (toggle and legend),
+ *   pathEditor (toggle and editor panel)
+ * @param {Object[]} options.checklist - Shopping list entries for the sidebar
+ *   (see createChecklist); no sidebar when empty
+ * @param {string[]} options.shoppers - Ids of the extra shoppers; a camera
+ *   selector is added when there are any
+ * @param {Object} options.minimap - Minimap options (see createMinimap); no minimap when null
+ * @param {Object} options.directions - Directions banner options (see
+ *   createDirectionsBanner); no banner when null
+ * @param {Object} options.actions - toggleLabels, togglePins, selectPath(id|'none'),
+ *   toggleCompass, followAgent(id|'lead'|'all'), toggleHeart(label), pinchZoom,
+ *   restart, focusPin(label), toggleHeatmap, heatmapOpacity(0-1),
+ *   togglePathEditor, copyWaypoints, downloadWaypoints, and the scrubber
+ *   handlers (see createScrubber)
+ * @param {Function[]} options.sources - subscribe functions; each calls back
+ *   with part of the state (e.g. animator subscribe, viewState.subscribe)
+ * @returns {{element: HTMLElement, components: Object[], dispose: Function}}
  */
-export function createUI(container) {
+export function createControlPanel(container, {
+  paths = [],
+  features = {},
+  checklist = [],
+  shoppers = [],
+  minimap = null,
+  directions = null,
+  actions = {},
+  sources = []
+}) {
   if (!container) {
     console.warn('UI container not found');
-    return;
+    return { element: null, components: [], dispose() {} };
+  }
+
+  const call = name => (...args) => {
+    if (typeof actions[name] === 'function') actions[name](...args);
+  };
+
+  const panel = document.createElement('div');
+  panel.id = 'control-panel';
+  panel.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+
+  const components = [
+    createToggleButton({
+      label: 'Labels',
+      isActive: state => state.labelsVisible,
+      onClick: call('toggleLabels')
+    }),
+    createToggleButton({
+      label: 'Pins',
+      isActive: state => state.pinsVisible,
+      onClick: call('togglePins')
+    }),
+    createSelect({
+      title: 'Path',
+      options: [{ value: 'none', label: 'Path: Off' }, ...paths.map(path => ({ value: path.id, label: path.label }))],
+      value: state => (state.pathVisible && state.pathId ? state.pathId : 'none'),
+      onChange: call('selectPath')
+    }),
+    createToggleButton({
+      // ON = North-up (Sam's logo at top), OFF = marker always faces forward
+      label: state => (state.compassMode ? '🧭 North-up' : '📍 Follow'),
+      isActive: state => state.compassMode,
+      onClick: call('toggleCompass')
+    })
+  ];
+
+  if (shoppers.length > 0) {
+    components.push(createSelect({
+      title: 'Camera',
+      options: [
+        { value: 'lead', label: 'Camera: You' },
+        ...shoppers.map(id => ({ value: id, label: `Camera: ${id}` })),
+        { value: 'all', label: 'Camera: Everyone' }
+      ],
+      value: state => state.followedAgent,
+      onChange: call('followAgent')
+    }));
+  }
+
+  if (features.heatmap) {
+    components.push(createToggleButton({
+      label: 'Heatmap',
+      isActive: state => state.heatmapVisible,
+      onClick: call('toggleHeatmap')
+    }));
+  }
+  if (features.pathEditor) {
+    components.push(createToggleButton({
+      label: '✎ Edit Path',
+      isActive: state => Boolean(state.pathEditor),
+      onClick: call('togglePathEditor')
+    }));
+  }
+  if (features.pinchZoom) {
+    components.push(createActionButton({ label: '🔍 Pinch Zoom', onClick: call('pinchZoom') }));
+  }
+  if (features.restart) {
+    components.push(createActionButton({ label: '↺ Restart', onClick: call('restart') }));
+  }
+
+  components.forEach(component => panel.appendChild(component.element));
+  container.insertBefore(panel, container.firstChild);
+
+  // Journey scrubber along the bottom of the screen
+  components.push(createScrubber(document.body, {
+    onPlayPause: call('playPause'),
+    onSeek: call('seek'),
+    onSpeedChange: call('speedChange'),
+    onScrubStart: call('scrubStart'),
+    onScrubEnd: call('scrubEnd')
+  }));
+
+  // Shopping checklist along the left edge
+  if (checklist.length > 0) {
+    components.push(createChecklist(document.body, {
+      items: checklist,
+      onSelect: call('focusPin'),
+      onToggleFavorite: call('toggleHeart')
+    }));
+  }
+
+  // Store overview in the bottom-right corner
+  if (minimap) {
+    components.push(createMinimap(document.body, minimap));
+  }
+
+  // Heatmap scale and opacity above the minimap
+  if (features.heatmap) {
+    components.push(createHeatmapLegend(document.body, { onOpacityChange: call('heatmapOpacity') }));
+  }
+
+  // Waypoints, blocked segments and export while editing the path
+  if (features.pathEditor) {
+    components.push(createPathEditorPanel(document.body, {
+      onCopy: call('copyWaypoints'),
+      onDownload: call('downloadWaypoints'),
+      onDone: call('togglePathEditor')
+    }));
   }
 
-  // Create placeholder wrapper
-  const wrapper = document.createElement('div');
-  wrapper.id = 'ui-wrapper';
-  wrapper.style.cssText = `
+  // Next turn or pin across the top while the journey runs
+  if (directions) {
+    components.push(createDirectionsBanner(document.body, directions));
+  }
+
+  // Merge partial states from every source and refresh all components
+  const parts = sources.map(() => ({}));
+  let ready = false;
+  const render = () => {
+    if (!ready) return;
+    const state = Object.assign({}, ...parts);
+    components.forEach(component => component.update(state));
+  };
+  const unsubscribers = sources.map((subscribe, i) => subscribe((part) => {
+    parts[i] = part;
+    render();
+  }));
+  ready = true;
+  render();
+
+  console.log('Control panel created');
+
+  return {
+    element: panel,
+    components,
+    dispose() {
+      unsubscribers.forEach(unsubscribe => unsubscribe && unsubscribe());
+      components.forEach(component => component.element && component.element.remove());
+      panel.remove();
+    }
+  };
+}
+
+function isHearted(state, label) {
+  return Boolean(state.heartedPins && state.heartedPins.includes(label));
+}
+
+// ============================================
+// Components
+// ============================================
+
+/**
+ * Button whose label and active style follow the state
+ * @param {Object} options - label (text or state => text), isActive(state), onClick, className
+ */
+export function createToggleButton({ label, isActive, onClick, className = '' }) {
+  const button = document.createElement('button');
+  button.className = `toggle-btn ${className}`.trim();
+  if (typeof label === 'string') button.textContent = label;
+  button.addEventListener('click', () => onClick && onClick());
+
+  return {
+    element: button,
+    update(state) {
+      if (typeof label === 'function') button.textContent = label(state);
+      button.classList.toggle('active', Boolean(isActive && isActive(state)));
+    }
+  };
+}
+
+/**
+ * Plain button
+ * @param {Object} options - label, onClick, isEnabled(state)
+ */
+export function createActionButton({ label, onClick, isEnabled }) {
+  const button = document.createElement('button');
+  button.className = 'toggle-btn';
+  button.textContent = label;
+  button.addEventListener('click', () => onClick && onClick());
+
+  return {
+    element: button,
+    update(state) {
+      if (isEnabled) button.disabled = !isEnabled(state);
+    }
+  };
+}
+
+/**
+ * Dropdown whose selection follows the state
+ * @param {Object} options - title, options [{ value, label }], value(state), onChange(value)
+ */
+export function createSelect({ title, options, value, onChange }) {
+  const select = document.createElement('select');
+  select.className = 'toggle-btn';
+  select.title = title || '';
+  options.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.value;
+    option.textContent = entry.label;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange && onChange(select.value));
+
+  return {
+    element: select,
+    update(state) {
+      const current = value(state);
+      if (current !== undefined && select.value !== current) select.value = current;
+    }
+  };
+}
+
+// ============================================
+// Timeline Scrubber
+// ============================================
+
+const PLAYBACK_SPEEDS = [0.5, 1, 1.5, 2, 4];
+
+/**
+ * Create the journey scrubber bar (play/pause, seek slider, speed selector)
+ * @param {HTMLElement} container - Element the bar is appended to
+ * @param {Object} handlers - onPlayPause(), onSeek(fraction), onSpeedChange(speed),
+ *   onScrubStart() / onScrubEnd() around a drag
+ * @returns {{update: Function, element: HTMLElement}} update(state) with the
+ *   shape returned by getAnimatorState()
+ */
+export function createScrubber(container, { onPlayPause, onSeek, onSpeedChange, onScrubStart, onScrubEnd } = {}) {
+  if (!container) {
+    console.warn('Scrubber container not found');
+    return { update() {}, element: null };
+  }
+
+  const bar = document.createElement('div');
+  bar.id = 'scrubber';
+  bar.style.cssText = `
+    position: fixed;
+    left: 50%;
+    bottom: 16px;
+    transform: translateX(-50%);
+    z-index: 200;
     display: flex;
-    flex-direction: column;
-    gap: 8px;
-    padding: 12px;
-    background: rgba(0, 0, 0, 0.6);
+    align-items: center;
+    gap: 10px;
+    width: min(640px, calc(100vw - 32px));
+    padding: 8px 12px;
+    background: rgba(255, 255, 255, 0.95);
     border-radius: 8px;
-    backdrop-filter: blur(8px);
-    font-family: 'SF Mono', 'Fira Code', monospace;
-    font-size: 12px;
-    color: #fff;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+    color: #004F9A;
   `;
 
-  // Placeholder text
-  const placeholder = document.createElement('div');
-  placeholder.textContent = 'UI Controls';
-  placeholder.style.cssText = `
-    color: #888;
-    text-transform: uppercase;
-    letter-spacing: 1px;
-    font-size: 10px;
-    margin-bottom: 4px;
+  const playButton = document.createElement('button');
+  playButton.className = 'toggle-btn';
+  playButton.textContent = '▶';
+  playButton.title = 'Play / pause';
+  playButton.style.cssText = 'padding: 6px 12px; box-shadow: none;';
+  bar.appendChild(playButton);
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = '1000';
+  slider.value = '0';
+  slider.style.cssText = 'flex: 1; accent-color: #004F9A; cursor: pointer;';
+  bar.appendChild(slider);
+
+  const timeLabel = document.createElement('span');
+  timeLabel.textContent = '0:00 / 0:00';
+  timeLabel.style.cssText = 'min-width: 84px; text-align: right; font-variant-numeric: tabular-nums;';
+  bar.appendChild(timeLabel);
+
+  const speedSelect = document.createElement('select');
+  speedSelect.className = 'toggle-btn';
+  speedSelect.title = 'Playback speed';
+  speedSelect.style.cssText = 'padding: 6px 28px 6px 10px; box-shadow: none;';
+  PLAYBACK_SPEEDS.forEach((speed) => {
+    const option = document.createElement('option');
+    option.value = String(speed);
+    option.textContent = `${speed}x`;
+    option.selected = speed === 1;
+    speedSelect.appendChild(option);
+  });
+  bar.appendChild(speedSelect);
+
+  container.appendChild(bar);
+
+  // While dragging, the slider owns the position; update() leaves it alone
+  let dragging = false;
+
+  playButton.addEventListener('click', () => {
+    if (typeof onPlayPause === 'function') onPlayPause();
+  });
+
+  slider.addEventListener('pointerdown', () => {
+    dragging = true;
+    if (typeof onScrubStart === 'function') onScrubStart();
+  });
+  slider.addEventListener('input', () => {
+    if (typeof onSeek === 'function') onSeek(Number(slider.value) / 1000);
+  });
+  const endDrag = () => {
+    if (!dragging) return;
+    dragging = false;
+    if (typeof onScrubEnd === 'function') onScrubEnd();
+  };
+  slider.addEventListener('pointerup', endDrag);
+  slider.addEventListener('pointercancel', endDrag);
+  slider.addEventListener('change', endDrag);
+
+  speedSelect.addEventListener('change', () => {
+    if (typeof onSpeedChange === 'function') onSpeedChange(Number(speedSelect.value));
+  });
+
+  const formatTime = (seconds) => {
+    const whole = Math.max(0, Math.round(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  };
+
+  function update(state) {
+    if (!state) return;
+    playButton.textContent = state.isPlaying ? '❚❚' : '▶';
+    if (!dragging) {
+      slider.value = String(Math.round(state.timelineProgress * 1000));
+    }
+    timeLabel.textContent =
+      `${formatTime(state.timelineProgress * state.duration)} / ${formatTime(state.duration)}`;
+    if (Number(speedSelect.value) !== state.playbackSpeed) {
+      speedSelect.value = String(state.playbackSpeed);
+    }
+  }
+
+  console.log('Scrubber created');
+  return { update, element: bar };
+}
+
+// ============================================
+// Shopping Checklist
+// ============================================
+
+/**
+ * Create the shopping checklist sidebar, one row per pin
+ * Rows follow state.pins (done / hidden, from getAnimatorState) and
+ * state.heartedPins; hidden gift pins stay a surprise until revealed
+ * @param {HTMLElement} container - Element the sidebar is appended to
+ * @param {Object} options
+ * @param {Array<Object>} options.items - label, image (URL), savings (text), isGift
+ * @param {Function} options.onSelect - Called with the label of a clicked row
+ * @param {Function} options.onToggleFavorite - Called with the label of a clicked heart
+ * @returns {{update: Function, element: HTMLElement}}
+ */
+export function createChecklist(container, { items = [], onSelect, onToggleFavorite } = {}) {
+  if (!container) {
+    console.warn('Checklist container not found');
+    return { update() {}, element: null };
+  }
+
+  const sidebar = document.createElement('div');
+  sidebar.id = 'checklist';
+  sidebar.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 16px;
+    z-index: 200;
+    width: 220px;
+    max-height: calc(100vh - 100px);
+    overflow-y: auto;
+    padding: 10px;
+    background: rgba(255, 255, 255, 0.95);
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+    color: #1a1a1a;
   `;
-  wrapper.appendChild(placeholder);
-
-  // Restart button placeholder (disabled for now)
-  const restartButton = document.createElement('button');
-  restartButton.id = 'restart-button';
-  restartButton.textContent = '↺ Restart';
-  restartButton.disabled = true;
-  restartButton.style.cssText = `
-    padding: 8px 16px;
-    background: #333;
-    border: 1px solid #555;
-    border-radius: 4px;
-    color: #666;
-    cursor: not-allowed;
-    font-family: inherit;
+
+  const heading = document.createElement('div');
+  heading.style.cssText = 'margin-bottom: 8px; font-size: 14px; font-weight: 700; color: #004F9A;';
+  sidebar.appendChild(heading);
+
+  const rows = items.map((item) => {
+    const entry = document.createElement('div');
+    entry.style.cssText = 'display: flex; align-items: center; gap: 2px;';
+
+    const row = document.createElement('button');
+    row.style.cssText = `
+      display: flex;
+      flex: 1;
+      align-items: center;
+      gap: 8px;
+      min-width: 0;
+      padding: 4px;
+      border: none;
+      border-radius: 6px;
+      background: none;
+      font: inherit;
+      color: inherit;
+      text-align: left;
+      cursor: pointer;
+    `;
+    row.addEventListener('mouseenter', () => {
+      row.style.background = '#EEF4FA';
+    });
+    row.addEventListener('mouseleave', () => {
+      row.style.background = 'none';
+    });
+    row.addEventListener('click', () => {
+      if (typeof onSelect === 'function') onSelect(item.label);
+    });
+
+    const thumbnail = document.createElement('img');
+    thumbnail.alt = '';
+    thumbnail.style.cssText = `
+      flex: none;
+      width: 36px;
+      height: 36px;
+      object-fit: contain;
+      border-radius: 50%;
+      background: #f3f3f3;
+    `;
+    if (item.image) thumbnail.src = item.image;
+    row.appendChild(thumbnail);
+
+    const text = document.createElement('div');
+    text.style.cssText = 'flex: 1; min-width: 0;';
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: 700; color: #004F9A;';
+    const savings = document.createElement('div');
+    savings.style.cssText = 'font-size: 11px; color: #C40808;';
+    text.appendChild(title);
+    text.appendChild(savings);
+    row.appendChild(text);
+
+    const status = document.createElement('div');
+    status.style.cssText = 'flex: none; width: 20px; text-align: center; font-size: 15px;';
+    row.appendChild(status);
+    entry.appendChild(row);
+
+    const heart = document.createElement('button');
+    heart.style.cssText = `
+      flex: none;
+      width: 28px;
+      height: 28px;
+      border: none;
+      border-radius: 50%;
+      background: none;
+      color: #C40808;
+      font-size: 16px;
+      cursor: pointer;
+    `;
+    heart.addEventListener('click', () => {
+      if (typeof onToggleFavorite === 'function') onToggleFavorite(item.label);
+    });
+    entry.appendChild(heart);
+
+    sidebar.appendChild(entry);
+    return { item, row, thumbnail, title, savings, status, heart };
+  });
+
+  container.appendChild(sidebar);
+
+  function update(state) {
+    if (!state || !state.pins) return;
+    let doneCount = 0;
+
+    rows.forEach(({ item, row, thumbnail, title, savings, status, heart }) => {
+      const pin = state.pins[item.label] || {};
+      const surprise = item.isGift && pin.isHidden;
+      const hearted = isHearted(state, item.label);
+      if (pin.isDone) doneCount++;
+
+      title.textContent = surprise ? 'Surprise gift' : `Aisle ${item.label}${item.isGift ? ' 🎁' : ''}`;
+      thumbnail.style.visibility = surprise || !item.image ? 'hidden' : 'visible';
+      savings.textContent = surprise ? '' : item.savings || '';
+      row.style.opacity = pin.isDone ? '0.55' : '1';
+      row.disabled = Boolean(pin.isHidden);
+      row.style.cursor = pin.isHidden ? 'default' : 'pointer';
+      status.textContent = pin.isDone ? '✓' : surprise ? '🎁' : '';
+      status.style.color = pin.isDone ? '#2E7D32' : '#C40808';
+      heart.textContent = hearted ? '♥' : '♡';
+      heart.title = hearted ? 'Remove from favorites' : 'Add to favorites';
+      heart.style.visibility = surprise ? 'hidden' : 'visible';
+    });
+
+    heading.textContent = `Shopping list ${doneCount}/${rows.length}`;
+  }
+
+  console.log('Checklist created');
+  return { update, element: sidebar };
+}
+
+// ============================================
+// Video Export Panel
+// ============================================
+
+/**
+ * Create the export controls (resolution, fps, format, export/cancel) and
+ * the printable map (paper size, SVG download or print)
+ * @param {HTMLElement} container - The UI container element
+ * @param {Object} handlers - onExport({ resolution, fps, format }), onCancel(),
+ *   onExportMap({ paper, print })
+ * @returns {{setBusy: Function, setStatus: Function}}
+ */
+export function createExportPanel(container, { onExport, onCancel, onExportMap } = {}) {
+  if (!container) {
+    console.warn('UI container not found');
+    return { setBusy() {}, setStatus() {} };
+  }
+
+  const panel = document.createElement('div');
+  panel.id = 'export-panel';
+  panel.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    padding: 10px;
+    background: rgba(255, 255, 255, 0.95);
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    font-family: Arial, sans-serif;
     font-size: 12px;
-    transition: all 0.2s ease;
+    color: #004F9A;
   `;
-  wrapper.appendChild(restartButton);
 
-  container.appendChild(wrapper);
-  
-  console.log('UI created');
+  const makeSelect = (title, options, selected) => {
+    const select = document.createElement('select');
+    select.className = 'toggle-btn';
+    select.title = title;
+    select.style.cssText = 'padding: 6px 28px 6px 10px; box-shadow: none; font-size: 12px;';
+    options.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+    return select;
+  };
+
+  const row = document.createElement('div');
+  row.style.cssText = 'display: flex; gap: 6px;';
+  const resolutionSelect = makeSelect('Resolution', [['720p', '720p'], ['1080p', '1080p'], ['4k', '4K']], '1080p');
+  const fpsSelect = makeSelect('Frames per second', [['30', '30 fps'], ['60', '60 fps']], '60');
+  const formatSelect = makeSelect('Format', [['webm', 'WebM'], ['png', 'PNG seq']], 'webm');
+  row.appendChild(resolutionSelect);
+  row.appendChild(fpsSelect);
+  row.appendChild(formatSelect);
+  panel.appendChild(row);
+
+  const exportButton = document.createElement('button');
+  exportButton.className = 'toggle-btn';
+  exportButton.textContent = '⬇ Export video';
+  panel.appendChild(exportButton);
+
+  const mapRow = document.createElement('div');
+  mapRow.style.cssText = 'display: flex; gap: 6px;';
+  const paperSelect = makeSelect('Paper size', [['letter', 'Letter'], ['a4', 'A4']], 'letter');
+  const mapButton = document.createElement('button');
+  mapButton.className = 'toggle-btn';
+  mapButton.textContent = '🗺 Map SVG';
+  mapButton.title = 'Download the store map with the route and pick list';
+  const printButton = document.createElement('button');
+  printButton.className = 'toggle-btn';
+  printButton.textContent = '🖨 Print';
+  printButton.title = 'Print the store map (or save it as PDF)';
+  [mapButton, printButton].forEach((button) => {
+    button.style.cssText = 'flex: 1; padding: 6px 10px; font-size: 12px;';
+    button.addEventListener('click', () => {
+      if (typeof onExportMap === 'function') onExportMap({ paper: paperSelect.value, print: button === printButton });
+    });
+  });
+  mapRow.appendChild(paperSelect);
+  mapRow.appendChild(mapButton);
+  mapRow.appendChild(printButton);
+  panel.appendChild(mapRow);
+
+  const status = document.createElement('div');
+  status.style.cssText = 'color: #666; min-height: 14px;';
+  panel.appendChild(status);
+
+  container.appendChild(panel);
+
+  let busy = false;
+  exportButton.addEventListener('click', () => {
+    if (busy) {
+      if (typeof onCancel === 'function') onCancel();
+      return;
+    }
+    if (typeof onExport === 'function') {
+      onExport({
+        resolution: resolutionSelect.value,
+        fps: Number(fpsSelect.value),
+        format: formatSelect.value
+      });
+    }
+  });
+
+  function setBusy(value) {
+    busy = value;
+    exportButton.textContent = busy ? '✕ Cancel export' : '⬇ Export video';
+    [resolutionSelect, fpsSelect, formatSelect].forEach((select) => {
+      select.disabled = busy;
+    });
+  }
+
+  function setStatus(text) {
+    status.textContent = text;
+  }
+
+  return { setBusy, setStatus };
 }
 
+// ============================================
+// Heatmap Legend
+// ============================================
+
 /**
- * Enable the restart button with a callback
- * @param {Function} onRestart - Callback function when restart is clicked
+ * Create the heatmap legend: colour scale, where the data came from, an
+ * opacity slider and the busiest pins and sections
+ * Reads heatmapVisible, heatmapOpacity and heatmap ({ max, source,
+ * hotspots: [{ label, seconds }] }, null while loading) from the state
+ * @param {HTMLElement} container - Element the legend is appended to
+ * @param {Object} handlers - onOpacityChange(0-1)
+ * @returns {{update: Function, element: HTMLElement}}
  */
-export function enableRestartButton(onRestart) {
-  const button = document.getElementById('restart-button');
-  if (!button) return;
-
-  button.disabled = false;
-  button.style.background = '#4a4a4a';
-  button.style.color = '#fff';
-  button.style.cursor = 'pointer';
-  button.style.borderColor = '#666';
-
-  button.addEventListener('mouseenter', () => {
-    button.style.background = '#5a5a5a';
-  });
+export function createHeatmapLegend(container, { onOpacityChange } = {}) {
+  if (!container) {
+    console.warn('Heatmap legend container not found');
+    return { update() {}, element: null };
+  }
+
+  const legend = document.createElement('div');
+  legend.id = 'heatmap-legend';
+  legend.style.cssText = `
+    position: fixed;
+    right: 16px;
+    bottom: 190px;
+    z-index: 200;
+    display: none;
+    width: 220px;
+    box-sizing: border-box;
+    padding: 10px;
+    background: rgba(255, 255, 255, 0.95);
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    font-family: Arial, sans-serif;
+    font-size: 12px;
+    color: #1a1a1a;
+  `;
+
+  const heading = document.createElement('div');
+  heading.textContent = 'Time spent';
+  heading.style.cssText = 'margin-bottom: 6px; font-size: 14px; font-weight: 700; color: #004F9A;';
+
+  // Same ramp as the floor shader
+  const scale = document.createElement('div');
+  scale.style.cssText = `
+    height: 10px;
+    border-radius: 5px;
+    background: linear-gradient(to right, #0061D9, #2ECC4D, #FFD91A, #E61A0D);
+  `;
+  const scaleLabels = document.createElement('div');
+  scaleLabels.style.cssText = 'display: flex; justify-content: space-between; margin-top: 2px; color: #555;';
+  const minLabel = document.createElement('span');
+  minLabel.textContent = '0s';
+  const maxLabel = document.createElement('span');
+  scaleLabels.append(minLabel, maxLabel);
+
+  const source = document.createElement('div');
+  source.style.cssText = 'margin-top: 6px; color: #555;';
 
-  button.addEventListener('mouseleave', () => {
-    button.style.background = '#4a4a4a';
+  const opacityRow = document.createElement('label');
+  opacityRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-top: 8px;';
+  const opacityInput = document.createElement('input');
+  opacityInput.type = 'range';
+  opacityInput.min = '0';
+  opacityInput.max = '100';
+  opacityInput.style.cssText = 'flex: 1; min-width: 0;';
+  opacityInput.addEventListener('input', () => {
+    if (typeof onOpacityChange === 'function') onOpacityChange(Number(opacityInput.value) / 100);
   });
+  opacityRow.append('Opacity', opacityInput);
+
+  const hotspots = document.createElement('ol');
+  hotspots.style.cssText = 'margin: 8px 0 0; padding-left: 18px;';
+
+  legend.append(heading, scale, scaleLabels, source, opacityRow, hotspots);
+  container.appendChild(legend);
+
+  let shownHeatmap = null;
+
+  function update(state) {
+    legend.style.display = state.heatmapVisible ? 'block' : 'none';
+    if (!state.heatmapVisible) return;
+
+    const opacity = String(Math.round((state.heatmapOpacity ?? 0.6) * 100));
+    if (opacityInput.value !== opacity) opacityInput.value = opacity;
 
-  button.addEventListener('click', () => {
-    if (typeof onRestart === 'function') {
-      onRestart();
+    const heatmap = state.heatmap || null;
+    if (heatmap === shownHeatmap) return;
+    shownHeatmap = heatmap;
+    if (!heatmap) {
+      maxLabel.textContent = '';
+      source.textContent = 'Loading…';
+      hotspots.replaceChildren();
+      return;
     }
+
+    // Each cell is one store unit square
+    maxLabel.textContent = `${formatSeconds(heatmap.max)} per cell`;
+    source.textContent = heatmap.source;
+    hotspots.replaceChildren(...heatmap.hotspots.map((spot) => {
+      const item = document.createElement('li');
+      item.textContent = `${spot.label} · ${formatSeconds(spot.seconds)}`;
+      return item;
+    }));
+  }
+
+  return { update, element: legend };
+}
+
+function formatSeconds(seconds) {
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+  return `${seconds < 10 ? seconds.toFixed(1) : Math.round(seconds)}s`;
+}
+
+// ============================================
+// Path Editor Panel
+// ============================================
+
+/**
+ * Create the path editor panel: waypoint count, segments that run through
+ * the store's footprints, export buttons and the mouse hints
+ * Reads pathEditor ({ pathId, waypoints, blocked }, null when not editing)
+ * from the state; blocked is findBlockedSegments output (pathCheck.js)
+ * @param {HTMLElement} container - Element the panel is appended to
+ * @param {Object} handlers - onCopy, onDownload, onDone
+ * @returns {{update: Function, element: HTMLElement}}
+ */
+export function createPathEditorPanel(container, { onCopy, onDownload, onDone } = {}) {
+  if (!container) {
+    console.warn('Path editor panel container not found');
+    return { update() {}, element: null };
+  }
+
+  const panel = document.createElement('div');
+  panel.id = 'path-editor-panel';
+  panel.style.cssText = `
+    position: fixed;
+    left: 16px;
+    bottom: 80px;
+    z-index: 200;
+    display: none;
+    width: 240px;
+    box-sizing: border-box;
+    padding: 10px;
+    background: rgba(255, 255, 255, 0.95);
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    font-family: Arial, sans-serif;
+    font-size: 12px;
+    color: #1a1a1a;
+  `;
+
+  const heading = document.createElement('div');
+  heading.style.cssText = 'margin-bottom: 4px; font-size: 14px; font-weight: 700; color: #004F9A;';
+
+  const summary = document.createElement('div');
+  summary.style.cssText = 'color: #555;';
+
+  const problems = document.createElement('ul');
+  problems.style.cssText = 'margin: 6px 0 0; padding-left: 18px; color: #E61A0D;';
+
+  const hint = document.createElement('div');
+  hint.textContent = 'Drag a point to move it · double-click the floor to add one · right-click or Delete to remove';
+  hint.style.cssText = 'margin-top: 6px; color: #777; line-height: 1.4;';
+
+  const row = document.createElement('div');
+  row.style.cssText = 'display: flex; gap: 6px; margin-top: 8px;';
+  [['Copy array', 'Copy the waypoints as a JavaScript array', onCopy],
+    ['⬇ JSON', 'Download the waypoints as JSON', onDownload],
+    ['Done', 'Leave the path editor', onDone]].forEach(([text, title, onClick]) => {
+    const button = document.createElement('button');
+    button.className = 'toggle-btn';
+    button.textContent = text;
+    button.title = title;
+    button.style.cssText = 'flex: 1; padding: 6px 8px; font-size: 12px;';
+    button.addEventListener('click', () => {
+      if (typeof onClick === 'function') onClick();
+    });
+    row.appendChild(button);
   });
+
+  panel.append(heading, summary, problems, hint, row);
+  container.appendChild(panel);
+
+  let shown = null;
+
+  function update(state) {
+    const editor = state.pathEditor || null;
+    panel.style.display = editor ? 'block' : 'none';
+    if (!editor || editor === shown) return;
+    shown = editor;
+
+    heading.textContent = `Editing ${editor.pathId}`;
+    summary.textContent = `${editor.waypoints.length} waypoints · ` +
+      (editor.blocked.length === 0 ? 'no segments blocked' : `${editor.blocked.length} blocked`);
+    problems.replaceChildren(...editor.blocked.map(({ index, footprints }) => {
+      const item = document.createElement('li');
+      item.textContent = `Segment ${index + 1}→${index + 2} crosses ${footprints.map(footprint => footprint.id).join(', ')}`;
+      return item;
+    }));
+  }
+
+  return { update, element: panel };
 }
 
+// ============================================
+// Directions Banner
+// ============================================
+
+const STEP_ICONS = { left: '↰', right: '↱', around: '↶', pin: '📍', arrive: '🏁' };
+
 /**
- * Disable the restart button
+ * Create the turn-by-turn banner: the upcoming turn or pin and how far it is
+ * Shown while a journey is under way; pins that are hidden or already picked
+ * up are not announced
+ * @param {HTMLElement} container - Element the banner is appended to
+ * @param {Object} options - getDirections() returning buildDirections output
+ *   for the current path
+ * @returns {{update: Function, element: HTMLElement}}
  */
-export function disableRestartButton() {
-  const button = document.getElementById('restart-button');
-  if (!button) return;
-
-  button.disabled = true;
-  button.style.background = '#333';
-  button.style.color = '#666';
-  button.style.cursor = 'not-allowed';
-  button.style.borderColor = '#555';
+export function createDirectionsBanner(container, { getDirections } = {}) {
+  if (!container) {
+    console.warn('Directions banner container not found');
+    return { update() {}, element: null };
+  }
+
+  const banner = document.createElement('div');
+  banner.id = 'directions-banner';
+  banner.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 200;
+    display: none;
+    align-items: center;
+    gap: 10px;
+    max-width: 50vw;
+    padding: 10px 16px;
+    background: rgba(0, 79, 154, 0.95);
+    border-radius: 8px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+    font-family: Arial, sans-serif;
+    font-size: 15px;
+    font-weight: 700;
+    color: white;
+  `;
+
+  const icon = document.createElement('span');
+  icon.style.cssText = 'font-size: 22px; line-height: 1;';
+  const text = document.createElement('span');
+  banner.append(icon, text);
+  container.appendChild(banner);
+
+  function update(state) {
+    const directions = state.hasJourney && state.progress < 1 && typeof getDirections === 'function'
+      ? getDirections()
+      : null;
+    const step = getUpcomingStep(directions, state.progress, (candidate) => {
+      if (candidate.type !== 'pin') return false;
+      const pin = state.pins && state.pins[candidate.label];
+      return !pin || pin.isHidden || pin.isDone;
+    });
+
+    banner.style.display = step ? 'flex' : 'none';
+    if (!step) return;
+
+    const label = formatStep(step, (step.progress - state.progress) * directions.length);
+    const symbol = STEP_ICONS[step.turn || step.type] || '';
+    if (text.textContent !== label) text.textContent = label;
+    if (icon.textContent !== symbol) icon.textContent = symbol;
+  }
+
+  return { update, element: banner };
+}
+
+// ============================================
+// Pin Detail Card
+// ============================================
+
+/**
+ * Create the item detail card shown when a pin is clicked
+ * The card sits above a screen point (the pin's projected top)
+ * @param {HTMLElement} container - Element the card is appended to
+ * @param {Object} handlers - onClose(), onToggleFavorite()
+ * @returns {{show: Function, update: Function, hide: Function, moveTo: Function, isOpen: Function}}
+ */
+export function createPinCard(container, { onClose, onToggleFavorite } = {}) {
+  const card = document.createElement('div');
+  card.id = 'pin-card';
+  card.style.cssText = `
+    position: fixed;
+    left: 0;
+    top: 0;
+    z-index: 150;
+    display: none;
+    width: 200px;
+    padding: 12px;
+    background: rgba(255, 255, 255, 0.97);
+    border-radius: 10px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+    color: #1a1a1a;
+    transform: translate(-50%, calc(-100% - 12px));
+    pointer-events: auto;
+  `;
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '×';
+  closeButton.title = 'Close';
+  closeButton.style.cssText = `
+    position: absolute;
+    top: 4px;
+    right: 6px;
+    border: none;
+    background: none;
+    color: #888;
+    font-size: 18px;
+    cursor: pointer;
+  `;
+  card.appendChild(closeButton);
+
+  const image = document.createElement('img');
+  image.alt = '';
+  image.style.cssText = `
+    display: block;
+    width: 120px;
+    height: 120px;
+    margin: 0 auto 8px;
+    object-fit: contain;
+    border-radius: 50%;
+    background: #f3f3f3;
+  `;
+  card.appendChild(image);
+
+  const title = document.createElement('div');
+  title.style.cssText = 'font-size: 16px; font-weight: 700; color: #004F9A; text-align: center;';
+  card.appendChild(title);
+
+  const savings = document.createElement('div');
+  savings.style.cssText = 'margin-top: 6px; text-align: center; color: #C40808; font-weight: 600;';
+  card.appendChild(savings);
+
+  const status = document.createElement('div');
+  status.style.cssText = 'margin-top: 6px; text-align: center; color: #666;';
+  card.appendChild(status);
+
+  const favoriteButton = document.createElement('button');
+  favoriteButton.className = 'toggle-btn heart';
+  favoriteButton.style.cssText = 'display: block; margin: 8px auto 0; padding: 6px 12px; box-shadow: none; font-size: 13px;';
+  favoriteButton.addEventListener('click', () => {
+    if (typeof onToggleFavorite === 'function') onToggleFavorite();
+  });
+  card.appendChild(favoriteButton);
+
+  // Small pointer under the card
+  const arrow = document.createElement('div');
+  arrow.style.cssText = `
+    position: absolute;
+    left: 50%;
+    bottom: -6px;
+    width: 12px;
+    height: 12px;
+    background: inherit;
+    transform: translateX(-50%) rotate(45deg);
+  `;
+  card.appendChild(arrow);
+
+  container.appendChild(card);
+
+  let open = false;
+  closeButton.addEventListener('click', () => {
+    hide();
+    if (typeof onClose === 'function') onClose();
+  });
+
+  /**
+   * @param {Object} details - label, image (URL), savings (text), isDone, isGift, isFavorite
+   */
+  function show({ label, image: imageUrl, savings: savingsText, isDone, isGift, isFavorite }) {
+    title.textContent = `Aisle ${label}${isGift ? ' 🎁' : ''}`;
+    image.style.display = imageUrl ? 'block' : 'none';
+    if (imageUrl) image.src = imageUrl;
+    savings.textContent = savingsText ? `Instant savings: ${savingsText}` : '';
+    savings.style.display = savingsText ? 'block' : 'none';
+    update({ isDone, isFavorite });
+    card.style.display = 'block';
+    open = true;
+  }
+
+  // Refresh the parts that change while the card is open
+  function update({ isDone, isFavorite }) {
+    status.textContent = isDone ? '✓ In the cart' : 'Still to pick up';
+    status.style.color = isDone ? '#2E7D32' : '#666';
+    favoriteButton.textContent = isFavorite ? '♥ Favorite' : '♡ Add to favorites';
+    favoriteButton.classList.toggle('active', Boolean(isFavorite));
+  }
+
+  function hide() {
+    card.style.display = 'none';
+    open = false;
+  }
+
+  function moveTo(x, y, visible = true) {
+    card.style.left = `${x}px`;
+    card.style.top = `${y}px`;
+    card.style.visibility = visible ? 'visible' : 'hidden';
+  }
+
+  return { show, update, hide, moveTo, isOpen: () => open };
 }
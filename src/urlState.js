@@ -0,0 +1,85 @@
+/**
+ * URL state module
+ * The shareable part of the app state in the URL hash, e.g.
+ * #path=path2&view=north&pins=on&hearts=C10,N8&progress=60
+ *
+ * Only values that differ from a fresh load are written, and a parsed hash
+ * only holds the keys it names, so a link can set just part of the state.
+ */
+
+// State on a fresh load; encodeUrlState leaves these out
+const DEFAULTS = {
+  path: 'none',
+  compass: false,
+  labels: true,
+  pins: false,
+  hearts: [],
+  progress: 0,
+  camera: 'lead'
+};
+
+/**
+ * Read the state from a location hash
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Object} Any of: path (id or 'none'), compass (north-up), labels,
+ *   pins (visibility), hearts (labels), progress (0-1 of the journey
+ *   timeline), camera (followed shopper id or 'all')
+ */
+export function parseUrlState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const state = {};
+  const invalid = (key) => {
+    console.warn(`Ignoring URL state ${key}=${params.get(key)}`);
+  };
+
+  if (params.has('path')) {
+    if (params.get('path')) state.path = params.get('path');
+    else invalid('path');
+  }
+  if (params.has('view')) {
+    const view = params.get('view');
+    if (view === 'north' || view === 'follow') state.compass = view === 'north';
+    else invalid('view');
+  }
+  ['labels', 'pins'].forEach((key) => {
+    if (!params.has(key)) return;
+    const value = params.get(key);
+    if (value === 'on' || value === 'off') state[key] = value === 'on';
+    else invalid(key);
+  });
+  if (params.has('hearts')) {
+    state.hearts = params.get('hearts').split(',').map(label => label.trim()).filter(Boolean);
+  }
+  if (params.has('progress')) {
+    const percent = Number(params.get('progress'));
+    if (params.get('progress') !== '' && percent >= 0 && percent <= 100) state.progress = percent / 100;
+    else invalid('progress');
+  }
+  if (params.has('camera')) {
+    if (params.get('camera')) state.camera = params.get('camera');
+    else invalid('camera');
+  }
+  return state;
+}
+
+/**
+ * Write the state as a location hash (without the #)
+ * @param {Object} state - Same fields as parseUrlState returns
+ * @returns {string} '' when everything is at its default
+ */
+export function encodeUrlState(state) {
+  const values = { ...DEFAULTS, ...state };
+  const parts = [];
+  const add = (key, value) => parts.push(`${key}=${value}`);
+
+  if (values.path !== DEFAULTS.path) add('path', encodeURIComponent(values.path));
+  if (values.compass !== DEFAULTS.compass) add('view', values.compass ? 'north' : 'follow');
+  if (values.labels !== DEFAULTS.labels) add('labels', values.labels ? 'on' : 'off');
+  if (values.pins !== DEFAULTS.pins) add('pins', values.pins ? 'on' : 'off');
+  // Commas stay readable: labels are encoded one by one
+  if (values.hearts.length > 0) add('hearts', values.hearts.map(encodeURIComponent).join(','));
+  const percent = Math.round(values.progress * 1000) / 10;
+  if (percent > 0) add('progress', percent);
+  if (values.camera !== DEFAULTS.camera) add('camera', encodeURIComponent(values.camera));
+  return parts.join('&');
+}
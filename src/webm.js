@@ -0,0 +1,244 @@
+/**
+ * WebM muxer
+ * Wraps encoded VP8/VP9 frames (e.g. from WebCodecs VideoEncoder) in a
+ * single-track WebM file with duration, seek head and cues
+ *
+ * The file is assembled in memory when finalize() is called.
+ */
+
+// EBML element ids
+const ID = {
+  EBML: 0x1A45DFA3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42F7,
+  EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  SeekHead: 0x114D9B74,
+  Seek: 0x4DBB,
+  SeekID: 0x53AB,
+  SeekPosition: 0x53AC,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackUID: 0x73C5,
+  TrackType: 0x83,
+  FlagLacing: 0x9C,
+  CodecID: 0x86,
+  DefaultDuration: 0x23E383,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueTrack: 0xF7,
+  CueClusterPosition: 0xF1
+};
+
+// SimpleBlock timecodes are signed 16-bit, relative to the cluster
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+/**
+ * Create a muxer for one video track
+ * @param {Object} options - width, height, codec ('V_VP9' or 'V_VP8'), frameRate
+ * @returns {{addFrame: Function, finalize: Function}}
+ */
+export function createWebmMuxer({ width, height, codec = 'V_VP9', frameRate = 60 }) {
+  // Each cluster: { timecode, keyframe, blocks: Uint8Array[] }
+  const clusters = [];
+  let lastTimestamp = 0;
+
+  /**
+   * Add one encoded frame
+   * @param {Uint8Array} data - Encoded frame
+   * @param {number} timestampMs - Presentation time in milliseconds
+   * @param {boolean} isKeyFrame - Frame can be decoded on its own
+   */
+  function addFrame(data, timestampMs, isKeyFrame) {
+    const time = Math.round(timestampMs);
+    let cluster = clusters[clusters.length - 1];
+    if (!cluster || isKeyFrame || time - cluster.timecode > MAX_CLUSTER_SPAN_MS) {
+      cluster = { timecode: time, keyframe: isKeyFrame, blocks: [] };
+      clusters.push(cluster);
+    }
+
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // Track 1 as a 1-byte vint
+    new DataView(header.buffer).setInt16(1, time - cluster.timecode);
+    header[3] = isKeyFrame ? 0x80 : 0x00;
+    cluster.blocks.push(element(ID.SimpleBlock, [header, data]));
+
+    lastTimestamp = Math.max(lastTimestamp, time);
+  }
+
+  /**
+   * Build the file
+   * @returns {Blob} video/webm
+   */
+  function finalize() {
+    const frameMs = 1000 / frameRate;
+
+    const info = element(ID.Info, [
+      uintElement(ID.TimecodeScale, 1000000), // Timecodes in ms
+      floatElement(ID.Duration, lastTimestamp + frameMs),
+      stringElement(ID.MuxingApp, 'store-journey'),
+      stringElement(ID.WritingApp, 'store-journey')
+    ]);
+
+    const tracks = element(ID.Tracks, [
+      element(ID.TrackEntry, [
+        uintElement(ID.TrackNumber, 1),
+        uintElement(ID.TrackUID, 1),
+        uintElement(ID.TrackType, 1), // Video
+        uintElement(ID.FlagLacing, 0),
+        stringElement(ID.CodecID, codec),
+        uintElement(ID.DefaultDuration, Math.round(frameMs * 1e6)),
+        element(ID.Video, [
+          uintElement(ID.PixelWidth, width),
+          uintElement(ID.PixelHeight, height)
+        ])
+      ])
+    ]);
+
+    const clusterElements = clusters.map(cluster => element(ID.Cluster, [
+      uintElement(ID.Timecode, cluster.timecode),
+      ...cluster.blocks
+    ]));
+
+    // Positions are relative to the start of the segment's data; the seek
+    // head uses fixed 8-byte positions so its own size is known up front
+    const seekHeadSize = seekHead(0, 0, 0).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + info.length;
+    let position = tracksPosition + tracks.length;
+
+    const cuePoints = [];
+    clusters.forEach((cluster, i) => {
+      if (cluster.keyframe) {
+        cuePoints.push(element(ID.CuePoint, [
+          uintElement(ID.CueTime, cluster.timecode),
+          element(ID.CueTrackPositions, [
+            uintElement(ID.CueTrack, 1),
+            uintElement(ID.CueClusterPosition, position)
+          ])
+        ]));
+      }
+      position += clusterElements[i].length;
+    });
+    const cues = element(ID.Cues, cuePoints);
+
+    const segment = element(ID.Segment, [
+      seekHead(infoPosition, tracksPosition, position),
+      info,
+      tracks,
+      ...clusterElements,
+      cues
+    ]);
+
+    return new Blob([ebmlHeader(), segment], { type: 'video/webm' });
+  }
+
+  return { addFrame, finalize };
+}
+
+// ============================================
+// EBML encoding
+// ============================================
+
+function ebmlHeader() {
+  return element(ID.EBML, [
+    uintElement(ID.EBMLVersion, 1),
+    uintElement(ID.EBMLReadVersion, 1),
+    uintElement(ID.EBMLMaxIDLength, 4),
+    uintElement(ID.EBMLMaxSizeLength, 8),
+    stringElement(ID.DocType, 'webm'),
+    uintElement(ID.DocTypeVersion, 4),
+    uintElement(ID.DocTypeReadVersion, 2)
+  ]);
+}
+
+function seekHead(infoPosition, tracksPosition, cuesPosition) {
+  const seek = (id, position) => element(ID.Seek, [
+    element(ID.SeekID, idBytes(id)),
+    element(ID.SeekPosition, uintBytes(position, 8))
+  ]);
+  return element(ID.SeekHead, [
+    seek(ID.Info, infoPosition),
+    seek(ID.Tracks, tracksPosition),
+    seek(ID.Cues, cuesPosition)
+  ]);
+}
+
+function element(id, payload) {
+  const parts = Array.isArray(payload) ? payload : [payload];
+  const size = parts.reduce((sum, part) => sum + part.length, 0);
+  return concat([idBytes(id), sizeBytes(size), ...parts]);
+}
+
+function uintElement(id, value) {
+  return element(id, uintBytes(value));
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+function stringElement(id, value) {
+  return element(id, new TextEncoder().encode(value));
+}
+
+function idBytes(id) {
+  const length = id > 0xFFFFFF ? 4 : id > 0xFFFF ? 3 : id > 0xFF ? 2 : 1;
+  return uintBytes(id, length);
+}
+
+// Big-endian unsigned integer, minimal length unless one is given
+function uintBytes(value, length = 0) {
+  let size = length;
+  if (!size) {
+    size = 1;
+    while (size < 8 && value >= 2 ** (8 * size)) size++;
+  }
+  const bytes = new Uint8Array(size);
+  let rest = value;
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  return bytes;
+}
+
+// Variable-length size: a leading 1 bit marks the length
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  const bytes = uintBytes(size, length);
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function concat(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
@@ -0,0 +1,44 @@
+/**
+ * Minimap path sampling: resampled when the path is switched or edited
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPathSampler } from '../src/minimap.js';
+
+// Straight line from (0, 0) to (length, 0), like a curve's getPointAt
+const line = length => ({ getPointAt: t => ({ x: t * length, z: 0 }) });
+
+test('the same curve is sampled once', () => {
+  let calls = 0;
+  const curve = {
+    getPointAt: (t) => {
+      calls++;
+      return { x: t, z: 0 };
+    }
+  };
+  const sampler = createPathSampler(() => curve, 10);
+  sampler.sample();
+  sampler.sample();
+  assert.equal(calls, 11);
+});
+
+test('an edit (a new curve under the same path id) resamples the path', () => {
+  let curve = line(10);
+  const sampler = createPathSampler(() => curve, 10);
+  assert.deepEqual(sampler.sample().at(-1), { x: 10, z: 0 });
+  assert.deepEqual(sampler.pointAt(0.5), { x: 5, z: 0 });
+
+  curve = line(20);
+  assert.deepEqual(sampler.sample().at(-1), { x: 20, z: 0 });
+  assert.deepEqual(sampler.pointAt(0.5), { x: 10, z: 0 });
+});
+
+test('without a curve the last samples stay', () => {
+  let curve = line(10);
+  const sampler = createPathSampler(() => curve, 4);
+  sampler.sample();
+  curve = null;
+  assert.equal(sampler.sample().length, 5);
+});
@@ -0,0 +1,197 @@
+/**
+ * Pacing: speed profiles, slow-downs, stops and holds
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PACING, planWalk, planJourney, walkTimeAt } from '../src/pacing.js';
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+// Points every 0.25 units from (0, 0) east for length units, then south (+z)
+function lPath(east, south = 0) {
+  const points = [];
+  for (let i = 0; i <= east * 4; i++) points.push({ x: i / 4, z: 0 });
+  for (let i = 1; i <= south * 4; i++) points.push({ x: east, z: i / 4 });
+  return points;
+}
+
+// ============================================
+// planWalk
+// ============================================
+
+test('a straight walk takes its length at walking speed, plus speeding up and slowing down', () => {
+  const walk = planWalk(lPath(40));
+  assert.equal(walk.length, 40);
+  // Accelerating to speed v and braking back take v / a each, covering v² / a:
+  // the extra time is v / a over the whole length at speed
+  const { speed, acceleration } = DEFAULT_PACING;
+  close(walk.duration, 40 / speed + speed / acceleration, 0.05);
+});
+
+test('progress and time map onto each other, rising from 0 to 1', () => {
+  const walk = planWalk(lPath(20, 20));
+  assert.equal(walk.progressAt(0), 0);
+  assert.equal(walk.progressAt(walk.duration), 1);
+  assert.equal(walk.progressAt(walk.duration + 5), 1);
+  let last = -1;
+  for (let t = 0; t <= walk.duration; t += walk.duration / 50) {
+    const progress = walk.progressAt(t);
+    assert.ok(progress >= last);
+    last = progress;
+  }
+  close(walk.progressAt(walk.timeAt(0.5)), 0.5, 1e-9);
+});
+
+test('a faster shopper takes proportionally less time', () => {
+  const normal = planWalk(lPath(30));
+  const fast = planWalk(lPath(30), { speed: 2 });
+  close(fast.duration, normal.duration / 2, 1e-9);
+});
+
+test('pins on the way slow the shopper down', () => {
+  const free = planWalk(lPath(40));
+  const slowed = planWalk(lPath(40), { pins: [{ x: 20, z: 1 }] });
+  assert.ok(slowed.duration > free.duration + 0.5);
+  // Slower still with a lower pin speed
+  const slower = planWalk(lPath(40), { pins: [{ x: 20, z: 1 }], pacing: { pinSpeed: 0.3 } });
+  assert.ok(slower.duration > slowed.duration);
+});
+
+test('a corner is slower than a straight of the same length, more so with less grip', () => {
+  const straight = planWalk(lPath(40));
+  const corner = planWalk(lPath(20, 20));
+  assert.equal(corner.length, straight.length);
+  assert.ok(corner.duration > straight.duration);
+  const slippery = planWalk(lPath(20, 20), { pacing: { cornerGrip: 0.3 } });
+  assert.ok(slippery.duration > corner.duration);
+});
+
+test('a stop brings the shopper to a standstill and records when', () => {
+  const free = planWalk(lPath(40));
+  const walk = planWalk(lPath(40), { stops: [{ progress: 0.5, key: 'C10' }] });
+  assert.ok(walk.duration > free.duration);
+  assert.equal(walk.stops.length, 1);
+  assert.equal(walk.stops[0].key, 'C10');
+  close(walk.progressAt(walk.stops[0].time), 0.5, 1e-9);
+  // Symmetric walk: the stop is halfway through
+  close(walk.stops[0].time, walk.duration / 2, 1e-9);
+});
+
+test('a path of one point takes no time', () => {
+  const walk = planWalk([{ x: 0, z: 0 }], { stops: [{ progress: 0 }] });
+  assert.equal(walk.duration, 0);
+  assert.equal(walk.progressAt(3), 1);
+  assert.equal(walk.stops[0].time, 0);
+});
+
+// ============================================
+// planJourney
+// ============================================
+
+// A pin as pinSchedule gives it, by default checked off and pausing for 2 s
+// within 4 units
+const near = value => ({ trigger: 'near', value });
+const pin = (key, x, z, { reveal = null, done = [near(4)], pause = [{ ...near(4), ms: 2000 }] } = {}) => ({
+  key, x, z, reveal, done, pause
+});
+
+test('every planned pause holds the journey, and the duration includes it', () => {
+  const journey = planJourney([{ points: lPath(40), speed: 1, pins: [pin('C10', 20, 1)] }]);
+  assert.equal(journey.holds.length, 1);
+  assert.equal(journey.holds[0].key, 'C10');
+  assert.equal(journey.holds[0].duration, 2);
+  close(journey.duration, journey.walks[0].duration + 2, 1e-9);
+  // Stopped where the pin comes within 4 units
+  const stop = journey.walks[0].progressAt(journey.holds[0].at);
+  close(stop * 40, 20 - Math.sqrt(15), 0.25);
+});
+
+test('a shared pin stops only the shopper who gets there first', () => {
+  const near = pin('N8', 10, 1);
+  const journey = planJourney([
+    { points: lPath(40), speed: 1, pins: [near] },
+    { points: lPath(40), speed: 2, pins: [near] }
+  ]);
+  assert.equal(journey.holds.length, 1);
+  assert.equal(journey.walks[0].stops.length, 0);
+  assert.equal(journey.walks[1].stops.length, 1);
+});
+
+test('pins without a pause or off the path do not stop anyone', () => {
+  const journey = planJourney([{
+    points: lPath(40),
+    speed: 1,
+    pins: [pin('A1', 10, 1, { pause: [] }), pin('A2', 10, 30)]
+  }]);
+  assert.deepEqual(journey.holds, []);
+  close(journey.duration, journey.walks[0].duration, 1e-9);
+});
+
+test('the journey lasts as long as the slowest walk plus every hold', () => {
+  const journey = planJourney([
+    { points: lPath(10), speed: 1, pins: [pin('B4', 5, 1)] },
+    { points: lPath(40), speed: 1, pins: [] }
+  ]);
+  close(journey.duration, journey.walks[1].duration + 2, 1e-9);
+});
+
+test('a pause at a journey time holds everyone then, after the stops before it', () => {
+  const timed = pin('T1', 10, 30, { done: [], pause: [{ trigger: 'time', value: 10000, ms: 3000 }] });
+  const journey = planJourney([{ points: lPath(40), speed: 1, pins: [pin('B4', 5, 1), timed] }]);
+  assert.deepEqual(journey.holds.map(hold => hold.key), ['B4', 'T1']);
+  // 10 s into the journey, 2 s of it spent at B4
+  assert.deepEqual(journey.holds[1], { at: 8, duration: 3, key: 'T1' });
+  assert.equal(journey.walks[0].stops.length, 1);
+  close(journey.duration, journey.walks[0].duration + 5, 1e-9);
+});
+
+test('a pause after other pins are done holds everyone when they are', () => {
+  const after = pin('X1', 10, 30, { done: [], pause: [{ trigger: 'after', value: 'C10', ms: 3000 }] });
+  const counted = pin('X2', 10, 30, { done: [], pause: [{ trigger: 'doneCount', value: 2, ms: 1000 }] });
+  const journey = planJourney([{
+    points: lPath(40),
+    speed: 1,
+    pins: [pin('B4', 5, 1), pin('C10', 20, 1), after, counted]
+  }]);
+  // C10's own stop first, then those waiting for it
+  assert.deepEqual(journey.holds.map(hold => hold.key), ['B4', 'C10', 'X1', 'X2']);
+  assert.equal(journey.holds[2].at, journey.holds[1].at);
+  assert.equal(journey.holds[3].at, journey.holds[1].at);
+  assert.equal(journey.holds[3].duration, 1);
+});
+
+test('a pin pauses only once revealed and not after it is done', () => {
+  const revealed = { reveal: [{ trigger: 'after', value: 'C10' }] };
+  const journey = planJourney([{
+    points: lPath(40),
+    speed: 1,
+    pins: [
+      pin('C10', 20, 1),
+      // Passed before C10 is done, and after
+      pin('A1', 10, 1, revealed),
+      pin('A2', 30, 1, revealed),
+      // Done long before C10
+      pin('A3', 5, 1, { pause: [{ trigger: 'after', value: 'C10', ms: 1000 }] })
+    ]
+  }]);
+  assert.deepEqual(journey.holds.map(hold => hold.key), ['C10', 'A2']);
+});
+
+// ============================================
+// walkTimeAt
+// ============================================
+
+test('walk time stands still during holds', () => {
+  const holds = [{ at: 5, duration: 2 }, { at: 7, duration: 1 }];
+  assert.equal(walkTimeAt(holds, 3), 3);
+  assert.equal(walkTimeAt(holds, 6), 5);
+  assert.equal(walkTimeAt(holds, 7), 5);
+  assert.equal(walkTimeAt(holds, 8), 6);
+  assert.equal(walkTimeAt(holds, 9.5), 7);
+  assert.equal(walkTimeAt(holds, 11), 8);
+  assert.equal(walkTimeAt([], 4), 4);
+});
@@ -0,0 +1,113 @@
+/**
+ * Path checks: blocked segments and clearance, against made-up boxes and
+ * the shipped floor plan
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  segmentCrossesBox,
+  findBlockedSegments,
+  checkPathClearance,
+  checkPaths
+} from '../src/pathCheck.js';
+import { assertValidFloorPlan } from '../src/floorplan.js';
+import { STORE_PATHS } from '../src/paths.js';
+
+const shelf = { id: 'shelf', kind: 'shelf', minX: 0, maxX: 10, minZ: 0, maxZ: 2 };
+
+// ============================================
+// Blocked segments
+// ============================================
+
+test('a segment through a box crosses it; one beside or along its edge does not', () => {
+  assert.equal(segmentCrossesBox({ x: 5, z: -5 }, { x: 5, z: 5 }, shelf), true);
+  assert.equal(segmentCrossesBox({ x: 12, z: -5 }, { x: 12, z: 5 }, shelf), false);
+  assert.equal(segmentCrossesBox({ x: -5, z: 2 }, { x: 15, z: 2 }, shelf), false);
+  // Ends short of the box
+  assert.equal(segmentCrossesBox({ x: 5, z: -5 }, { x: 5, z: -1 }, shelf), false);
+});
+
+test('a zero-length segment crosses only a box it sits inside', () => {
+  assert.equal(segmentCrossesBox({ x: 5, z: 1 }, { x: 5, z: 1 }, shelf), true);
+  assert.equal(segmentCrossesBox({ x: 5, z: 3 }, { x: 5, z: 3 }, shelf), false);
+});
+
+test('blocked segments list every footprint they run through', () => {
+  const bin = { id: 'bin', kind: 'bin', minX: 4, maxX: 6, minZ: 4, maxZ: 6 };
+  const waypoints = [{ x: -5, z: -5 }, { x: 5, z: -5 }, { x: 5, z: 10 }, { x: 15, z: 10 }];
+  assert.deepEqual(findBlockedSegments(waypoints, [shelf, bin]), [
+    { index: 1, footprints: [{ id: 'shelf', kind: 'shelf' }, { id: 'bin', kind: 'bin' }] }
+  ]);
+});
+
+// ============================================
+// Clearance
+// ============================================
+
+test('clearance is the distance from the route to the nearest footprint', () => {
+  const report = checkPathClearance([{ x: -5, z: 5 }, { x: 15, z: 5 }], [shelf], { minClearance: 1 });
+  assert.equal(report.clearance, 3);
+  assert.equal(report.nearest, 'shelf');
+  assert.deepEqual(report.issues, []);
+});
+
+test('a route through a footprint has negative clearance and an issue', () => {
+  const report = checkPathClearance([{ x: 5, z: -5 }, { x: 5, z: 5 }], [shelf]);
+  assert.ok(report.clearance < 0);
+  assert.match(report.issues[0], /segment 0 .* runs through shelf/);
+});
+
+test('a footprint thinner than the sample step is still caught', () => {
+  const rail = { id: 'rail', kind: 'fixture', minX: 4.95, maxX: 5.05, minZ: -5, maxZ: 5 };
+  const report = checkPathClearance([{ x: 0, z: 0 }, { x: 10, z: 0 }], [rail], { step: 1.3 });
+  assert.ok(report.clearance < 0);
+});
+
+test('segments are measured between the corners, corners along their arcs', () => {
+  const waypoints = [{ x: 0, z: 0 }, { x: 20, z: 0 }, { x: 20, z: 20 }];
+  const report = checkPathClearance(waypoints, [], { cornerRadius: 3 });
+  assert.deepEqual(report.segments[0].to, { x: 17, z: 0 });
+  assert.deepEqual(report.segments[1].from, { x: 20, z: 3 });
+  assert.equal(report.corners.length, 1);
+  assert.equal(report.corners[0].clamped, false);
+  assert.equal(report.clearance, Infinity);
+});
+
+test('a corner between short segments is flagged as clamped', () => {
+  const waypoints = [{ x: 0, z: 0 }, { x: 5, z: 0 }, { x: 5, z: 20 }];
+  const report = checkPathClearance(waypoints, [], { cornerRadius: 3 });
+  const [corner] = report.corners;
+  assert.equal(corner.clamped, true);
+  assert.equal(corner.radius, 2);
+  assert.equal(corner.requestedRadius, 3);
+  assert.deepEqual(report.issues, ['corner 1 (5, 0) radius clamped from 3 to 2 by a 5-unit segment']);
+});
+
+test('collinear and repeated waypoints add no corners', () => {
+  const waypoints = [{ x: 0, z: 0 }, { x: 5, z: 0 }, { x: 5, z: 0 }, { x: 10, z: 0 }];
+  const report = checkPathClearance(waypoints, [], { cornerRadius: 3 });
+  assert.deepEqual(report.corners, []);
+  assert.equal(report.segments.length, 3);
+  assert.deepEqual(report.segments[1].from, report.segments[1].to);
+  assert.deepEqual(report.issues, []);
+});
+
+// ============================================
+// Shipped store
+// ============================================
+
+test('every shipped path gets a report against the shipped floor plan', () => {
+  const url = new URL('../data/floorplans/sams-club.json', import.meta.url);
+  const floorPlan = JSON.parse(readFileSync(url, 'utf8'));
+  assertValidFloorPlan(floorPlan);
+  const reports = checkPaths(STORE_PATHS, floorPlan);
+  assert.deepEqual(Object.keys(reports), Object.keys(STORE_PATHS));
+  Object.entries(reports).forEach(([id, report]) => {
+    assert.equal(report.segments.length, STORE_PATHS[id].length - 1);
+    assert.ok(Number.isFinite(report.clearance), `${id} clearance`);
+    assert.equal(typeof report.nearest, 'string');
+  });
+});
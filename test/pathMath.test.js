@@ -0,0 +1,173 @@
+/**
+ * Path math: rounded corners, ribbon vertices and angle wrapping
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  roundCorners,
+  turnAngle,
+  buildRibbonVertices,
+  shortestAngle,
+  lerpAngle,
+  CORNER_MAX_FRACTION
+} from '../src/pathMath.js';
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+// ============================================
+// roundCorners
+// ============================================
+
+test('a right-angle corner is cut back by the radius on both segments', () => {
+  const { points, corners } = roundCorners([{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 10 }], 3);
+  assert.equal(corners.length, 1);
+  const [corner] = corners;
+  assert.equal(corner.index, 1);
+  assert.equal(corner.radius, 3);
+  assert.deepEqual(corner.before, { x: 7, z: 0 });
+  assert.deepEqual(corner.after, { x: 10, z: 3 });
+  // Start, the arc (before, 15 inner points, after), end
+  assert.equal(points.length, 1 + 17 + 1);
+  assert.deepEqual(points[0], { x: 0, z: 0 });
+  assert.deepEqual(points[points.length - 1], { x: 10, z: 10 });
+});
+
+test('corner arcs are quadratic Beziers with the waypoint as control point', () => {
+  const { corners } = roundCorners([{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 10 }], 4);
+  const { arc } = corners[0];
+  // Halfway: 1/4 before + 1/2 waypoint + 1/4 after
+  const middle = arc[8];
+  close(middle.x, 0.25 * 6 + 0.5 * 10 + 0.25 * 10);
+  close(middle.z, 0.25 * 0 + 0.5 * 0 + 0.25 * 4);
+  // Every arc point stays inside the corner's bounding box
+  arc.forEach((point) => {
+    assert.ok(point.x >= 6 && point.x <= 10 && point.z >= 0 && point.z <= 4);
+  });
+});
+
+test('the radius is clamped to a fraction of the shorter segment', () => {
+  const { corners } = roundCorners([{ x: 0, z: 0 }, { x: 5, z: 0 }, { x: 5, z: 20 }], 3);
+  close(corners[0].maxRadius, 5 * CORNER_MAX_FRACTION);
+  close(corners[0].radius, 2);
+  assert.deepEqual(corners[0].before, { x: 3, z: 0 });
+});
+
+test('neighbouring clamped corners never overlap', () => {
+  const waypoints = [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 2 }, { x: 20, z: 2 }];
+  const { corners } = roundCorners(waypoints, 3);
+  assert.equal(corners.length, 2);
+  // Both cut the 2-unit segment by 0.8, leaving 0.4 straight between them
+  close(corners[0].after.z, 0.8);
+  close(corners[1].before.z, 1.2);
+});
+
+test('collinear waypoints are passed straight through without a corner', () => {
+  const waypoints = [{ x: 0, z: 0 }, { x: 5, z: 0 }, { x: 12, z: 0 }, { x: 12, z: 8 }];
+  const { points, corners } = roundCorners(waypoints, 3);
+  assert.deepEqual(corners.map(corner => corner.index), [2]);
+  assert.deepEqual(points[1], { x: 5, z: 0 });
+  points.forEach((point) => {
+    assert.ok(Number.isFinite(point.x) && Number.isFinite(point.z));
+  });
+});
+
+test('zero-length segments are skipped instead of producing NaN', () => {
+  const waypoints = [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 10 }, { x: 10, z: 10 }];
+  const { points, corners } = roundCorners(waypoints, 3);
+  assert.equal(corners.length, 1);
+  assert.equal(corners[0].index, 1);
+  points.forEach((point) => {
+    assert.ok(Number.isFinite(point.x) && Number.isFinite(point.z));
+  });
+  assert.deepEqual(points[points.length - 1], { x: 10, z: 10 });
+});
+
+test('a path of repeated points has no corners', () => {
+  const { points, corners } = roundCorners([{ x: 1, z: 1 }, { x: 1, z: 1 }, { x: 1, z: 1 }], 3);
+  assert.deepEqual(corners, []);
+  assert.deepEqual(points, [{ x: 1, z: 1 }]);
+});
+
+test('turnAngle is signed and reads a U-turn as a half turn', () => {
+  close(turnAngle({ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 2, z: 0 }), 0);
+  close(turnAngle({ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 1, z: 1 }), Math.PI / 2);
+  close(turnAngle({ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 1, z: -1 }), -Math.PI / 2);
+  close(Math.abs(turnAngle({ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 0, z: 0 })), Math.PI);
+});
+
+// ============================================
+// buildRibbonVertices
+// ============================================
+
+test('ribbon vertices sit half the width either side of the centre line', () => {
+  const samples = [
+    { x: 0, z: 0, tx: 1, tz: 0 },
+    { x: 5, z: 0, tx: 1, tz: 0 },
+    { x: 10, z: 0, tx: 1, tz: 0 }
+  ];
+  const { positions, uvs, progress, indices } = buildRibbonVertices(samples, 2, 0.02);
+  assert.equal(positions.length, samples.length * 2 * 3);
+  // Heading +x the perpendicular (-tz, tx) points +z; the first vertex is on its far side
+  assert.deepEqual(positions.slice(0, 6), [0, 0.02, -1, 0, 0.02, 1]);
+  assert.deepEqual(progress, [0, 0, 0.5, 0.5, 1, 1]);
+  assert.deepEqual(uvs.slice(0, 4), [0, 0, 1, 0]);
+  // Two triangles per gap between samples
+  assert.equal(indices.length, (samples.length - 1) * 6);
+  assert.ok(Math.max(...indices) < samples.length * 2);
+});
+
+test('ribbon tangents need not be normalised', () => {
+  const { positions } = buildRibbonVertices([{ x: 0, z: 0, tx: 0, tz: 5 }, { x: 0, z: 1, tx: 0, tz: 5 }], 1);
+  close(positions[0], 0.5);
+  close(positions[3], -0.5);
+});
+
+test('a zero tangent leaves the ribbon on the centre line instead of NaN', () => {
+  const { positions } = buildRibbonVertices([{ x: 3, z: 4, tx: 0, tz: 0 }, { x: 3, z: 4, tx: 0, tz: 0 }], 1);
+  positions.forEach(value => assert.ok(Number.isFinite(value)));
+  assert.deepEqual(positions.slice(0, 3), [3, 0, 4]);
+});
+
+// ============================================
+// shortestAngle / lerpAngle
+// ============================================
+
+test('shortestAngle stays within [-π, π]', () => {
+  close(shortestAngle(0, Math.PI / 2), Math.PI / 2);
+  close(shortestAngle(Math.PI / 2, 0), -Math.PI / 2);
+  close(shortestAngle(0, Math.PI * 2), 0);
+  close(shortestAngle(0, Math.PI * 6 + 0.1), 0.1);
+  close(shortestAngle(Math.PI * 10, Math.PI * 10 - 0.1), -0.1);
+});
+
+test('shortestAngle wraps across ±π the short way', () => {
+  // From just below +π to just above -π is a small step forwards
+  close(shortestAngle(Math.PI - 0.1, -Math.PI + 0.1), 0.2);
+  close(shortestAngle(-Math.PI + 0.1, Math.PI - 0.1), -0.2);
+});
+
+test('a half turn is +π from either side', () => {
+  close(shortestAngle(0, Math.PI), Math.PI);
+  close(shortestAngle(0, -Math.PI), Math.PI);
+  close(shortestAngle(Math.PI, 0), Math.PI);
+});
+
+test('lerpAngle eases across ±π without spinning a full turn', () => {
+  const from = Math.PI - 0.1;
+  const to = -Math.PI + 0.1;
+  let angle = from;
+  for (let i = 0; i < 1000; i++) angle = lerpAngle(angle, to, 0.027);
+  // Arrived at the target direction having moved forwards only 0.2
+  close(shortestAngle(angle, to), 0);
+  assert.ok(angle > from && angle - from < 0.2 + 1e-9);
+});
+
+test('lerpAngle with factor 0 and 1', () => {
+  close(lerpAngle(1, 2, 0), 1);
+  close(lerpAngle(1, 2, 1), 2);
+  close(lerpAngle(3, -3, 1), 3 + (Math.PI * 2 - 6));
+});
@@ -0,0 +1,54 @@
+/**
+ * Pathfinding: generated routes on the shipped store turn around without
+ * reversing on the spot and still pass every stop
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createNavGrid, findRoute, distanceToPolyline } from '../src/pathfinding.js';
+import { optimizeRoute } from '../src/routeOptimizer.js';
+import { assertValidFloorPlan } from '../src/floorplan.js';
+import { turnAngle } from '../src/pathMath.js';
+
+const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+const floorPlan = readJson('../data/floorplans/sams-club.json');
+assertValidFloorPlan(floorPlan);
+const { items } = readJson('../data/shopping-lists/valentines.json');
+const { entrance, checkout } = floorPlan.routeEndpoints;
+const grid = createNavGrid(floorPlan);
+
+// Waypoints where the route doubles straight back on itself
+function reversals(waypoints) {
+  const found = [];
+  for (let i = 1; i < waypoints.length - 1; i++) {
+    if (Math.abs(turnAngle(waypoints[i - 1], waypoints[i], waypoints[i + 1])) > Math.PI * 0.99) {
+      found.push(waypoints[i]);
+    }
+  }
+  return found;
+}
+
+test('the optimized route through the whole list never reverses and passes every item', () => {
+  const route = optimizeRoute(grid, entrance, items, checkout);
+  assert.ok(route);
+  assert.deepEqual(reversals(route.waypoints), []);
+  assert.equal(route.pinsVisited, items.length);
+});
+
+test('a route to any single item never reverses and passes within reach of it', () => {
+  items.forEach((item) => {
+    const waypoints = findRoute(grid, entrance, [item], checkout);
+    assert.ok(waypoints, item.aisle);
+    assert.deepEqual(reversals(waypoints), [], item.aisle);
+    assert.ok(distanceToPolyline(item, waypoints) <= 4, item.aisle);
+  });
+});
+
+test('a route through the items in list order never reverses', () => {
+  const waypoints = findRoute(grid, entrance, items, checkout);
+  assert.ok(waypoints);
+  assert.deepEqual(reversals(waypoints), []);
+});
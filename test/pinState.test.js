@@ -0,0 +1,350 @@
+/**
+ * Pin rules: triggers, effects and defaults, live (stepPin) and when
+ * seeking (pinStatesAt)
+ * Run with `node --test`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PIN_DONE_RADIUS,
+  PIN_BADGE_RADIUS,
+  PIN_PAUSE_MS,
+  PIN_DONE_DELAY_MS,
+  pinRules,
+  startsHidden,
+  pinSchedule,
+  canPickUp,
+  stepPin,
+  pinMilestones,
+  pinStatesAt
+} from '../src/pinState.js';
+
+// A pin from a shopping list item (label, reveal, rules) plus its state
+function makePin({ label = 'C10', reveal, rules, ...overrides } = {}) {
+  const pinRuleList = pinRules({ reveal, rules });
+  return {
+    key: label,
+    label,
+    item: label,
+    x: 0,
+    z: 0,
+    isHidden: startsHidden(pinRuleList),
+    isDone: false,
+    isHeart: false,
+    rules: pinRuleList,
+    hasBadge: false,
+    badgeVisible: false,
+    scannedBy: null,
+    ...overrides
+  };
+}
+
+function makeShopper(overrides = {}) {
+  return {
+    id: 'lead',
+    x: 0,
+    z: 0,
+    progress: 0,
+    pins: null,
+    replaysScans: false,
+    milestones: new Map(),
+    ...overrides
+  };
+}
+
+const effects = step => step.effects.map(({ effect }) => effect);
+
+// ============================================
+// pinRules
+// ============================================
+
+test('pins without rules get the default badge, pause and done rules', () => {
+  assert.deepEqual(pinRules({}), [
+    { trigger: 'near', value: PIN_BADGE_RADIUS, effects: { badge: true }, paths: null },
+    { trigger: 'near', value: PIN_DONE_RADIUS, effects: { pause: PIN_PAUSE_MS }, paths: null },
+    { trigger: 'near', value: PIN_DONE_RADIUS, effects: { done: PIN_DONE_DELAY_MS }, paths: null }
+  ]);
+  assert.equal(startsHidden(pinRules({})), false);
+});
+
+test('reveal keys become reveal rules, and the pin starts hidden', () => {
+  const rules = pinRules({ reveal: { onProximity: 8, after: 'B4', afterDelay: 3000 } });
+  assert.deepEqual(rules.slice(0, 3).map(({ trigger, value }) => [trigger, value]), [
+    ['anyoneNear', 8],
+    ['after', 'B4'],
+    ['delay', 3000]
+  ]);
+  assert.equal(startsHidden(rules), true);
+});
+
+test('own rules replace the defaults for their effects, except when limited to paths', () => {
+  const rules = pinRules({
+    rules: [
+      { when: { near: 2 }, then: { pause: 3000, done: true } },
+      { when: { near: 9 }, then: 'badge', paths: ['path2'] }
+    ]
+  });
+  assert.deepEqual(rules, [
+    { trigger: 'near', value: 2, effects: { pause: 3000, done: PIN_DONE_DELAY_MS }, paths: null },
+    { trigger: 'near', value: 9, effects: { badge: true }, paths: ['path2'] },
+    { trigger: 'near', value: PIN_BADGE_RADIUS, effects: { badge: true }, paths: null }
+  ]);
+});
+
+test('then takes a name, a list of names or effect -> ms', () => {
+  const [listed] = pinRules({ rules: [{ when: { time: 1000 }, then: ['reveal', 'badge'] }] });
+  assert.deepEqual(listed.effects, { reveal: true, badge: true });
+  const [timed] = pinRules({ rules: [{ when: { doneCount: 3 }, then: { done: 0 } }] });
+  assert.deepEqual(timed.effects, { done: 0 });
+});
+
+// ============================================
+// pinSchedule
+// ============================================
+
+test('a pin is scheduled by its rules on the path, defaults included', () => {
+  const near = trigger => ({ trigger: 'near', value: PIN_DONE_RADIUS, ...trigger });
+  assert.deepEqual(pinSchedule(makePin(), 'path1'), {
+    reveal: null,
+    done: [near()],
+    pause: [near({ ms: PIN_PAUSE_MS })]
+  });
+  const pin = makePin({ rules: [{ when: { near: 3 }, then: { pause: 3000 }, paths: ['path2'] }] });
+  assert.deepEqual(pinSchedule(pin, 'path2').pause, [{ trigger: 'near', value: 3, ms: 3000 }, near({ ms: PIN_PAUSE_MS })]);
+  assert.deepEqual(pinSchedule(pin, 'path1').pause, [near({ ms: PIN_PAUSE_MS })]);
+});
+
+test('pauses on any planned trigger are scheduled, and hidden pins list what reveals them', () => {
+  const timed = makePin({ rules: [{ when: { time: 5000 }, then: 'pause' }] });
+  assert.deepEqual(pinSchedule(timed, 'path1').pause, [{ trigger: 'time', value: 5000, ms: PIN_PAUSE_MS }]);
+  const after = makePin({ reveal: { after: 'N8' }, rules: [{ when: { doneCount: 2 }, then: { pause: 3000 } }] });
+  assert.deepEqual(pinSchedule(after, 'path1').reveal, [{ trigger: 'after', value: 'N8' }]);
+  assert.deepEqual(pinSchedule(after, 'path1').pause, [{ trigger: 'doneCount', value: 2, ms: 3000 }]);
+  assert.deepEqual(pinSchedule(makePin({ rules: [{ when: { near: 4 }, then: { pause: 0 } }] }), 'path1').pause, []);
+  assert.deepEqual(pinSchedule(makePin({ rules: [{ when: { delay: 100 }, then: 'pause' }] }), 'path1').pause, []);
+});
+
+// ============================================
+// canPickUp
+// ============================================
+
+test('shoppers with a list pick up only their items', () => {
+  const alice = makeShopper({ id: 'alice', pins: new Set(['C10']) });
+  const lead = makeShopper();
+  const shoppers = [lead, alice];
+  assert.equal(canPickUp(alice, 'C10', shoppers), true);
+  assert.equal(canPickUp(alice, 'N8', shoppers), false);
+  // The lead shares what nobody has on their list
+  assert.equal(canPickUp(lead, 'C10', shoppers), false);
+  assert.equal(canPickUp(lead, 'N8', shoppers), true);
+});
+
+// ============================================
+// stepPin
+// ============================================
+
+test('by default a pin pauses and is checked off within the done radius', () => {
+  const near = stepPin(makePin(), [makeShopper({ x: PIN_DONE_RADIUS - 0.1 })]);
+  assert.deepEqual(near.effects, [
+    { effect: 'pause', value: PIN_PAUSE_MS, trigger: 'near' },
+    { effect: 'done', value: PIN_DONE_DELAY_MS, trigger: 'near' }
+  ]);
+  assert.equal(near.picker.id, 'lead');
+  const far = stepPin(makePin(), [makeShopper({ x: PIN_DONE_RADIUS + 0.1 })]);
+  assert.deepEqual(far.effects, []);
+});
+
+test('nothing more fires while the pin is being checked off, or once done', () => {
+  assert.deepEqual(effects(stepPin(makePin(), [makeShopper({ x: 1 })], { timing: true })), []);
+  assert.deepEqual(effects(stepPin(makePin({ isDone: true, hasBadge: true }), [makeShopper()])), []);
+});
+
+test('the savings badge pops within the badge radius, once', () => {
+  const shoppers = [makeShopper({ x: PIN_BADGE_RADIUS - 0.5 })];
+  assert.deepEqual(effects(stepPin(makePin({ hasBadge: true }), shoppers)), ['badge']);
+  assert.deepEqual(effects(stepPin(makePin({ hasBadge: true, badgeVisible: true }), shoppers)), []);
+  // No badge to show
+  assert.deepEqual(effects(stepPin(makePin(), shoppers)), []);
+});
+
+test('a hidden proximity pin is revealed, then handled in the same frame', () => {
+  const pin = makePin({ reveal: { onProximity: 5 }, hasBadge: true });
+  const step = stepPin(pin, [makeShopper({ x: 3 })]);
+  assert.deepEqual(effects(step), ['reveal', 'badge', 'pause', 'done']);
+  assert.equal(step.effects[0].trigger, 'anyoneNear');
+});
+
+test('a hidden pin out of range stays hidden and inert', () => {
+  const step = stepPin(makePin({ reveal: { onProximity: 2 } }), [makeShopper({ x: 3 })]);
+  assert.deepEqual(step.effects, []);
+  assert.equal(step.distance, 3);
+});
+
+test('reveal after an item, after a count of items, on journey time and after load', () => {
+  const shoppers = [makeShopper({ x: 50 })];
+  const revealed = (pin, context) => effects(stepPin(pin, shoppers, context)).includes('reveal');
+
+  const after = makePin({ reveal: { after: 'N8' } });
+  assert.equal(revealed(after, { done: new Set(['B4']) }), false);
+  assert.equal(revealed(after, { done: new Set(['N8']) }), true);
+
+  const counted = makePin({ rules: [{ when: { doneCount: 3 }, then: 'reveal' }] });
+  assert.equal(revealed(counted, { done: new Set(['A1', 'A2']) }), false);
+  assert.equal(revealed(counted, { done: new Set(['A1', 'A2', 'A3']) }), true);
+
+  const timed = makePin({ rules: [{ when: { time: 20000 }, then: 'reveal' }] });
+  assert.equal(revealed(timed, { time: 19999 }), false);
+  assert.equal(revealed(timed, { time: 20000 }), true);
+
+  const delayed = makePin({ reveal: { afterDelay: 3000 } });
+  assert.equal(revealed(delayed, { elapsed: 2000 }), false);
+  assert.equal(revealed(delayed, { elapsed: 3000 }), true);
+});
+
+test('rules limited to paths only fire on those paths', () => {
+  const pin = makePin({ rules: [{ when: { near: 4 }, then: { pause: 3000 }, paths: ['path2'] }] });
+  const shoppers = [makeShopper({ x: 1 })];
+  const pause = context => stepPin(pin, shoppers, context).effects.find(({ effect }) => effect === 'pause');
+  assert.equal(pause({ pathId: 'path2' }).value, 3000);
+  // The default pause still applies elsewhere
+  assert.equal(pause({ pathId: 'path1' }).value, PIN_PAUSE_MS);
+});
+
+test('a custom done rule fires on its own trigger, for the nearest picker', () => {
+  const pin = makePin({ rules: [{ when: { time: 5000 }, then: { done: 0 } }] });
+  const shoppers = [makeShopper({ x: 30 })];
+  assert.deepEqual(effects(stepPin(pin, shoppers, { time: 1000 })), []);
+  const step = stepPin(pin, shoppers, { time: 5000 });
+  assert.deepEqual(step.effects, [{ effect: 'done', value: 0, trigger: 'time' }]);
+  assert.equal(step.picker.id, 'lead');
+});
+
+test('the nearest shopper reveals, but only an owner picks up', () => {
+  const pin = makePin({ reveal: { onProximity: 5 } });
+  const shoppers = [
+    makeShopper({ id: 'lead', x: 1, pins: new Set(['N8']) }),
+    makeShopper({ id: 'alice', x: 3.5, pins: new Set(['C10']) })
+  ];
+  const step = stepPin(pin, shoppers);
+  assert.deepEqual(effects(step), ['reveal', 'pause', 'done']);
+  assert.equal(step.distance, 1);
+  assert.equal(step.picker.id, 'alice');
+  assert.equal(step.pickDistance, 3.5);
+});
+
+test('nobody checks off an item that no shopper picks up', () => {
+  const pin = makePin({ rules: [{ when: { time: 1 }, then: 'done' }] });
+  const shoppers = [makeShopper({ pins: new Set(['N8']) })];
+  assert.deepEqual(effects(stepPin(pin, shoppers, { time: 10 })), []);
+});
+
+test('a logged scan checks the pin off wherever the shopper is', () => {
+  const step = stepPin(makePin({ scannedBy: 'lead' }), [makeShopper({ x: 50 })]);
+  assert.equal(step.scanned, true);
+  assert.deepEqual(step.effects, []);
+});
+
+test('shoppers replaying scans never pick up by rule', () => {
+  const step = stepPin(makePin(), [makeShopper({ replaysScans: true })]);
+  assert.equal(step.scanned, false);
+  assert.deepEqual(step.effects, []);
+});
+
+// ============================================
+// pinMilestones
+// ============================================
+
+test('milestones are the first progress within each rule distance', () => {
+  // Straight line from x = -20 to x = 20 past a pin at the origin, 1 unit apart
+  const points = [];
+  for (let x = -20; x <= 20; x++) points.push({ x, z: 0 });
+  const milestones = pinMilestones(points, makePin({ reveal: { onProximity: 10 } }));
+  assert.deepEqual([...milestones.keys()], [10, PIN_BADGE_RADIUS, PIN_DONE_RADIUS]);
+  assert.equal(milestones.get(10), 10 / 40);
+  assert.equal(milestones.get(PIN_BADGE_RADIUS), (20 - PIN_BADGE_RADIUS) / 40);
+  assert.equal(milestones.get(PIN_DONE_RADIUS), (20 - PIN_DONE_RADIUS) / 40);
+});
+
+test('distances the path never comes within have Infinity milestones', () => {
+  const points = [{ x: 0, z: 100 }, { x: 10, z: 100 }];
+  const milestones = pinMilestones(points, makePin());
+  assert.equal(milestones.get(PIN_DONE_RADIUS), Infinity);
+  assert.equal(milestones.get(PIN_BADGE_RADIUS), Infinity);
+});
+
+// ============================================
+// pinStatesAt
+// ============================================
+
+// Shopper at progress with a pin's distances reached at the given progress
+function milestonesFor(pin, byRadius) {
+  return new Map([[pin.key, new Map(Object.entries(byRadius).map(([radius, at]) => [Number(radius), at]))]]);
+}
+
+test('seeking past a pin marks it done by the shopper who reached it', () => {
+  const pin = makePin({ hasBadge: true });
+  const milestones = milestonesFor(pin, { [PIN_DONE_RADIUS]: 0.5, [PIN_BADGE_RADIUS]: 0.4 });
+  const at = progress => pinStatesAt([pin], [makeShopper({ progress, milestones })]).get(pin.key);
+  assert.deepEqual(at(0.3), { hidden: false, doneBy: null, badgeVisible: false });
+  assert.deepEqual(at(0.45), { hidden: false, doneBy: null, badgeVisible: true });
+  assert.deepEqual(at(0.6), { hidden: false, doneBy: 'lead', badgeVisible: false });
+});
+
+test('reveal-after pins follow their pin when seeking backwards and forwards', () => {
+  const first = makePin({ label: 'N8' });
+  const gift = makePin({ label: 'G1', reveal: { after: 'N8' } });
+  const milestones = new Map([
+    ...milestonesFor(first, { [PIN_DONE_RADIUS]: 0.5, [PIN_BADGE_RADIUS]: 0.4 }),
+    ...milestonesFor(gift, { [PIN_DONE_RADIUS]: 0.8, [PIN_BADGE_RADIUS]: 0.7 })
+  ]);
+  const at = progress => pinStatesAt([gift, first], [makeShopper({ progress, milestones })]);
+  assert.equal(at(0.2).get('G1').hidden, true);
+  assert.equal(at(0.6).get('G1').hidden, false);
+  assert.equal(at(0.6).get('G1').doneBy, null);
+  assert.equal(at(0.9).get('G1').doneBy, 'lead');
+  assert.deepEqual(at(0.1).get('G1'), { hidden: true, doneBy: null, badgeVisible: false });
+});
+
+test('done counts, journey time and paths are replayed when seeking', () => {
+  const items = ['A1', 'A2', 'A3'].map(label => makePin({ label }));
+  const bonus = makePin({
+    label: 'B1',
+    rules: [
+      { when: { doneCount: 2 }, then: 'reveal' },
+      { when: { time: 60000 }, then: 'done', paths: ['path2'] }
+    ]
+  });
+  const milestones = new Map(items.map((pin, i) => milestonesFor(pin, {
+    [PIN_DONE_RADIUS]: (i + 1) / 4,
+    [PIN_BADGE_RADIUS]: 0
+  })).flatMap(map => [...map]));
+  const at = (progress, context) => pinStatesAt([bonus, ...items], [makeShopper({ progress, milestones })], context).get('B1');
+
+  assert.equal(at(0.3, {}).hidden, true);
+  assert.equal(at(0.6, {}).hidden, false);
+  assert.equal(at(0.6, { time: 60000, pathId: 'path1' }).doneBy, null);
+  assert.equal(at(0.6, { time: 60000, pathId: 'path2' }).doneBy, 'lead');
+});
+
+test('pins without reveal rules keep their hidden state', () => {
+  const pin = makePin({ isHidden: true });
+  assert.equal(pinStatesAt([pin], [makeShopper()]).get(pin.key).hidden, true);
+});
+
+test('a scan decides who picked an item up, over proximity', () => {
+  const pin = makePin({ scannedBy: 'bob' });
+  const milestones = milestonesFor(pin, { [PIN_DONE_RADIUS]: 0.1, [PIN_BADGE_RADIUS]: 0 });
+  const states = pinStatesAt([pin], [makeShopper({ progress: 0.5, milestones })]);
+  assert.equal(states.get(pin.key).doneBy, 'bob');
+});
+
+test('shoppers replaying scans and shoppers without the item do not pick up', () => {
+  const pin = makePin();
+  const milestones = milestonesFor(pin, { [PIN_DONE_RADIUS]: 0.1, [PIN_BADGE_RADIUS]: 0 });
+  const shoppers = [
+    makeShopper({ id: 'trace', progress: 1, milestones, replaysScans: true }),
+    makeShopper({ id: 'alice', progress: 1, milestones, pins: new Set(['N8']) })
+  ];
+  assert.equal(pinStatesAt([pin], shoppers).get(pin.key).doneBy, null);
+});